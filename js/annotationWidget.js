@@ -25,6 +25,8 @@ import { createColorSwatchSelector } from 'igv-ui';
 import { makeDraggable } from 'igv-ui';
 import HICEvent from './hicEvent.js';
 import Track2D from './track2D.js';
+import {downloadBEDPE} from './track2DEditor.js';
+import {createTrack2DStylePanel} from './track2DStylePanel.js';
 
 class AnnotationWidget {
     constructor(browser, container, { title, alertMessage }, trackListRetrievalCallback) {
@@ -192,6 +194,20 @@ class AnnotationWidget {
 
         createColorSwatchSelector(colorpickerContainer, colorHandler);
 
+        // Color by an attribute, and filter by ranges of them.
+        if (isTrack2D) {
+            const stylePanel = createTrack2DStylePanel(rowContainer, track, () => this.browser.coordinator.onTrackState2D(track));
+
+            const styleIcon = document.createElement('i');
+            styleIcon.className = 'fa fa-sliders fa-lg';
+            styleIcon.title = 'Color and filter by attribute';
+            row.appendChild(styleIcon);
+
+            styleIcon.addEventListener('click', () => {
+                stylePanel.style.display = stylePanel.style.display === 'none' ? 'flex' : 'none';
+            });
+        }
+
         // track up/down
         const upDownContainer = document.createElement('div');
         upDownContainer.className = 'up-down-arrow-container';
@@ -253,6 +269,16 @@ class AnnotationWidget {
         downTrack.addEventListener('click', isTrack2D ? moveDown : moveUp);
 
 
+        // The user-owned track exists only in the browser, so it can be saved.
+        if (isTrack2D && track.editable) {
+            const exportIcon = document.createElement('i');
+            exportIcon.className = 'fa fa-download fa-lg';
+            exportIcon.title = 'Save as BEDPE';
+            row.appendChild(exportIcon);
+
+            exportIcon.addEventListener('click', () => downloadBEDPE(track));
+        }
+
         const deleteIcon = document.createElement('i');
         deleteIcon.className = 'fa fa-trash-o fa-lg';
         row.appendChild(deleteIcon);
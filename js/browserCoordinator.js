@@ -87,8 +87,9 @@ class BrowserCoordinator {
      * 
      * @param {Dataset} dataset - The loaded dataset
      * @param {State} state - The current state
-     * @param {('live'|'hic'|'unknown')} datasetType - Which *kind* of dataset
-     *   loaded, taken verbatim from `dataset.datasetType`. **Not** "main" vs
+     * @param {('live'|'hic'|'cooler'|'pairs'|'tileserver'|'composite'|'unknown')} datasetType - Which *kind* of dataset
+     *   loaded, taken verbatim from `dataset.datasetType` -- or the name of a
+     *   type a host registered with `registerDatasetType`. **Not** "main" vs
      *   "control", which this said until #471: that distinction is expressed by
      *   which method is called -- `onMapLoaded` for the primary map,
      *   `onControlMapLoaded` for the control map. See CONTEXT.md under
@@ -147,9 +148,11 @@ class BrowserCoordinator {
             );
         }
 
-        // 7. Update control map widget
-        if (this.widgets.controlMapWidget && !this.browser.controlDataset) {
-            this.widgets.controlMapWidget.hide();
+        // 7. Update control map widget. Shown with a single map too, which
+        // still has A and its O/E to choose between.
+        if (this.widgets.controlMapWidget) {
+            this.widgets.controlMapWidget.updateDisplayMode(this.browser.getDisplayMode());
+            this.widgets.controlMapWidget.show();
         }
 
         // 8. Notify external callbacks
@@ -243,7 +246,7 @@ class BrowserCoordinator {
     /**
      * Orchestrate component updates when display mode changes.
      * 
-     * @param {string} mode - The display mode ("A", "B", "AOB", "BOA", "AMB")
+     * @param {string} mode - The display mode ("A", "B", "AOB", "BOA", "AMB", "OE", "BOE", "PEARSON")
      */
     onDisplayMode(mode) {
         if (this.widgets.colorScaleWidget) {
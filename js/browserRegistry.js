@@ -3,6 +3,7 @@ import EventBus from './eventBus.js'
 import HICEvent from './hicEvent.js'
 import {pairSynchable} from './syncGroup.js'
 import {normalizeSession} from './normalizeSession.js'
+import TileCache from './tileCache.js'
 // A cycle, deliberately: `createBrowser.js` resolves its registry from a
 // container, and `restoreSession` below needs browsers built. Neither module
 // touches the other while it is being evaluated, so the cycle is inert -- and
@@ -58,6 +59,18 @@ class BrowserRegistry {
         // Built on first alert rather than in the constructor: constructing a
         // registry must not put a dialog in the host's element.
         this.alertDialog = undefined
+
+        /**
+         * The image tiles of every browser in this embed, under one byte
+         * budget. A host sets the ceiling with `tileCache.setBudget(bytes)` --
+         * or `tileCacheBudget` in the config handed to `initRegistry` -- and
+         * reads how it is doing from `tileCache.stats()`.
+         *
+         * Per registry because memory is the embed's to spend: four synced
+         * browsers each holding its own cache was what made a page of them
+         * balloon.
+         */
+        this.tileCache = new TileCache()
     }
 
     /**
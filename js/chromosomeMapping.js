@@ -0,0 +1,199 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * A control map read in its primary's chromosomes. The two may name them
+ * differently -- `chr1` against `1`, `chrM` against `MT` -- or one may carry
+ * contigs the other lacks, so a control is matched to the primary's genome by
+ * name, through the genome's aliases, and by length: a chromosome both carry at
+ * the same length is compared, any other is dropped from the comparison.
+ *
+ * The control is read through an adapter, `ChromosomeMappedDataset`, which
+ * stands in the primary's index space: its `chromosomes` and whole genome are
+ * the genome's, and what it is asked in those terms -- a chromosome index from
+ * the view's state, a region named as the primary names it -- it translates
+ * before asking the control, which goes on reading its own chromosomes
+ * underneath (see js/datasetAdapter.js). A name the primary does not use, such
+ * as one off the control's own zoom data, passes through as it is.
+ *
+ * The whole genome is compared only when nothing is dropped and the shared
+ * chromosomes come in the same order, the one case in which the two maps lay
+ * it out alike. A chromosome that is not shared reads as an empty map.
+ */
+
+import {bpMatrix} from './dataset.js'
+import DatasetAdapter from './datasetAdapter.js'
+
+/**
+ * Match a control map's chromosomes to the primary's genome.
+ *
+ * @param {Dataset} controlDataset - initialized
+ * @param {Genome} genome - the primary's
+ * @returns {{dataset: Dataset, shared: string[], dropped: string[], controlDropped: string[]}}
+ *          the control to read in the primary's terms -- itself when the two
+ *          name and order their chromosomes alike, or share none -- and the
+ *          names, the primary's spelling, of the chromosomes compared; those of
+ *          the primary's left out; and those of the control's
+ */
+function mapChromosomes(controlDataset, genome) {
+
+    const indices = new Map()
+    const names = new Map()
+    const controlDropped = []
+    for (const chromosome of chromosomesOf(controlDataset.chromosomes)) {
+        const primary = genome.getChromosome(chromosome.name)
+        if (primary && primary.size === chromosome.size && !indices.has(primary.index)) {
+            indices.set(primary.index, chromosome.index)
+            names.set(primary.name, chromosome.name)
+        } else {
+            controlDropped.push(chromosome.name)
+        }
+    }
+
+    const primaries = chromosomesOf(genome.chromosomes)
+    const shared = primaries.filter(chromosome => indices.has(chromosome.index)).map(chromosome => chromosome.name)
+    const dropped = primaries.filter(chromosome => !indices.has(chromosome.index)).map(chromosome => chromosome.name)
+
+    const identical = 0 === dropped.length && 0 === controlDropped.length &&
+        [...indices].every(([index, controlIndex]) => index === controlIndex) &&
+        [...names].every(([name, controlName]) => name === controlName)
+    if (identical || 0 === shared.length) {
+        return {dataset: controlDataset, shared, dropped, controlDropped}
+    }
+
+    const controlIndices = [...indices.values()]
+    const inOrder = controlIndices.every((index, i) => 0 === i || controlIndices[i - 1] < index)
+    const wholeGenome = wholeGenomeOf(genome)
+    if (wholeGenome && controlDataset.wholeGenomeChromosome &&
+        0 === dropped.length && 0 === controlDropped.length && inOrder) {
+        indices.set(wholeGenome.index, controlDataset.wholeGenomeChromosome.index)
+        names.set(wholeGenome.name, controlDataset.wholeGenomeChromosome.name)
+    }
+
+    return {dataset: new ChromosomeMappedDataset(controlDataset, genome, indices, names), shared, dropped, controlDropped}
+}
+
+/**
+ * A control map read in the chromosomes of its primary's genome. Indices and
+ * names are the primary's; those of a chromosome the control does not share
+ * read as an empty map.
+ */
+class ChromosomeMappedDataset extends DatasetAdapter {
+
+    #genome
+    #indices
+    #names
+    #controlNames
+
+    /**
+     * @param {Dataset} source - the control, initialized
+     * @param {Genome} genome - the primary's
+     * @param {Map<number, number>} indices - each shared chromosome's index, the primary's to the control's
+     * @param {Map<string, string>} names - each shared chromosome's name, the primary's to the control's
+     */
+    constructor(source, genome, indices, names) {
+        super(source)
+        this.#genome = genome
+        this.#indices = indices
+        this.#names = names
+        this.#controlNames = new Set(names.values())
+    }
+
+    get chromosomes() {
+        return this.#genome.chromosomes
+    }
+
+    get wholeGenomeChromosome() {
+        return wholeGenomeOf(this.#genome)
+    }
+
+    async getMatrix(chr1, chr2) {
+        if (!this.#indices.has(chr1) || !this.#indices.has(chr2)) {
+            const [i, j] = chr1 > chr2 ? [chr2, chr1] : [chr1, chr2]
+            return bpMatrix(this.chromosomes[i], this.chromosomes[j],
+                this.bpResolutions.map(binSize => ({binSize, averageCount: 0})))
+        }
+        return this.source.getMatrix(this.#indices.get(chr1), this.#indices.get(chr2))
+    }
+
+    async getContactRecords(normalization, region1, region2, units, binSize, ...rest) {
+        if (!this.#isShared(region1.chr) || !this.#isShared(region2.chr)) {
+            return []
+        }
+        return this.source.getContactRecords(normalization,
+            {...region1, chr: this.#controlName(region1.chr)},
+            {...region2, chr: this.#controlName(region2.chr)},
+            units, binSize, ...rest)
+    }
+
+    contactRecordsRequest(normalization, region1, region2, units, binSize, ...rest) {
+        if (!this.#isShared(region1.chr) || !this.#isShared(region2.chr)) {
+            return undefined
+        }
+        return super.contactRecordsRequest(normalization,
+            {...region1, chr: this.#controlName(region1.chr)},
+            {...region2, chr: this.#controlName(region2.chr)},
+            units, binSize, ...rest)
+    }
+
+    async hasNormalizationVector(type, chr, unit, binSize) {
+        return this.source.hasNormalizationVector(type, this.#controlName(chr), unit, binSize)
+    }
+
+    getChromosomeLength(chrIndex, unit = "BP") {
+        return this.#indices.has(chrIndex) ?
+            this.source.getChromosomeLength(this.#indices.get(chrIndex), unit) :
+            super.getChromosomeLength(chrIndex, unit)
+    }
+
+    toBP(chrIndex, position, unit = "BP") {
+        return this.#indices.has(chrIndex) ?
+            this.source.toBP(this.#indices.get(chrIndex), position, unit) :
+            super.toBP(chrIndex, position, unit)
+    }
+
+    fromBP(chrIndex, bp, unit = "BP") {
+        return this.#indices.has(chrIndex) ?
+            this.source.fromBP(this.#indices.get(chrIndex), bp, unit) :
+            super.fromBP(chrIndex, bp, unit)
+    }
+
+    #controlName(name) {
+        return this.#names.get(name) || name
+    }
+
+    #isShared(name) {
+        return this.#names.has(name) || this.#controlNames.has(name)
+    }
+}
+
+// A map's chromosomes, but the whole genome's "All".
+function chromosomesOf(chromosomes) {
+    return (chromosomes || []).filter(chromosome => 'all' !== chromosome.name.toLowerCase())
+}
+
+function wholeGenomeOf(genome) {
+    return genome.chromosomes.find(chromosome => 'all' === chromosome.name.toLowerCase())
+}
+
+export {mapChromosomes, ChromosomeMappedDataset}
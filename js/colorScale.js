@@ -21,10 +21,34 @@
  *
  */
 
-import {IGVMath} from "igv-utils"
+import {gradientStops, interpolateStops} from "./colormaps.js"
+import {transferFraction} from "./colorTransfer.js"
 
 const defaultColorScaleConfig = {threshold: 2000, r: 255, g: 0, b: 0}
 
+/**
+ * Leads the string of any scale painting with a gradient -- "G:2000,viridis",
+ * "G:R:5:5,reds:5,blues". The gradient itself sits where the color components
+ * would, so the tag is what tells a reader the string needs one: a decoder that
+ * predates gradients would read a threshold of NaN instead. See
+ * `sessionVersion` in js/sessionCodec.js for how such a decoder is kept from
+ * trying.
+ */
+const GRADIENT_TAG = 'G:'
+
+/**
+ * A single-sided color scale, from transparent at zero to full color at the
+ * threshold.
+ *
+ * The color is one hue carried in alpha, or -- with a `gradient`, a colormap
+ * name or hex stops as `js/colormaps.js` reads them -- a color that moves along
+ * the gradient's stops at full alpha. `r`, `g`, `b` then hold the gradient's
+ * last stop, so a swatch showing the scale shows its strongest color.
+ *
+ * How far toward full color a score is painted is the `transfer` function's --
+ * linear by default, or log, sqrt, or a gamma, as `js/colorTransfer.js` names
+ * them.
+ */
 class ColorScale {
 
     constructor(scale) {
@@ -32,15 +56,17 @@ class ColorScale {
         this.r = scale.r;
         this.g = scale.g;
         this.b = scale.b;
+        if (scale.gradient) {
+            this.setGradient(scale.gradient)
+        }
+        this.transfer = scale.transfer || 'linear'
         this.cache = []
         this.nbins = 2000
-        this.binsize = this.threshold / this.nbins
     }
 
     setThreshold(threshold) {
         this.threshold = threshold;
         this.cache = []
-        this.binsize = this.threshold / this.nbins
     }
 
     getThreshold() {
@@ -51,9 +77,43 @@ class ColorScale {
         this.r = components.r;
         this.g = components.g;
         this.b = components.b;
+        this.gradient = undefined
+        this.stops = undefined
+        this.cache = []
+    }
+
+    /**
+     * Paint along a gradient rather than a single color.
+     *
+     * @param {string} gradient a colormap name or '-'-joined hex stops
+     * @throws {Error} if `gradient` names neither
+     */
+    setGradient(gradient) {
+        this.stops = gradientStops(gradient)
+        this.gradient = gradient;
+        ({r: this.r, g: this.g, b: this.b} = this.stops[this.stops.length - 1])
         this.cache = []
     }
 
+    /**
+     * @returns {string|undefined} the gradient set, if any
+     */
+    getGradient() {
+        return this.gradient
+    }
+
+    /**
+     * @param {string} transfer a token `js/colorTransfer.js` accepts
+     */
+    setTransfer(transfer) {
+        this.transfer = transfer
+        this.cache = []
+    }
+
+    getTransfer() {
+        return this.transfer
+    }
+
     getColorComponents() {
         return {
             r: this.r,
@@ -67,10 +127,17 @@ class ColorScale {
     }
 
     getColor(value) {
-        const low = 0;
-        const bin = Math.floor(Math.min(this.threshold, value) / this.binsize)
+        // Binned after the transfer, so a log scale's steep low end gets as
+        // many bins as its flat high end.
+        const fraction = transferFraction(this.transfer, value, this.threshold)
+        const bin = Math.floor(fraction * this.nbins)
         if (undefined === this.cache[bin]) {
-            const alpha = Math.floor(255 * (IGVMath.clamp(value, low, this.threshold) - low) / (this.threshold - low))
+            const alpha = Math.floor(255 * fraction)
+            if (this.stops) {
+                const {r, g, b} = interpolateStops(this.stops, alpha / 255)
+                this.cache[bin] = {red: r, green: g, blue: b, alpha: 255, rgbaString: `rgba(${r},${g},${b}, 255)`}
+                return this.cache[bin]
+            }
             this.cache[bin] = {
                 red: this.r,
                 green: this.g,
@@ -82,12 +149,21 @@ class ColorScale {
         return this.cache[bin]
     }
 
+    /**
+     * A transfer other than linear trails the color as a field of its own,
+     * which a decoder predating transfers reads past: the map opens linear,
+     * in the right colors.
+     */
     stringify() {
-        return "" + this.threshold + ',' + this.r + ',' + this.g + ',' + this.b;
+        const transfer = 'linear' === this.transfer ? '' : ',' + this.transfer;
+        if (this.gradient) {
+            return GRADIENT_TAG + this.threshold + ',' + this.gradient + transfer;
+        }
+        return "" + this.threshold + ',' + this.r + ',' + this.g + ',' + this.b + transfer;
     }
 
 }
 
-export {defaultColorScaleConfig}
+export {defaultColorScaleConfig, GRADIENT_TAG}
 
 export default ColorScale
@@ -21,32 +21,49 @@
  *
  */
 
-import ColorScale, {defaultColorScaleConfig} from './colorScale.js'
+import ColorScale, {defaultColorScaleConfig, GRADIENT_TAG} from './colorScale.js'
+import {isTransfer} from './colorTransfer.js'
 import RatioColorScale from './ratioColorScale.js'
 import DiffColorScale from './diffColorScale.js'
+import OEColorScale from './oeColorScale.js'
+import PearsonColorScale from './pearsonColorScale.js'
 
 /**
  * The signed scales, by the tag their stringify emits.
  */
-const signedScales = [RatioColorScale, DiffColorScale]
+const signedScales = [RatioColorScale, DiffColorScale, OEColorScale, PearsonColorScale]
 
 /**
  * Inverse of ColorScale#stringify, for color scales carried in sessions and
  * URLs.
  *
  * A leading tag selects a signed scale -- "R:" for the ratio scale used by
- * AOB / BOA, "D:" for the difference scale used by AMB. Anything else is a
- * plain single-sided scale.
+ * AOB / BOA, "D:" for the difference scale used by AMB, "O:" for the
+ * observed/expected scale used by OE / BOE, "P:" for the correlation scale
+ * used by PEARSON. Anything else is a plain single-sided scale.
+ *
+ * Ahead of either, "G:" marks a string in which some scale paints with a
+ * gradient, written where its color components would be: "G:2000,viridis",
+ * "G:R:5:5,reds:5,blues". The tag is consumed here; the gradients themselves
+ * are recognized field by field.
+ *
+ * A scale, or either side of a signed one, may end in a transfer function --
+ * "2000,255,0,0,log", "G:2000,viridis,gamma0.5" -- and is linear without one.
  *
  * This lives outside colorScale.js so that the module defining the base class
  * does not import its own subclasses, which would leave them uninitialized
  * whenever a subclass module is the entry point into the cycle.
  *
  * @param {string} string
- * @returns {ColorScale|RatioColorScale|DiffColorScale}
+ * @returns {ColorScale|SignedColorScale}
+ * @throws {Error} if a gradient names no colormap juicebox knows
  */
 function parseColorScale(string) {
 
+    if (string.startsWith(GRADIENT_TAG)) {
+        string = string.substring(GRADIENT_TAG.length)
+    }
+
     const signed = signedScales.find(scale => string.startsWith(scale.tag))
 
     if (signed) {
@@ -77,8 +94,14 @@ function parseColorScale(string) {
  *        defaults of the side being parsed, which are not the single-sided ones.
  */
 function parseSingle(string, defaults = defaultColorScaleConfig) {
-    const [threshold, r, g, b] = string.split(",").map(Number.parseFloat)
-    return new ColorScale({threshold, ...componentsOrDefault({r, g, b}, defaults)})
+    const [threshold, ...fields] = string.split(",")
+    const transfer = isTransfer(fields[fields.length - 1]) ? fields.pop() : undefined
+    const [r, g, b] = fields.map(Number.parseFloat)
+    const scale = new ColorScale({threshold: Number.parseFloat(threshold), ...componentsOrDefault({r, g, b}, defaults), transfer})
+    if (1 === fields.length && !Number.isFinite(r)) {
+        scale.setGradient(fields[0])
+    }
+    return scale
 }
 
 function componentsOrDefault({r, g, b}, defaults) {
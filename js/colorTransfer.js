@@ -0,0 +1,80 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * Transfer functions: how far toward full color a score below the threshold is
+ * painted.
+ *
+ *   linear    -- score / threshold, the original mapping.
+ *   log       -- log(1 + score) / log(1 + threshold). Lifts the long-range
+ *                contacts a few counts deep without saturating the diagonal.
+ *   sqrt      -- the square root of the linear fraction; gamma0.5, spelled
+ *                the way it is usually asked for.
+ *   gamma<g>  -- the linear fraction raised to g, as "gamma0.3" or "gamma2".
+ *                Below 1 lifts weak scores, above 1 suppresses them.
+ *
+ * A transfer is named by its token alone, which is how a color scale string
+ * carries it. The widget offers the first three; any gamma reads from a session.
+ */
+const transferNames = ['linear', 'log', 'sqrt']
+
+const gammaToken = /^gamma(\d+(\.\d+)?|\.\d+)$/
+
+/**
+ * @param {string} token
+ * @returns {boolean} whether `token` names a transfer function
+ */
+function isTransfer(token) {
+    return transferNames.includes(token) || (gammaToken.test(token) && gammaOf(token) > 0)
+}
+
+/**
+ * The fraction of full color a score is painted with, in [0, 1].
+ *
+ * @param {string} transfer a token `isTransfer` accepts
+ * @param {number} value the score
+ * @param {number} threshold the score painted at full color
+ * @returns {number}
+ */
+function transferFraction(transfer, value, threshold) {
+
+    const linear = Math.min(Math.max(value, 0), threshold) / threshold
+
+    switch (transfer) {
+        case 'log':
+            return Math.log1p(Math.min(Math.max(value, 0), threshold)) / Math.log1p(threshold)
+        case 'sqrt':
+            return Math.sqrt(linear)
+        case 'linear':
+        case undefined:
+            return linear
+        default:
+            return Math.pow(linear, gammaOf(transfer))
+    }
+}
+
+function gammaOf(token) {
+    return Number.parseFloat(token.substring('gamma'.length))
+}
+
+export {transferNames, isTransfer, transferFraction}
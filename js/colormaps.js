@@ -0,0 +1,135 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * Named colormaps, each an evenly spaced list of stops from the color of a zero
+ * score to the color of the threshold.
+ *
+ * The perceptual maps (viridis, magma, inferno, plasma) are matplotlib's,
+ * sampled at nine or ten points; blues, reds and greys are ColorBrewer's
+ * sequential schemes; fall is HiGlass's. Interpolating linearly between this
+ * many stops is indistinguishable from the full 256-entry tables at the alpha
+ * resolution a tile is painted at.
+ */
+const colormaps = {
+    viridis: ['440154', '472d7b', '3b528b', '2c728e', '21918c', '28ae80', '5ec962', 'addc30', 'fde725'],
+    magma: ['000004', '1c1044', '4f127b', '812581', 'b5367a', 'e55064', 'fb8761', 'fec287', 'fcfdbf'],
+    inferno: ['000004', '1f0c48', '550f6d', '88226a', 'ba3655', 'e35933', 'f98e09', 'f9cb35', 'fcffa4'],
+    plasma: ['0d0887', '46039f', '7201a8', '9c179e', 'bd3786', 'd8576b', 'ed7953', 'fb9f3a', 'fdca26', 'f0f921'],
+    fall: ['ffffff', 'ffffcc', 'ffeda0', 'fed976', 'feb24c', 'fd8d3c', 'fc4e2a', 'e31a1c', 'bd0026', '800026', '000000'],
+    blues: ['f7fbff', 'deebf7', 'c6dbef', '9ecae1', '6baed6', '4292c6', '2171b5', '08519c', '08306b'],
+    reds: ['fff5f0', 'fee0d2', 'fcbba1', 'fc9272', 'fb6a4a', 'ef3b2c', 'cb181d', 'a50f15', '67000d'],
+    greys: ['ffffff', 'f0f0f0', 'd9d9d9', 'bdbdbd', '969696', '737373', '525252', '252525', '000000']
+}
+
+const colormapNames = Object.keys(colormaps)
+
+/**
+ * Named categorical palettes, for coloring by a value that names a class rather
+ * than measures something: Tableau's ten, and ColorBrewer's Set1 and Dark2.
+ */
+const palettes = {
+    tableau10: ['4e79a7', 'f28e2b', 'e15759', '76b7b2', '59a14f', 'edc948', 'b07aa1', 'ff9da7', '9c755f', 'bab0ac'],
+    set1: ['e41a1c', '377eb8', '4daf4a', '984ea3', 'ff7f00', 'ffff33', 'a65628', 'f781bf', '999999'],
+    dark2: ['1b9e77', 'd95f02', '7570b3', 'e7298a', '66a61e', 'e6ab02', 'a6761d', '666666']
+}
+
+const paletteNames = Object.keys(palettes)
+
+const hexStops = /^[0-9a-f]{6}(-[0-9a-f]{6})+$/i
+
+/**
+ * Whether a string names a gradient: a colormap from the table above, or two or
+ * more six-digit hex colors joined by '-' ("ffffff-ff0000-000000"). Neither
+ * form contains a ',' or a ':', the separators of a stringified color scale.
+ *
+ * @param {string} spec
+ * @returns {boolean}
+ */
+function isGradient(spec) {
+    return Object.hasOwn(colormaps, spec) || hexStops.test(spec)
+}
+
+/**
+ * The stops a gradient spec names, as rgb components.
+ *
+ * @param {string} spec a colormap name or a '-'-joined list of hex colors
+ * @returns {Array<{r: number, g: number, b: number}>}
+ * @throws {Error} if `spec` is neither
+ */
+function gradientStops(spec) {
+
+    if (!isGradient(spec)) {
+        throw new Error(`Unknown colormap "${spec}": expected one of ${colormapNames.join(', ')}, or hex colors joined by '-'`)
+    }
+
+    const hexes = Object.hasOwn(colormaps, spec) ? colormaps[spec] : spec.split('-')
+    return hexes.map(hex => ({
+        r: Number.parseInt(hex.substring(0, 2), 16),
+        g: Number.parseInt(hex.substring(2, 4), 16),
+        b: Number.parseInt(hex.substring(4, 6), 16)
+    }))
+}
+
+/**
+ * The color a fraction of the way along a list of stops, linearly interpolated
+ * between the two it falls between.
+ *
+ * @param {Array<{r: number, g: number, b: number}>} stops
+ * @param {number} t in [0, 1]
+ * @returns {{r: number, g: number, b: number}}
+ */
+function interpolateStops(stops, t) {
+
+    const position = Math.min(Math.max(t, 0), 1) * (stops.length - 1)
+    const i = Math.min(Math.floor(position), stops.length - 2)
+    const f = position - i
+    const [a, b] = [stops[i], stops[i + 1]]
+
+    return {
+        r: Math.round(a.r + (b.r - a.r) * f),
+        g: Math.round(a.g + (b.g - a.g) * f),
+        b: Math.round(a.b + (b.b - a.b) * f)
+    }
+}
+
+/**
+ * The color of the `index`th class in a palette, as '#rrggbb'. The palette is
+ * reused from its start past its last color.
+ *
+ * @param {string} name a palette from the table above
+ * @param {number} index
+ * @returns {string}
+ * @throws {Error} if `name` is not a palette
+ */
+function paletteColor(name, index) {
+
+    if (!Object.hasOwn(palettes, name)) {
+        throw new Error(`Unknown palette "${name}": expected one of ${paletteNames.join(', ')}`)
+    }
+
+    const palette = palettes[name]
+    return `#${palette[index % palette.length]}`
+}
+
+export {colormaps, colormapNames, palettes, paletteNames, isGradient, gradientStops, interpolateStops, paletteColor}
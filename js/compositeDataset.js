@@ -0,0 +1,247 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * Several maps of the same genome viewed as one: pooled replicates, without
+ * running Juicer again to merge them. Each cell is the sum of the members'
+ * values, or their average, optionally after scaling each member to the same
+ * total count.
+ *
+ * A map config names the members as a list in `url`, and a session records them
+ * the same way:
+ *
+ *   browser.loadHicFile({
+ *       url: ['https://example.org/rep1.hic', 'https://example.org/rep2.hic'],
+ *       combine: 'average',
+ *       scaleByTotal: true
+ *   })
+ *
+ * The members may be of any registered type. They must have the same
+ * chromosomes, in the same order -- `compareChromosomes` -- and the composite
+ * offers only the resolutions and normalizations all of them have.
+ */
+
+import Dataset, {bpMatrix} from './dataset.js'
+import ContactRecord from './contactRecord.js'
+import {extractName} from './utils.js'
+
+const COMBINE = ['sum', 'average']
+
+/**
+ * Whether a config names a composite: a list of URLs.
+ */
+function isCompositeConfig(config) {
+    return Array.isArray(config.url)
+}
+
+class CompositeDataset extends Dataset {
+
+    /**
+     * @param {Object} config - with `combine`, 'sum' or 'average', and `scaleByTotal`
+     * @param {Dataset[]} members - loaded
+     */
+    constructor(config, members) {
+        super(config)
+        this.config = config
+        this.isLive = false
+        this.datasetType = 'composite'
+        this.members = members
+
+        this.combine = config.combine || 'sum'
+        if (!COMBINE.includes(this.combine)) {
+            throw new Error(`Unknown way to combine maps "${this.combine}": expected one of ${COMBINE.join(', ')}`)
+        }
+        this.scaleByTotal = Boolean(config.scaleByTotal)
+    }
+
+    async init() {
+
+        const [first, ...rest] = this.members
+        for (const member of rest) {
+            if (!(first.isCompatible(member) && first.compareChromosomes(member))) {
+                throw new Error(`${member.name} cannot be combined with ${first.name}: the maps of a composite ` +
+                    `need the same chromosomes, in the same order`)
+            }
+        }
+
+        this.genomeId = first.genomeId
+        this.chromosomes = first.chromosomes
+        this.wholeGenomeChromosome = first.wholeGenomeChromosome
+        this.wholeGenomeResolution = first.wholeGenomeResolution
+
+        this.bpResolutions = first.bpResolutions.filter(binSize => rest.every(member => member.bpResolutions.includes(binSize)))
+        if (0 === this.bpResolutions.length) {
+            throw new Error(`The maps of ${this.name} have no resolution in common`)
+        }
+        // Those the members store; `bpResolutions` may gain sizes summed from them.
+        this.commonResolutions = this.bpResolutions
+        this.fragResolutions = []
+
+        this.scales = this.scaleByTotal ? await this.#scales() : this.members.map(() => 1)
+    }
+
+    async getContactRecords(normalization, region1, region2, units, binsize) {
+
+        const cells = new Map()
+        const lists = await Promise.all(this.members.map(member =>
+            member.getContactRecords(normalization, this.#regionOf(member, region1), this.#regionOf(member, region2), units, binsize)))
+
+        lists.forEach((records, i) => {
+            for (const {bin1, bin2, counts} of records) {
+                const key = `${bin1}_${bin2}`
+                const cell = cells.get(key)
+                if (cell) {
+                    cell.counts += counts * this.scales[i]
+                } else {
+                    cells.set(key, new ContactRecord(bin1, bin2, counts * this.scales[i]))
+                }
+            }
+        })
+
+        const records = Array.from(cells.values())
+        if ('average' === this.combine) {
+            for (const record of records) {
+                record.counts /= this.members.length
+            }
+        }
+        return records
+    }
+
+    async getMatrix(chr1, chr2) {
+
+        const matrices = await Promise.all(this.members.map(member => member.getMatrix(chr1, chr2)))
+
+        const combined = zoomDataOf => {
+            const averages = matrices.map((matrix, i) => {
+                const zd = zoomDataOf(matrix)
+                return zd ? zd.averageCount * this.scales[i] : 0
+            })
+            const sum = averages.reduce((a, b) => a + b, 0)
+            return 'average' === this.combine ? sum / averages.length : sum
+        }
+
+        const [i, j] = chr1 > chr2 ? [chr2, chr1] : [chr1, chr2]
+        if (this.isWholeGenome(i)) {
+            const binSize = matrices[0].getZoomDataByIndex(0, 'BP').zoom.binSize
+            const averageCount = combined(matrix => matrix.getZoomDataByIndex(0, 'BP'))
+            return bpMatrix(this.chromosomes[i], this.chromosomes[j], [{binSize, averageCount}])
+        }
+
+        return bpMatrix(this.chromosomes[i], this.chromosomes[j], this.commonResolutions.map(binSize => ({
+            binSize,
+            averageCount: combined(matrix => matrix.getZoomData(binSize, 'BP'))
+        })))
+    }
+
+    async hasNormalizationVector(type, chr, unit, binSize) {
+        const has = await Promise.all(this.members.map(member => member.hasNormalizationVector(type, chr, unit, binSize)))
+        return has.every(Boolean)
+    }
+
+    async getNormalizationOptions() {
+        const options = await Promise.all(this.members.map(member => member.getNormalizationOptions()))
+        return options.reduce((common, list) => common.filter(type => list.includes(type)))
+    }
+
+    async getNormVectorIndex() {
+        await Promise.all(this.members.filter(member => member.getNormVectorIndex).map(member => member.getNormVectorIndex()))
+    }
+
+    clearCaches() {
+        for (const member of this.members) {
+            member.clearCaches()
+        }
+    }
+
+    /**
+     * What a session must carry, beyond the member URLs, to rebuild this.
+     * @returns {{combine?: string, scaleByTotal?: boolean}}
+     */
+    sessionOptions() {
+        const options = {}
+        if ('sum' !== this.combine) {
+            options.combine = this.combine
+        }
+        if (this.scaleByTotal) {
+            options.scaleByTotal = true
+        }
+        return options
+    }
+
+    /**
+     * Factory method to load a composite from a list of URLs or Files
+     * @param {Object} config - Configuration object with url (a list), name, combine, scaleByTotal, etc.
+     * @param {(config: Object) => Promise<Dataset>} loadMember - loads one member from its config
+     * @returns {Promise<CompositeDataset>}
+     */
+    static async loadDataset(config, loadMember) {
+
+        if (0 === config.url.length) {
+            throw new Error('A composite map needs at least one map to combine')
+        }
+
+        // The composite derives resolutions from the ones its members store; a
+        // member deriving its own would hide which those are.
+        const {url, datasetType, name, combine, scaleByTotal, onProgress, ...shared} = config
+        const members = await Promise.all(url.map(async memberUrl => {
+            const member = await loadMember({...shared, url: memberUrl, deriveResolutions: false})
+            member.name = member.name || extractName({url: memberUrl})
+            return member
+        }))
+
+        const dataset = new CompositeDataset(config, members)
+        await dataset.init()
+        dataset.url = url
+        return dataset
+    }
+
+    // The region in the member's chromosome names, which may differ from the
+    // first member's -- "1" for "chr1" -- though the chromosomes are the same.
+    #regionOf(member, region) {
+        const index = this.getChrIndexFromName(region.chr)
+        return {...region, chr: member.chromosomes[index].name}
+    }
+
+    // Each member's factor to the mean of the members' total counts, read off
+    // the whole-genome map.
+    async #scales() {
+
+        const totals = await Promise.all(this.members.map(async member => {
+            const all = member.chromosomes[member.wholeGenomeChromosome.index]
+            const binSize = (await member.getMatrix(all.index, all.index)).getZoomDataByIndex(0, 'BP').zoom.binSize
+            const region = {chr: all.name, start: 0, end: all.size}
+            const records = await member.getContactRecords('NONE', region, region, 'BP', binSize)
+            return records.reduce((sum, {counts}) => sum + counts, 0)
+        }))
+
+        if (totals.some(total => !(total > 0))) {
+            throw new Error(`Cannot scale the maps of ${this.name} by their total counts: one of them has none`)
+        }
+        const mean = totals.reduce((a, b) => a + b, 0) / totals.length
+        return totals.map(total => mean / total)
+    }
+}
+
+export {isCompositeConfig}
+
+export default CompositeDataset
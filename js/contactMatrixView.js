@@ -37,6 +37,15 @@ const DOUBLE_TAP_TIME_THRESHOLD = 300
 
 const doLegacyTrack2DRendering = false
 
+// Past this many features of a track in view, outlines are a carpet: the track
+// is shaded by feature density instead, in cells of this many pixels.
+const DENSITY_THRESHOLD = 5000
+const DENSITY_CELL_SIZE = 8
+
+// How long a gesture still predicts where the view is going, in milliseconds.
+// Past this the view is at rest and there is nothing to prefetch toward.
+const MOTION_RECENCY = 1000
+
 class ContactMatrixView {
 
     /**
@@ -53,11 +62,18 @@ class ContactMatrixView {
      * view's default. `normalizeSession.resolveBackgroundColor` copies it for the
      * same reason.
      */
-    constructor(browser, viewportElement, sweepZoom, scrollbarWidget, imageTileSource,
+    constructor(browser, viewportElement, sweepZoom, track2DEditor, featurePopup, scrollbarWidget, imageTileSource,
                 backgroundColor = {...ContactMatrixView.defaultBackgroundColor}) {
         this.browser = browser;
         this.viewportElement = viewportElement;
         this.sweepZoom = sweepZoom;
+
+        // Takes the pointer gestures that would pan, while 2D annotations are
+        // being edited.
+        this.track2DEditor = track2DEditor;
+
+        // Describes the 2D feature hovered over or clicked, outside edit mode.
+        this.featurePopup = featurePopup;
         this.scrollbarWidget = scrollbarWidget;
 
         // Supplies the image tiles this view paints. Owns the color scales, the
@@ -78,6 +94,10 @@ class ContactMatrixView {
 
         this.displayMode = 'A';
 
+        // The latest pan or zoom, from InteractionHandler, which steers the
+        // image tile prefetch. See noteMotion.
+        this.motion = undefined;
+
         /**
          * The handlers this view puts on `document`, so `dispose()` can take
          * them off again.
@@ -112,6 +132,19 @@ class ContactMatrixView {
             document.removeEventListener(type, handler);
         }
         this.documentListeners = [];
+
+        // The tile source's rasterizer may hold a worker, which outlives the
+        // DOM just as the document listeners do.
+        this.imageTileSource.dispose();
+    }
+
+    /**
+     * Record the gesture driving the view, for the prefetch that follows the
+     * next repaint. `{dx, dy}` for a pan in pixels, `{zoom, anchor}` for a zoom;
+     * see ImageTileSource.prefetch.
+     */
+    noteMotion(motion) {
+        this.motion = {...motion, at: Date.now()};
     }
 
     // The color scales live on the image tile source. These read-through
@@ -193,6 +226,8 @@ class ContactMatrixView {
             }
             this.clearImageCaches({thresholds: true});
         } else {
+            // Whatever moved or changed, the feature it described may no longer be there.
+            this.featurePopup.hide();
             if (event.type !== "LocusChange") {
                 this.clearImageCaches();
             }
@@ -207,7 +242,8 @@ class ContactMatrixView {
         await this.repaint()
 
         if (this.browser.dataset && this.browser.state && false === doLegacyTrack2DRendering){
-            await this.render2DTracks(this.browser.tracks2D, this.browser.dataset, this.browser.state)
+            const selected = this.track2DEditor.selected
+            await this.render2DTracks(this.browser.tracks2D, this.browser.dataset, this.browser.state, {...this.getViewDimensions(), selected})
         }
 
     }
@@ -239,7 +275,8 @@ class ContactMatrixView {
             y: state.y,
             zoom: state.zoom,
             pixelSize: state.pixelSize,
-            normalization: state.normalization
+            normalization: state.normalization,
+            unit: state.unit
         };
 
         const tiles = this.imageTileSource.tilesFor({
@@ -282,14 +319,21 @@ class ContactMatrixView {
         }
 
         if (undefined !== binSize) {
-            this.genomicExtent = {
-                chr1: state.chr1,
-                chr2: state.chr2,
-                x: state.x * binSize,
-                y: state.y * binSize,
-                w: viewportWidth * binSize / state.pixelSize,
-                h: viewportHeight * binSize / state.pixelSize
-            };
+            this.genomicExtent = genomicExtent(dataset, state, binSize, viewportWidth, viewportHeight);
+        }
+
+        // With the view painted, warm what it is heading toward. Not awaited:
+        // the prefetch yields to anything else, and the next pass cancels it.
+        const motion = this.motion;
+        if (motion && Date.now() - motion.at < MOTION_RECENCY) {
+            this.imageTileSource.prefetch({
+                dataset,
+                controlDataset,
+                state: snapshot,
+                displayMode: this.displayMode,
+                viewDimensions: {width: viewportWidth, height: viewportHeight},
+                motion
+            });
         }
     }
 
@@ -302,14 +346,8 @@ class ContactMatrixView {
         const matrix = matrices[0];
 
         if (matrix) {
-            const unit = "BP";
-            const zd = await matrix.getZoomDataByIndex(state.zoom, unit);
-            const newGenomicExtent = {
-                x: state.x * zd.zoom.binSize,
-                y: state.y * zd.zoom.binSize,
-                w: viewportWidth * zd.zoom.binSize / state.pixelSize,
-                h: viewportHeight * zd.zoom.binSize / state.pixelSize
-            };
+            const zd = await matrix.getZoomDataByIndex(state.zoom, state.unit);
+            const newGenomicExtent = genomicExtent(this.browser.dataset, state, zd.zoom.binSize, viewportWidth, viewportHeight);
 
             // Zoom out not supported
             if (newGenomicExtent.w > this.genomicExtent.w) return;
@@ -333,32 +371,9 @@ class ContactMatrixView {
 
     // The caller supplies the state to place against, having checked it is
     // still the one this pass belongs to.
-    paintTile({image, row, column, blockBinCount}, liveState) {
-
-        const x0 = blockBinCount * column
-        const y0 = blockBinCount * row
-
-        const {x, y, pixelSize} = liveState
-        //const pixelSizeInt = Math.max(1, Math.floor(pixelSize))
-        const offsetX = (x0 - x) * pixelSize
-        const offsetY = (y0 - y) * pixelSize
-
-        const scale = pixelSize // / pixelSizeInt
-        const scaledWidth = image.width * scale
-        const scaledHeight = image.height * scale
-
-        if (offsetX <= this.viewportElement.offsetWidth && offsetX + scaledWidth >= 0 && offsetY <= this.viewportElement.offsetHeight && offsetY + scaledHeight >= 0) {
-            this.ctx.fillStyle = this.backgroundRGBString
-            this.ctx.fillRect(offsetX, offsetY, scaledWidth, scaledHeight)
-            if (scale === 1) {
-                this.ctx.drawImage(image, offsetX, offsetY)
-            } else {
-                this.ctx.drawImage(image, offsetX, offsetY, scaledWidth, scaledHeight)
-            }
-            // Debugging aid, uncomment to see tile boundaries
-            //this.ctx.strokeRect(offsetX, offsetY, scaledWidth, scaledHeight)
-            //this.ctx.strokeText(`${row} ${column}`, offsetX, offsetY);
-        }
+    paintTile(tile, liveState) {
+        const viewDimensions = {width: this.viewportElement.offsetWidth, height: this.viewportElement.offsetHeight}
+        drawTile(this.ctx, tile, liveState, viewDimensions, this.backgroundRGBString)
     }
 
     startSpinner() {
@@ -392,6 +407,8 @@ class ContactMatrixView {
 
         let isMouseDown = false;
         let isSweepZooming = false;
+        let isEditing = false;
+        let clickOrigin;
         let mouseDown
         let mouseLast
         let mouseOver;
@@ -419,6 +436,9 @@ class ContactMatrixView {
 
                 mouseLast = { x: e.offsetX, y: e.offsetY };
                 mouseDown = { x: e.offsetX, y: e.offsetY };
+                clickOrigin = { x: e.offsetX, y: e.offsetY };
+
+                this.featurePopup.hide();
 
                 if (e.altKey) {
                     isSweepZooming = true
@@ -428,6 +448,9 @@ class ContactMatrixView {
                     startY = e.clientY - top
 
                     this.sweepZoom.initialize(startX, startY);
+                } else if (this.track2DEditor.active) {
+                    isEditing = true
+                    this.track2DEditor.mouseDown(e.offsetX, e.offsetY)
                 }
 
                 isMouseDown = true;
@@ -463,6 +486,12 @@ class ContactMatrixView {
                     this.browser.showCrosshairs();
                 }
 
+                if (!isMouseDown && this.track2DEditor.active) {
+                    viewportElement.style.cursor = this.track2DEditor.cursorAt(coords.x, coords.y);
+                } else if (!isMouseDown) {
+                    this.featurePopup.hover(coords.x, coords.y);
+                }
+
                 if (isMouseDown) {
                     if (isSweepZooming) {
 
@@ -483,6 +512,8 @@ class ContactMatrixView {
 
                         this.sweepZoom.update(config);
 
+                    } else if (isEditing) {
+                        this.track2DEditor.mouseMove(coords.x, coords.y);
                     } else if (mouseDown.x && Math.abs(coords.x - mouseDown.x) > DRAG_THRESHOLD) {
                         this.isDragging = true;
                         const dx = mouseLast.x - coords.x;
@@ -495,6 +526,15 @@ class ContactMatrixView {
 
             viewportElement.addEventListener('mouseup', panMouseUpOrMouseOut)
 
+            // A press released where it began, outside edit mode, is a click on a 2D feature.
+            viewportElement.addEventListener('click', (e) => {
+                const moved = !clickOrigin ||
+                    Math.max(Math.abs(e.offsetX - clickOrigin.x), Math.abs(e.offsetY - clickOrigin.y)) > DRAG_THRESHOLD;
+                if (!moved && !e.altKey && !this.track2DEditor.active) {
+                    this.featurePopup.click(e.offsetX, e.offsetY);
+                }
+            })
+
             viewportElement.addEventListener('dblclick', (e) => {
                 e.preventDefault();
                 e.stopPropagation();
@@ -523,6 +563,9 @@ class ContactMatrixView {
 
 
             viewportElement.addEventListener('mouseleave', () => {
+                if (!this.featurePopup.pinned) {
+                    this.featurePopup.hide();
+                }
                 this.browser.layoutController.xAxisRuler.unhighlightWholeChromosome();
                 this.browser.layoutController.yAxisRuler.unhighlightWholeChromosome();
                 panMouseUpOrMouseOut();
@@ -535,6 +578,12 @@ class ContactMatrixView {
                 }
             })
 
+            this.addDocumentListener('keydown', (e) => {
+                if (mouseOver && this.track2DEditor.active) {
+                    this.track2DEditor.keyDown(e);
+                }
+            })
+
             this.addDocumentListener('keyup', () => {
                 this.browser.hideCrosshairs();
                 this.willShowCrosshairs = undefined;
@@ -558,6 +607,11 @@ class ContactMatrixView {
 
                     this.sweepZoom.commit(sweepRect).catch(err => console.error('Error in sweepZoom.commit:', err));
                 }
+
+                if (isEditing) {
+                    isEditing = false;
+                    this.track2DEditor.mouseUp();
+                }
             })
         }
     }
@@ -692,62 +746,145 @@ class ContactMatrixView {
         };
     }
 
-    async render2DTracks(track2DList, dataset, state) {
+    /**
+     * Outline the 2D features in view. Onto this view's canvas by default; a
+     * figure export passes a context of its own, and the size of the map on it.
+     * A `selected` feature, the one being edited, is outlined heavier. A track
+     * with more than DENSITY_THRESHOLD features in view is drawn as their
+     * density instead.
+     *
+     * A track read by region fetches the features in view. This view draws
+     * what each track has, and is updated once a fetch brings more: a pass
+     * awaiting the fetch would place the features for a locus the view may
+     * have left. A figure is drawn once, for a state of its own, so it passes
+     * `awaitFeatures` and waits.
+     */
+    async render2DTracks(track2DList, dataset, state, {ctx = this.ctx, width, height, selected, awaitFeatures = false} = this.getViewDimensions()) {
 
         const matrix = await dataset.getMatrix(state.chr1, state.chr2)
-        const zoomData = matrix.getZoomDataByIndex(state.zoom, 'BP')
-
-        const { width, height } = this.getViewDimensions()
-        const bpPerPixel = zoomData.zoom.binSize/state.pixelSize
-        const { xStartBP, yStartBP, xEndBP, yEndBP } =  getLocus(dataset, state, width, height, bpPerPixel)
+        const zoomData = matrix.getZoomDataByIndex(state.zoom, state.unit)
+
+        const binSize = zoomData.zoom.binSize
+        const bpPerPixel = binSize/state.pixelSize
+        const fragments = 'FRAG' === state.unit
+
+        // Features are in base pairs. A view in fragments places them through
+        // the restriction sites, which are not linear in base pairs.
+        const { xStartBP, yStartBP, xEndBP, yEndBP } = fragments ?
+            {
+                xStartBP: dataset.toBP(state.chr1, state.x * binSize, 'FRAG'),
+                yStartBP: dataset.toBP(state.chr2, state.y * binSize, 'FRAG'),
+                xEndBP: dataset.toBP(state.chr1, (state.x + width / state.pixelSize) * binSize, 'FRAG'),
+                yEndBP: dataset.toBP(state.chr2, (state.y + height / state.pixelSize) * binSize, 'FRAG')
+            } :
+            getLocus(dataset, state, width, height, bpPerPixel)
+
+        // A span's offset into the view, and its length, in pixels.
+        const place = fragments ?
+            (start, end, chrIndex, origin) => {
+                const pixel = bp => (dataset.fromBP(chrIndex, bp, 'FRAG') / binSize - origin) * state.pixelSize
+                return [pixel(start), pixel(end) - pixel(start)]
+            } :
+            (start, end, chrIndex, origin, startBP) => [(start - startBP)/bpPerPixel, (end - start)/bpPerPixel]
 
         const chr1Name = zoomData.chr1.name
         const chr2Name = zoomData.chr2.name
 
         const sameChr = zoomData.chr1.index === zoomData.chr2.index
 
-        this.ctx.save()
-        this.ctx.lineWidth = 2
+        // A track that fails to fetch draws what it has rather than holding up
+        // the rest.
+        const view = { xStart: xStartBP, xEnd: xEndBP, yStart: yStartBP, yEnd: yEndBP }
+        const loads = Promise.all(track2DList
+            .filter(track2D => false !== track2D.isVisible && track2D.source)
+            .map(track2D => track2D.loadRegion(chr1Name, chr2Name, view).catch(error => {
+                console.error(error)
+                return false
+            })))
+        if (awaitFeatures) {
+            await loads
+        } else {
+            loads.then(fetched => fetched.includes(true) && this.update())
+        }
+
+        ctx.save()
 
         const strokeFeatureRect = ({ xS, xE, yS, yE }) => {
 
             if (xE < xStartBP || xS > xEndBP || yE < yStartBP || yS > yEndBP) {
                 // trivially reject
             } else {
-                const w = Math.max(1, (xE - xS)/bpPerPixel)
-                const h = Math.max(1, (yE - yS)/bpPerPixel)
-                const x = Math.floor((xS - xStartBP)/bpPerPixel)
-                const y = Math.floor((yS - yStartBP)/bpPerPixel)
-                this.ctx.strokeRect(x, y, w, h)
+                const [left, w] = place(xS, xE, state.chr1, state.x, xStartBP)
+                const [top, h] = place(yS, yE, state.chr2, state.y, yStartBP)
+                ctx.strokeRect(Math.floor(left), Math.floor(top), Math.max(1, w), Math.max(1, h))
             }
 
         }
 
         const renderFeatures = (track2D, features, mirrored) => {
             for (const feature of features) {
-                this.ctx.strokeStyle = track2D.color || feature.color
+                ctx.strokeStyle = track2D.getFeatureColor(feature)
+                ctx.lineWidth = feature === selected ? 4 : 2
                 strokeFeatureRect(resolveFeatureAxes(feature, chr1Name, mirrored))
             }
         }
 
+        // Too many features to outline one by one: shade each cell of the view by
+        // how many features are centered in it.
+        const renderDensity = (track2D, features, mirrored) => {
+            const columns = Math.ceil(width / DENSITY_CELL_SIZE)
+            const rows = Math.ceil(height / DENSITY_CELL_SIZE)
+            const counts = new Uint32Array(columns * rows)
+            for (const feature of features) {
+                const { xS, xE, yS, yE } = resolveFeatureAxes(feature, chr1Name, mirrored)
+                const [left, w] = place(xS, xE, state.chr1, state.x, xStartBP)
+                const [top, h] = place(yS, yE, state.chr2, state.y, yStartBP)
+                const column = Math.floor((left + w / 2) / DENSITY_CELL_SIZE)
+                const row = Math.floor((top + h / 2) / DENSITY_CELL_SIZE)
+                if (column >= 0 && column < columns && row >= 0 && row < rows) {
+                    counts[row * columns + column]++
+                }
+            }
+
+            const max = counts.reduce((a, b) => Math.max(a, b), 0)
+            ctx.fillStyle = track2D.getColor()
+            counts.forEach((count, i) => {
+                if (count > 0) {
+                    ctx.globalAlpha = 0.2 + 0.8 * count / max
+                    ctx.fillRect((i % columns) * DENSITY_CELL_SIZE, Math.floor(i / columns) * DENSITY_CELL_SIZE, DENSITY_CELL_SIZE, DENSITY_CELL_SIZE)
+                }
+            })
+            ctx.globalAlpha = 1
+        }
+
         for (const track2D of track2DList) {
 
             if (false === track2D.isVisible) {
                 continue
             }
 
-            const features = track2D.getFeatures(chr1Name, chr2Name)
-
-            if (features) {
-                for (const mirrored of featureDrawPasses(track2D.displayMode, sameChr)) {
-                    renderFeatures(track2D, features, mirrored)
+            for (const mirrored of featureDrawPasses(track2D.displayMode, sameChr)) {
+
+                // Only the features intersecting the view -- reflected across the
+                // diagonal for a mirrored pass -- are visited.
+                const region = mirrored ?
+                    { xStart: yStartBP, xEnd: yEndBP, yStart: xStartBP, yEnd: xEndBP } :
+                    { xStart: xStartBP, xEnd: xEndBP, yStart: yStartBP, yEnd: yEndBP }
+                const features = track2D.getFeatures(chr1Name, chr2Name, region)
+
+                if (features) {
+                    const shown = features.filter(feature => track2D.isFeatureShown(feature))
+                    if (shown.length > DENSITY_THRESHOLD) {
+                        renderDensity(track2D, shown, mirrored)
+                    } else {
+                        renderFeatures(track2D, shown, mirrored)
+                    }
                 }
             }
 
-
         }
 
-        this.ctx.restore()
+        ctx.restore()
 
     }
 }
@@ -766,6 +903,55 @@ ContactMatrixView.defaultBackgroundColor = {r: 255, g: 255, b: 255}
 
 const inProgressCache = {}
 
+/**
+ * Paint one image tile where it falls in a view, over the background color.
+ *
+ * A placeholder tile names a `source` rectangle of a coarser tile's image;
+ * that rectangle is stretched over the tile's place rather than the whole
+ * image being drawn. A tile wholly outside `viewDimensions` is skipped.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{image, source, row, column, blockBinCount}} tile
+ * @param {{x: number, y: number, pixelSize: number}} placement the view's origin, in bins, and pixels per bin
+ * @param {{width: number, height: number}} viewDimensions
+ * @param {string} backgroundRGBString
+ */
+function drawTile(ctx, {image, source, row, column, blockBinCount}, {x, y, pixelSize}, {width, height}, backgroundRGBString) {
+
+    // A bitmap the tile cache closed -- its tile invalidated while this pass
+    // was painting -- has nothing left to draw, and drawImage would throw.
+    if (0 === image.width) {
+        return
+    }
+
+    const x0 = blockBinCount * column
+    const y0 = blockBinCount * row
+
+    //const pixelSizeInt = Math.max(1, Math.floor(pixelSize))
+    const offsetX = (x0 - x) * pixelSize
+    const offsetY = (y0 - y) * pixelSize
+
+    const scale = pixelSize // / pixelSizeInt
+    const scaledWidth = (source ? blockBinCount : image.width) * scale
+    const scaledHeight = (source ? blockBinCount : image.height) * scale
+
+    if (offsetX <= width && offsetX + scaledWidth >= 0 && offsetY <= height && offsetY + scaledHeight >= 0) {
+        ctx.fillStyle = backgroundRGBString
+        ctx.fillRect(offsetX, offsetY, scaledWidth, scaledHeight)
+        if (source) {
+            ctx.drawImage(image, source.x, source.y, source.width, source.height,
+                offsetX, offsetY, scaledWidth, scaledHeight)
+        } else if (scale === 1) {
+            ctx.drawImage(image, offsetX, offsetY)
+        } else {
+            ctx.drawImage(image, offsetX, offsetY, scaledWidth, scaledHeight)
+        }
+        // Debugging aid, uncomment to see tile boundaries
+        //ctx.strokeRect(offsetX, offsetY, scaledWidth, scaledHeight)
+        //ctx.strokeText(`${row} ${column}`, offsetX, offsetY);
+    }
+}
+
 function inProgressTile(imageSize) {
 
     let image = inProgressCache[imageSize]
@@ -842,19 +1028,38 @@ function featureDrawPasses(track2DDisplayMode, sameChr) {
     return sameChr || 0 === passes.length ? passes : [ false ]
 }
 
+/**
+ * The view's extent in base pairs. A fragment view's bins are fragments, which
+ * are not linear in base pairs, so its edges go through the restriction sites.
+ */
+function genomicExtent(dataset, state, binSize, width, height) {
+    const bp = (chrIndex, bin) => dataset.toBP(chrIndex, bin * binSize, state.unit);
+    const x = bp(state.chr1, state.x);
+    const y = bp(state.chr2, state.y);
+    return {
+        chr1: state.chr1,
+        chr2: state.chr2,
+        x,
+        y,
+        w: bp(state.chr1, state.x + width / state.pixelSize) - x,
+        h: bp(state.chr2, state.y + height / state.pixelSize) - y
+    };
+}
+
 function getMatrices(chr1, chr2) {
 
     var promises = []
-    if ('B' === this.displayMode && this.browser.controlDataset) {
+    if (('B' === this.displayMode || 'BOE' === this.displayMode) && this.browser.controlDataset) {
         promises.push(this.browser.controlDataset.getMatrix(chr1, chr2))
     } else {
         promises.push(this.browser.dataset.getMatrix(chr1, chr2))
-        if (this.displayMode && 'A' !== this.displayMode && this.browser.controlDataset) {
+        const singleMap = 'A' === this.displayMode || 'OE' === this.displayMode || 'PEARSON' === this.displayMode
+        if (this.displayMode && !singleMap && this.browser.controlDataset) {
             promises.push(this.browser.controlDataset.getMatrix(chr1, chr2))
         }
     }
     return Promise.all(promises)
 }
 
-export { resolveFeatureAxes, featureDrawPasses }
+export { drawTile, resolveFeatureAxes, featureDrawPasses, DENSITY_THRESHOLD }
 export default ContactMatrixView
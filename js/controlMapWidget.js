@@ -50,8 +50,8 @@ class ControlMapWidget {
         this.controlMapHash = new ControlMapHash(browser, this.select, toggleContainer, cycleContainer, toggleArrowsUp(), toggleArrowsDown());
 
         // This widget has no eventBus subscriptions. BrowserCoordinator drives
-        // every update, calling updateDisplayMode directly from onDisplayMode
-        // and onControlMapLoaded, and show/hide from onMapLoaded.
+        // every update: updateDisplayMode and show from onMapLoaded and
+        // onControlMapLoaded, updateDisplayMode alone from onDisplayMode.
     }
 
     toggleDisplayMode() {
@@ -100,13 +100,20 @@ class ControlMapWidget {
  *
  * `leads` names the map the mode reads first, which picks the arrow shown on
  * the toggle button.
+ *
+ * `needsControl` marks the modes that read the control map; without one loaded
+ * they are not offered, and the toggle goes to `alone` instead of `other`. That
+ * leaves A, A O/E and Pearson, which is what a single map can show.
  */
 const displayModeOptions = {
-    'A': {title: 'A', value: 'A', other: 'B', leads: 'A'},
-    'B': {title: 'B', value: 'B', other: 'A', leads: 'B'},
-    'AOB': {title: 'A/B', value: 'AOB', other: 'BOA', leads: 'A'},
-    'BOA': {title: 'B/A', value: 'BOA', other: 'AOB', leads: 'B'},
-    'AMB': {title: 'A-B', value: 'AMB', other: 'A', leads: 'A'}
+    'A': {title: 'A', value: 'A', other: 'B', alone: 'OE', leads: 'A'},
+    'B': {title: 'B', value: 'B', other: 'A', leads: 'B', needsControl: true},
+    'AOB': {title: 'A/B', value: 'AOB', other: 'BOA', leads: 'A', needsControl: true},
+    'BOA': {title: 'B/A', value: 'BOA', other: 'AOB', leads: 'B', needsControl: true},
+    'AMB': {title: 'A-B', value: 'AMB', other: 'A', leads: 'A', needsControl: true},
+    'OE': {title: 'A O/E', value: 'OE', other: 'BOE', alone: 'A', leads: 'A'},
+    'BOE': {title: 'B O/E', value: 'BOE', other: 'OE', leads: 'B', needsControl: true},
+    'PEARSON': {title: 'Pearson', value: 'PEARSON', other: 'A', alone: 'A', leads: 'A'}
 }
 
 class ControlMapHash {
@@ -182,7 +189,7 @@ class ControlMapHash {
 
     async toggleDisplayMode() {
         const oldMode = this.browser.getDisplayMode();
-        const newMode = this.hash[oldMode].other;
+        const newMode = this.browser.controlDataset ? this.hash[oldMode].other : this.hash[oldMode].alone || 'A';
         await this.browser.setDisplayMode(newMode);
         this.hash[newMode].hidden.style.display = 'none';
         this.hash[newMode].shown.style.display = 'block';
@@ -202,6 +209,7 @@ class ControlMapHash {
 
         Object.keys(this.hash).forEach((key) => {
             const item = this.hash[key];
+            if (item.needsControl && !this.browser.controlDataset) return;
             const option = document.createElement('option');
             option.value = item.value;
             option.textContent = item.title;
@@ -0,0 +1,427 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * A contact map read from a cooler file: a multi-resolution `.mcool`, or a
+ * single-resolution `.cool`. See CONTEXT.md under "Dataset".
+ *
+ * Cooler is HDF5, read with hdf5-indexed-reader. Each resolution is a group of
+ * tables: `chroms`, `bins` (with a column per balancing weight), `pixels` --
+ * one row per non-zero cell of the upper triangle, sorted by bin -- and
+ * `indexes`, which locate a chromosome's bins and a bin's first pixel. The
+ * pixel table is read only in the rows a region covers (see hdf5Slice.js).
+ *
+ * The file is presented the way a .hic dataset presents itself:
+ *
+ * - resolutions coarsest first, as `bpResolutions`; there are no fragment
+ *   resolutions.
+ * - chromosomes in file order from index 1, after a synthetic "All" whose size
+ *   is the genome's in kb, as juicer writes it. The whole-genome map is summed
+ *   from the coarsest resolution when first asked for.
+ * - balancing weight columns as normalizations, by column name: cooler's own
+ *   `weight`, and the `KR`, `VC` ... that hic2cool carries across. A weight
+ *   multiplies a count unless its column is marked `divisive_weights`, as
+ *   hic2cool's are; a bin whose weight is NaN is masked, and its records are
+ *   dropped as a .hic file drops those of a NaN normalization vector.
+ *
+ * There are no expected vectors, so the O/E modes render the observed map on a
+ * single chromosome.
+ *
+ *   const dataset = await CoolerDataset.loadDataset({url: 'https://example.org/sample.mcool'})
+ */
+
+import {openH5File} from 'hdf5-indexed-reader'
+import Dataset, {matchGenome, withWholeGenome, bpMatrix} from './dataset.js'
+import ContactRecord from './contactRecord.js'
+import readSlice from './hdf5Slice.js'
+import {isFile} from './fileUtils.js'
+import {getUrlMapper} from './urlMapper.js'
+
+// Past this many pixels the coarsest resolution is too fine to sum into a
+// whole-genome map in the browser, and that view is left empty.
+const MAX_WHOLE_GENOME_PIXELS = 4000000
+
+// The bins table's coordinate columns; every other is a weight.
+const BIN_COLUMNS = ['chrom', 'start', 'end']
+
+/**
+ * Whether a config names a cooler file, by its extension -- a URL's path or a
+ * File's name.
+ */
+function isCoolerConfig(config) {
+    const name = isFile(config.url) ? config.url.name : config.url
+    return 'string' === typeof name && /\.m?cool$/i.test(name.split(/[?#]/)[0])
+}
+
+class CoolerDataset extends Dataset {
+
+    constructor(config) {
+        super(config)
+        this.config = config
+        this.isLive = false
+        this.datasetType = 'cooler'
+
+        // By resolution: its group's path, chromosome bin offsets and weights.
+        this.levels = new Map()
+
+        // By chromosome index pair.
+        this.matrices = new Map()
+    }
+
+    async init() {
+
+        const {url, blob} = this.config
+        const mapUrl = this.config.mapUrl || getUrlMapper()
+        this.file = await openH5File(blob ? {file: blob} : {url: mapUrl ? mapUrl(url) : url})
+
+        const rootKeys = await this.file.keys
+        if (rootKeys.includes('resolutions')) {
+            const resolutions = await this.file.get('resolutions')
+            for (const key of await resolutions.keys) {
+                this.levels.set(Number.parseInt(key), {path: `resolutions/${key}`})
+            }
+        } else {
+            const binSize = (await this.file.attrs)['bin-size']
+            if (!binSize || !rootKeys.includes('pixels')) {
+                throw new Error(`${this.name || 'This file'} is not a cooler file with fixed-size bins`)
+            }
+            this.levels.set(binSize, {path: ''})
+        }
+
+        this.bpResolutions = Array.from(this.levels.keys()).sort((a, b) => b - a)
+        this.fragResolutions = []
+
+        for (const binSize of this.bpResolutions) {
+            await this.#readLevel(binSize)
+        }
+
+        const finest = this.levels.get(this.bpResolutions[this.bpResolutions.length - 1])
+        const names = await this.#value(finest, 'chroms/name')
+        const lengths = await this.#value(finest, 'chroms/length')
+
+        Object.assign(this, withWholeGenome(names.map((name, i) => ({name, size: Number(lengths[i])}))))
+
+        this.normalizationTypes = ['NONE']
+        for (const binSize of this.bpResolutions) {
+            for (const weight of this.levels.get(binSize).weights.keys()) {
+                if (!this.normalizationTypes.includes(weight)) this.normalizationTypes.push(weight)
+            }
+        }
+
+        this.genomeId = finest.attrs['genome-assembly'] || 'unknown'
+        const tmp = matchGenome(this.chromosomes)
+        if (tmp) this.genomeId = tmp
+    }
+
+    async getContactRecords(normalization, region1, region2, units, binsize) {
+
+        if ('BP' !== units) {
+            return []
+        }
+
+        let idx1 = this.getChrIndexFromName(region1.chr)
+        let idx2 = this.getChrIndexFromName(region2.chr)
+        if (undefined === idx1 || undefined === idx2) {
+            return []
+        }
+
+        // The file holds the upper triangle: ask for it, as hic-straw does.
+        if (idx1 > idx2 || (idx1 === idx2 && region1.start >= region2.end)) {
+            [region1, region2] = [region2, region1];
+            [idx1, idx2] = [idx2, idx1]
+        }
+
+        const x1 = region1.start / binsize
+        const x2 = region1.end / binsize
+        const y1 = region2.start / binsize
+        const y2 = region2.end / binsize
+        const inRegion = (bin1, bin2) => bin1 >= x1 && bin1 < x2 && bin2 >= y1 && bin2 < y2
+
+        if (this.isWholeGenome(idx1)) {
+            const {records} = await this.#wholeGenome()
+            return records.filter(({bin1, bin2}) => inRegion(bin1, bin2))
+        }
+
+        const level = this.levels.get(binsize)
+        if (!level) {
+            throw new Error(`No data available for resolution: ${binsize}  for map ${region1.chr}-${region2.chr}`)
+        }
+
+        const offset1 = level.chromOffsets[idx1 - 1]
+        const offset2 = level.chromOffsets[idx2 - 1]
+        const rows1 = Math.max(0, Math.floor(x1))
+        const rows2 = Math.min(Math.ceil(x2), level.chromOffsets[idx1] - offset1)
+        if (rows2 <= rows1) {
+            return []
+        }
+
+        const pixels = await this.#pixels(level, offset1 + rows1, offset1 + rows2)
+
+        const weight = 'NONE' !== normalization && level.weights.get(normalization)
+        let factor
+        if (weight) {
+            const cols1 = Math.max(0, Math.floor(y1))
+            const cols2 = Math.min(Math.ceil(y2), level.chromOffsets[idx2] - offset2)
+            const w1 = await readSlice(await this.#dataset(level, weight.path), offset1 + rows1, offset1 + rows2)
+            const w2 = await readSlice(await this.#dataset(level, weight.path), offset2 + cols1, offset2 + cols2)
+            factor = (bin1, bin2) => {
+                const w = w1[bin1 - rows1] * w2[bin2 - cols1]
+                return weight.divisive ? 1 / w : w
+            }
+        }
+
+        const records = []
+        for (let i = 0; i < pixels.bin1.length; i++) {
+            const bin1 = pixels.bin1[i] - offset1
+            const bin2 = pixels.bin2[i] - offset2
+            if (!inRegion(bin1, bin2)) {
+                continue
+            }
+            if (factor) {
+                const f = factor(bin1, bin2)
+                if (0 !== f && Number.isFinite(f)) {
+                    records.push(new ContactRecord(bin1, bin2, pixels.count[i] * f))
+                }
+            } else {
+                records.push(new ContactRecord(bin1, bin2, pixels.count[i]))
+            }
+        }
+        return records
+    }
+
+    async getMatrix(chr1, chr2) {
+
+        if (chr1 > chr2) {
+            [chr1, chr2] = [chr2, chr1]
+        }
+
+        const key = `${chr1}_${chr2}`
+        if (!this.matrices.has(key)) {
+            this.matrices.set(key, this.#matrix(chr1, chr2))
+        }
+
+        try {
+            return await this.matrices.get(key)
+        } catch (error) {
+            this.matrices.delete(key)
+            throw error
+        }
+    }
+
+    hasNormalizationVector(type, chr, unit, binSize) {
+        const level = 'BP' === unit && this.levels.get(binSize)
+        return Boolean(level && level.weights.has(type)) && 'All' !== chr
+    }
+
+    async getNormalizationOptions() {
+        return this.normalizationTypes
+    }
+
+    // The finest resolution's attributes -- `generated-by`, `creation-date`,
+    // `metadata` -- as strings, the way a .hic header holds its own.
+    getAttributes() {
+        const finest = this.levels.get(Math.min(...this.levels.keys()))
+        return Object.fromEntries(Object.entries(finest.attrs || {}).map(([name, value]) =>
+            [name, 'object' === typeof value ? JSON.stringify(value, (key, v) => 'bigint' === typeof v ? Number(v) : v) : String(value)]))
+    }
+
+    /**
+     * Factory method to load a cooler dataset from a file
+     * @param {Object} config - Configuration object with url, name, etc.
+     * @returns {Promise<CoolerDataset>}
+     */
+    static async loadDataset(config) {
+
+        if (isFile(config.url)) {
+            config.blob = config.url
+            delete config.url
+        }
+
+        const dataset = new CoolerDataset(config)
+        await dataset.init()
+        dataset.url = config.url
+        return dataset
+    }
+
+    // A resolution's chromosome bin offsets, weight columns and attributes.
+    async #readLevel(binSize) {
+
+        const level = this.levels.get(binSize)
+        const group = level.path ? await this.file.get(level.path) : this.file
+        level.attrs = await group.attrs
+        level.chromOffsets = (await this.#value(level, 'indexes/chrom_offset')).map(Number)
+
+        level.weights = new Map()
+        const bins = await this.file.get(this.#path(level, 'bins'))
+        for (const column of await bins.keys) {
+            if (!BIN_COLUMNS.includes(column)) {
+                const path = `bins/${column}`
+                const attrs = await (await this.#dataset(level, path)).attrs
+                level.weights.set(column, {path, divisive: Boolean(attrs.divisive_weights)})
+            }
+        }
+    }
+
+    /**
+     * The pixels of genome-wide bin rows [row1, row2): columns bin1, bin2 and
+     * count. bin1 is implied by the row index, so is not read.
+     */
+    async #pixels(level, row1, row2) {
+
+        const offsets = await readSlice(await this.#dataset(level, 'indexes/bin1_offset'), row1, row2 + 1)
+        const start = offsets[0]
+        const end = offsets[offsets.length - 1]
+
+        const bin2 = await readSlice(await this.#dataset(level, 'pixels/bin2_id'), start, end)
+        const count = await readSlice(await this.#dataset(level, 'pixels/count'), start, end)
+
+        const bin1 = new Array(end - start)
+        for (let row = row1; row < row2; row++) {
+            bin1.fill(row, offsets[row - row1] - start, offsets[row - row1 + 1] - start)
+        }
+
+        return {bin1, bin2, count}
+    }
+
+    async #matrix(chr1, chr2) {
+
+        const chromosome1 = this.chromosomes[chr1]
+        const chromosome2 = this.chromosomes[chr2]
+
+        if (this.isWholeGenome(chr1)) {
+            const {averageCount} = await this.#wholeGenome()
+            return bpMatrix(chromosome1, chromosome2, [{binSize: this.wholeGenomeBinSize, averageCount}])
+        }
+
+        // The average count per cell is read off the coarsest resolution, the
+        // cheapest, and scaled to the others by cell area.
+        const coarsest = this.bpResolutions[0]
+        const average = await this.#averageCount(this.levels.get(coarsest), chr1, chr2)
+        return bpMatrix(chromosome1, chromosome2,
+            this.bpResolutions.map(binSize => ({binSize, averageCount: average * (binSize / coarsest) ** 2})))
+    }
+
+    // The mean count over the cells of a chromosome pair's map, empty ones
+    // included -- one triangle of a chromosome against itself.
+    async #averageCount(level, chr1, chr2) {
+
+        const [first1, last1] = [level.chromOffsets[chr1 - 1], level.chromOffsets[chr1]]
+        const [first2, last2] = [level.chromOffsets[chr2 - 1], level.chromOffsets[chr2]]
+
+        const {bin2, count} = await this.#pixels(level, first1, last1)
+        let sum = 0
+        for (let i = 0; i < bin2.length; i++) {
+            if (bin2[i] >= first2 && bin2[i] < last2) sum += count[i]
+        }
+
+        const n1 = last1 - first1
+        const n2 = last2 - first2
+        const cells = chr1 === chr2 ? n1 * (n1 + 1) / 2 : n1 * n2
+        return cells > 0 ? sum / cells : 0
+    }
+
+    /**
+     * The whole-genome map: the coarsest resolution's pixels summed into
+     * `wholeGenomeBinSize` bins of the "All" chromosome, placed by the start
+     * of the bin each came from. Read once.
+     *
+     * @returns {Promise<{records: ContactRecord[], averageCount: number}>}
+     */
+    #wholeGenome() {
+
+        if (!this.wholeGenomeMap) {
+            this.wholeGenomeMap = this.#readWholeGenome().catch(error => {
+                this.wholeGenomeMap = undefined
+                throw error
+            })
+        }
+        return this.wholeGenomeMap
+    }
+
+    async #readWholeGenome() {
+
+        const binSize = this.bpResolutions[0]
+        const level = this.levels.get(binSize)
+        const nBins = level.chromOffsets[level.chromOffsets.length - 1]
+        const nAll = Math.ceil(this.wholeGenomeChromosome.size / this.wholeGenomeBinSize)
+
+        const nPixels = (await readSlice(await this.#dataset(level, 'indexes/bin1_offset'), nBins, nBins + 1))[0]
+        if (nPixels > MAX_WHOLE_GENOME_PIXELS) {
+            console.warn(`The coarsest resolution (${binSize}) holds ${nPixels} pixels: too many to draw the whole genome from`)
+            return {records: [], averageCount: 0}
+        }
+
+        // Each genome-wide bin's "All" bin.
+        const allBin = new Int32Array(nBins)
+        let chrStart = 0
+        for (let c = 0; c < level.chromOffsets.length - 1; c++) {
+            for (let bin = level.chromOffsets[c]; bin < level.chromOffsets[c + 1]; bin++) {
+                const position = chrStart + (bin - level.chromOffsets[c]) * binSize
+                allBin[bin] = Math.min(nAll - 1, Math.floor(position / this.wholeGenomeResolution))
+            }
+            chrStart += this.chromosomes[c + 1].size
+        }
+
+        const {bin1, bin2, count} = await this.#pixels(level, 0, nBins)
+        const sums = new Map()
+        let total = 0
+        for (let i = 0; i < bin1.length; i++) {
+            const a = allBin[bin1[i]]
+            const b = allBin[bin2[i]]
+            const key = a <= b ? a * nAll + b : b * nAll + a
+            sums.set(key, (sums.get(key) || 0) + count[i])
+            total += count[i]
+        }
+
+        const records = []
+        for (const [key, counts] of sums) {
+            records.push(new ContactRecord(Math.floor(key / nAll), key % nAll, counts))
+        }
+
+        return {records, averageCount: total / (nAll * (nAll + 1) / 2)}
+    }
+
+    #path(level, path) {
+        return level.path ? `${level.path}/${path}` : path
+    }
+
+    // Held on to: the chunk index and decoded chunks are cached by dataset.
+    async #dataset(level, path) {
+        if (!level.datasets) {
+            level.datasets = new Map()
+        }
+        if (!level.datasets.has(path)) {
+            level.datasets.set(path, this.file.get(this.#path(level, path)))
+        }
+        return level.datasets.get(path)
+    }
+
+    // A table column read whole -- for those a chromosome or two long.
+    async #value(level, path) {
+        return (await this.#dataset(level, path)).value
+    }
+}
+
+export {isCoolerConfig}
+
+export default CoolerDataset
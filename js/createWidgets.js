@@ -32,10 +32,15 @@ import ScrollbarWidget from "./scrollbarWidget.js"
 import ColorScale, {defaultColorScaleConfig} from "./colorScale.js"
 import RatioColorScale from "./ratioColorScale.js"
 import DiffColorScale from "./diffColorScale.js"
+import OEColorScale from "./oeColorScale.js"
+import PearsonColorScale from "./pearsonColorScale.js"
 import ContactMatrixView from "./contactMatrixView.js"
 import ImageTileSource from "./imageTileSource.js"
 import ChromosomeSelector from "./chromosomeSelector.js"
 import AnnotationWidget from "./annotationWidget.js"
+import MetadataPanel from "./metadataPanel.js"
+import Track2DEditor from "./track2DEditor.js"
+import FeaturePopup from "./featurePopup.js"
 
 /**
  * Construct the browser's widgets and return them as a plain record.
@@ -75,7 +80,15 @@ function createWidgets(browser) {
         };
     const annotationWidget = new AnnotationWidget(browser, annotationContainer, annotation2DWidgetConfig, () => browser.tracks2D);
 
+    const metadataPanel = new MetadataPanel(browser, browser.metadataButton);
+
     const sweepZoom = new SweepZoom(browser, browser.layoutController.getContactMatrixViewport());
+    const track2DEditor = new Track2DEditor(
+        browser,
+        browser.layoutController.getContactMatrixViewport(),
+        annotationContainer.querySelector('button[data-edit]')
+    );
+    const featurePopup = new FeaturePopup(browser, browser.layoutController.getContactMatrixViewport());
     const scrollbar = new ScrollbarWidget(
         browser,
         browser.layoutController.getXAxisScrollbarContainer(),
@@ -86,11 +99,18 @@ function createWidgets(browser) {
     // Each signed scale carries its own default threshold and colors.
     const ratioColorScale = new RatioColorScale();
     const diffColorScale = new DiffColorScale();
+    const oeColorScale = new OEColorScale();
+    const pearsonColorScale = new PearsonColorScale();
 
     const imageTileSource = new ImageTileSource({
         colorScale,
         ratioColorScale,
         diffColorScale,
+        oeColorScale,
+        pearsonColorScale,
+        // One budget for the whole embed: four synced browsers share it rather
+        // than each holding its own.
+        tileCache: browser.registry.tileCache,
         observer: {
 
             colorScaleChanged: (scale) => coordinator.onColorScale(scale),
@@ -107,6 +127,17 @@ function createWidgets(browser) {
                 }
             },
 
+            // As with normalization: the pass already rendered the fallback, and
+            // the view adopts it so the alert is not repeated on every pan.
+            displayModeUnavailable: (requested, effective, reason) => {
+                browser.registry.presentAlert(`Display mode ${requested} unavailable: ${reason}.`);
+                const view = browser.contactMatrixView;
+                if (view) {
+                    view.displayMode = effective;
+                    coordinator.onDisplayMode(effective);
+                }
+            },
+
             // Resolved lazily: the browser does not hold its contact matrix view
             // until this function has returned.
             loadingChanged: (isLoading) => {
@@ -124,6 +155,8 @@ function createWidgets(browser) {
         browser,
         browser.layoutController.getContactMatrixViewport(),
         sweepZoom,
+        track2DEditor,
+        featurePopup,
         scrollbar,
         imageTileSource,
         backgroundColor
@@ -137,7 +170,10 @@ function createWidgets(browser) {
         normalizationWidget,
         chromosomeSelector,
         annotationWidget,
+        metadataPanel,
         sweepZoom,
+        track2DEditor,
+        featurePopup,
         scrollbar,
         imageTileSource,
         contactMatrixView
@@ -23,6 +23,9 @@
 import igv from 'igv'
 import {FileUtils} from 'igv-utils'
 import Dataset, { HiCDataset } from './hicDataset.js'
+import {loadDataset as loadRegisteredDataset} from './datasetRegistry.js'
+import {matchResolutions} from './derivedResolutions.js'
+import {mapChromosomes} from './chromosomeMapping.js'
 import State from './hicState.js'
 import Genome from './genome.js'
 import {extractName, presentError, isBotChallenge} from "./utils.js"
@@ -49,6 +52,50 @@ function reportUnknownStateType() {
     console.error('config.state is of unknown type');
 }
 
+/**
+ * Load the dataset a map config names, as whichever registered type it resolves
+ * to -- see js/datasetRegistry.js.
+ *
+ * A type that reads its whole file up front, as a file of pairs is binned,
+ * reports progress to `onProgress`; `label` shows how far that has got, as does
+ * the config's own `onProgress`, if the host passed one.
+ */
+function loadDataset(config, label) {
+
+    // The label as it was before the first report, restored after the last.
+    let text;
+    const onProgress = progress => {
+        if (progress.total) {
+            text = text === undefined ? label.textContent : text;
+            label.textContent = `${text} (${Math.floor(100 * progress.loaded / progress.total)}%)`;
+        }
+        if (config.onProgress) {
+            config.onProgress(progress);
+        }
+    };
+
+    return loadRegisteredDataset({...config, onProgress})
+        .finally(() => {
+            if (text !== undefined) {
+                label.textContent = text;
+            }
+        });
+}
+
+/**
+ * The warning a control map's chromosome mapping raises when one map carries a
+ * chromosome the other does not, or at another length. A long list is cut short.
+ */
+function droppedChromosomesMessage({dropped, controlDropped}) {
+    const list = names => names.length > 5 ?
+        `${names.slice(0, 5).join(', ')} and ${names.length - 5} more` :
+        names.join(', ');
+    const parts = [];
+    if (dropped.length > 0) parts.push(`"A" only: ${list(dropped)}`);
+    if (controlDropped.length > 0) parts.push(`"B" only: ${list(controlDropped)}`);
+    return `Chromosomes not in both maps at the same length are left out of the comparison. ${parts.join('. ')}`;
+}
+
 /**
  * DataLoader handles all data loading responsibilities for HICBrowser.
  * Extracted from HICBrowser to separate data loading concerns.
@@ -102,7 +149,7 @@ class DataLoader {
                 this.browser.registry.presentAlert(str);
             };
 
-            const dataset = await Dataset.loadDataset(Object.assign({alert: hicFileAlert}, config));
+            const dataset = await loadDataset(Object.assign({alert: hicFileAlert}, config), this.browser.contactMapLabel);
             dataset.name = name;
 
             const previousGenomeId = this.browser.genome ? this.browser.genome.id : undefined;
@@ -140,7 +187,7 @@ class DataLoader {
                 await this.browser.parseGotoInput(config.locus);
             } else if (config.state) {
                 this.browser.setActiveDataset(dataset);
-                await this.browser.setState(decodeState(config.state, reportUnknownStateType));
+                await this.browser.setState(decodeState(config.state, reportUnknownStateType, dataset));
             } else if (canBeSynched(this.browser, config.synchState)) {
                 await this.browser.syncState(config.synchState);
                 // syncState already sets the dataset, but ensure it's set with current dataset
@@ -275,7 +322,7 @@ class DataLoader {
             // `state` crashed in `State.parse` on this path and opened the
             // default view on the other. #504.
             this.browser.setActiveDataset(dataset);
-            await this.browser.setState(decodeState(config.state, reportUnknownStateType));
+            await this.browser.setState(decodeState(config.state, reportUnknownStateType, dataset));
 
             // Navigate to the data region so it fills the viewport
             const locus = config.locus || `${lcm.chromosomes[1].name}:${lcm.genomicStart}-${lcm.genomicEnd}`;
@@ -328,11 +375,26 @@ class DataLoader {
                 this.browser.registry.presentAlert(str);
             };
 
-            const controlDataset = await Dataset.loadDataset(Object.assign({alert: hicFileAlert}, config));
+            let controlDataset = await loadDataset(Object.assign({alert: hicFileAlert}, config), this.browser.controlMapLabel);
+
+            // Read at every resolution of "A", summed or resampled from the
+            // control's own where it lacks one. Loading "A" clears "B", so the
+            // primary cannot change under the match.
+            if (this.browser.dataset) {
+                controlDataset = matchResolutions(controlDataset, this.browser.dataset);
+            }
 
             controlDataset.name = name;
 
-            if (!this.browser.dataset || this.browser.dataset.isCompatible(controlDataset)) {
+            // "B" is read in the chromosomes of "A", matched by name through the
+            // genome's aliases and by length. One only a map carries is left out
+            // of the comparison, with a warning, rather than the file refused.
+            const mapping = this.browser.dataset && mapChromosomes(controlDataset, this.browser.genome);
+
+            if (!mapping || mapping.shared.length > 0) {
+                if (mapping) {
+                    controlDataset = mapping.dataset;
+                }
                 this.browser.controlDataset = controlDataset;
                 if (this.browser.dataset) {
                     this.browser.contactMapLabel.textContent = "A: " + this.browser.dataset.name;
@@ -346,6 +408,10 @@ class DataLoader {
                 }
                 this.browser.coordinator.onControlMapLoaded(this.browser.controlDataset);
 
+                if (mapping && (mapping.dropped.length > 0 || mapping.controlDropped.length > 0)) {
+                    this.browser.registry.presentAlert(droppedChromosomesMessage(mapping));
+                }
+
                 if (!noUpdates) {
                     await this.browser.update();
                 }
@@ -389,6 +455,13 @@ class DataLoader {
             const promises2D = [];
 
             for (let config of configs) {
+
+                // A 2D track a session carries inline, which has no file to read.
+                if (config.features && undefined === config.url) {
+                    promises2D.push(Track2D.fromFeatures(config, this.browser.genome));
+                    continue;
+                }
+
                 const fileName = isFile(config.url)
                     ? config.url.name
                     : config.filename || await FileUtils.getFilename(config.url);
@@ -417,13 +490,14 @@ class DataLoader {
                 const { trackHeight } = getLayoutDimensions();
                 config.height = trackHeight;
 
-                // 2D tracks: bedpe/interact by format or extension, or a juicebox
-                // loops/peaks list (.txt) for which igv.js can't infer a 1D format.
+                // 2D tracks: bedpe/interact/bigInteract by format or extension, or a
+                // juicebox loops/peaks list (.txt) for which igv.js can't infer a 1D format.
                 // Note: hicUtils.getExtension() strips .txt as an aux extension, so
                 // test the raw filename rather than `extension` for the .txt case.
                 const lowerName = fileName.toLowerCase();
-                const is2D = ['bedpe', 'interact'].includes(config.format)
-                    || ['bedpe', 'interact'].includes(extension)
+                const is2D = ['bedpe', 'interact', 'biginteract'].includes(config.format)
+                    || ['bedpe', 'interact', 'biginteract'].includes(extension)
+                    || lowerName.endsWith('.inter.bb')
                     || (config.format === undefined
                         && (lowerName.endsWith('.txt') || lowerName.endsWith('.txt.gz')));
                 if (is2D) {
@@ -0,0 +1,433 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2020 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+
+const knownGenomes = {
+
+    "hg19": [249250621, 243199373, 198022430],
+    "hg38": [248956422, 242193529, 198295559],
+    "mm10": [195471971, 182113224, 160039680],
+    "mm9": [197195432, 181748087, 159599783],
+    "dm6": [23513712, 25286936, 28110227]
+
+}
+
+/**
+ * Abstract base class for all dataset types (Hi-C files, live maps, etc.)
+ * Defines the common interface that all dataset implementations must provide.
+ */
+class Dataset {
+
+    constructor(config) {
+        this.name = config.name;
+
+        // Where 'unknown' comes from: a subclass that names no type. It is a
+        // published value hosts must handle rather than a bug to throw on --
+        // see CONTEXT.md under "Dataset", and #471.
+        this.datasetType = config.datasetType || 'unknown';
+    }
+
+    /**
+     * Initialize the dataset. Must be called after construction.
+     * @abstract
+     */
+    async init() {
+        throw new Error("Dataset.init() must be implemented by subclass");
+    }
+
+    /**
+     * Get contact records for a given region pair
+     * @param {string} normalization - Normalization type
+     * @param {Object} region1 - {chr, start, end}
+     * @param {Object} region2 - {chr, start, end}
+     * @param {string} units - "BP" or "FRAG"
+     * @param {number} binsize - Bin size in base pairs
+     * @returns {Promise<Array>} Array of contact records
+     * @abstract
+     */
+    async getContactRecords(normalization, region1, region2, units, binsize) {
+        throw new Error("Dataset.getContactRecords() must be implemented by subclass");
+    }
+
+    /**
+     * The read `getContactRecords` would make, described so the image tile
+     * worker can make it on its own thread: the source to open, and the
+     * arguments. Undefined, the default, where the worker cannot read the map
+     * as this dataset does, and the records are fetched here instead.
+     * @param {string} normalization - Normalization type
+     * @param {Object} region1 - {chr, start, end}
+     * @param {Object} region2 - {chr, start, end}
+     * @param {string} units - "BP" or "FRAG"
+     * @param {number} binsize - Bin size in base pairs
+     * @returns {{source: {id: number, config: Object}, args: Array}|undefined}
+     */
+    contactRecordsRequest(normalization, region1, region2, units, binsize) {
+        return undefined;
+    }
+
+    /**
+     * Get matrix for chromosome pair
+     * @param {number} chr1 - Chromosome index 1
+     * @param {number} chr2 - Chromosome index 2
+     * @returns {Promise<Object>} Matrix object
+     * @abstract
+     */
+    async getMatrix(chr1, chr2) {
+        throw new Error("Dataset.getMatrix() must be implemented by subclass");
+    }
+
+    /**
+     * Check if normalization vector is available
+     * @param {string} type - Normalization type
+     * @param {string} chr - Chromosome name
+     * @param {string} unit - "BP" or "FRAG"
+     * @param {number} binSize - Bin size
+     * @returns {Promise<boolean>}
+     * @abstract
+     */
+    async hasNormalizationVector(type, chr, unit, binSize) {
+        throw new Error("Dataset.hasNormalizationVector() must be implemented by subclass");
+    }
+
+    /**
+     * Get the expected counts by diagonal distance, the denominator of the O/E
+     * display modes. Datasets that carry none answer undefined, and O/E then
+     * renders the observed map -- which is the default here.
+     * @param {string} normalization - Normalization type
+     * @param {string} unit - "BP" or "FRAG"
+     * @param {number} binSize - Bin size
+     * @returns {Promise<{values: ArrayLike<number>, normFactors: Object<number, number>}|undefined>}
+     */
+    async getExpectedValues(normalization, unit, binSize) {
+        return undefined;
+    }
+
+    /**
+     * The header attributes the map was written with, as name/value strings --
+     * a .hic file's `software`, and the Juicer QC `statistics` and `graphs`.
+     * Sources without a header answer none.
+     * @returns {Object<string, string>}
+     */
+    getAttributes() {
+        return {};
+    }
+
+    /**
+     * The normalizations available at each resolution, keyed "unit_binSize".
+     * By default those the first chromosome has vectors for; a source that
+     * indexes its vectors can answer for every chromosome at once.
+     * @returns {Promise<Map<string, string[]>>}
+     */
+    async getNormalizationInventory() {
+        const types = (await this.getNormalizationOptions?.()) || ['NONE'];
+        const chromosome = (this.chromosomes || []).find(c => !this.isWholeGenome(c.index));
+        const inventory = new Map();
+        for (const unit of ["BP", "FRAG"]) {
+            for (const binSize of this.getResolutions(unit)) {
+                const available = [];
+                for (const type of types) {
+                    if ('NONE' === type || (chromosome && await this.hasNormalizationVector(type, chromosome.name, unit, binSize))) {
+                        available.push(type);
+                    }
+                }
+                inventory.set(`${unit}_${binSize}`, available);
+            }
+        }
+        return inventory;
+    }
+
+    /**
+     * Get zoom index for a given bin size
+     * @param {number} binSize - Bin size in base pairs
+     * @param {string} unit - "BP" or "FRAG"
+     * @returns {number} Zoom index or -1 if not found
+     */
+    getZoomIndexForBinSize(binSize, unit) {
+        var i,
+            resolutionArray;
+
+        unit = unit || "BP";
+
+        if (unit === "BP") {
+            resolutionArray = this.bpResolutions;
+        } else if (unit === "FRAG") {
+            resolutionArray = this.fragResolutions;
+        } else {
+            throw new Error("Invalid unit: " + unit);
+        }
+
+        for (i = 0; i < resolutionArray.length; i++) {
+            if (resolutionArray[i] === binSize) return i;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Get bin size for a given zoom index
+     * @param {number} zoomIndex - Zoom index
+     * @param {string} unit - "BP" or "FRAG"
+     * @returns {number} Bin size in base pairs
+     */
+    getBinSizeForZoomIndex(zoomIndex, unit) {
+        var i,
+            resolutionArray;
+
+        unit = unit || "BP";
+
+        if (unit === "BP") {
+            resolutionArray = this.bpResolutions;
+        } else if (unit === "FRAG") {
+            resolutionArray = this.fragResolutions;
+        } else {
+            throw new Error("Invalid unit: " + unit);
+        }
+
+        return resolutionArray[zoomIndex];
+    }
+
+    /**
+     * The resolutions of one unit, coarsest first. A dataset without fragment
+     * resolutions answers an empty list for FRAG.
+     * @param {string} unit - "BP" or "FRAG"
+     * @returns {number[]}
+     */
+    getResolutions(unit = "BP") {
+        return ("FRAG" === unit ? this.fragResolutions : this.bpResolutions) || [];
+    }
+
+    /**
+     * Read the restriction sites that place the fragment resolutions on the
+     * genome, into `fragmentSites`. Every conversion below needs them for FRAG,
+     * so a view in fragment units awaits this first. A dataset with fragment
+     * resolutions overrides it; the default has no sites to read.
+     * @returns {Promise<FragmentSites|undefined>}
+     */
+    async loadFragmentSites() {
+        return this.fragmentSites;
+    }
+
+    /**
+     * Length of a chromosome in a unit: base pairs, or fragments.
+     * @param {number} chrIndex - Chromosome index
+     * @param {string} unit - "BP" or "FRAG"
+     * @returns {number}
+     */
+    getChromosomeLength(chrIndex, unit = "BP") {
+        const chromosome = this.chromosomes[chrIndex];
+        return "FRAG" === unit ? this.#fragmentSites().count(chromosome.name) : chromosome.size;
+    }
+
+    /**
+     * Base pair position of a position in a unit -- for FRAG, a fractional
+     * fragment index.
+     * @param {number} chrIndex - Chromosome index
+     * @param {number} position - Position in `unit`
+     * @param {string} unit - "BP" or "FRAG"
+     * @returns {number}
+     */
+    toBP(chrIndex, position, unit = "BP") {
+        return "FRAG" === unit ? this.#fragmentSites().toBP(this.chromosomes[chrIndex].name, position) : position;
+    }
+
+    /**
+     * Position in a unit of a base pair position; the inverse of `toBP`.
+     * @param {number} chrIndex - Chromosome index
+     * @param {number} bp - Base pair position
+     * @param {string} unit - "BP" or "FRAG"
+     * @returns {number}
+     */
+    fromBP(chrIndex, bp, unit = "BP") {
+        return "FRAG" === unit ? this.#fragmentSites().toFragment(this.chromosomes[chrIndex].name, bp) : bp;
+    }
+
+    #fragmentSites() {
+        if (!this.fragmentSites) {
+            throw new Error("Fragment positions need the map's restriction sites: await loadFragmentSites() first");
+        }
+        return this.fragmentSites;
+    }
+
+    /**
+     * Get chromosome index from name
+     * @param {string} chrName - Chromosome name
+     * @returns {number|undefined} Chromosome index
+     */
+    getChrIndexFromName(chrName) {
+        var i;
+        for (i = 0; i < this.chromosomes.length; i++) {
+            if (chrName === this.chromosomes[i].name) return i;
+        }
+        return undefined;
+    }
+
+    /**
+     * Compare chromosomes with another dataset
+     * @param {Dataset} otherDataset - Other dataset to compare
+     * @returns {boolean} True if chromosomes match
+     */
+    compareChromosomes(otherDataset) {
+        const chrs = this.chromosomes;
+        const otherChrs = otherDataset.chromosomes;
+        if (chrs.length !== otherChrs.length) {
+            return false;
+        }
+        for (let i = 0; i < chrs.length; i++) {
+            if (chrs[i].size !== otherChrs[i].size) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Check if chromosome index represents whole genome
+     * @param {number} chrIndex - Chromosome index
+     * @returns {boolean}
+     */
+    isWholeGenome(chrIndex) {
+        return (this.wholeGenomeChromosome != null && this.wholeGenomeChromosome.index === chrIndex);
+    }
+
+    /**
+     * Settings a session must record, beside the URL and the type, for a
+     * restore to load this dataset the same way -- a composite's `combine`, say.
+     * The control map's are recorded with a `control` prefix.
+     * @returns {Object}
+     */
+    sessionOptions() {
+        return {};
+    }
+
+    /**
+     * Clear any internal caches
+     */
+    clearCaches() {
+        // Default implementation - subclasses can override
+    }
+
+    /**
+     * Compare 2 datasets for compatibility.  Compatibility is defined as from the same assembly, even if
+     * different IDs are used (e.g. GRCh38 vs hg38).
+     *
+     * Trust the ID for well-known assemblies (hg19, etc).  However, for others compare chromosome lengths
+     * as its been observed that uniqueness of ID is not guaranteed.
+     *
+     * @param {Dataset} d2 - Other dataset to compare
+     * @returns {boolean} True if compatible
+     */
+    isCompatible(d2) {
+        const id1 = this.genomeId;
+        const id2 = d2.genomeId;
+        return ((id1 === "hg38" || id1 === "GRCh38") && (id2 === "hg38" || id2 === "GRCh38")) ||
+            ((id1 === "hg19" || id1 === "GRCh37") && (id2 === "hg19" || id2 === "GRCh37")) ||
+            ((id1 === "mm10" || id1 === "GRCm38") && (id2 === "mm10" || id2 === "GRCm38")) ||
+            this.compareChromosomes(d2)
+    }
+}
+
+function matchGenome(chromosomes) {
+
+    if (chromosomes.length < 4) return undefined;
+
+    const keys = Object.keys(knownGenomes);
+
+    // Find a candidate
+    let candidate;
+    for (let chr of chromosomes) {
+        for (let key of keys) {
+            if (knownGenomes[key].includes(chr.size)) {
+                candidate = key;
+                break;
+            }
+        }
+    }
+
+    // Confirm candidate
+    if (candidate) {
+        const chrSizes = new Set(chromosomes.map((chr) => chr.size));
+        for (let sz of knownGenomes[candidate]) {
+            if (!chrSizes.has(sz)) {
+                return undefined;
+            }
+        }
+        return candidate;
+    } else {
+        return undefined;
+    }
+
+
+}
+
+// Bins across the whole-genome map, as juicer sizes it.
+const WHOLE_GENOME_BINS = 500
+
+/**
+ * The chromosome list of a dataset that builds its own, headed by the synthetic
+ * "All" juicer writes at index 0, sized as the genome in kb. With it, the
+ * whole-genome map's bin in the kb of those coordinates, and the same bin in
+ * bp -- the map's resolution.
+ *
+ * @param {{name: string, size: number}[]} sequences - the genome's, in order
+ * @returns {{chromosomes: Object[], wholeGenomeChromosome: Object, wholeGenomeBinSize: number, wholeGenomeResolution: number}}
+ */
+function withWholeGenome(sequences) {
+
+    const genomeLength = sequences.reduce((sum, {size}) => sum + size, 0)
+    const wholeGenomeChromosome = {index: 0, name: 'All', size: Math.floor(genomeLength / 1000)}
+    const chromosomes = [wholeGenomeChromosome, ...sequences.map(({name, size}, i) => ({index: i + 1, name, size}))]
+
+    const wholeGenomeBinSize = Math.max(1, Math.floor(wholeGenomeChromosome.size / WHOLE_GENOME_BINS))
+    return {chromosomes, wholeGenomeChromosome, wholeGenomeBinSize, wholeGenomeResolution: wholeGenomeBinSize * 1000}
+}
+
+/**
+ * A chromosome pair's matrix, shaped as hic-straw's: its zoom data found by
+ * index or by bin size. Base pair resolutions only.
+ *
+ * @param {Object} chromosome1
+ * @param {Object} chromosome2
+ * @param {{binSize: number, averageCount: number}[]} resolutions - coarsest first
+ */
+function bpMatrix(chromosome1, chromosome2, resolutions) {
+
+    const bpZoomData = resolutions.map(({binSize, averageCount}) => ({
+        chr1: chromosome1,
+        chr2: chromosome2,
+        zoom: {binSize, unit: 'BP'},
+        averageCount
+    }))
+    const zoomData = unit => 'FRAG' === unit ? [] : bpZoomData
+
+    return {
+        chr1: chromosome1.index,
+        chr2: chromosome2.index,
+        bpZoomData,
+        fragZoomData: [],
+        getZoomDataByIndex: (index, unit) => zoomData(unit)[index],
+        getZoomData: (binSize, unit) => zoomData(unit).find(zd => zd.zoom.binSize === binSize)
+    }
+}
+
+export default Dataset
+export { matchGenome, withWholeGenome, bpMatrix }
@@ -0,0 +1,148 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * A dataset read through another, which it holds as `source`: the resolutions a
+ * map gains (js/derivedResolutions.js), a control map read in its primary's
+ * chromosomes (js/chromosomeMapping.js). A subclass overrides what it answers
+ * differently, and everything else is passed to the source.
+ *
+ * What hosts and sessions read off a dataset -- `hicFile`, `isLive`, the
+ * chromosomes -- are getters onto the source, so an adapter stands wherever its
+ * source did. `name`, `url` and `datasetType` are copied, being what a loader
+ * sets on the dataset it returns; `bpResolutions` is the adapter's own ladder.
+ *
+ * The positions a dataset converts -- `toBP`, `isWholeGenome` and the like --
+ * are those of `Dataset`, reading the adapter's `chromosomes`, so each adapter
+ * answers in its own index space and one presenting other chromosomes is not
+ * asked in its source's. The source is never changed.
+ */
+
+import Dataset from './dataset.js'
+
+class DatasetAdapter extends Dataset {
+
+    /**
+     * @param {Dataset} source - initialized
+     */
+    constructor(source) {
+        super({name: source.name, datasetType: source.datasetType})
+        this.source = source
+        this.url = source.url
+        this.bpResolutions = source.bpResolutions
+    }
+
+    get genomeId() {
+        return this.source.genomeId
+    }
+
+    get chromosomes() {
+        return this.source.chromosomes
+    }
+
+    get fragResolutions() {
+        return this.source.fragResolutions
+    }
+
+    get wholeGenomeChromosome() {
+        return this.source.wholeGenomeChromosome
+    }
+
+    get wholeGenomeResolution() {
+        return this.source.wholeGenomeResolution
+    }
+
+    get normalizationTypes() {
+        return this.source.normalizationTypes
+    }
+
+    get derivedResolutions() {
+        return this.source.derivedResolutions
+    }
+
+    get fragmentSites() {
+        return this.source.fragmentSites
+    }
+
+    get hicFile() {
+        return this.source.hicFile
+    }
+
+    get isLive() {
+        return this.source.isLive
+    }
+
+    // The source is initialized before it is adapted.
+    async init() {
+    }
+
+    async getContactRecords(normalization, region1, region2, units, binsize) {
+        return this.source.getContactRecords(normalization, region1, region2, units, binsize)
+    }
+
+    contactRecordsRequest(normalization, region1, region2, units, binsize) {
+        return this.source.contactRecordsRequest?.(normalization, region1, region2, units, binsize)
+    }
+
+    async getMatrix(chr1, chr2) {
+        return this.source.getMatrix(chr1, chr2)
+    }
+
+    async hasNormalizationVector(type, chr, unit, binSize) {
+        return this.source.hasNormalizationVector(type, chr, unit, binSize)
+    }
+
+    async getExpectedValues(normalization, unit, binSize) {
+        return this.source.getExpectedValues(normalization, unit, binSize)
+    }
+
+    async getNormalizationOptions() {
+        return this.source.getNormalizationOptions ? this.source.getNormalizationOptions() : ['NONE']
+    }
+
+    async getNormVectorIndex(config) {
+        return this.source.getNormVectorIndex?.(config)
+    }
+
+    async getNormalizationInventory() {
+        return this.source.getNormalizationInventory()
+    }
+
+    getAttributes() {
+        return this.source.getAttributes()
+    }
+
+    async loadFragmentSites() {
+        return this.source.loadFragmentSites()
+    }
+
+    sessionOptions() {
+        return this.source.sessionOptions()
+    }
+
+    clearCaches() {
+        this.source.clearCaches()
+    }
+}
+
+export default DatasetAdapter
@@ -0,0 +1,130 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * What a map says about itself: its header attributes, the resolutions it can
+ * be read at with the normalizations available at each, and the Juicer QC
+ * report a .hic file carries in two of those attributes -- `statistics`, the
+ * read-pair accounting, and `graphs`, the histograms behind it. This is the
+ * data `HICBrowser.getMetadata` answers and the metadata panel
+ * (js/metadataPanel.js) draws.
+ */
+
+// Attributes drawn as a report of their own rather than listed.
+const QC_ATTRIBUTES = ['statistics', 'graphs']
+
+/**
+ * @param {Dataset} dataset - initialized
+ * @returns {Promise<{name: string, datasetType: string, genomeId: string,
+ *          attributes: Object<string, string>,
+ *          resolutions: {unit: string, binSize: number, normalizations: string[], derivedFrom?: number}[],
+ *          statistics: {label: string, value: string, indent: boolean}[],
+ *          graphs: {name: string, rows: number[][]}[]}>}
+ */
+async function datasetMetadata(dataset) {
+
+    const attributes = dataset.getAttributes?.() || {}
+    const inventory = await dataset.getNormalizationInventory?.() || new Map()
+
+    // A resolution summed from another (js/derivedResolutions.js) has that
+    // one's vectors.
+    const resolutions = []
+    for (const unit of ['BP', 'FRAG']) {
+        for (const binSize of dataset.getResolutions(unit)) {
+            const derivedFrom = 'BP' === unit ? dataset.derivedResolutions?.get(binSize) : undefined
+            const normalizations = inventory.get(`${unit}_${derivedFrom || binSize}`) || ['NONE']
+            resolutions.push({unit, binSize, normalizations, ...(derivedFrom && {derivedFrom})})
+        }
+    }
+
+    return {
+        name: dataset.name,
+        datasetType: dataset.datasetType,
+        genomeId: dataset.genomeId,
+        attributes: Object.fromEntries(Object.entries(attributes).filter(([name]) => !QC_ATTRIBUTES.includes(name))),
+        resolutions,
+        statistics: parseStatistics(attributes.statistics),
+        graphs: parseGraphs(attributes.graphs)
+    }
+}
+
+/**
+ * Juicer's read-pair statistics as rows of a table. The attribute is the text of
+ * the run's statistics file -- "Label: value" a line, sub-totals indented -- or,
+ * written by older versions, the same as an HTML table, which is read as text.
+ *
+ * @param {string|undefined} text
+ * @returns {{label: string, value: string, indent: boolean}[]}
+ */
+function parseStatistics(text) {
+
+    if (!text) return []
+
+    const plain = text
+        .replace(/<\/t[dh]>\s*<t[dh][^>]*>/gi, ' ')
+        .replace(/<br\s*\/?>|<\/tr>|<\/p>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+
+    const rows = []
+    for (const line of plain.split(/\r?\n/)) {
+        if (!line.trim()) continue
+        const colon = line.indexOf(':')
+        rows.push({
+            label: (colon < 0 ? line : line.substring(0, colon)).trim(),
+            value: colon < 0 ? '' : line.substring(colon + 1).trim(),
+            indent: /^\s/.test(line)
+        })
+    }
+    return rows
+}
+
+/**
+ * Juicer's QC histograms. The attribute is a MATLAB script of named arrays,
+ * `A = [ 1 2 3 ... ];`, a row a line or a `;`. Each array is read as its rows of
+ * numbers; anything else in the text is ignored.
+ *
+ * @param {string|undefined} text
+ * @returns {{name: string, rows: number[][]}[]}
+ */
+function parseGraphs(text) {
+
+    if (!text) return []
+
+    const graphs = []
+    for (const [, name, body] of text.matchAll(/(\w+)\s*=\s*\[([^\]]*)\]/g)) {
+        const rows = body
+            .split(/[;\n]/)
+            .map(row => row.trim().split(/[\s,]+/).filter(Boolean).map(Number))
+            .filter(row => row.length > 0 && row.every(Number.isFinite))
+        if (rows.length > 0) {
+            graphs.push({name, rows})
+        }
+    }
+    return graphs
+}
+
+export {datasetMetadata, parseStatistics, parseGraphs}
@@ -0,0 +1,207 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * The kinds of contact map a browser can load, and which one a map config
+ * names. `Dataset` is an extension point (see CONTEXT.md under "Dataset"); this
+ * is where a host plugs into it:
+ *
+ *   juicebox.registerDatasetType({
+ *       type: 'mytiles',
+ *       match: {schemes: ['mytiles'], extensions: ['.mtl']},
+ *       create: async config => MyTileDataset.loadDataset(config)
+ *   })
+ *
+ * A config is matched against the registered types newest first, so a host's
+ * registration wins over a built-in one for the same extension:
+ *
+ * 1. a config naming its `datasetType` -- as a restored session does -- gets
+ *    that type, or an error if nothing of that name is registered;
+ * 2. otherwise the first type whose `match` takes the config by extension,
+ *    URL scheme or predicate;
+ * 3. otherwise, if any type matches on magic bytes, the first bytes of the file
+ *    are read and offered to those;
+ * 4. otherwise a .hic file, the kind juicebox has always assumed.
+ *
+ * Step 3 costs a request, so it is only taken once a type asks for it: none of
+ * the built-in types do, and a config they cannot place loads as a .hic file
+ * without a sniff, as it did before types could be registered.
+ *
+ * The type's name is the loaded dataset's `datasetType`, which
+ * `HICBrowser.toJSON` records so a restore picks the same type again.
+ *
+ * Every type's dataset then gains the resolutions it can sum to from those it
+ * stores, unless the config sets `deriveResolutions: false`.
+ */
+
+import Dataset from './hicDataset.js'
+import CoolerDataset, {isCoolerConfig} from './coolerDataset.js'
+import PairsDataset, {isPairsConfig} from './pairsDataset.js'
+import TileServerDataset, {isTileServerConfig} from './tileServerDataset.js'
+import CompositeDataset, {isCompositeConfig} from './compositeDataset.js'
+import {deriveResolutions} from './derivedResolutions.js'
+import {isFile} from './fileUtils.js'
+import {getUrlMapper} from './urlMapper.js'
+
+// The type a config nothing else claims is loaded as.
+const DEFAULT_TYPE = 'hic'
+
+// Registered types, oldest first.
+const types = []
+
+/**
+ * Register a kind of contact map, replacing any of the same name.
+ *
+ * @param {Object} definition
+ * @param {string} definition.type - the name, which loaded datasets carry as
+ *        `datasetType` and sessions record
+ * @param {((config: Object) => boolean) | {extensions?: string[], schemes?: string[], magic?: (string|number[])}} definition.match -
+ *        a predicate on the map config, or the file extensions (with their dot,
+ *        compound ones such as '.pairs.gz' allowed), URL schemes (without the
+ *        colon) and leading bytes that identify the kind
+ * @param {(config: Object) => Promise<Dataset>} definition.create - load and
+ *        initialize a dataset from the map config
+ */
+function registerDatasetType({type, match, create}) {
+
+    if ('string' !== typeof type || 0 === type.length) {
+        throw new Error('A dataset type needs a name')
+    }
+    if ('function' !== typeof create) {
+        throw new Error(`Dataset type "${type}" needs a create function`)
+    }
+    if (!('function' === typeof match || (match && 'object' === typeof match))) {
+        throw new Error(`Dataset type "${type}" needs a match: a function, or extensions, schemes or magic bytes`)
+    }
+
+    const magic = 'string' === typeof match.magic ? Array.from(match.magic, c => c.charCodeAt(0)) : match.magic
+    const entry = {
+        type,
+        create,
+        matches: 'function' === typeof match ? match : config => matchesName(config, match),
+        magic: magic && magic.length > 0 ? magic : undefined
+    }
+
+    const existing = types.findIndex(t => t.type === type)
+    if (existing >= 0) {
+        types.splice(existing, 1)
+    }
+    types.push(entry)
+}
+
+/**
+ * Load the dataset a map config names, as whichever registered type it resolves
+ * to -- see the module comment for the order.
+ *
+ * @param {Object} config - a map config: `url` (a string or File), `name`,
+ *        and any `datasetType` or `deriveResolutions`
+ * @returns {Promise<Dataset>} initialized, its `datasetType` the type's name
+ */
+async function loadDataset(config) {
+
+    const entry = await resolve(config)
+    const dataset = await entry.create({...config, datasetType: entry.type})
+
+    // A host's Dataset subclass need not name itself; the registration has.
+    if (!dataset.datasetType || 'unknown' === dataset.datasetType) {
+        dataset.datasetType = entry.type
+    }
+
+    // Whatever the type, the ladder is filled in between the sizes it stores
+    // unless the config declines (see js/derivedResolutions.js).
+    return false === config.deriveResolutions ? dataset : deriveResolutions(dataset)
+}
+
+async function resolve(config) {
+
+    const newestFirst = types.slice().reverse()
+
+    if (config.datasetType) {
+        const named = newestFirst.find(t => t.type === config.datasetType)
+        if (!named) {
+            throw new Error(`No dataset type "${config.datasetType}" is registered: it must be registered before a map of it can load`)
+        }
+        return named
+    }
+
+    const matched = newestFirst.find(t => t.matches(config))
+    if (matched) {
+        return matched
+    }
+
+    const sniffers = newestFirst.filter(t => t.magic)
+    if (sniffers.length > 0) {
+        const bytes = await leadingBytes(config, Math.max(...sniffers.map(t => t.magic.length)))
+        const sniffed = bytes && sniffers.find(t => t.magic.every((byte, i) => byte === bytes[i]))
+        if (sniffed) {
+            return sniffed
+        }
+    }
+
+    return types.find(t => t.type === DEFAULT_TYPE)
+}
+
+function matchesName(config, {extensions = [], schemes = []}) {
+
+    const name = isFile(config.url) ? config.url.name : config.url
+    if ('string' !== typeof name) {
+        return false
+    }
+
+    const path = name.split(/[?#]/)[0].toLowerCase()
+    if (extensions.some(extension => path.endsWith(extension.toLowerCase()))) {
+        return true
+    }
+
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(name)
+    return Boolean(scheme) && !isFile(config.url) && schemes.some(s => s.toLowerCase() === scheme[1].toLowerCase())
+}
+
+// The first `count` bytes of the config's file, or undefined where they cannot
+// be had -- a server refusing a range request is no reason to fail the load.
+async function leadingBytes({url, mapUrl}, count) {
+    try {
+        if (isFile(url)) {
+            return new Uint8Array(await url.slice(0, count).arrayBuffer())
+        }
+        const mapper = mapUrl || getUrlMapper()
+        const response = await fetch(mapper ? mapper(url) : url, {headers: {Range: `bytes=0-${count - 1}`}})
+        if (!response.ok) {
+            return undefined
+        }
+        return new Uint8Array(await response.arrayBuffer()).subarray(0, count)
+    } catch (e) {
+        console.warn(`Could not read the first bytes of ${url}`, e)
+        return undefined
+    }
+}
+
+// The built-in types. `Dataset.loadDataset` is read when a map loads rather
+// than now, as it always has been.
+registerDatasetType({type: 'hic', match: {extensions: ['.hic']}, create: config => Dataset.loadDataset(config)})
+registerDatasetType({type: 'cooler', match: isCoolerConfig, create: config => CoolerDataset.loadDataset(config)})
+registerDatasetType({type: 'pairs', match: isPairsConfig, create: config => PairsDataset.loadDataset(config)})
+registerDatasetType({type: 'tileserver', match: isTileServerConfig, create: config => TileServerDataset.loadDataset(config)})
+registerDatasetType({type: 'composite', match: isCompositeConfig, create: config => CompositeDataset.loadDataset(config, loadDataset)})
+
+export {registerDatasetType, loadDataset}
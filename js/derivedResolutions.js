@@ -0,0 +1,335 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * Resolutions a dataset does not store but can be summed to: a bin size that is
+ * a whole multiple of one it does, built in the browser by adding the finer
+ * bins up. A file written with a sparse ladder -- 5 kb, 25 kb, 100 kb, 1 Mb --
+ * so gains the 10 kb, 50 kb, 250 kb and 500 kb steps between, and a control map
+ * can be matched at a bin size only the other map stores.
+ *
+ * The derived sizes are those of the juicer ladder that fall between the
+ * dataset's finest and coarsest, each summed from the coarsest stored size that
+ * divides it. They join `bpResolutions` in order, and `derivedResolutions` maps
+ * each to the size it is summed from. Fragment resolutions are left alone.
+ *
+ * The sizes are gained through an adapter, `DerivedResolutionsDataset`, which
+ * holds the dataset and reads each derived size through the stored one it maps
+ * to; the dataset itself is left as it was loaded (see js/datasetAdapter.js).
+ *
+ * A control map is matched to its primary the same way (`matchResolutions`):
+ * each of the primary's sizes it lacks is summed from the coarsest it stores
+ * that divides it or, failing one, resampled from the nearest it stores, so the
+ * comparison modes read both maps on one grid. The sizes it is matched at join
+ * those it derived on load, in one adapter over the map as loaded, rather than
+ * a second adapter over the first.
+ *
+ * What is summed is what the stored resolution answers. Unnormalized counts sum
+ * exactly; normalized ones are the sum of the finer bins' normalized values,
+ * close to but not the same as normalizing at the coarser size. Expected values
+ * are the finer ones summed over the diagonals a coarser bin covers. Resampling
+ * spreads each stored bin's count over the bins it overlaps, by area: it keeps
+ * totals, not detail a coarser map never had.
+ */
+
+import ContactRecord from './contactRecord.js'
+import DatasetAdapter from './datasetAdapter.js'
+
+// The sizes a dataset may gain, coarsest first.
+const DERIVABLE_RESOLUTIONS = [2500000, 1000000, 500000, 250000, 100000, 50000, 25000, 10000, 5000, 2000, 1000, 500, 200, 100]
+
+// What a dataset must answer for a derived size to be built on it.
+const EXTENDED = ['getMatrix', 'getContactRecords', 'hasNormalizationVector', 'getExpectedValues']
+
+/**
+ * Give a dataset the resolutions it can sum to. A dataset with nothing to gain,
+ * or not reading through the methods of `Dataset`, is returned as it is.
+ *
+ * @param {Dataset} dataset - initialized
+ * @returns {Dataset} the dataset, or an adapter over it
+ */
+function deriveResolutions(dataset) {
+
+    const stored = dataset.bpResolutions || []
+    const derived = new Map()
+    if (stored.length > 0) {
+        const finest = Math.min(...stored)
+        const coarsest = Math.max(...stored)
+        for (const binSize of DERIVABLE_RESOLUTIONS) {
+            if (binSize <= finest || binSize >= coarsest || stored.includes(binSize)) continue
+            const sources = stored.filter(s => s < binSize && binSize % s === 0)
+            if (sources.length > 0) {
+                derived.set(binSize, Math.max(...sources))
+            }
+        }
+    }
+
+    return adapt(dataset, derived)
+}
+
+/**
+ * Give a control map every base pair resolution of its primary, so the two can
+ * be compared at each: a size the control lacks is summed from the coarsest it
+ * stores that divides it, or else resampled from the nearest it stores.
+ *
+ * @param {Dataset} controlDataset - initialized, possibly with derived sizes of its own
+ * @param {Dataset} dataset - the primary
+ * @returns {Dataset} the control, or an adapter over the map it was loaded as
+ */
+function matchResolutions(controlDataset, dataset) {
+
+    const source = controlDataset instanceof DerivedResolutionsDataset ? controlDataset.source : controlDataset
+    const has = controlDataset.bpResolutions || []
+    const stored = source.bpResolutions || []
+    const matched = new Map()
+    if (stored.length > 0) {
+        for (const binSize of dataset.bpResolutions || []) {
+            if (has.includes(binSize)) continue
+            const divisors = stored.filter(s => s < binSize && binSize % s === 0)
+            const distance = s => Math.abs(Math.log(s / binSize))
+            matched.set(binSize, divisors.length > 0 ?
+                Math.max(...divisors) :
+                stored.reduce((a, b) => distance(b) < distance(a) || (distance(b) === distance(a) && b < a) ? b : a))
+        }
+    }
+
+    if (0 === matched.size) {
+        return controlDataset
+    }
+    return adapt(source, new Map([...(controlDataset.derivedResolutions || []), ...matched]))
+}
+
+function adapt(dataset, derived) {
+    if (derived.size === 0 || !EXTENDED.every(method => typeof dataset[method] === 'function')) {
+        return dataset
+    }
+    return new DerivedResolutionsDataset(dataset, derived)
+}
+
+/**
+ * A dataset with sizes added to its ladder, each read through the stored size
+ * it maps to. Fragment resolutions, and the whole genome, are the source's.
+ */
+class DerivedResolutionsDataset extends DatasetAdapter {
+
+    #derived
+
+    /**
+     * @param {Dataset} source - initialized
+     * @param {Map<number, number>} derived - each added size, to the stored size it is read through
+     */
+    constructor(source, derived) {
+        super(source)
+        this.#derived = derived
+        this.bpResolutions = [...source.bpResolutions, ...derived.keys()].sort((a, b) => b - a)
+
+        // Keyed by chromosome pair: a matrix's zoom data are looked up by index
+        // on every paint, so a pair is merged once.
+        this.matrices = new Map()
+    }
+
+    get derivedResolutions() {
+        return this.#derived
+    }
+
+    async getMatrix(chr1, chr2) {
+        const matrix = await this.source.getMatrix(chr1, chr2)
+        if (!matrix || this.isWholeGenome(chr1) || this.isWholeGenome(chr2)) {
+            return matrix
+        }
+        const key = `${chr1}_${chr2}`
+        if (!this.matrices.has(key) || this.matrices.get(key).source !== matrix) {
+            this.matrices.set(key, {source: matrix, merged: withDerivedZoomData(matrix, this.bpResolutions, this.#derived)})
+        }
+        return this.matrices.get(key).merged
+    }
+
+    async getContactRecords(normalization, region1, region2, units, binSize) {
+        if ('FRAG' === units || !this.#derived.has(binSize)) {
+            return this.source.getContactRecords(normalization, region1, region2, units, binSize)
+        }
+        const source = this.#derived.get(binSize)
+        const records = await this.source.getContactRecords(normalization, region1, region2, units, source)
+        return resampleRecords(records, source, binSize)
+    }
+
+    // A derived size is summed here, from the records of the stored one.
+    contactRecordsRequest(normalization, region1, region2, units, binSize) {
+        return 'FRAG' === units || !this.#derived.has(binSize) ?
+            super.contactRecordsRequest(normalization, region1, region2, units, binSize) :
+            undefined
+    }
+
+    async hasNormalizationVector(type, chr, unit, binSize) {
+        return this.source.hasNormalizationVector(type, chr, unit,
+            'FRAG' !== unit && this.#derived.has(binSize) ? this.#derived.get(binSize) : binSize)
+    }
+
+    async getExpectedValues(normalization, unit, binSize) {
+        if ('FRAG' === unit || !this.#derived.has(binSize)) {
+            return this.source.getExpectedValues(normalization, unit, binSize)
+        }
+        const source = this.#derived.get(binSize)
+        const expected = await this.source.getExpectedValues(normalization, unit, source)
+        return expected && {...expected, values: resampleExpected(expected.values, source, binSize)}
+    }
+}
+
+/**
+ * A matrix answering for every resolution of the ladder: its own zoom data for
+ * the stored sizes, and for a derived size the stored one's with the bin size
+ * and average count scaled.
+ */
+function withDerivedZoomData(matrix, resolutions, derived) {
+
+    const bpZoomData = resolutions.map(binSize => {
+        if (!derived.has(binSize)) {
+            return matrix.getZoomData(binSize, 'BP')
+        }
+        const source = matrix.getZoomData(derived.get(binSize), 'BP')
+        const factor = binSize / source.zoom.binSize
+        return {
+            chr1: source.chr1,
+            chr2: source.chr2,
+            zoom: {...source.zoom, binSize},
+            averageCount: source.averageCount * factor * factor,
+            derivedFrom: source.zoom.binSize
+        }
+    })
+
+    const zoomData = unit => 'FRAG' === unit ? matrix.fragZoomData : bpZoomData
+
+    return {
+        chr1: matrix.chr1,
+        chr2: matrix.chr2,
+        bpZoomData,
+        fragZoomData: matrix.fragZoomData,
+        getZoomDataByIndex: (index, unit) => zoomData(unit)[index],
+        getZoomData: (binSize, unit) => zoomData(unit).find(zd => zd.zoom.binSize === binSize),
+        findZoomForResolution: (binSize, unit) => {
+            const zdArray = zoomData(unit)
+            for (let i = 1; i < zdArray.length; i++) {
+                if (zdArray[i].zoom.binSize < binSize) return i - 1
+            }
+            return zdArray.length - 1
+        }
+    }
+}
+
+/**
+ * Records at another bin size: each stored bin's count spread over the bins it
+ * overlaps, in proportion to the area they share. At a multiple of the stored
+ * size that is a sum, exact. A cell landing below the diagonal is folded onto
+ * its mirror, so an upper triangle stays one.
+ */
+function resampleRecords(records, source, binSize) {
+
+    const cells = new Map()
+    const add = (bin1, bin2, counts) => {
+        if (bin1 > bin2) [bin1, bin2] = [bin2, bin1]
+        const key = `${bin1}_${bin2}`
+        const cell = cells.get(key)
+        if (cell) {
+            cell.counts += counts
+        } else {
+            cells.set(key, new ContactRecord(bin1, bin2, counts))
+        }
+    }
+
+    for (const {bin1, bin2, counts} of records) {
+        if (!Number.isFinite(counts)) continue
+        const rows = overlaps(bin1, source, binSize)
+        const columns = overlaps(bin2, source, binSize)
+        for (const [row, rowFraction] of rows) {
+            for (const [column, columnFraction] of columns) {
+                add(row, column, counts * rowFraction * columnFraction)
+            }
+        }
+    }
+    return [...cells.values()]
+}
+
+/**
+ * The bins of size `binSize` a stored bin overlaps, each with the fraction of
+ * the stored bin it covers.
+ */
+function overlaps(bin, source, binSize) {
+    const start = bin * source
+    const end = start + source
+    const result = []
+    for (let i = Math.floor(start / binSize); i * binSize < end; i++) {
+        const overlap = Math.min(end, (i + 1) * binSize) - Math.max(start, i * binSize)
+        result.push([i, overlap / source])
+    }
+    return result
+}
+
+/**
+ * Expected values at another bin size. At a multiple of the stored size they
+ * are summed exactly; otherwise the stored curve is read, interpolated, at the
+ * same distance in base pairs and scaled by the ratio of cell areas.
+ */
+function resampleExpected(values, source, binSize) {
+
+    const factor = binSize / source
+    if (Number.isInteger(factor)) {
+        return sumExpected(values, factor)
+    }
+
+    const n = Math.ceil(values.length / factor)
+    const resampled = new Float64Array(n)
+    for (let d = 0; d < n; d++) {
+        const at = Math.min(d * factor, values.length - 1)
+        const i = Math.floor(at)
+        const next = Math.min(i + 1, values.length - 1)
+        resampled[d] = factor * factor * (values[i] + (at - i) * (values[next] - values[i]))
+    }
+    return resampled
+}
+
+/**
+ * Expected values at a size `factor` times coarser. A coarser bin pair at
+ * diagonal distance d > 0 covers factor^2 finer pairs, factor - |k| of them at
+ * each distance factor*d + k for |k| < factor. On the diagonal only the upper
+ * triangle is stored, so the finer distances 0 to factor - 1 are covered
+ * factor, factor - 1, ... 1 times.
+ */
+function sumExpected(values, factor) {
+
+    const n = Math.ceil(values.length / factor)
+    const at = distance => distance < values.length ? values[distance] : 0
+    const summed = new Float64Array(n)
+
+    for (let d = 0; d < n; d++) {
+        let sum = 0
+        for (let k = 1 - factor; k < factor; k++) {
+            const distance = factor * d + k
+            if (distance < 0 || (0 === d && k < 0)) continue
+            sum += (factor - Math.abs(k)) * at(distance)
+        }
+        summed[d] = sum
+    }
+    return summed
+}
+
+export {deriveResolutions, matchResolutions, DerivedResolutionsDataset, DERIVABLE_RESOLUTIONS}
@@ -0,0 +1,108 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// Children per node. Sixteen keeps the tree shallow -- five levels hold a
+// million features -- and a node's scan short.
+const NODE_SIZE = 16
+
+/**
+ * A static 2D interval index: rectangles, each carrying an item, packed into an
+ * R-tree by sort-tile-recursive bulk loading. Answers which rectangles intersect
+ * a query rectangle, visiting only the nodes that do.
+ *
+ * Built once from its entries and not updated; a Track2D drops and rebuilds the
+ * index of a chromosome pair when a feature on it is edited.
+ */
+class FeatureIndex {
+
+    /**
+     * @param {Array<{xStart: number, xEnd: number, yStart: number, yEnd: number, item: *}>} entries
+     */
+    constructor(entries) {
+        let nodes = entries.map(entry => ({...entry}))
+        while (nodes.length > NODE_SIZE) {
+            nodes = pack(nodes)
+        }
+        this.root = parent(nodes)
+        this.size = entries.length
+    }
+
+    /**
+     * The items whose rectangles intersect a rectangle, edges included.
+     *
+     * @returns {Array<*>}
+     */
+    query(xStart, xEnd, yStart, yEnd) {
+        const found = []
+        const stack = [this.root]
+        while (stack.length > 0) {
+            const node = stack.pop()
+            for (const child of node.children) {
+                if (child.xEnd < xStart || child.xStart > xEnd || child.yEnd < yStart || child.yStart > yEnd) {
+                    continue
+                }
+                if (child.children) {
+                    stack.push(child)
+                } else {
+                    found.push(child.item)
+                }
+            }
+        }
+        return found
+    }
+}
+
+// One level up: the nodes sorted into vertical slices by x, each slice sorted
+// by y and cut into runs of NODE_SIZE.
+function pack(nodes) {
+
+    const centerX = node => node.xStart + node.xEnd
+    const centerY = node => node.yStart + node.yEnd
+
+    const parentCount = Math.ceil(nodes.length / NODE_SIZE)
+    const sliceSize = Math.ceil(Math.sqrt(parentCount)) * NODE_SIZE
+
+    nodes.sort((a, b) => centerX(a) - centerX(b))
+
+    const parents = []
+    for (let i = 0; i < nodes.length; i += sliceSize) {
+        const slice = nodes.slice(i, i + sliceSize).sort((a, b) => centerY(a) - centerY(b))
+        for (let j = 0; j < slice.length; j += NODE_SIZE) {
+            parents.push(parent(slice.slice(j, j + NODE_SIZE)))
+        }
+    }
+    return parents
+}
+
+function parent(children) {
+    const node = {children, xStart: Infinity, xEnd: -Infinity, yStart: Infinity, yEnd: -Infinity}
+    for (const child of children) {
+        node.xStart = Math.min(node.xStart, child.xStart)
+        node.xEnd = Math.max(node.xEnd, child.xEnd)
+        node.yStart = Math.min(node.yStart, child.yStart)
+        node.yEnd = Math.max(node.yEnd, child.yEnd)
+    }
+    return node
+}
+
+export default FeatureIndex
@@ -0,0 +1,157 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+import {StringUtils} from 'igv-utils'
+import {featureOutlines, hitTest} from './track2DEditor.js'
+
+/**
+ * The popup describing a 2D feature on the contact map: its loci and every
+ * column its file gave it. Hovering over a feature's outline shows it while
+ * the pointer stays there; clicking a feature, anywhere inside, pins it until
+ * it is closed or another click lands elsewhere.
+ */
+class FeaturePopup {
+
+    constructor(browser, viewportElement) {
+        this.browser = browser
+        this.viewportElement = viewportElement
+        this.pinned = false
+
+        this.popupElement = document.createElement('div')
+        this.popupElement.className = 'hic-feature-popup'
+        this.popupElement.style.display = 'none'
+        browser.rootElement.appendChild(this.popupElement)
+    }
+
+    hover(x, y) {
+        if (this.pinned) {
+            return
+        }
+        const hit = featureAt(this.outlines(), x, y, {edgesOnly: true})
+        hit ? this.present(hit, x, y) : this.hide()
+    }
+
+    click(x, y) {
+        const hit = featureAt(this.outlines(), x, y)
+        if (hit) {
+            this.present(hit, x, y)
+            this.pinned = true
+        } else {
+            this.hide()
+        }
+    }
+
+    hide() {
+        this.pinned = false
+        this.shown = undefined
+        this.popupElement.style.display = 'none'
+    }
+
+    present({track2D, feature}, x, y) {
+
+        if (feature !== this.shown) {
+            this.shown = feature
+            this.popupElement.innerHTML = ''
+
+            const header = document.createElement('div')
+            header.className = 'hic-feature-popup-header'
+            const title = document.createElement('div')
+            title.textContent = track2D.name || ''
+            header.appendChild(title)
+            const closeIcon = document.createElement('i')
+            closeIcon.className = 'fa fa-times'
+            closeIcon.addEventListener('click', () => this.hide())
+            header.appendChild(closeIcon)
+            this.popupElement.appendChild(header)
+
+            const table = document.createElement('table')
+            for (const [label, value] of featureRows(feature)) {
+                const row = table.insertRow()
+                row.insertCell().textContent = label
+                row.insertCell().textContent = value
+            }
+            this.popupElement.appendChild(table)
+        }
+
+        // Placed by the pointer, in the coordinates of the browser's root element.
+        const root = this.browser.rootElement.getBoundingClientRect()
+        const viewport = this.viewportElement.getBoundingClientRect()
+        this.popupElement.style.left = `${viewport.left - root.left + x + 12}px`
+        this.popupElement.style.top = `${viewport.top - root.top + y + 12}px`
+        this.popupElement.style.display = 'block'
+    }
+
+    /**
+     * The outlines of every visible 2D track's features in view, the last
+     * drawn last, as render2DTracks draws them.
+     */
+    outlines() {
+        const {dataset, state, tracks2D} = this.browser
+        if (!dataset || !state) {
+            return []
+        }
+        const binSize = this.browser.resolution()
+        const viewDimensions = {width: this.viewportElement.offsetWidth, height: this.viewportElement.offsetHeight}
+        return tracks2D
+            .filter(track2D => false !== track2D.isVisible)
+            .flatMap(track2D => featureOutlines(track2D, dataset, state, binSize, viewDimensions).map(outline => ({...outline, track2D})))
+    }
+}
+
+/**
+ * The feature under a point: the smallest outline holding it, so a loop inside
+ * a domain can be reached. With `edgesOnly`, only an outline whose edge is
+ * under the point -- a large domain does not answer for its whole inside.
+ */
+function featureAt(outlines, x, y, {edgesOnly = false} = {}) {
+    let found
+    let foundArea = Infinity
+    for (const outline of outlines) {
+        const hit = hitTest([outline], x, y)
+        if (!hit || (edgesOnly && 'inside' === hit.edge)) {
+            continue
+        }
+        const area = (outline.right - outline.left) * (outline.bottom - outline.top)
+        if (area < foundArea) {
+            found = outline
+            foundArea = area
+        }
+    }
+    return found
+}
+
+/**
+ * A feature's label-value rows: its two loci, then each of its file's columns
+ * beyond the coordinates, in file order.
+ */
+function featureRows({chr1, x1, x2, chr2, y1, y2, attributes = {}}) {
+    const locus = (chr, start, end) => `${chr}:${StringUtils.numberFormatter(start + 1)}-${StringUtils.numberFormatter(end)}`
+    return [
+        ['Locus 1', locus(chr1, x1, x2)],
+        ['Locus 2', locus(chr2, y1, y2)],
+        ...Object.entries(attributes)
+    ]
+}
+
+export {featureAt, featureRows}
+export default FeaturePopup
@@ -0,0 +1,562 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * Figure export: the view a browser shows, redrawn off-screen at a size and
+ * resolution of the caller's choosing rather than screenshotted. See CONTEXT.md
+ * for "figure".
+ *
+ * A figure is the contact map with its rulers, 1D tracks on both axes, 2D
+ * features and a color legend, laid out as the browser lays them out. It shows
+ * the locus on screen; `width` sets how wide the map is drawn, in CSS pixels,
+ * and `dpi` how many raster pixels each of those gets -- 96 is one for one.
+ * Neither is capped by the viewport.
+ *
+ * As a PNG everything is raster, and the file records its dpi. As an SVG the
+ * heatmap is embedded as an image at that dpi and everything else -- ticks,
+ * labels, track features, 2D feature outlines, the legend -- is vectors.
+ *
+ *   const blob = await browser.exportFigure({format: 'svg', width: 600, dpi: 300})
+ */
+
+import SVGContext from './svgContext.js'
+import SignedColorScale from './signedColorScale.js'
+import {drawTile} from './contactMatrixView.js'
+import {findSpacing, formatNumber} from './ruler.js'
+import {presentError} from './utils.js'
+
+const FIGURE_FORMATS = ['png', 'svg']
+
+// CSS pixels to the inch, and so the dpi at which a figure is drawn one raster
+// pixel per CSS pixel.
+const CSS_DPI = 96
+
+const DEFAULT_FIGURE_DPI = 300
+
+// Browsers refuse to allocate a canvas much past this on a side.
+const MAX_RASTER_EDGE = 16384
+
+const MARGIN = 8
+const AXIS_SIZE = 40
+const TICK_SIZE = 6
+const LEGEND_GAP = 12
+const LEGEND_WIDTH = 240
+const LEGEND_BAR_HEIGHT = 12
+const LEGEND_LABEL_HEIGHT = 14
+const LEGEND_STEPS = 64
+
+const FONT = '10px sans-serif'
+const TITLE_FONT = 'bold 11px sans-serif'
+const INK = 'rgb(64, 64, 64)'
+
+/**
+ * Render a browser's view as a figure.
+ *
+ * @param browser a browser with a map loaded
+ * @param {'png'|'svg'} format
+ * @param {number} width of the contact map, in CSS pixels. Defaults to the
+ *        viewport's; the height follows from the viewport's aspect ratio.
+ * @param {number} dpi raster pixels per inch, where a CSS pixel is 1/96 inch
+ * @returns {Promise<Blob>} image/png or image/svg+xml
+ * @throws {Error} for an unknown format, a browser with no map, or a raster
+ *         larger than a canvas can hold
+ */
+async function exportFigure(browser, {format = 'png', width, dpi = DEFAULT_FIGURE_DPI} = {}) {
+
+    if (!FIGURE_FORMATS.includes(format)) {
+        throw new Error(`Unknown figure format "${format}": expected one of ${FIGURE_FORMATS.join(', ')}`)
+    }
+
+    const {dataset, state, contactMatrixView} = browser
+    if (!dataset || !state) {
+        throw new Error('There is no contact map to export')
+    }
+
+    const viewport = contactMatrixView.getViewDimensions()
+    const mapWidth = width || viewport.width
+    const mapHeight = Math.round(mapWidth * viewport.height / viewport.width)
+
+    // Every length in the view scales by this much: bins, features and track
+    // extents alike.
+    const scale = mapWidth / viewport.width
+    const pixelRatio = dpi / CSS_DPI
+
+    const trackPairs = browser.trackPairs
+    const layout = figureLayout({mapWidth, mapHeight, trackHeights: trackPairs.map(pair => pair.x.canvasElement.height)})
+
+    const rasterWidth = Math.ceil(layout.width * pixelRatio)
+    const rasterHeight = Math.ceil(layout.height * pixelRatio)
+    if (Math.max(rasterWidth, rasterHeight) > MAX_RASTER_EDGE) {
+        throw new Error(`A ${rasterWidth} x ${rasterHeight} pixel figure is larger than a canvas can hold ` +
+            `(${MAX_RASTER_EDGE} a side): lower the width or the dpi`)
+    }
+
+    const heatmap = await renderHeatmap(browser, viewport, {
+        width: Math.round(mapWidth * pixelRatio),
+        height: Math.round(mapHeight * pixelRatio)
+    })
+
+    let canvas
+    let ctx
+    if ('svg' === format) {
+        ctx = new SVGContext({width: layout.width, height: layout.height, measureContext: createCanvas(1, 1).getContext('2d')})
+    } else {
+        canvas = createCanvas(rasterWidth, rasterHeight)
+        ctx = canvas.getContext('2d')
+        ctx.scale(pixelRatio, pixelRatio)
+    }
+
+    ctx.fillStyle = 'rgb(255, 255, 255)'
+    ctx.fillRect(0, 0, layout.width, layout.height)
+
+    const {map} = layout
+    ctx.save()
+    ctx.imageSmoothingEnabled = false
+    ctx.drawImage(heatmap, map.x, map.y, map.width, map.height)
+    ctx.restore()
+
+    const figureState = {
+        chr1: state.chr1,
+        chr2: state.chr2,
+        x: state.x,
+        y: state.y,
+        zoom: state.zoom,
+        pixelSize: state.pixelSize * scale,
+        normalization: state.normalization,
+        unit: state.unit
+    }
+
+    ctx.save()
+    ctx.translate(map.x, map.y)
+    clipTo(ctx, 0, 0, map.width, map.height)
+    await contactMatrixView.render2DTracks(browser.tracks2D, dataset, figureState, {ctx, width: map.width, height: map.height, awaitFeatures: true})
+    ctx.restore()
+
+    // The whole-genome view rules off chromosomes rather than positions.
+    const chromosomes = dataset.isWholeGenome(state.chr1) ?
+        dataset.chromosomes.filter(chr => 'all' !== chr.name.toLowerCase()) :
+        undefined
+
+    for (const axis of ['x', 'y']) {
+
+        const genomicState = browser.genomicState(axis)
+        const bpp = genomicState.bpp / scale
+        const length = 'x' === axis ? map.width : map.height
+        const figureGenomicState = {...genomicState, axis, bpp, endBP: genomicState.startBP + bpp * length}
+
+        drawRuler(ctx, layout[`${axis}Ruler`], figureGenomicState, chromosomes)
+
+        for (const [index, trackPair] of trackPairs.entries()) {
+            await drawTrack(ctx, layout[`${axis}Tracks`][index], trackPair, figureGenomicState)
+        }
+    }
+
+    drawLegend(ctx, layout.legend, contactMatrixView.getColorScale(), contactMatrixView.backgroundRGBString)
+
+    if ('svg' === format) {
+        return new Blob([ctx.getSerializedSvg()], {type: 'image/svg+xml'})
+    }
+
+    const png = await new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The figure could not be encoded as a PNG')), 'image/png')
+    })
+    return new Blob([withResolution(new Uint8Array(await png.arrayBuffer()), dpi)], {type: 'image/png'})
+}
+
+/**
+ * Export a figure and hand it to the user as a download -- the menu's entry
+ * point. A failure is reported in the embed's alert dialog.
+ */
+async function downloadFigure(browser, format) {
+
+    try {
+        const blob = await exportFigure(browser, {format})
+        const {chromosomes} = browser.dataset
+        const {chr1, chr2} = browser.state
+
+        const anchor = document.createElement('a')
+        anchor.href = URL.createObjectURL(blob)
+        anchor.download = `juicebox_${chromosomes[chr1].name}_${chromosomes[chr2].name}.${format}`
+        anchor.click()
+        URL.revokeObjectURL(anchor.href)
+    } catch (error) {
+        console.error(error)
+        presentError(browser.registry, 'Error exporting figure', error)
+    }
+}
+
+/**
+ * Where everything goes, in CSS pixels. The map's neighbours are stacked
+ * outward from it as the browser stacks them: the ruler against the map, then
+ * the tracks, the first track pair outermost. The legend sits under the map.
+ *
+ * @param {number} mapWidth
+ * @param {number} mapHeight
+ * @param {number[]} trackHeights one per track pair, in track pair order
+ * @returns {{width, height, map, xRuler, yRuler, xTracks, yTracks, legend}}
+ *          the figure's size, and a rectangle {x, y, width, height} for each
+ *          part -- one per track pair in `xTracks` and `yTracks`
+ */
+function figureLayout({mapWidth, mapHeight, trackHeights = []}) {
+
+    const tracksSize = trackHeights.reduce((sum, height) => sum + height, 0)
+    const left = MARGIN + tracksSize + AXIS_SIZE
+    const top = MARGIN + tracksSize + AXIS_SIZE
+
+    const xTracks = []
+    const yTracks = []
+    let offset = MARGIN
+    for (const height of trackHeights) {
+        xTracks.push({x: left, y: offset, width: mapWidth, height})
+        yTracks.push({x: offset, y: top, width: height, height: mapHeight})
+        offset += height
+    }
+
+    const legend = {
+        x: left,
+        y: top + mapHeight + LEGEND_GAP,
+        width: Math.min(mapWidth, LEGEND_WIDTH),
+        height: LEGEND_BAR_HEIGHT
+    }
+
+    return {
+        width: left + mapWidth + MARGIN,
+        height: legend.y + LEGEND_BAR_HEIGHT + LEGEND_LABEL_HEIGHT + MARGIN,
+        map: {x: left, y: top, width: mapWidth, height: mapHeight},
+        xRuler: {x: left, y: top - AXIS_SIZE, width: mapWidth, height: AXIS_SIZE},
+        yRuler: {x: left - AXIS_SIZE, y: top, width: AXIS_SIZE, height: mapHeight},
+        xTracks,
+        yTracks,
+        legend
+    }
+}
+
+/**
+ * The heatmap as a raster `width` by `height`, drawn from the same tiles as
+ * the view on screen and placed at the figure's scale.
+ *
+ * The tiles are asked for with the screen's state and viewport, which names
+ * the same grid of them -- so a figure of the view just painted costs no
+ * fetch -- and without placeholders: a figure is painted once.
+ */
+async function renderHeatmap(browser, viewport, {width, height}) {
+
+    const {dataset, controlDataset, state, contactMatrixView} = browser
+
+    const canvas = createCanvas(width, height)
+    const ctx = canvas.getContext('2d')
+    ctx.imageSmoothingEnabled = false
+    ctx.fillStyle = contactMatrixView.backgroundRGBString
+    ctx.fillRect(0, 0, width, height)
+
+    const snapshot = {
+        chr1: state.chr1,
+        chr2: state.chr2,
+        x: state.x,
+        y: state.y,
+        zoom: state.zoom,
+        pixelSize: state.pixelSize,
+        normalization: state.normalization,
+        unit: state.unit
+    }
+
+    const tiles = contactMatrixView.imageTileSource.tilesFor({
+        dataset,
+        controlDataset,
+        state: snapshot,
+        displayMode: contactMatrixView.displayMode,
+        viewDimensions: viewport,
+        settled: true
+    })
+
+    const placement = {x: state.x, y: state.y, pixelSize: state.pixelSize * width / viewport.width}
+    for await (const tile of tiles) {
+        if (tile.image) {
+            drawTile(ctx, tile, placement, {width, height}, contactMatrixView.backgroundRGBString)
+        }
+    }
+
+    return canvas
+}
+
+/**
+ * A ruler beside the map: ticks and positions along the axis, and the
+ * chromosome's name outermost. Given the genome's `chromosomes`, their extents
+ * in place of ticks.
+ *
+ * Drawn in axis terms -- a distance along the axis and a distance away from
+ * the map -- so one routine serves both sides; the y ruler's text reads bottom
+ * to top.
+ */
+function drawRuler(ctx, rect, {axis, chromosome, startBP, bpp}, chromosomes) {
+
+    const length = 'x' === axis ? rect.width : rect.height
+
+    // A point `along` the axis and `away` from the map's edge.
+    const at = (along, away) => 'x' === axis ?
+        [rect.x + along, rect.y + rect.height - away] :
+        [rect.x + rect.width - away, rect.y + along]
+
+    const line = (along0, away0, along1, away1) => {
+        ctx.beginPath()
+        ctx.moveTo(...at(along0, away0))
+        ctx.lineTo(...at(along1, away1))
+        ctx.stroke()
+    }
+
+    const label = (text, along, away, font = FONT) => {
+        const [x, y] = at(along, away)
+        ctx.save()
+        ctx.font = font
+        ctx.translate(x, y)
+        if ('y' === axis) {
+            ctx.rotate(-Math.PI / 2)
+        }
+        ctx.fillText(text, 0, 0)
+        ctx.restore()
+    }
+
+    ctx.save()
+    ctx.strokeStyle = INK
+    ctx.fillStyle = INK
+    ctx.lineWidth = 1
+    ctx.font = FONT
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'bottom'
+
+    line(0, 0, length, 0)
+
+    if (chromosomes) {
+
+        const extent = chromosomes.reduce((sum, chr) => sum + chr.size, 0)
+        let start = 0
+        for (const chr of chromosomes) {
+            const a = start / extent * length
+            const b = (start + chr.size) / extent * length
+            line(a, 0, a, TICK_SIZE)
+            if (ctx.measureText(chr.name).width < b - a) {
+                label(chr.name, (a + b) / 2, TICK_SIZE + 2)
+            }
+            start += chr.size
+        }
+        line(length, 0, length, TICK_SIZE)
+
+    } else {
+
+        const {majorTick, majorUnit, unitMultiplier} = findSpacing(Math.floor(Math.max(length, 1) * bpp))
+        let labelEnd = -Infinity
+        for (let tick = Math.floor(startBP / majorTick); ; tick++) {
+            const bp = tick * majorTick
+            const pixel = Math.round((bp - 1 - startBP + 0.5) / bpp)
+            if (pixel > length || bp > chromosome.size) break
+            if (pixel < 0) continue
+
+            line(pixel, 0, pixel, TICK_SIZE)
+
+            // A label only where it clears the last one drawn.
+            const text = `${formatNumber(bp / unitMultiplier, 0)} ${majorUnit}`.trim()
+            const half = ctx.measureText(text).width / 2
+            if (pixel - half > labelEnd + 4) {
+                label(text, pixel, TICK_SIZE + 2)
+                labelEnd = pixel + half
+            }
+        }
+    }
+
+    label(chromosome.name, length / 2, AXIS_SIZE - 4, TITLE_FONT)
+
+    ctx.restore()
+}
+
+/**
+ * One track of a pair, fetched for the figure's extent and drawn into its
+ * strip. The y track is the x track turned on its side, as the browser shows
+ * it.
+ */
+async function drawTrack(ctx, rect, trackPair, genomicState) {
+
+    const {axis, chromosome, startBP, endBP, bpp} = genomicState
+    const length = 'x' === axis ? rect.width : rect.height
+    const thickness = 'x' === axis ? rect.height : rect.width
+
+    const features = await trackPair.track.getFeatures(chromosome.name, startBP, endBP, bpp)
+
+    ctx.save()
+    ctx.translate(rect.x, rect.y)
+    if ('y' === axis) {
+        ctx.transform(0, 1, 1, 0, 0, 0)
+    }
+    clipTo(ctx, 0, 0, length, thickness)
+    trackPair.drawFeatures(ctx, genomicState, features, {bpStart: startBP, bpEnd: endBP, pixelWidth: length, pixelHeight: thickness})
+    ctx.restore()
+}
+
+/**
+ * The color scale as a bar: zero to the threshold for a single-sided scale,
+ * and for a signed one the threshold below neutral to the threshold above it.
+ * Painted over the map's background color, as the tiles are.
+ */
+function drawLegend(ctx, rect, colorScale, backgroundRGBString) {
+
+    const {x, y, width, height} = rect
+    const step = width / LEGEND_STEPS
+
+    ctx.save()
+    ctx.fillStyle = backgroundRGBString
+    ctx.fillRect(x, y, width, height)
+
+    for (let i = 0; i < LEGEND_STEPS; i++) {
+        const {red, green, blue, alpha} = legendColor(colorScale, (i + 0.5) / LEGEND_STEPS)
+        ctx.fillStyle = `rgba(${red}, ${green}, ${blue}, ${alpha / 255})`
+        // A hair wider than the step, so no seam shows between neighbours.
+        ctx.fillRect(x + i * step, y, i < LEGEND_STEPS - 1 ? step + 0.5 : step, height)
+    }
+
+    ctx.strokeStyle = INK
+    ctx.lineWidth = 1
+    ctx.strokeRect(x, y, width, height)
+
+    ctx.fillStyle = INK
+    ctx.font = FONT
+    ctx.textBaseline = 'top'
+    const labels = legendLabels(colorScale)
+    const positions = 2 === labels.length ? [0, 1] : [0, 0.5, 1]
+    const alignments = 2 === labels.length ? ['left', 'right'] : ['left', 'center', 'right']
+    labels.forEach((text, i) => {
+        ctx.textAlign = alignments[i]
+        ctx.fillText(text, x + positions[i] * width, y + height + 2)
+    })
+
+    ctx.restore()
+}
+
+/**
+ * The color a fraction `t` of the way along a legend bar.
+ */
+function legendColor(colorScale, t) {
+
+    if (colorScale instanceof SignedColorScale) {
+        // Each side's threshold is already on the signed axis.
+        const signed = 2 * t - 1
+        const side = signed < 0 ? colorScale.negativeScale : colorScale.positiveScale
+        return side.getColor(Math.abs(signed) * side.getThreshold())
+    }
+
+    return colorScale.getColor(t * colorScale.getThreshold())
+}
+
+/**
+ * The values at the ends of a legend bar, and for a signed scale at its
+ * neutral middle. A signed scale whose transform takes 1 to 0 reads ratios
+ * (AOB, BOA, OE), so its ends are 1/threshold and threshold; the others read
+ * signed scores, from -threshold to threshold.
+ *
+ * @returns {string[]}
+ */
+function legendLabels(colorScale) {
+
+    const threshold = colorScale.getThreshold()
+
+    if (colorScale instanceof SignedColorScale) {
+        return 0 === colorScale.transform(1) ?
+            [legendValue(1 / threshold), '1', legendValue(threshold)] :
+            [legendValue(-threshold), '0', legendValue(threshold)]
+    }
+
+    return ['0', legendValue(threshold)]
+}
+
+function legendValue(value) {
+    return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(3)))
+}
+
+/**
+ * A PNG that says what resolution it was drawn at, in a pHYs chunk after the
+ * header -- so a layout program places it at its printed size rather than at
+ * 72 or 96 dpi. A canvas writes none of its own.
+ *
+ * @param {Uint8Array} png the bytes of a PNG without a pHYs chunk
+ * @param {number} dpi
+ * @returns {Uint8Array}
+ */
+function withResolution(png, dpi) {
+
+    const pixelsPerMeter = Math.round(dpi / 0.0254)
+
+    // Length, type, x and y pixels per unit, unit (1 = meter), CRC.
+    const chunk = new Uint8Array(4 + 4 + 9 + 4)
+    const view = new DataView(chunk.buffer)
+    view.setUint32(0, 9)
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4)
+    view.setUint32(8, pixelsPerMeter)
+    view.setUint32(12, pixelsPerMeter)
+    chunk[16] = 1
+    view.setUint32(17, crc32(chunk.subarray(4, 17)))
+
+    // The signature is 8 bytes and IHDR, always first, 25.
+    const headerEnd = 8 + 25
+    const result = new Uint8Array(png.length + chunk.length)
+    result.set(png.subarray(0, headerEnd), 0)
+    result.set(chunk, headerEnd)
+    result.set(png.subarray(headerEnd), headerEnd + chunk.length)
+    return result
+}
+
+let crcTable
+
+function crc32(bytes) {
+
+    if (!crcTable) {
+        crcTable = new Uint32Array(256)
+        for (let n = 0; n < 256; n++) {
+            let c = n
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+            }
+            crcTable[n] = c >>> 0
+        }
+    }
+
+    let crc = 0xffffffff
+    for (const byte of bytes) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+    }
+    return (crc ^ 0xffffffff) >>> 0
+}
+
+function clipTo(ctx, x, y, width, height) {
+    ctx.beginPath()
+    ctx.rect(x, y, width, height)
+    ctx.clip()
+}
+
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    return canvas
+}
+
+export {figureLayout, legendColor, legendLabels, withResolution, downloadFigure, DEFAULT_FIGURE_DPI}
+
+export default exportFigure
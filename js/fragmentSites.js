@@ -0,0 +1,194 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * The restriction sites of a .hic file, which place its fragment (FRAG)
+ * resolutions on the genome: a FRAG map's bin coordinates count fragments,
+ * and only the sites say where in base pairs each fragment lies.
+ *
+ * Juicer writes the sites in the header, after the fragment resolutions: for
+ * each chromosome but "All", a count and then that many site positions.
+ * hic-straw skips them, so they are read here, once, the first time a
+ * fragment resolution is browsed.
+ *
+ * Fragment f of a chromosome spans [sites[f - 1], sites[f]), the first one
+ * starting at 0. Positions between the two conventions convert linearly
+ * within a fragment, so a fractional fragment -- a view's edge, a pixel --
+ * has a base pair position and back.
+ *
+ *   const sites = await FragmentSites.read(hicFile)
+ *   sites.count('chr1')          // fragments on chr1
+ *   sites.toBP('chr1', 10.5)     // midway through the eleventh fragment
+ *   sites.toFragment('chr1', 5000)
+ */
+class FragmentSites {
+
+    /**
+     * @param {Map<string, Int32Array>} sites - each chromosome's site positions, ascending
+     */
+    constructor(sites) {
+        this.sites = sites
+    }
+
+    has(chrName) {
+        return this.sites.has(chrName)
+    }
+
+    count(chrName) {
+        return this.#sitesOf(chrName).length
+    }
+
+    /**
+     * The base pair position of a fragment coordinate, clamped to the chromosome.
+     * @param {string} chrName
+     * @param {number} fragment - fractional fragment index
+     * @returns {number}
+     */
+    toBP(chrName, fragment) {
+        const sites = this.#sitesOf(chrName)
+        if (fragment <= 0 || sites.length === 0) return 0
+        if (fragment >= sites.length) return sites[sites.length - 1]
+
+        const f = Math.floor(fragment)
+        const start = f > 0 ? sites[f - 1] : 0
+        return start + (fragment - f) * (sites[f] - start)
+    }
+
+    /**
+     * The fragment coordinate of a base pair position, clamped to the chromosome.
+     * @param {string} chrName
+     * @param {number} bp
+     * @returns {number} fractional fragment index
+     */
+    toFragment(chrName, bp) {
+        const sites = this.#sitesOf(chrName)
+        if (bp <= 0 || sites.length === 0) return 0
+        if (bp >= sites[sites.length - 1]) return sites.length
+
+        // The first fragment ending past bp.
+        let lo = 0
+        let hi = sites.length - 1
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1
+            if (sites[mid] > bp) {
+                hi = mid
+            } else {
+                lo = mid + 1
+            }
+        }
+
+        const start = lo > 0 ? sites[lo - 1] : 0
+        return lo + (bp - start) / (sites[lo] - start)
+    }
+
+    #sitesOf(chrName) {
+        const sites = this.sites.get(chrName)
+        if (!sites) {
+            throw new Error(`No restriction sites for chromosome ${chrName}`)
+        }
+        return sites
+    }
+
+    /**
+     * Read the sites from the header of an initialized hic-straw HicFile.
+     * @param {Object} hicFile
+     * @returns {Promise<FragmentSites>}
+     */
+    static async read(hicFile) {
+
+        // The header runs from the end of the 16 byte preamble to the body.
+        const bodyPosition = Object.values(hicFile.masterIndex)
+            .reduce((min, {start}) => Math.min(min, start), Number.MAX_VALUE)
+        const data = await hicFile.file.read(16, bodyPosition - 16)
+        const parser = new HeaderParser(new DataView(data))
+
+        parser.string()                                     // genome id
+        if (hicFile.version >= 9) {
+            parser.skip(16)                                 // normalization vector index position and size
+        }
+        for (let n = parser.int(); n > 0; n--) {           // attributes
+            parser.string()
+            parser.string()
+        }
+        const names = []
+        for (let n = parser.int(); n > 0; n--) {
+            names.push(parser.string())
+            parser.skip(hicFile.version < 9 ? 4 : 8)       // size
+        }
+        parser.skip(4 * parser.int())                       // bp resolutions
+
+        const nFragResolutions = parser.int()
+        parser.skip(4 * nFragResolutions)                   // fragment resolutions
+
+        const sites = new Map()
+        if (nFragResolutions > 0) {
+            for (const name of names) {
+                if ('all' === name.toLowerCase()) continue
+                const count = parser.int()
+                sites.set(name, parser.ints(count))
+            }
+        }
+
+        return new FragmentSites(sites)
+    }
+}
+
+/**
+ * Little-endian reads through a header, as hic-straw's BinaryParser makes them.
+ */
+class HeaderParser {
+
+    constructor(view) {
+        this.view = view
+        this.offset = 0
+    }
+
+    skip(n) {
+        this.offset += n
+    }
+
+    int() {
+        const value = this.view.getInt32(this.offset, true)
+        this.offset += 4
+        return value
+    }
+
+    ints(n) {
+        const values = new Int32Array(n)
+        for (let i = 0; i < n; i++) {
+            values[i] = this.view.getInt32(this.offset + 4 * i, true)
+        }
+        this.offset += 4 * n
+        return values
+    }
+
+    string() {
+        let end = this.offset
+        while (this.view.getUint8(end) !== 0) end++
+        const value = new TextDecoder().decode(new Uint8Array(this.view.buffer, this.view.byteOffset + this.offset, end - this.offset))
+        this.offset = end + 1
+        return value
+    }
+}
+
+export default FragmentSites
@@ -0,0 +1,348 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * Range reads from a one-dimensional HDF5 dataset, for the arrays too large to
+ * read whole -- a cooler's pixel table runs to hundreds of millions of rows.
+ *
+ * hdf5-indexed-reader reads a dataset in one piece: every chunk, decompressed
+ * into one array. This walks the dataset's chunk B-tree instead and fetches
+ * only the chunks a range overlaps, decoding them with the filters h5py writes
+ * (deflate, shuffle, fletcher32). The reader offers no chunk-level API, so the
+ * chunk layout and the file handle are read off its private data object, in
+ * one place (`chunkInternals`) that checks each member and fails by name where
+ * a reader other than the one it was written against lacks them. A dataset
+ * stored any other way than chunked is read whole and sliced.
+ *
+ *   const bin1 = await readSlice(file.get('/resolutions/1000/pixels/bin1_id'), 1200, 1350)
+ */
+
+const DEFLATE = 1
+const SHUFFLE = 2
+const FLETCHER32 = 3
+
+// Decoded chunks kept per dataset. Neighbouring tiles overlap in the rows they
+// read, and the chunks of a pixel table are a few hundred kB apiece.
+const CHUNK_CACHE_SIZE = 32
+
+// By dataset: its chunk layout, filters and item decoder, and its decoded chunks.
+const layouts = new WeakMap()
+
+/**
+ * Items [start, end) of a one-dimensional dataset, as numbers.
+ *
+ * @param dataset an hdf5-indexed-reader Dataset of a numeric type
+ * @param {number} start
+ * @param {number} end
+ * @returns {Promise<number[]>}
+ */
+async function readSlice(dataset, start, end) {
+
+    if (end <= start) {
+        return []
+    }
+
+    const layout = await layoutOf(dataset)
+    if (!layout.chunked) {
+        const values = await dataset.value
+        return Array.from(values.slice(start, end), Number)
+    }
+
+    const {chunkLength} = layout
+    const out = new Array(end - start)
+    out.fill(layout.fill)
+
+    for (const chunk of await chunksIn(layout, start, end)) {
+        const items = await decodedChunk(layout, chunk)
+        const from = Math.max(start, chunk.offset)
+        const to = Math.min(end, chunk.offset + chunkLength)
+        for (let i = from; i < to; i++) {
+            out[i - start] = items[i - chunk.offset]
+        }
+    }
+
+    return out
+}
+
+async function layoutOf(dataset) {
+
+    if (!layouts.has(dataset)) {
+        layouts.set(dataset, readLayout(dataset))
+    }
+    return layouts.get(dataset)
+}
+
+async function readLayout(dataset) {
+
+    const internals = await chunkInternals(dataset)
+
+    const shape = await dataset.shape
+    if (shape.length !== 1) {
+        throw new Error(`${dataset.name} is ${shape.length}-dimensional: only one-dimensional datasets can be sliced`)
+    }
+
+    if (!internals.chunked) {
+        return {chunked: false}
+    }
+
+    const dtype = await dataset.dtype
+    const pipeline = await internals.filterPipeline()
+
+    return {
+        chunked: true,
+        name: dataset.name,
+        fh: internals.fh,
+        address: internals.address,
+        // The chunk B-tree keys carry one offset more than the rank: the
+        // element's own, always zero.
+        dims: internals.dims,
+        chunkLength: internals.chunkShape[0],
+        length: shape[0],
+        decode: itemDecoder(dtype, dataset.name),
+        filters: (pipeline || []).map(filter => filter.get('filter_id')),
+        // Where no chunk was ever written.
+        fill: 0,
+        cache: new Map()
+    }
+}
+
+// The version of hdf5-indexed-reader whose private members `chunkInternals`
+// reads, and the one package.json pins.
+const READER_VERSION = '1.0.1'
+
+/**
+ * The one place hdf5-indexed-reader's private members are read: a dataset's
+ * data object, its chunk parameters and file handle. Each is checked for the
+ * shape it had in {@link READER_VERSION}, so a reader that has moved on fails
+ * here, naming the member, rather than misreading a chunk further in.
+ *
+ * @returns {Promise<{chunked: false}|{chunked: true, fh, address, dims: number,
+ *          chunkShape: number[], filterPipeline: function(): Promise<Map[]>}>}
+ */
+async function chunkInternals(dataset) {
+
+    const unsupported = member => new Error(`${dataset.name} cannot be read by range: hdf5-indexed-reader ` +
+        `has no ${member} as juicebox reads it, which was written against version ${READER_VERSION}`)
+
+    const objects = dataset._dataobjects
+    if ('function' !== typeof objects?._get_chunk_params) {
+        throw unsupported('_dataobjects._get_chunk_params()')
+    }
+    await objects._get_chunk_params()
+
+    if (!objects._chunks) {
+        return {chunked: false}
+    }
+
+    const {fh, _chunk_address: address, _chunk_dims: dims, _chunks: chunkShape} = objects
+    if ('function' !== typeof fh?.slice) {
+        throw unsupported('_dataobjects.fh.slice()')
+    }
+    if (!['number', 'bigint'].includes(typeof address)) {
+        throw unsupported('_dataobjects._chunk_address')
+    }
+    if (!Number.isInteger(dims)) {
+        throw unsupported('_dataobjects._chunk_dims')
+    }
+    if (!Number.isInteger(chunkShape[0])) {
+        throw unsupported('_dataobjects._chunks')
+    }
+    if ('function' !== typeof objects.get_filter_pipeline) {
+        throw unsupported('_dataobjects.get_filter_pipeline()')
+    }
+
+    return {chunked: true, fh, address: Number(address), dims, chunkShape, filterPipeline: () => objects.get_filter_pipeline()}
+}
+
+/**
+ * The chunks overlapping [start, end), from the B-tree: {offset, address, size,
+ * filterMask} each, `offset` in items.
+ */
+async function chunksIn(layout, start, end) {
+
+    const chunks = []
+
+    const visit = async (address) => {
+
+        const node = await readNode(layout, address)
+        for (let i = 0; i < node.entries.length; i++) {
+            const entry = node.entries[i]
+            // A child covers up to the next key, or to the chunk's end at a leaf.
+            const last = node.level > 0 ?
+                (i + 1 < node.entries.length ? node.entries[i + 1].offset : Infinity) :
+                entry.offset + layout.chunkLength
+            if (last <= start || entry.offset >= end) {
+                continue
+            }
+            if (node.level > 0) {
+                await visit(entry.child)
+            } else {
+                chunks.push({offset: entry.offset, address: entry.child, size: entry.size, filterMask: entry.filterMask})
+            }
+        }
+    }
+
+    await visit(layout.address)
+    return chunks
+}
+
+// A version 1 B-tree node of raw data chunks: "TREE", type, level, entries
+// used, two sibling addresses; then key, child, key, child ... key.
+async function readNode({fh, dims, name}, address) {
+
+    const keySize = 8 + 8 * dims
+    const header = new DataView(await fh.slice(address, address + 24))
+    const signature = String.fromCharCode(header.getUint8(0), header.getUint8(1), header.getUint8(2), header.getUint8(3))
+    if ('TREE' !== signature || 1 !== header.getUint8(4)) {
+        throw new Error(`${name}: no chunk index at ${address}`)
+    }
+
+    const level = header.getUint8(5)
+    const count = header.getUint16(6, true)
+
+    const start = address + 24
+    const view = new DataView(await fh.slice(start, start + count * (keySize + 8) + keySize))
+
+    const entries = []
+    for (let i = 0, p = 0; i < count; i++, p += keySize + 8) {
+        entries.push({
+            size: view.getUint32(p, true),
+            filterMask: view.getUint32(p + 4, true),
+            offset: Number(view.getBigUint64(p + 8, true)),
+            child: Number(view.getBigUint64(p + keySize, true))
+        })
+    }
+
+    return {level, entries}
+}
+
+async function decodedChunk(layout, {address, size, filterMask}) {
+
+    const {cache} = layout
+    if (cache.has(address)) {
+        const items = cache.get(address)
+        cache.delete(address)
+        cache.set(address, items)
+        return items
+    }
+
+    const items = readChunk(layout, address, size, filterMask)
+    cache.set(address, items)
+    if (cache.size > CHUNK_CACHE_SIZE) {
+        cache.delete(cache.keys().next().value)
+    }
+
+    try {
+        return await items
+    } catch (error) {
+        cache.delete(address)
+        throw error
+    }
+}
+
+async function readChunk({fh, filters, decode, chunkLength, name}, address, size, filterMask) {
+
+    let bytes = new Uint8Array(await fh.slice(address, address + size))
+
+    // Filters were applied first to last on writing, so are undone last to first.
+    for (let i = filters.length - 1; i >= 0; i--) {
+        if (filterMask & (1 << i)) {
+            continue
+        }
+        switch (filters[i]) {
+            case DEFLATE:
+                bytes = await inflate(bytes)
+                break
+            case SHUFFLE:
+                bytes = unshuffle(bytes, decode.size)
+                break
+            case FLETCHER32:
+                bytes = bytes.subarray(0, bytes.length - 4)
+                break
+            default:
+                throw new Error(`${name} is compressed with HDF5 filter ${filters[i]}, which cannot be read here`)
+        }
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    const count = Math.min(chunkLength, Math.floor(bytes.byteLength / decode.size))
+    const items = new Array(count)
+    for (let i = 0; i < count; i++) {
+        items[i] = decode(view, i * decode.size)
+    }
+    return items
+}
+
+// HDF5's deflate filter writes zlib streams, which is the Compression Streams
+// API's "deflate".
+async function inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'))
+    return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+// The shuffle filter stores the first byte of every item, then the second, and
+// so on; a remainder short of a whole item is left as it was.
+function unshuffle(bytes, itemSize) {
+
+    if (itemSize <= 1) {
+        return bytes
+    }
+
+    const count = Math.floor(bytes.length / itemSize)
+    const out = new Uint8Array(bytes.length)
+    for (let b = 0; b < itemSize; b++) {
+        for (let i = 0; i < count; i++) {
+            out[i * itemSize + b] = bytes[b * count + i]
+        }
+    }
+    out.set(bytes.subarray(count * itemSize), count * itemSize)
+    return out
+}
+
+// A reader for one item of a numeric dtype ('<i4', '>f8', ...), with its size.
+function itemDecoder(dtype, name) {
+
+    const match = 'string' === typeof dtype && /^([<>|=]?)([iuf])(\d+)$/.exec(dtype)
+    if (!match) {
+        throw new Error(`${name} holds ${JSON.stringify(dtype)}: only numeric datasets can be sliced`)
+    }
+
+    const littleEndian = '>' !== match[1]
+    const size = Number.parseInt(match[3])
+    const getter = {
+        i1: 'getInt8', i2: 'getInt16', i4: 'getInt32', i8: 'getBigInt64',
+        u1: 'getUint8', u2: 'getUint16', u4: 'getUint32', u8: 'getBigUint64',
+        f4: 'getFloat32', f8: 'getFloat64'
+    }[match[2] + size]
+    if (!getter) {
+        throw new Error(`${name} holds ${dtype}, which cannot be read here`)
+    }
+
+    const decode = 8 === size && 'f' !== match[2] ?
+        (view, offset) => Number(view[getter](offset, littleEndian)) :
+        (view, offset) => view[getter](offset, littleEndian)
+    decode.size = size
+    return decode
+}
+
+export default readSlice
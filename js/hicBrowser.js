@@ -40,6 +40,9 @@ import DataLoader from "./dataLoader.js"
 import {normalizeTrackConfigs} from "./normalizeSession.js"
 import {unmappedUrl} from "./urlMapper.js"
 import {isSynchable} from "./syncGroup.js"
+import exportFigure, {downloadFigure} from "./figureExport.js"
+import exportMatrix, {downloadMatrix} from "./matrixExport.js"
+import {datasetMetadata} from "./datasetMetadata.js"
 
 const DEFAULT_PIXEL_SIZE = 1
 const MAX_PIXEL_SIZE = 128
@@ -218,6 +221,9 @@ class HICBrowser {
                     url: config.controlUrl,
                     name: config.controlName,
                     nvi: config.controlNvi,
+                    datasetType: config.controlDatasetType,
+                    combine: config.controlCombine,
+                    scaleByTotal: config.controlScaleByTotal,
                     isControl: true
                 }, true);
             }
@@ -300,6 +306,17 @@ class HICBrowser {
             </div>
             <div class="hic-annotation-presentation-button-container">
                 <button type="button">2D Annotations</button>
+                <button type="button" data-edit="2d">Edit 2D Annotations</button>
+            </div>
+            <div class="hic-export-container" data-export="figure">
+                <div>Figure</div>
+                <button type="button" data-format="png">Save PNG</button>
+                <button type="button" data-format="svg">Save SVG</button>
+            </div>
+            <div class="hic-export-container" data-export="matrix">
+                <div>Values</div>
+                <button type="button" data-format="sparse">Save sparse TSV</button>
+                <button type="button" data-format="dense">Save dense TSV</button>
             </div>
         </div>`;
 
@@ -312,6 +329,14 @@ class HICBrowser {
         const closeButton = menuElement.querySelector(".fa-times");
         closeButton.addEventListener('click', () => this.toggleMenu());
 
+        for (const button of menuElement.querySelectorAll('[data-export="figure"] button')) {
+            button.addEventListener('click', () => downloadFigure(this, button.dataset.format));
+        }
+
+        for (const button of menuElement.querySelectorAll('[data-export="matrix"] button')) {
+            button.addEventListener('click', () => downloadMatrix(this, button.dataset.format));
+        }
+
         return menuElement;
     }
 
@@ -370,16 +395,17 @@ class HICBrowser {
 
     /**
      * Return usable resolutions, that is the union of resolutions between dataset and controlDataset.
+     * @param {string} [unit] - "BP" or "FRAG"; the view's by default
      * @returns {{index: *, binSize: *}[]|Array}
      */
-    getResolutions() {
+    getResolutions(unit = this.state?.unit) {
         if (!this.dataset) return []
 
-        const baseResolutions = this.dataset.bpResolutions.map(function (resolution, index) {
+        const baseResolutions = this.dataset.getResolutions(unit).map(function (resolution, index) {
             return {index: index, binSize: resolution}
         })
         if (this.controlDataset) {
-            let controlResolutions = new Set(this.controlDataset.bpResolutions)
+            let controlResolutions = new Set(this.controlDataset.getResolutions(unit))
             return baseResolutions.filter(base => controlResolutions.has(base.binSize))
         } else {
             return baseResolutions
@@ -415,11 +441,14 @@ class HICBrowser {
         if (yGuide.left !== undefined) this.layoutController.yTrackGuideElement.style.left = yGuide.left;
 
         if (this.customCrosshairsHandler) {
-            const { x: stateX, y: stateY, pixelSize } = this.state;
+            const { chr1, chr2, x: stateX, y: stateY, pixelSize, unit } = this.state;
             const resolution = this.resolution();
 
-            const xBP = (stateX + (x / pixelSize)) * resolution;
-            const yBP = (stateY + (y / pixelSize)) * resolution;
+            const toBP = (chrIndex, bin) => 'FRAG' === unit ?
+                this.dataset.toBP(chrIndex, bin * resolution, unit) :
+                bin * resolution;
+            const xBP = toBP(chr1, stateX + (x / pixelSize));
+            const yBP = toBP(chr2, stateY + (y / pixelSize));
 
             const { startBP: startXBP, endBP: endXBP } = this.genomicState('x');
             const { startBP: startYBP, endBP: endYBP } = this.genomicState('y');
@@ -460,6 +489,23 @@ class HICBrowser {
 
     genomicState(axis) {
 
+        // A view in fragments is not linear in base pairs. Its tracks are drawn
+        // against the base pairs its ends span, through the restriction sites.
+        if ('FRAG' === this.state.unit) {
+            const { chr1, chr2, x, y, zoom, pixelSize } = this.state
+            const { width, height } = this.contactMatrixView.getViewDimensions()
+            const [chrIndex, origin, length] = axis === "x" ? [chr1, x, width] : [chr2, y, height]
+            const fragmentsPerBin = this.dataset.fragResolutions[zoom]
+            const startBP = this.dataset.toBP(chrIndex, origin * fragmentsPerBin, 'FRAG')
+            const endBP = this.dataset.toBP(chrIndex, (origin + length / pixelSize) * fragmentsPerBin, 'FRAG')
+            return {
+                bpp: (endBP - startBP) / length,
+                chromosome: this.dataset.chromosomes[chrIndex],
+                startBP,
+                endBP
+            }
+        }
+
         let width = this.contactMatrixView.getViewDimensions().width
         let resolution = this.dataset.bpResolutions[this.state.zoom]
         const bpp =
@@ -889,11 +935,12 @@ class HICBrowser {
 
     /**
      * Set the current zoom state and opctionally center over supplied coordinates.
-     * @param zoom - index to the datasets resolution array (dataset.bpResolutions)
+     * @param zoom - index to the datasets resolution array of the unit
+     * @param [unit] - "BP" or "FRAG"; the view's current unit by default
      * @returns {Promise<void>}
      */
-    async setZoom(zoom) {
-        return this.interactions.setZoom(zoom);
+    async setZoom(zoom, unit) {
+        return this.interactions.setZoom(zoom, unit);
     }
 
     async setChromosomes(xLocus, yLocus) {
@@ -1092,9 +1139,59 @@ class HICBrowser {
     }
 
     resolution() {
-        return this.dataset.bpResolutions[this.state.zoom]
+        return this.dataset.getResolutions(this.state.unit)[this.state.zoom]
     };
 
+    /**
+     * Render the current view as a figure: the contact map with its rulers,
+     * tracks, 2D features and a color legend, drawn off-screen.
+     *
+     * NOTE: public API function
+     *
+     * @param {Object} options
+     * @param {'png'|'svg'} options.format - defaults to 'png'
+     * @param {number} options.width - the map's width in CSS pixels, defaulting to the viewport's
+     * @param {number} options.dpi - raster pixels per inch, defaulting to 300
+     * @returns {Promise<Blob>}
+     */
+    async exportFigure(options) {
+        this.#assertNotDisposed('exportFigure');
+        return exportFigure(this, options);
+    }
+
+    /**
+     * The contact values of the current view as TSV: sparse, one contact a
+     * line, or dense, a grid with bin headers. Comparison display modes add
+     * the control map's values and the ratio or difference.
+     *
+     * NOTE: public API function
+     *
+     * @param {Object} options
+     * @param {'sparse'|'dense'} options.format - defaults to 'sparse'
+     * @returns {Promise<string>}
+     */
+    async exportMatrix(options) {
+        this.#assertNotDisposed('exportMatrix');
+        return exportMatrix(this, options);
+    }
+
+    /**
+     * What the map, and the control map if one is loaded, say about themselves:
+     * header attributes, resolutions with the normalizations available at each,
+     * and the Juicer QC statistics and graphs a .hic file carries. See
+     * js/datasetMetadata.js.
+     *
+     * NOTE: public API function
+     *
+     * @returns {Promise<{dataset: Object|undefined, controlDataset: Object|undefined}>}
+     */
+    async getMetadata() {
+        this.#assertNotDisposed('getMetadata');
+        const [dataset, controlDataset] = await Promise.all([this.dataset, this.controlDataset]
+            .map(ds => ds ? datasetMetadata(ds) : undefined));
+        return {dataset, controlDataset};
+    }
+
     /**
      * Serialize this browser as a session entry, or `null` when it has no map.
      *
@@ -1115,14 +1212,24 @@ class HICBrowser {
         if (this.dataset.name) {
             jsonOBJ.name = this.dataset.name
         }
+        if (recordsDatasetType(this.dataset)) {
+            jsonOBJ.datasetType = this.dataset.datasetType
+        }
+        Object.assign(jsonOBJ, this.dataset.sessionOptions?.())
 
         jsonOBJ.state = this.state.toJSON()
+        // `zoom` indexes a ladder that derived resolutions lengthen; a restore
+        // finds the resolution by its bin size instead (State.restoreZoom).
+        const binSize = this.dataset.getResolutions(this.state.unit)[this.state.zoom]
+        if (undefined !== binSize) {
+            jsonOBJ.state.binSize = binSize
+        }
 
         jsonOBJ.colorScale = this.contactMatrixView.getColorScale().stringify()
         if (this.registry.selectedGene) {
             jsonOBJ.selectedGene = this.registry.selectedGene
         }
-        let nviString = this.dataset.hicFile.config.nvi
+        let nviString = this.dataset.hicFile?.config.nvi
         if (nviString) {
             jsonOBJ.nvi = nviString
         }
@@ -1131,11 +1238,17 @@ class HICBrowser {
             if (this.controlDataset.name) {
                 jsonOBJ.controlName = this.controlDataset.name
             }
+            if (recordsDatasetType(this.controlDataset)) {
+                jsonOBJ.controlDatasetType = this.controlDataset.datasetType
+            }
+            for (const [key, value] of Object.entries(this.controlDataset.sessionOptions?.() || {})) {
+                jsonOBJ[`control${key[0].toUpperCase()}${key.substring(1)}`] = value
+            }
             const displayMode = this.getDisplayMode()
             if (displayMode) {
                 jsonOBJ.displayMode = this.getDisplayMode()
             }
-            nviString = this.controlDataset.hicFile.config.nvi
+            nviString = this.controlDataset.hicFile?.config.nvi
             if (nviString) {
                 jsonOBJ.controlNvi = nviString
             }
@@ -1143,6 +1256,9 @@ class HICBrowser {
             if (controlMapWidget.getDisplayModeCycle() !== undefined) {
                 jsonOBJ.cycle = true
             }
+        } else if (this.contactMatrixView.displayMode && 'A' !== this.contactMatrixView.displayMode) {
+            // O/E or Pearson, the modes a single map has besides A.
+            jsonOBJ.displayMode = this.contactMatrixView.displayMode
         }
 
         if (this.trackPairs.length > 0 || this.tracks2D.length > 0) {
@@ -1184,7 +1300,8 @@ class HICBrowser {
 
             }
             for (const track2D of this.tracks2D) {
-                if (typeof track2D.config.url === "string") {
+                // An editable track has no url: it is carried inline.
+                if (typeof track2D.config.url === "string" || track2D.editable) {
                     tracks.push(track2D.toJSON())
                 }
             }
@@ -1193,7 +1310,7 @@ class HICBrowser {
         return jsonOBJ
     }
 
-    async minZoom(chr1, chr2) {
+    async minZoom(chr1, chr2, unit = this.state?.unit ?? "BP") {
 
         if (!this.dataset) {
             throw new Error("Dataset not available for minZoom calculation");
@@ -1207,16 +1324,18 @@ class HICBrowser {
         }
 
         const { width, height } = this.contactMatrixView.getViewDimensions()
-        const binSize = Math.max(chromosome1.size / width, chromosome2.size / height)
+        const binSize = Math.max(
+            this.dataset.getChromosomeLength(chr1, unit) / width,
+            this.dataset.getChromosomeLength(chr2, unit) / height)
 
         const matrix = await this.dataset.getMatrix(chr1, chr2)
         if (!matrix) {
             throw new Error(`Data not avaiable for chromosomes ${chromosome1.name} - ${chromosome2.name}`)
         }
-        return matrix.findZoomForResolution(binSize)
+        return matrix.findZoomForResolution(binSize, unit)
     }
 
-    async minPixelSize(chr1, chr2, zoomIndex) {
+    async minPixelSize(chr1, chr2, zoomIndex, unit = this.state?.unit ?? "BP") {
 
         if (!this.dataset) {
             // If dataset not yet set, return default minimum
@@ -1229,8 +1348,8 @@ class HICBrowser {
             return DEFAULT_PIXEL_SIZE;
         }
 
-        const chr1Length = this.dataset.chromosomes[chr1].size
-        const chr2Length = this.dataset.chromosomes[chr2].size
+        const chr1Length = this.dataset.getChromosomeLength(chr1, unit)
+        const chr2Length = this.dataset.getChromosomeLength(chr2, unit)
 
         const matrix = await this.dataset.getMatrix(chr1, chr2)
         if (!matrix) {
@@ -1238,13 +1357,14 @@ class HICBrowser {
             return DEFAULT_PIXEL_SIZE;
         }
 
-        const zoomData = matrix.getZoomDataByIndex(zoomIndex, "BP");
+        const zoomData = matrix.getZoomDataByIndex(zoomIndex, unit);
         if (!zoomData || !zoomData.zoom) {
             // Fallback: try to get zoom data for index 0, or use dataset resolution
-            const fallbackZoomData = matrix.getZoomDataByIndex(0, "BP");
+            const fallbackZoomData = matrix.getZoomDataByIndex(0, unit);
             if (!fallbackZoomData || !fallbackZoomData.zoom) {
                 // Last resort: use dataset resolution directly
-                const binSize = this.dataset.bpResolutions[zoomIndex] || this.dataset.bpResolutions[0] || 1000;
+                const resolutions = this.dataset.getResolutions(unit);
+                const binSize = resolutions[zoomIndex] || resolutions[0] || 1000;
                 const nBins1 = chr1Length / binSize;
                 const nBins2 = chr2Length / binSize;
                 const { width, height } = this.contactMatrixView.getViewDimensions();
@@ -1271,6 +1391,16 @@ class HICBrowser {
     }
 }
 
+/**
+ * Whether a session should say which dataset type a map was loaded as, so a
+ * restore picks the same one (see js/datasetRegistry.js). A .hic file is what a
+ * map config without one loads as, so sessions of .hic files read as they
+ * always have; 'unknown' names no registered type to pick.
+ */
+function recordsDatasetType(dataset) {
+    return Boolean(dataset.datasetType) && !['hic', 'unknown'].includes(dataset.datasetType)
+}
+
 export { MAX_PIXEL_SIZE, DEFAULT_PIXEL_SIZE, DisposedBrowserError }
 export default HICBrowser
 
@@ -30,6 +30,8 @@ import { defaultRatioColorScaleConfig } from './ratioColorScale.js';
 import SignedColorScale from './signedColorScale.js';
 import ContactMatrixView from "./contactMatrixView.js";
 import {parseRgbString} from "./utils.js"
+import {colormapNames} from "./colormaps.js"
+import {transferNames} from "./colorTransfer.js"
 
 class ColorScaleWidget {
 
@@ -47,21 +49,33 @@ class ColorScaleWidget {
         this.container.appendChild(this.mapBackgroundColorpickerButton);
         this.backgroundColorpicker = createColorPicker(browser, this.mapBackgroundColorpickerButton);
 
+        // Each side's colormap picker sits beside its swatch. Choosing a color
+        // from the swatch returns that side to a single color, so the swatch's
+        // picker resets the select.
+        this.minusColormapSelect = colormapSelect(browser, '-');
+        this.plusColormapSelect = colormapSelect(browser, '+');
+
         const { r: nr, g: ng, b: nb } = defaultRatioColorScaleConfig.negative;
         this.minusButton = colorSwatch(IGVColor.rgbColor(nr, ng, nb));
+        this.container.appendChild(this.minusColormapSelect);
         this.container.appendChild(this.minusButton);
-        this.minusColorPicker = createColorPicker(browser, this.minusButton, '-');
+        this.minusColorPicker = createColorPicker(browser, this.minusButton, '-', this.minusColormapSelect);
         this.minusButton.style.display = 'none';
+        this.minusColormapSelect.style.display = 'none';
 
         const { r, g, b } = defaultRatioColorScaleConfig.positive;
         this.plusButton = colorSwatch(IGVColor.rgbColor(r, g, b));
+        this.container.appendChild(this.plusColormapSelect);
         this.container.appendChild(this.plusButton);
-        this.plusColorPicker = createColorPicker(browser, this.plusButton, '+');
+        this.plusColorPicker = createColorPicker(browser, this.plusButton, '+', this.plusColormapSelect);
 
         this.minusButton.addEventListener('click', () => presentColorPicker(this.minusColorPicker, this.plusColorPicker, this.backgroundColorpicker));
         this.plusButton.addEventListener('click', () => presentColorPicker(this.plusColorPicker, this.minusColorPicker, this.backgroundColorpicker));
         this.mapBackgroundColorpickerButton.addEventListener('click', () => presentColorPicker(this.backgroundColorpicker, this.minusColorPicker, this.plusColorPicker));
 
+        this.transferSelect = transferSelect(browser);
+        this.container.appendChild(this.transferSelect);
+
         this.highColorscaleInput = document.createElement('input');
         this.highColorscaleInput.type = 'text';
         this.highColorscaleInput.title = 'color scale input';
@@ -99,7 +113,10 @@ class ColorScaleWidget {
      * swatches.
      *
      * A signed scale -- the ratios, and the A-B difference -- reveals the minus
-     * swatch, since both halves of it are in play. Both a color scale change
+     * swatch and colormap picker, since both halves of it are in play. A side
+     * painting with a gradient shows it in its picker, and its last stop in its
+     * swatch. The transfer picker shows the scale's transfer function. Both a
+     * color scale change
      * and a display mode change come through here; a display mode change is
      * simply a different scale becoming the one on screen.
      *
@@ -120,7 +137,80 @@ class ColorScaleWidget {
             this.minusButton.style.display = 'none';
             paintSwatch(this.plusButton, colorScale);
         }
+
+        if (this.minusColormapSelect && this.plusColormapSelect) {
+            const signed = colorScale instanceof SignedColorScale;
+            this.minusColormapSelect.style.display = signed ? 'block' : 'none';
+            showOption(this.minusColormapSelect, (signed && colorScale.getGradient('-')) || '', 'custom');
+            showOption(this.plusColormapSelect, colorScale.getGradient('+') || '', 'custom');
+        }
+
+        if (this.transferSelect) {
+            showOption(this.transferSelect, colorScale.getTransfer());
+        }
+    }
+}
+
+/**
+ * A select offering the named colormaps, and a single color as the first
+ * option. `type` is the side of a signed scale it drives, as for the swatch
+ * color pickers; a single-sided scale ignores it.
+ */
+function colormapSelect(browser, type) {
+    const select = document.createElement('select');
+    select.title = 'colormap';
+    for (const name of ['', ...colormapNames]) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.text = name || 'single color';
+        select.appendChild(option);
+    }
+    select.addEventListener('change', () => {
+        const colorScale = browser.getColorScale();
+        if (select.value) {
+            colorScale.setGradient(select.value, type);
+        } else {
+            colorScale.setColorComponents(colorScale.getColorComponents(type), type);
+        }
+        browser.repaintMatrix();
+    });
+    return select;
+}
+
+/**
+ * A select offering the transfer functions. A new transfer changes what the
+ * automatic threshold should be, so the computed thresholds go with the
+ * rasters.
+ */
+function transferSelect(browser) {
+    const select = document.createElement('select');
+    select.title = 'color scale transfer function';
+    for (const name of transferNames) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.text = name;
+        select.appendChild(option);
+    }
+    select.addEventListener('change', () => {
+        browser.getColorScale().setTransfer(select.value);
+        browser.contactMatrixView.clearImageCaches({ thresholds: true });
+        browser.contactMatrixView.update();
+    });
+    return select;
+}
+
+/**
+ * Select a value in a picker. Hex stops or a gamma read from a session are none
+ * of the picker's named options, so they get an option of their own.
+ */
+function showOption(select, value, text = value) {
+    if (!Array.from(select.options).some(option => option.value === value)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.text = text;
+        select.appendChild(option);
     }
+    select.value = value;
 }
 
 function paintSwatch(swatch, { r, g, b }) {
@@ -133,7 +223,7 @@ function updateThreshold(browser, scaleFactor) {
     return StringUtils.numberFormatter(colorScale.getThreshold());
 }
 
-function createColorPicker(browser, parent, type) {
+function createColorPicker(browser, parent, type, colormapSelect) {
     let defaultColors, colorHandler;
     if (!type) {
         const { r, g, b } = ContactMatrixView.defaultBackgroundColor;
@@ -152,6 +242,7 @@ function createColorPicker(browser, parent, type) {
             const rgbString = IGVColor.hexToRgb(hex)
             const [r, g, b] = parseRgbString(rgbString)
             browser.getColorScale().setColorComponents({ r, g, b }, type);
+            colormapSelect.value = '';
             browser.repaintMatrix();
             browser.coordinator.onForegroundColorChange({ r, g, b });
         };
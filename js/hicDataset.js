@@ -26,199 +26,13 @@
  * @author Jim Robinson
  */
 
+import Dataset, {matchGenome} from "./dataset.js"
+import FragmentSites from "./fragmentSites.js"
 import {isFile} from "./fileUtils.js"
 import {getUrlMapper} from "./urlMapper.js"
+import ExpectedValueReader from "./hicExpectedValues.js"
 import Straw from 'hic-straw'
 
-const knownGenomes = {
-
-    "hg19": [249250621, 243199373, 198022430],
-    "hg38": [248956422, 242193529, 198295559],
-    "mm10": [195471971, 182113224, 160039680],
-    "mm9": [197195432, 181748087, 159599783],
-    "dm6": [23513712, 25286936, 28110227]
-
-}
-
-/**
- * Abstract base class for all dataset types (Hi-C files, live maps, etc.)
- * Defines the common interface that all dataset implementations must provide.
- */
-class Dataset {
-
-    constructor(config) {
-        this.name = config.name;
-
-        // Where 'unknown' comes from: a subclass that names no type. It is a
-        // published value hosts must handle rather than a bug to throw on --
-        // see CONTEXT.md under "Dataset", and #471.
-        this.datasetType = config.datasetType || 'unknown';
-    }
-
-    /**
-     * Initialize the dataset. Must be called after construction.
-     * @abstract
-     */
-    async init() {
-        throw new Error("Dataset.init() must be implemented by subclass");
-    }
-
-    /**
-     * Get contact records for a given region pair
-     * @param {string} normalization - Normalization type
-     * @param {Object} region1 - {chr, start, end}
-     * @param {Object} region2 - {chr, start, end}
-     * @param {string} units - "BP" or "FRAG"
-     * @param {number} binsize - Bin size in base pairs
-     * @returns {Promise<Array>} Array of contact records
-     * @abstract
-     */
-    async getContactRecords(normalization, region1, region2, units, binsize) {
-        throw new Error("Dataset.getContactRecords() must be implemented by subclass");
-    }
-
-    /**
-     * Get matrix for chromosome pair
-     * @param {number} chr1 - Chromosome index 1
-     * @param {number} chr2 - Chromosome index 2
-     * @returns {Promise<Object>} Matrix object
-     * @abstract
-     */
-    async getMatrix(chr1, chr2) {
-        throw new Error("Dataset.getMatrix() must be implemented by subclass");
-    }
-
-    /**
-     * Check if normalization vector is available
-     * @param {string} type - Normalization type
-     * @param {string} chr - Chromosome name
-     * @param {string} unit - "BP" or "FRAG"
-     * @param {number} binSize - Bin size
-     * @returns {Promise<boolean>}
-     * @abstract
-     */
-    async hasNormalizationVector(type, chr, unit, binSize) {
-        throw new Error("Dataset.hasNormalizationVector() must be implemented by subclass");
-    }
-
-    /**
-     * Get zoom index for a given bin size
-     * @param {number} binSize - Bin size in base pairs
-     * @param {string} unit - "BP" or "FRAG"
-     * @returns {number} Zoom index or -1 if not found
-     */
-    getZoomIndexForBinSize(binSize, unit) {
-        var i,
-            resolutionArray;
-
-        unit = unit || "BP";
-
-        if (unit === "BP") {
-            resolutionArray = this.bpResolutions;
-        } else if (unit === "FRAG") {
-            resolutionArray = this.fragResolutions;
-        } else {
-            throw new Error("Invalid unit: " + unit);
-        }
-
-        for (i = 0; i < resolutionArray.length; i++) {
-            if (resolutionArray[i] === binSize) return i;
-        }
-
-        return -1;
-    }
-
-    /**
-     * Get bin size for a given zoom index
-     * @param {number} zoomIndex - Zoom index
-     * @param {string} unit - "BP" or "FRAG"
-     * @returns {number} Bin size in base pairs
-     */
-    getBinSizeForZoomIndex(zoomIndex, unit) {
-        var i,
-            resolutionArray;
-
-        unit = unit || "BP";
-
-        if (unit === "BP") {
-            resolutionArray = this.bpResolutions;
-        } else if (unit === "FRAG") {
-            resolutionArray = this.fragResolutions;
-        } else {
-            throw new Error("Invalid unit: " + unit);
-        }
-
-        return resolutionArray[zoomIndex];
-    }
-
-    /**
-     * Get chromosome index from name
-     * @param {string} chrName - Chromosome name
-     * @returns {number|undefined} Chromosome index
-     */
-    getChrIndexFromName(chrName) {
-        var i;
-        for (i = 0; i < this.chromosomes.length; i++) {
-            if (chrName === this.chromosomes[i].name) return i;
-        }
-        return undefined;
-    }
-
-    /**
-     * Compare chromosomes with another dataset
-     * @param {Dataset} otherDataset - Other dataset to compare
-     * @returns {boolean} True if chromosomes match
-     */
-    compareChromosomes(otherDataset) {
-        const chrs = this.chromosomes;
-        const otherChrs = otherDataset.chromosomes;
-        if (chrs.length !== otherChrs.length) {
-            return false;
-        }
-        for (let i = 0; i < chrs.length; i++) {
-            if (chrs[i].size !== otherChrs[i].size) {
-                return false;
-            }
-        }
-        return true;
-    }
-
-    /**
-     * Check if chromosome index represents whole genome
-     * @param {number} chrIndex - Chromosome index
-     * @returns {boolean}
-     */
-    isWholeGenome(chrIndex) {
-        return (this.wholeGenomeChromosome != null && this.wholeGenomeChromosome.index === chrIndex);
-    }
-
-    /**
-     * Clear any internal caches
-     */
-    clearCaches() {
-        // Default implementation - subclasses can override
-    }
-
-    /**
-     * Compare 2 datasets for compatibility.  Compatibility is defined as from the same assembly, even if
-     * different IDs are used (e.g. GRCh38 vs hg38).
-     *
-     * Trust the ID for well-known assemblies (hg19, etc).  However, for others compare chromosome lengths
-     * as its been observed that uniqueness of ID is not guaranteed.
-     *
-     * @param {Dataset} d2 - Other dataset to compare
-     * @returns {boolean} True if compatible
-     */
-    isCompatible(d2) {
-        const id1 = this.genomeId;
-        const id2 = d2.genomeId;
-        return ((id1 === "hg38" || id1 === "GRCh38") && (id2 === "hg38" || id2 === "GRCh38")) ||
-            ((id1 === "hg19" || id1 === "GRCh37") && (id2 === "hg19" || id2 === "GRCh37")) ||
-            ((id1 === "mm10" || id1 === "GRCm38") && (id2 === "mm10" || id2 === "GRCm38")) ||
-            this.compareChromosomes(d2)
-    }
-}
-
 /**
  * HiCDataset implementation for static .hic files
  */
@@ -230,8 +44,10 @@ class HiCDataset extends Dataset {
         // A mapper registered via setUrlMapper applies to every read unless this caller supplied
         // one of its own. See js/urlMapper.js.
         const mapUrl = config.mapUrl || getUrlMapper()
-        this.straw = new Straw(mapUrl ? {...config, mapUrl} : config)
+        // Fragment resolutions are read with the header; their sites only when browsed.
+        this.straw = new Straw({...config, ...(mapUrl && {mapUrl}), loadFragData: true})
         this.isLive = Boolean(config.liveContactMap);
+        this.workerSource = this.isLive || mapUrl ? undefined : workerSource(config);
 
         // The two concrete kinds. `isLive` is the field hosts branch on
         // (Spacewalk does); `datasetType` is the same answer spelled for the
@@ -248,6 +64,7 @@ class HiCDataset extends Dataset {
         this.genomeId = this.hicFile.genomeId
         this.chromosomes = this.hicFile.chromosomes
         this.bpResolutions = this.hicFile.bpResolutions
+        this.fragResolutions = this.hicFile.fragResolutions || []
         this.wholeGenomeChromosome = this.hicFile.wholeGenomeChromosome
         this.wholeGenomeResolution = this.hicFile.wholeGenomeResolution
 
@@ -260,10 +77,75 @@ class HiCDataset extends Dataset {
         return this.straw.getContactRecords(normalization, region1, region2, units, binsize)
     }
 
+    /**
+     * A static file the worker can open from its URL, or its File, is read
+     * there. A live map is an object the host holds, and a mapped URL goes
+     * through a function; neither crosses a thread.
+     */
+    contactRecordsRequest(normalization, region1, region2, units, binsize) {
+        return this.workerSource && {source: this.workerSource, args: [normalization, region1, region2, units, binsize]};
+    }
+
     async hasNormalizationVector(type, chr, unit, binSize) {
         return this.straw.hicFile.hasNormalizationVector(type, chr, unit, binSize);
     }
 
+    /**
+     * The expected value vectors from the file's footer: NONE from the expected
+     * section, anything else from the normalized expected section. hic-straw
+     * skips both, so they are read here, through its view of the file.
+     * Undefined for a vector the file was written without.
+     */
+    async getExpectedValues(normalization, unit, binSize) {
+        if (!this.expectedValueReader) {
+            this.expectedValueReader = new ExpectedValueReader(this.hicFile.file);
+        }
+        return this.expectedValueReader.getExpectedValues(normalization, unit, binSize);
+    }
+
+    getAttributes() {
+        return {...this.hicFile.attributes};
+    }
+
+    /**
+     * Read off the norm vector index, whose keys name every vector the file
+     * holds: "type_chromosome_unit_binSize", the type itself possibly holding
+     * an underscore (VC_SQRT).
+     */
+    async getNormalizationInventory() {
+        const index = await this.hicFile.getNormVectorIndex();
+        const inventory = new Map();
+        for (const unit of ["BP", "FRAG"]) {
+            for (const binSize of this.getResolutions(unit)) {
+                inventory.set(`${unit}_${binSize}`, ['NONE']);
+            }
+        }
+        for (const key of Object.keys(index || {})) {
+            const parts = key.split('_');
+            const binSize = parts.pop();
+            const unit = parts.pop();
+            parts.pop();
+            const type = parts.join('_');
+            const available = inventory.get(`${unit}_${binSize}`);
+            if (available && !available.includes(type)) {
+                available.push(type);
+            }
+        }
+        return inventory;
+    }
+
+    async loadFragmentSites() {
+        if (!this.fragmentSitesPromise) {
+            this.fragmentSitesPromise = FragmentSites.read(this.hicFile)
+                .then(sites => this.fragmentSites = sites)
+                .catch(e => {
+                    this.fragmentSitesPromise = undefined;
+                    throw e;
+                });
+        }
+        return this.fragmentSitesPromise;
+    }
+
     clearCaches() {
         this.colorScaleCache = {};
     }
@@ -300,42 +182,33 @@ class HiCDataset extends Dataset {
     }
 }
 
-// For backward compatibility, export Dataset as the default and alias HiCDataset
-// Existing code using Dataset.loadDataset() will continue to work
-Dataset.loadDataset = HiCDataset.loadDataset;
-
-function matchGenome(chromosomes) {
-
-    if (chromosomes.length < 4) return undefined;
+let workerSources = 0;
 
-    const keys = Object.keys(knownGenomes);
+/**
+ * The part of a file's config the image tile worker opens it with, or
+ * undefined where some of it is code -- a token read by a function. The id
+ * tells the worker's open files apart, a File having no URL to key them by.
+ */
+function workerSource(config) {
 
-    // Find a candidate
-    let candidate;
-    for (let chr of chromosomes) {
-        for (let key of keys) {
-            if (knownGenomes[key].includes(chr.size)) {
-                candidate = key;
-                break;
-            }
-        }
+    const {url, blob, nvi, headers, withCredentials, oauthToken} = config;
+    if ('function' === typeof oauthToken || !('string' === typeof url || blob instanceof Blob)) {
+        return undefined;
     }
-
-    // Confirm candidate
-    if (candidate) {
-        const chrSizes = new Set(chromosomes.map((chr) => chr.size));
-        for (let sz of knownGenomes[candidate]) {
-            if (!chrSizes.has(sz)) {
-                return undefined;
-            }
-        }
-        return candidate;
-    } else {
+    if (headers && Object.values(headers).some(value => 'string' !== typeof value)) {
         return undefined;
     }
 
-
+    const source = {url, blob, nvi, headers, withCredentials, oauthToken};
+    for (const key of Object.keys(source)) {
+        if (undefined === source[key]) delete source[key];
+    }
+    return {id: workerSources++, config: source};
 }
 
+// For backward compatibility, export Dataset as the default and alias HiCDataset
+// Existing code using Dataset.loadDataset() will continue to work
+Dataset.loadDataset = HiCDataset.loadDataset;
+
 export default Dataset
 export { HiCDataset }
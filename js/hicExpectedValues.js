@@ -0,0 +1,196 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+// Bytes fetched at a time while walking the footer: enough for the master index
+// and an entry's header and scale factors in one read.
+const CHUNK_SIZE = 64 * 1024
+
+/**
+ * The expected value vectors of a .hic file, read off its footer -- hic-straw
+ * skips them. The footer holds the master index, then one expected vector per
+ * unit and bin size for NONE, then, after the size it declares, the normalized
+ * expected vectors for each normalization:
+ *
+ *   footer:      nBytes, master index, NONE entries (unit, binSize, values, scale factors)
+ *   normalized:  entries (type, unit, binSize, values, scale factors)
+ *
+ * Values are doubles before version 9 and floats from it, a count of values an
+ * int before and a long from it. The walk records where each vector's values
+ * are; only those asked for are read.
+ */
+class ExpectedValueReader {
+
+    /**
+     * @param file - hic-straw's view of the file, answering `read(position, length)` with an ArrayBuffer
+     */
+    constructor(file) {
+        this.file = file
+    }
+
+    /**
+     * @returns {Promise<{normalization, unit, binSize, values: Float64Array, normFactors: Object<number, number>}|undefined>}
+     *          undefined when the file holds no such vector
+     */
+    async getExpectedValues(normalization, unit, binSize) {
+
+        if (!this.index) {
+            this.index = this.#readIndex()
+        }
+        const {version, entries} = await this.index
+
+        const entry = entries.get(`${normalization}_${unit}_${binSize}`)
+        if (!entry) {
+            return undefined
+        }
+
+        const size = version < 9 ? 8 : 4
+        const view = new DataView(await this.file.read(entry.position, entry.nValues * size))
+        const values = new Float64Array(entry.nValues)
+        for (let i = 0; i < entry.nValues; i++) {
+            values[i] = version < 9 ? view.getFloat64(i * 8, true) : view.getFloat32(i * 4, true)
+        }
+
+        return {normalization, unit, binSize, values, normFactors: entry.normFactors}
+    }
+
+    async #readIndex() {
+
+        const header = new Cursor(this.file, 0)
+        await header.string()   // magic
+        const version = await header.int()
+        const footerPosition = await header.long()
+
+        const entries = new Map()
+
+        const footer = new Cursor(this.file, footerPosition)
+        const nBytes = version < 9 ? await footer.int() : await footer.long()
+        const normalizedPosition = footer.position + nBytes
+
+        let nMatrices = await footer.int()
+        while (nMatrices-- > 0) {
+            await footer.string()
+            footer.skip(8 + 4)
+        }
+
+        await readEntries(footer, version, entries, false)
+
+        // Version 5 ends the footer there.
+        if (version > 5) {
+            await readEntries(new Cursor(this.file, normalizedPosition), version, entries, true)
+        }
+
+        return {version, entries}
+    }
+}
+
+async function readEntries(cursor, version, entries, normalized) {
+
+    const size = version < 9 ? 8 : 4
+    const value = () => version < 9 ? cursor.double() : cursor.float()
+
+    let nEntries = await cursor.int()
+    while (nEntries-- > 0) {
+        const type = normalized ? await cursor.string() : 'NONE'
+        const unit = await cursor.string()
+        const binSize = await cursor.int()
+        const nValues = version < 9 ? await cursor.int() : await cursor.long()
+        const position = cursor.position
+        cursor.skip(nValues * size)
+
+        const normFactors = {}
+        let nFactors = await cursor.int()
+        while (nFactors-- > 0) {
+            const chrIndex = await cursor.int()
+            normFactors[chrIndex] = await value()
+        }
+
+        entries.set(`${type}_${unit}_${binSize}`, {position, nValues, normFactors})
+    }
+}
+
+/**
+ * Reads little-endian fields in order from a position in the file, fetching a
+ * chunk at a time.
+ */
+class Cursor {
+
+    constructor(file, position) {
+        this.file = file
+        this.position = position
+        this.start = position
+        this.view = new DataView(new ArrayBuffer(0))
+    }
+
+    async int() {
+        const view = await this.#take(4)
+        return view.getInt32(this.position - 4 - this.start, true)
+    }
+
+    async long() {
+        const view = await this.#take(8)
+        return Number(view.getBigInt64(this.position - 8 - this.start, true))
+    }
+
+    async float() {
+        const view = await this.#take(4)
+        return view.getFloat32(this.position - 4 - this.start, true)
+    }
+
+    async double() {
+        const view = await this.#take(8)
+        return view.getFloat64(this.position - 8 - this.start, true)
+    }
+
+    async string() {
+        let s = ''
+        for (let c = await this.#byte(); c !== 0; c = await this.#byte()) {
+            s += String.fromCharCode(c)
+        }
+        return s
+    }
+
+    skip(n) {
+        this.position += n
+    }
+
+    async #byte() {
+        const view = await this.#take(1)
+        return view.getUint8(this.position - 1 - this.start)
+    }
+
+    // The view holding the next n bytes, the position moved past them.
+    async #take(n) {
+        if (this.position < this.start || this.position + n > this.start + this.view.byteLength) {
+            const buffer = await this.file.read(this.position, Math.max(n, CHUNK_SIZE))
+            this.start = this.position
+            this.view = new DataView(buffer)
+            if (this.view.byteLength < n) {
+                throw new Error(`Unexpected end of .hic file at ${this.position}`)
+            }
+        }
+        this.position += n
+        return this.view
+    }
+}
+
+export default ExpectedValueReader
@@ -65,8 +65,8 @@ class ResolutionSelector {
         this.containerElement.appendChild(this.resolutionSelectorElement);
 
         this.resolutionSelectorElement.addEventListener('change', () => {
-            const zoomIndex = parseInt(this.resolutionSelectorElement.value);
-            this.browser.setZoom(zoomIndex);
+            const option = this.resolutionSelectorElement.selectedOptions[0];
+            this.browser.setZoom(parseInt(option.value), option.dataset.unit);
         });
 
         // Note: MapLoad, ControlMapLoad, and LocusChange subscriptions removed - now handled by BrowserCoordinator
@@ -79,38 +79,91 @@ class ResolutionSelector {
     }
 
 
+    /**
+     * List the resolutions of the map in view. A map with fragment resolutions
+     * lists them too, in a group of their own after the base pair ones; the
+     * whole genome has none.
+     */
     async updateResolutions(zoomIndex) {
         const browser = this.browser;
-        const resolutions = browser.isWholeGenome() ?
-            [{ index: 0, binSize: browser.dataset.wholeGenomeResolution }] :
-            browser.getResolutions();
+        const selectedUnit = browser.state?.unit || 'BP';
         this.resolutionSelectorElement.innerHTML = '';
 
+        if (browser.isWholeGenome()) {
+            this.appendOptions(this.resolutionSelectorElement,
+                [{ index: 0, binSize: browser.dataset.wholeGenomeResolution }], 'BP', zoomIndex, selectedUnit);
+            return;
+        }
+
+        const fragmentResolutions = browser.getResolutions('FRAG');
+        if (fragmentResolutions.length === 0) {
+            this.appendOptions(this.resolutionSelectorElement, browser.getResolutions('BP'), 'BP', zoomIndex, selectedUnit);
+            return;
+        }
+
+        for (const [unit, label, resolutions] of [
+            ['BP', 'Base pairs', browser.getResolutions('BP')],
+            ['FRAG', 'Fragments', fragmentResolutions]
+        ]) {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            this.appendOptions(group, resolutions, unit, zoomIndex, selectedUnit);
+            this.resolutionSelectorElement.appendChild(group);
+        }
+    }
+
+    appendOptions(parentElement, resolutions, unit, zoomIndex, selectedUnit) {
         resolutions.forEach(resolution => {
             const binSize = resolution.binSize;
             const index = resolution.index;
-            let divisor, unit;
-            if (binSize >= 1e6) {
-                divisor = 1e6;
-                unit = 'mb';
-            } else if (binSize >= 1e3) {
-                divisor = 1e3;
-                unit = 'kb';
-            } else {
-                divisor = 1;
-                unit = 'bp';
-            }
 
-            const pretty = `${StringUtils.numberFormatter(Math.round(binSize / divisor))} ${unit}`;
+            const pretty = 'FRAG' === unit ?
+                `${StringUtils.numberFormatter(binSize)} frag` :
+                prettyBinSize(binSize);
+
             const option = document.createElement('option');
             option.dataset.resolution = binSize;
+            option.dataset.unit = unit;
             option.value = index;
             option.textContent = pretty;
-            if (zoomIndex === index) option.selected = true;
-            this.resolutionSelectorElement.appendChild(option);
+
+            if ('BP' === unit) {
+                this.annotateSources(option, binSize, pretty);
+            }
+            if (zoomIndex === index && unit === selectedUnit) option.selected = true;
+            parentElement.appendChild(option);
         });
     }
 
+    /**
+     * Mark an option read from a resolution other than its own: summed by the
+     * map from a finer one it stores ("derived"), or, for the control map, the
+     * stored resolution the comparison actually reads it at ("B: 25 kb").
+     */
+    annotateSources(option, binSize, pretty) {
+        const { dataset, controlDataset } = this.browser;
+        const derivedFrom = dataset.derivedResolutions?.get(binSize);
+        const controlFrom = controlDataset?.derivedResolutions?.get(binSize);
+
+        const notes = [];
+        const titles = [];
+        if (derivedFrom) {
+            option.dataset.derived = 'true';
+            notes.push('derived');
+            titles.push(`Summed from the map's ${prettyBinSize(derivedFrom)} bins`);
+        }
+        if (controlFrom) {
+            option.dataset.controlResolution = controlFrom;
+            notes.push(`B: ${prettyBinSize(controlFrom)}`);
+            const how = controlFrom < binSize && binSize % controlFrom === 0 ? 'summed' : 'resampled';
+            titles.push(`The control map is ${how} from its ${prettyBinSize(controlFrom)} bins`);
+        }
+        if (notes.length > 0) {
+            option.textContent = `${pretty} (${notes.join(', ')})`;
+            option.title = titles.join('\n');
+        }
+    }
+
     /**
      * Update the label text based on whether we're in whole-genome view.
      * @param {boolean} isWholeGenome - True if in whole-genome view
@@ -126,10 +179,33 @@ class ResolutionSelector {
      * @param {number} zoomIndex - The zoom index to select
      */
     setSelectedResolution(zoomIndex) {
-        Array.from(this.resolutionSelectorElement.options).forEach((option, index) => {
-            option.selected = index === zoomIndex;
-        });
+        const unit = this.browser.state?.unit || 'BP';
+        const options = Array.from(this.resolutionSelectorElement.options);
+        if (options.some(option => 'FRAG' === option.dataset.unit)) {
+            options.forEach(option => {
+                option.selected = parseInt(option.value) === zoomIndex && option.dataset.unit === unit;
+            });
+        } else {
+            options.forEach((option, index) => {
+                option.selected = index === zoomIndex;
+            });
+        }
+    }
+}
+
+function prettyBinSize(binSize) {
+    let divisor, unit;
+    if (binSize >= 1e6) {
+        divisor = 1e6;
+        unit = 'mb';
+    } else if (binSize >= 1e3) {
+        divisor = 1e3;
+        unit = 'kb';
+    } else {
+        divisor = 1;
+        unit = 'bp';
     }
+    return `${StringUtils.numberFormatter(Math.round(binSize / divisor))} ${unit}`;
 }
 
 export default ResolutionSelector;
@@ -31,7 +31,8 @@ import {DEFAULT_PIXEL_SIZE, MAX_PIXEL_SIZE} from "./hicBrowser.js"
 /**
  * State holds the canonical six fields that fully specify the view:
  *   chr1, chr2, x (bins), y (bins), zoom (resolution index), pixelSize
- * plus normalization. These are the source of truth.
+ * plus normalization and the unit, "BP" or "FRAG", whose resolutions zoom indexes
+ * and whose bins x and y count. These are the source of truth.
  *
  * BP coordinates ("locus") are NOT stored — they are a projection of canonical
  * state through view dimensions. Read via state.getLocus(dataset, viewDimensions),
@@ -56,7 +57,7 @@ import {DEFAULT_PIXEL_SIZE, MAX_PIXEL_SIZE} from "./hicBrowser.js"
  */
 class State {
 
-    constructor(chr1, chr2, zoom, x, y, pixelSize, normalization) {
+    constructor(chr1, chr2, zoom, x, y, pixelSize, normalization, unit) {
         if (chr1 <= chr2) {
             this.chr1 = chr1;
             this['x'] = x;
@@ -86,16 +87,20 @@ class State {
             pixelSize = 1;
         }
         this.pixelSize = pixelSize;
+
+        // What x, y and zoom count: base pairs, or restriction fragments.
+        this.unit = 'FRAG' === unit ? 'FRAG' : 'BP';
     }
 
     /**
      * Detect if resolution changed.
      * 
      * @param {number} newZoom - New zoom index
+     * @param {string} [newUnit] - New unit, "BP" or "FRAG"
      * @returns {boolean} - True if resolution changed
      */
-    _detectResolutionChange(newZoom) {
-        return this.zoom !== newZoom;
+    _detectResolutionChange(newZoom, newUnit = this.unit) {
+        return this.zoom !== newZoom || this.unit !== newUnit;
     }
 
     /**
@@ -116,13 +121,13 @@ class State {
      * DEFAULT_PIXEL_SIZE as the floor (resolution-selector path only).
      */
     async _adjustPixelSize(targetPixelSize, browser, zoom, options = {}) {
-        const { minPixelSize, useDefaultMin = false } = options;
+        const { minPixelSize, useDefaultMin = false, unit = this.unit } = options;
 
         let adjustedPixelSize = Math.max(1, targetPixelSize);
 
         let actualMinPixelSize = minPixelSize;
         if (actualMinPixelSize === undefined && browser) {
-            actualMinPixelSize = await browser.minPixelSize(this.chr1, this.chr2, zoom);
+            actualMinPixelSize = await browser.minPixelSize(this.chr1, this.chr2, zoom, unit);
         }
 
         if (actualMinPixelSize !== undefined) {
@@ -153,7 +158,7 @@ class State {
      * @param {number} chr2 - Chromosome 2 index.
      * @param {number} x - Bin position on the chr1 axis.
      * @param {number} y - Bin position on the chr2 axis.
-     * @param {number} zoom - Zoom level (index into bpResolutions).
+     * @param {number} zoom - Zoom level (index into the resolutions of the unit).
      * @param {number} [pixelSize] - Target pixelSize. May be undefined when
      *                               options.useDefaultMin is true (DEFAULT_PIXEL_SIZE
      *                               floor is applied without a target — preserves the
@@ -171,10 +176,13 @@ class State {
      *                                                    _adjustPixelSize. Pan paths set
      *                                                    this false: panning never alters
      *                                                    pixelSize, including by floor.
+     * @param {string}  [options.unit] - What x, y and zoom count, "BP" or "FRAG".
+     *                                   Defaults to the current unit; FRAG awaits
+     *                                   the dataset's restriction sites.
      * @returns {Promise<{chrChanged: boolean, resolutionChanged: boolean}>}
      */
     async setView(chr1, chr2, x, y, zoom, pixelSize, browser, dataset, viewDimensions, options = {}) {
-        const { useDefaultMin = false, minPixelSize, clampXY = true, adjustPixelSize = true } = options;
+        const { useDefaultMin = false, minPixelSize, clampXY = true, adjustPixelSize = true, unit = this.unit } = options;
 
         // Axis ordering (ADR-0006 decision 3). A .hic file stores one triangle of a
         // symmetric matrix, so an unordered pair names a view that already has a
@@ -187,18 +195,23 @@ class State {
         }
 
         const chrChanged = this._detectChromosomeChange(chr1, chr2);
-        const resolutionChanged = this._detectResolutionChange(zoom);
+        const resolutionChanged = this._detectResolutionChange(zoom, unit);
+
+        if ('FRAG' === unit) {
+            await dataset.loadFragmentSites();
+        }
 
         // Adjust pixelSize BEFORE mutating chr1/chr2 — preserves the existing convention
         // that browser.minPixelSize is consulted with the pre-mutation chr1/chr2 (and the
         // post-mutation zoom).
         const adjustedPixelSize = adjustPixelSize
-            ? await this._adjustPixelSize(pixelSize, browser, zoom, { useDefaultMin, minPixelSize })
+            ? await this._adjustPixelSize(pixelSize, browser, zoom, { useDefaultMin, minPixelSize, unit })
             : pixelSize;
 
         this.chr1 = chr1;
         this.chr2 = chr2;
         this.zoom = zoom;
+        this.unit = unit;
         this.x = x;
         this.y = y;
         this.pixelSize = adjustedPixelSize;
@@ -212,11 +225,9 @@ class State {
 
     clampXY(dataset, viewDimensions) {
         const { width, height } = viewDimensions
-        const { chromosomes, bpResolutions } = dataset;
-
-        const binSize = bpResolutions[this.zoom];
-        const maxX = Math.max(0, chromosomes[this.chr1].size / binSize -  width / this.pixelSize);
-        const maxY = Math.max(0, chromosomes[this.chr2].size / binSize - height / this.pixelSize);
+        const binSize = dataset.getResolutions(this.unit)[this.zoom];
+        const maxX = Math.max(0, dataset.getChromosomeLength(this.chr1, this.unit) / binSize -  width / this.pixelSize);
+        const maxY = Math.max(0, dataset.getChromosomeLength(this.chr2, this.unit) / binSize - height / this.pixelSize);
 
         this.x = Math.min(Math.max(0, this.x), maxX);
         this.y = Math.min(Math.max(0, this.y), maxY);
@@ -249,23 +260,36 @@ class State {
         )
     }
 
-    async setWithZoom(zoom, viewDimensions, browser, dataset) {
+    async setWithZoom(zoom, viewDimensions, browser, dataset, unit = this.unit) {
         // The resolution-selector path. Translator computes the view-center-preserving
         // x/y under the new (post-floor) pixelSize and delegates. useDefaultMin: true is
         // the only setting that preserves the DEFAULT_PIXEL_SIZE floor — the visible
         // "jump" vs wheel zoom that #411 codifies as resolution-selector-only.
+        //
+        // The selector also crosses between base pair and fragment resolutions. The
+        // center then goes through its base pair position, the one both units share.
         const { width, height } = viewDimensions
         const xCenter = this.x + (width / 2) / this.pixelSize
         const yCenter = this.y + (height / 2) / this.pixelSize
 
-        const binSize = dataset.bpResolutions[this.zoom]
-        const binSizeNew = dataset.bpResolutions[zoom]
-        const scaleFactor = binSize / binSizeNew
-        const xCenterNew = xCenter * scaleFactor
-        const yCenterNew = yCenter * scaleFactor
+        const binSize = dataset.getResolutions(this.unit)[this.zoom]
+        let xCenterNew, yCenterNew
+        if (unit === this.unit) {
+            const binSizeNew = dataset.getResolutions(unit)[zoom]
+            const scaleFactor = binSize / binSizeNew
+            xCenterNew = xCenter * scaleFactor
+            yCenterNew = yCenter * scaleFactor
+        } else {
+            await dataset.loadFragmentSites()
+            const binSizeNew = dataset.getResolutions(unit)[zoom]
+            const convert = (chr, center) =>
+                convertPosition(dataset, chr, center * binSize, this.unit, unit) / binSizeNew
+            xCenterNew = convert(this.chr1, xCenter)
+            yCenterNew = convert(this.chr2, yCenter)
+        }
 
-        const minPixelSize = await browser.minPixelSize(this.chr1, this.chr2, zoom)
-        const newPixelSize = await this._adjustPixelSize(undefined, browser, zoom, { minPixelSize, useDefaultMin: true })
+        const minPixelSize = await browser.minPixelSize(this.chr1, this.chr2, zoom, unit)
+        const newPixelSize = await this._adjustPixelSize(undefined, browser, zoom, { minPixelSize, useDefaultMin: true, unit })
 
         const newX = Math.max(0, xCenterNew - width / (2 * newPixelSize))
         const newY = Math.max(0, yCenterNew - height / (2 * newPixelSize))
@@ -273,7 +297,7 @@ class State {
         const { resolutionChanged } = await this.setView(
             this.chr1, this.chr2, newX, newY, zoom, newPixelSize,
             browser, dataset, viewDimensions,
-            { adjustPixelSize: false, clampXY: true },
+            { adjustPixelSize: false, clampXY: true, unit },
         )
         return resolutionChanged
     }
@@ -284,8 +308,22 @@ class State {
      *
      * This is the only place "where am I in BP coordinates" is computed — it always
      * reflects what is actually on screen, derived from chr1/chr2/x/y/zoom/pixelSize.
+     * A view in fragments is placed through the dataset's restriction sites.
      */
     getLocus(dataset, viewDimensions) {
+        if ('FRAG' === this.unit) {
+            const fragmentsPerBin = dataset.fragResolutions[this.zoom];
+            const axis = (chrIndex, origin, pixels) => ({
+                chr: dataset.chromosomes[chrIndex].name,
+                start: Math.round(dataset.toBP(chrIndex, origin * fragmentsPerBin, 'FRAG')),
+                end: Math.round(dataset.toBP(chrIndex, (origin + pixels / this.pixelSize) * fragmentsPerBin, 'FRAG')),
+            });
+            return {
+                x: axis(this.chr1, this.x, viewDimensions.width),
+                y: axis(this.chr2, this.y, viewDimensions.height),
+            };
+        }
+
         const bpPerBin = dataset.bpResolutions[this.zoom];
         const startBP1 = Math.round(this.x * bpPerBin);
         const startBP2 = Math.round(this.y * bpPerBin);
@@ -301,11 +339,22 @@ class State {
     }
 
     async updateWithLoci(chr1Name, bpX, bpXMax, chr2Name, bpY, bpYMax, browser, width, height) {
-        const bpResolutions = browser.getResolutions()
-
         const { index: chr1Index } = browser.genome.getChromosome(chr1Name)
         const { index: chr2Index } = browser.genome.getChromosome(chr2Name)
 
+        // Loci arrive in base pairs. A view in fragments stays in fragments, but
+        // the whole genome has none, so a locus there returns the view to base pairs.
+        const dataset = browser.dataset
+        const unit = 'FRAG' === this.unit && !dataset.isWholeGenome(Math.min(chr1Index, chr2Index)) ? 'FRAG' : 'BP'
+        if ('FRAG' === unit) {
+            await dataset.loadFragmentSites()
+            bpX = dataset.fromBP(chr1Index, bpX, unit)
+            bpXMax = dataset.fromBP(chr1Index, bpXMax, unit)
+            bpY = dataset.fromBP(chr2Index, bpY, unit)
+            bpYMax = dataset.fromBP(chr2Index, bpYMax, unit)
+        }
+        const bpResolutions = browser.getResolutions(unit)
+
         // The fit weighs one BP range against the view width and the other against its
         // height, so it must be computed against the axis assignment the state will
         // actually end up with — and setView orders the pair. Ordering here is for this
@@ -324,8 +373,8 @@ class State {
             chr1Index, chr2Index,
             bpX / binSizeNew, bpY / binSizeNew,
             zoomNew, binSizeNew / bpPerPixelTarget,
-            browser, browser.dataset, { width, height },
-            { clampXY: false },
+            browser, dataset, { width, height },
+            { clampXY: false, unit },
         )
     }
 
@@ -354,21 +403,28 @@ class State {
         const lookupChr1 = Math.min(chr1Index, chr2Index)
         const lookupChr2 = Math.max(chr1Index, chr2Index)
 
+        // The whole genome has no fragment resolutions; leaving it for a chromosome
+        // does not restore them -- the selector does.
+        const unit = wholeChr ? this.unit : 'BP'
+        if ('FRAG' === unit) {
+            await dataset.loadFragmentSites()
+        }
+
         let newZoom, newPixelSize
         if (wholeChr) {
-            newZoom = await browser.minZoom(lookupChr1, lookupChr2)
-            const minPS = await browser.minPixelSize(lookupChr1, lookupChr2, newZoom)
+            newZoom = await browser.minZoom(lookupChr1, lookupChr2, unit)
+            const minPS = await browser.minPixelSize(lookupChr1, lookupChr2, newZoom, unit)
             newPixelSize = Math.min(100, Math.max(DEFAULT_PIXEL_SIZE, minPS))
         } else {
             newZoom = 0
-            const minPS = await browser.minPixelSize(lookupChr1, lookupChr2, newZoom)
+            const minPS = await browser.minPixelSize(lookupChr1, lookupChr2, newZoom, unit)
             newPixelSize = Math.max(this.pixelSize, minPS)
         }
 
         return await this.setView(
             chr1Index, chr2Index, 0, 0, newZoom, newPixelSize,
             browser, dataset, viewDimensions,
-            { adjustPixelSize: false, clampXY: true },
+            { adjustPixelSize: false, clampXY: true, unit },
         )
     }
 
@@ -439,20 +495,32 @@ class State {
         return {
             chr1Name: dataset.chromosomes[this.chr1].name,
             chr2Name: dataset.chromosomes[this.chr2].name,
-            binSize: dataset.bpResolutions[this.zoom],
+            binSize: dataset.getResolutions(this.unit)[this.zoom],
             binX: this.x,
             binY: this.y,
-            pixelSize: this.pixelSize
+            pixelSize: this.pixelSize,
+            ...('FRAG' === this.unit && { unit: 'FRAG' })
         }
     }
 
+    /**
+     * Follow a sibling's view. A sibling in fragments is followed only by a
+     * dataset with fragment resolutions of its own -- fragment counts mean
+     * nothing against another map's base pairs -- and ignored otherwise.
+     */
     async sync(targetState, browser, genome, dataset) {
+        const unit = targetState.unit || 'BP'
+        const resolutions = dataset.getResolutions(unit)
+        if (!resolutions || resolutions.length === 0) {
+            return { zoomChanged: false, chrChanged: false }
+        }
+
         const chr1 = genome.getChromosome(targetState.chr1Name)
         const chr2 = genome.getChromosome(targetState.chr2Name)
 
         const bpPerPixelTarget = targetState.binSize / targetState.pixelSize
-        const zoomNew = browser.findMatchingZoomIndex(bpPerPixelTarget, dataset.bpResolutions)
-        const binSizeNew = dataset.bpResolutions[zoomNew]
+        const zoomNew = browser.findMatchingZoomIndex(bpPerPixelTarget, resolutions)
+        const binSizeNew = resolutions[zoomNew]
 
         const xBinNew = targetState.binX * (targetState.binSize / binSizeNew)
         const yBinNew = targetState.binY * (targetState.binSize / binSizeNew)
@@ -461,6 +529,7 @@ class State {
         const { chrChanged, resolutionChanged } = await this.setView(
             chr1.index, chr2.index, xBinNew, yBinNew, zoomNew, targetPixelSize,
             browser, dataset, browser.contactMatrixView.getViewDimensions(),
+            { unit },
         )
         // sync's contract uses "zoomChanged" rather than "resolutionChanged"; same concept.
         return { zoomChanged: resolutionChanged, chrChanged }
@@ -468,7 +537,7 @@ class State {
 
     /**
      * Shallow clone is intentional and correct: State holds only scalar fields
-     * (chr1, chr2, zoom, x, y, pixelSize, normalization) since locus was made
+     * (chr1, chr2, zoom, x, y, pixelSize, normalization, unit) since locus was made
      * a pure projection. Object.assign produces an independent clone.
      */
     clone() {
@@ -538,7 +607,40 @@ class State {
             y: this.y,
             pixelSize: this.pixelSize,
             normalization: this.normalization || 'NONE',
+            // Written only when it is not the default, so base pair sessions read as before.
+            ...('FRAG' === this.unit && { unit: 'FRAG' }),
+        }
+    }
+
+    /**
+     * Point `zoom` at the resolution a saved view was at, on the dataset it is
+     * restored onto.
+     *
+     * `zoom` is an index, and derived resolutions (js/derivedResolutions.js)
+     * lengthen the ladder it indexes. A session therefore carries the bin size
+     * beside it, and that is what is looked up. A view saved without one -- any
+     * `state=` URL, any session written before derived resolutions -- indexed
+     * the sizes the dataset stores, so that is where its zoom is read. A size
+     * the dataset does not have restores to the nearest it does.
+     *
+     * @param {Dataset} dataset - the dataset the view is restored onto
+     * @param {number} [binSize] - the bin size the view was saved at
+     * @returns {State} this
+     */
+    restoreZoom(dataset, binSize) {
+
+        const resolutions = dataset.getResolutions(this.unit)
+        if (undefined === binSize) {
+            const stored = resolutions.filter(size => 'FRAG' === this.unit || !dataset.derivedResolutions?.has(size))
+            binSize = stored[this.zoom]
         }
+        if (!(binSize > 0) || 0 === resolutions.length) {
+            return this
+        }
+
+        const distance = size => Math.abs(Math.log(size / binSize))
+        this.zoom = resolutions.reduce((best, size, index) => distance(size) < distance(resolutions[best]) ? index : best, 0)
+        return this
     }
 
     /**
@@ -554,7 +656,8 @@ class State {
             json.x,
             json.y,
             json.pixelSize,
-            json.normalization
+            json.normalization,
+            json.unit
         );
     }
 
@@ -581,4 +684,8 @@ class State {
 
 }
 
+function convertPosition(dataset, chrIndex, position, fromUnit, toUnit) {
+    return dataset.fromBP(chrIndex, dataset.toBP(chrIndex, position, fromUnit), toUnit)
+}
+
 export default State
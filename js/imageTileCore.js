@@ -44,7 +44,7 @@
  * @param {number} row tile row
  * @param {number} column tile column
  * @param {string} normalization normalization vector id
- * @param {string} displayMode one of 'A', 'B', 'AOB', 'BOA', 'AMB'
+ * @param {string} displayMode one of 'A', 'B', 'AOB', 'BOA', 'AMB', 'OE', 'BOE', 'PEARSON'
  * @returns {string}
  */
 function tileKey(zd, row, column, normalization, displayMode) {
@@ -55,7 +55,9 @@ function tileKey(zd, row, column, normalization, displayMode) {
  * Cache key for a computed color scale threshold.
  *
  * Coarser than tileKey -- a threshold is shared by every tile in the view, so
- * the key omits grid position, unit and binSize, keying on zoom index instead.
+ * the key omits grid position and binSize, keying on zoom index instead. The
+ * unit stays: a zoom index means a different resolution in base pairs than in
+ * fragments.
  *
  * @param state canonical state, or undefined during startup
  * @param {string} displayMode
@@ -66,7 +68,7 @@ function colorScaleKey(state, displayMode) {
     if (!state) {
         return "unknown_" + displayMode
     }
-    return "" + state.chr1 + "_" + state.chr2 + "_" + state.zoom + "_" + state.normalization + "_" + displayMode
+    return "" + state.chr1 + "_" + state.chr2 + "_" + (state.unit || "BP") + "_" + state.zoom + "_" + state.normalization + "_" + displayMode
 }
 
 /**
@@ -98,22 +100,133 @@ function tileGrid(state, viewDimensions, tileDimension) {
     }
 }
 
+/**
+ * The tiles just past the edge of the view in the direction it is travelling.
+ *
+ * A pan with a positive dx moves the view toward higher bins on x, so the
+ * column beyond col2 is the one about to scroll in; a negative dx wants the
+ * column before col1. Rows follow dy the same way, and a diagonal pan takes the
+ * corner tile as well. Tiles off the low edge of the matrix are dropped; the
+ * high edge is left to the fetch, which returns no records there.
+ *
+ * @param grid the view's tile range, from tileGrid
+ * @param {{dx: number, dy: number}} motion the latest pan, in pixels
+ * @returns {{row: number, column: number}[]}
+ */
+function leadingTiles({row1, row2, col1, col2}, {dx = 0, dy = 0}) {
+
+    const column = dx > 0 ? col2 + 1 : dx < 0 ? col1 - 1 : undefined
+    const row = dy > 0 ? row2 + 1 : dy < 0 ? row1 - 1 : undefined
+
+    const tiles = []
+    if (undefined !== column) {
+        for (let r = row1; r <= row2; r++) tiles.push({row: r, column})
+    }
+    if (undefined !== row) {
+        for (let c = col1; c <= col2; c++) tiles.push({row, column: c})
+    }
+    if (undefined !== column && undefined !== row) {
+        tiles.push({row, column})
+    }
+
+    return tiles.filter(t => t.row >= 0 && t.column >= 0)
+}
+
+/**
+ * The tile range a view would cover one resolution step away, centered on the
+ * point it was zoomed about.
+ *
+ * A zoom recenters on the anchor and keeps roughly the pixel size it had, so the
+ * next view is a screenful of bins at the new resolution around the anchor's
+ * genomic position. An estimate, not a prediction of the exact state the
+ * translators will produce -- it only has to be close enough to warm the right
+ * tiles.
+ *
+ * @param state canonical state -- reads x, y, pixelSize
+ * @param {{x: number, y: number}} anchor the zoom anchor, in viewport pixels
+ * @param {number} binSize the current resolution
+ * @param {number} nextBinSize the resolution one step away
+ * @param {{width: number, height: number}} viewDimensions
+ * @param {number} tileDimension tile edge length in bins
+ * @returns {{row1: number, row2: number, col1: number, col2: number}}
+ */
+function zoomedTileGrid(state, anchor, binSize, nextBinSize, viewDimensions, tileDimension) {
+
+    const scale = binSize / nextBinSize
+    const pixelSize = state.pixelSize
+    const centerX = (state.x + anchor.x / pixelSize) * scale
+    const centerY = (state.y + anchor.y / pixelSize) * scale
+
+    return tileGrid({
+        x: Math.max(0, centerX - viewDimensions.width / (2 * pixelSize)),
+        y: Math.max(0, centerY - viewDimensions.height / (2 * pixelSize)),
+        pixelSize
+    }, viewDimensions, tileDimension)
+}
+
+/**
+ * Where an image tile at one resolution lies inside a tile at a coarser one.
+ *
+ * Used to stand a cached coarse tile in for a fine one that has not arrived:
+ * the returned rectangle, in the coarse tile's pixels, is the part of it that
+ * covers the same genomic region, to be stretched over the fine tile's place.
+ *
+ * Resolution ladders are not always integer multiples of one another (25kb to
+ * 10kb is 2.5), so a fine tile can straddle two coarse ones. That case answers
+ * undefined rather than compositing -- the caller tries the next resolution up.
+ *
+ * @param {number} row fine tile row
+ * @param {number} column fine tile column
+ * @param {number} tileDimension tile edge length in bins, the same at both resolutions
+ * @param {number} binSize the fine resolution
+ * @param {number} coarseBinSize the coarse resolution, larger than binSize
+ * @returns {{row: number, column: number, x: number, y: number, width: number, height: number}|undefined}
+ */
+function coarserTileRegion(row, column, tileDimension, binSize, coarseBinSize) {
+
+    const extent = tileDimension * binSize / coarseBinSize      // fine tile edge, in coarse bins
+    const x = column * extent
+    const y = row * extent
+
+    const coarseColumn = Math.floor(x / tileDimension)
+    const coarseRow = Math.floor(y / tileDimension)
+
+    // Tolerate rounding error in the ratio, not a genuine straddle.
+    const epsilon = 1e-6
+    if (x + extent > (coarseColumn + 1) * tileDimension + epsilon ||
+        y + extent > (coarseRow + 1) * tileDimension + epsilon) {
+        return undefined
+    }
+
+    return {
+        row: coarseRow,
+        column: coarseColumn,
+        x: x - coarseColumn * tileDimension,
+        y: y - coarseRow * tileDimension,
+        width: extent,
+        height: extent
+    }
+}
+
 /**
  * Translate a zoom index on the primary map to the equivalent index on the
- * control map.
+ * control map, among the resolutions of one unit, "BP" by default.
  *
  * The two maps are matched by resolution, not by index -- a control map may
  * carry a different set of bin sizes, so index N on A is not index N on B.
+ * One loaded by the data loader reads at every base pair size of A, summing or
+ * resampling its own where it lacks one (`matchResolutions`); a fragment size,
+ * or a control installed another way, can still be missing.
  *
  * @throws if the zoom index is not present on the primary map, or the resulting
  *         bin size is not present on the control map
  */
-function bZoomIndex(dataset, controlDataset, zoom) {
+function bZoomIndex(dataset, controlDataset, zoom, unit) {
 
-    const binSize = dataset.getBinSizeForZoomIndex(zoom)
+    const binSize = dataset.getBinSizeForZoomIndex(zoom, unit)
     if (!binSize) throw new Error(`Invalid zoom (resolution) index: ${zoom}`)
 
-    const bZoom = controlDataset.getZoomIndexForBinSize(binSize)
+    const bZoom = controlDataset.getZoomIndexForBinSize(binSize, unit)
     if (bZoom < 0) throw new Error(`Invalid binSize for "B" map: ${binSize}`)
 
     return bZoom
@@ -128,13 +241,18 @@ function bZoomIndex(dataset, controlDataset, zoom) {
  *   AOB  -- A over B, ratio
  *   AMB  -- A minus B, difference
  *   BOA  -- B over A, ratio with the roles swapped
+ *   OE   -- primary observed over expected
+ *   BOE  -- control observed over expected, rendered as if it were primary
+ *   PEARSON -- Pearson correlation of the primary map's O/E, one chromosome
  *
- * Only the modes that read the control map translate the zoom index; A leaves
- * everything at the incoming values.
+ * Only the modes that read the control map translate the zoom index; A, OE and
+ * PEARSON leave everything at the incoming values.
+ *
+ * `unit` is the view's, whose resolutions the zoom indexes.
  *
  * @returns {{ds: *, dsControl: *, zoom: number, controlZoom: number|undefined}}
  */
-function resolveDisplayMode(dataset, controlDataset, zoom, displayMode) {
+function resolveDisplayMode(dataset, controlDataset, zoom, displayMode, unit) {
 
     let ds = dataset
     let dsControl = null
@@ -142,17 +260,18 @@ function resolveDisplayMode(dataset, controlDataset, zoom, displayMode) {
 
     switch (displayMode) {
         case 'B':
-            zoom = bZoomIndex(dataset, controlDataset, zoom)
+        case 'BOE':
+            zoom = bZoomIndex(dataset, controlDataset, zoom, unit)
             ds = controlDataset
             break
         case 'AOB':
         case 'AMB':
-            controlZoom = bZoomIndex(dataset, controlDataset, zoom)
+            controlZoom = bZoomIndex(dataset, controlDataset, zoom, unit)
             dsControl = controlDataset
             break
         case 'BOA':
             controlZoom = zoom
-            zoom = bZoomIndex(dataset, controlDataset, zoom)
+            zoom = bZoomIndex(dataset, controlDataset, zoom, unit)
             ds = controlDataset
             dsControl = dataset
             break
@@ -189,19 +308,143 @@ function computePercentile(records, p) {
  *   heuristics overshoot that ceiling and leave the +/- threshold buttons with
  *   no usable range, so a lower percentile is used and the result is clamped.
  *
+ * Both percentiles are chosen to saturate the diagonal so a linear scale has
+ * contrast left for everything else. A scale with any other transfer function
+ * already lifts the weak scores itself, and clipping the strong ones on top
+ * would flatten the diagonal for nothing, so its threshold is near the top of
+ * the range instead: the 99.9th percentile, unscaled at whole genome, where the
+ * tail is not what averaging depresses.
+ *
  * @param records contact records
- * @param {{isLive: boolean, isWholeGenome: boolean}} options
+ * @param {{isLive: boolean, isWholeGenome: boolean, transfer: string}} options
+ *        `transfer` is the color scale's, linear when absent
  * @returns {number|undefined} undefined when no threshold can be computed
  */
-function autoThreshold(records, {isLive, isWholeGenome}) {
+function autoThreshold(records, {isLive, isWholeGenome, transfer = 'linear'}) {
+
+    const linear = 'linear' === transfer
 
-    const s = computePercentile(records, isLive ? 75 : 95)
+    const s = computePercentile(records, linear ? (isLive ? 75 : 95) : 99.9)
 
     if (isNaN(s)) return undefined      // no records, or all blocks empty
 
     if (isLive) return Math.min(s, 1)   // clamp to the frequency ceiling
 
-    return isWholeGenome ? s * 4 : s
+    return isWholeGenome && linear ? s * 4 : s
+}
+
+/**
+ * Expected counts by diagonal distance for one chromosome, from a dataset's
+ * expected values at one resolution and normalization.
+ *
+ * A .hic file stores one genome-wide vector per resolution -- the mean count
+ * at each distance, in bins -- and a scale factor per chromosome. The
+ * chromosome's expected count at a distance is the vector's entry divided by
+ * its factor. A chromosome with no factor uses the vector as is.
+ *
+ * @param {{values: ArrayLike<number>, normFactors: Object<number, number>}} expectedValues
+ * @param {number} chrIndex
+ * @returns {Float64Array}
+ */
+function expectedVector({values, normFactors = {}}, chrIndex) {
+    const factor = normFactors[chrIndex] || 1
+    return Float64Array.from(values, value => value / factor)
+}
+
+/**
+ * The largest chromosome, in bins, a Pearson correlation is computed for.
+ *
+ * The correlation is of whole rows of the chromosome's O/E matrix against each
+ * other, so its cost is cubic in the bin count: 1000 bins is about half a
+ * billion multiply-adds, a second's work -- done in the tile worker, see
+ * js/tileRasterizer.js, and on the main thread only where there is none. That
+ * admits chr1 at 250kb and every human chromosome from 500kb up -- the
+ * resolutions compartments are read at.
+ */
+const MAX_PEARSON_BINS = 1000
+
+/**
+ * The Pearson correlation matrix of one chromosome's O/E matrix.
+ *
+ * Each count is divided by the expected count at its diagonal distance, the
+ * matrix is made symmetric, and every pair of rows is correlated. A row with
+ * no variance -- typically an unmappable region with no contacts at all --
+ * correlates with nothing, and its entries are NaN.
+ *
+ * @param records the chromosome's contact records, lower-diagonal as stored
+ * @param {ArrayLike<number>} expected expected counts by distance, see expectedVector
+ * @param {number} n the chromosome's length in bins
+ * @returns {Float32Array} n x n, row-major
+ */
+function pearsonMatrix(records, expected, n) {
+
+    const oe = new Float64Array(n * n)
+    for (const {bin1, bin2, counts} of records) {
+        if (bin1 >= n || bin2 >= n) continue
+        const e = expected[Math.min(Math.abs(bin1 - bin2), expected.length - 1)]
+        if (!(e > 0)) continue
+        oe[bin1 * n + bin2] = oe[bin2 * n + bin1] = counts / e
+    }
+
+    // Center each row, and keep its norm for the denominator.
+    const norms = new Float64Array(n)
+    for (let i = 0; i < n; i++) {
+        let mean = 0
+        for (let k = 0; k < n; k++) mean += oe[i * n + k]
+        mean /= n
+        let sumSq = 0
+        for (let k = 0; k < n; k++) {
+            const v = oe[i * n + k] - mean
+            oe[i * n + k] = v
+            sumSq += v * v
+        }
+        norms[i] = Math.sqrt(sumSq)
+    }
+
+    const pearson = new Float32Array(n * n)
+    for (let i = 0; i < n; i++) {
+        for (let j = i; j < n; j++) {
+            let r = NaN
+            if (norms[i] > 0 && norms[j] > 0) {
+                let dot = 0
+                for (let k = 0; k < n; k++) dot += oe[i * n + k] * oe[j * n + k]
+                r = dot / (norms[i] * norms[j])
+            }
+            pearson[i * n + j] = pearson[j * n + i] = r
+        }
+    }
+
+    return pearson
+}
+
+/**
+ * One image tile's worth of a Pearson matrix, as records paintRecords reads.
+ *
+ * Laid out the way a fetch for the tile would return them: bin1 along the
+ * tile's column and bin2 along its row, swapped above the diagonal, where
+ * paintRecords transposes. Cells past the end of the chromosome and NaN cells
+ * are left out.
+ *
+ * @param {Float32Array} pearson from pearsonMatrix
+ * @param {number} n the chromosome's length in bins
+ * @returns {{bin1: number, bin2: number, counts: number, getKey: function}[]}
+ */
+function pearsonRecords(pearson, n, row, column, tileDimension) {
+
+    const transpose = row < column
+    const [xTile, yTile] = transpose ? [row, column] : [column, row]
+
+    const records = []
+    const x1 = Math.min(n, (xTile + 1) * tileDimension)
+    const y1 = Math.min(n, (yTile + 1) * tileDimension)
+    for (let bin1 = xTile * tileDimension; bin1 < x1; bin1++) {
+        for (let bin2 = yTile * tileDimension; bin2 < y1; bin2++) {
+            const counts = pearson[bin1 * n + bin2]
+            if (Number.isNaN(counts)) continue
+            records.push({bin1, bin2, counts, getKey: () => `${bin1}_${bin2}`})
+        }
+    }
+    return records
 }
 
 function setPixel(buf, x, y, r, g, b, a) {
@@ -246,11 +489,20 @@ function indexControlRecords(controlRecordList, displayMode) {
  * Records with no matching control record are skipped entirely in the combining
  * modes -- they leave the buffer untouched rather than painting a zero score.
  *
+ * The O/E modes divide each count by the expected count at its diagonal
+ * distance, read from `plan.expected` (see expectedVector) and clamped to its
+ * last entry past the end. Inter-chromosomal maps have no diagonal, and their
+ * expected count is the map's average, which is what `averageCount` carries.
+ * A record whose expected count is not positive is skipped.
+ *
+ * PEARSON records already carry a correlation in `counts`, see pearsonRecords.
+ *
  * @param buf {{width: number, height: number, data: Uint8ClampedArray}}
  * @param records primary map contact records
  * @param controlRecords control records indexed by bin pair, from indexControlRecords
  * @param plan {{displayMode, tileDimension, sameChr, averageCount, ctrlAverageCount,
- *               colorScale, ratioColorScale, diffColorScale}}
+ *               colorScale, ratioColorScale, diffColorScale, oeColorScale,
+ *               pearsonColorScale, expected}}
  * @param {number} row tile row
  * @param {number} column tile column
  * @returns {number} how many records were painted, excluding those skipped
@@ -260,7 +512,7 @@ function paintRecords(buf, records, controlRecords, plan, row, column) {
     const {
         displayMode, tileDimension, sameChr,
         averageCount, ctrlAverageCount,
-        colorScale, ratioColorScale, diffColorScale
+        colorScale, ratioColorScale, diffColorScale, oeColorScale, pearsonColorScale, expected
     } = plan
 
     const transpose = sameChr && row < column
@@ -304,6 +556,20 @@ function paintRecords(buf, records, controlRecords, plan, row, column) {
                 break
             }
 
+            case 'OE':
+            case 'BOE': {
+                const expectedCount = sameChr ?
+                    expected[Math.min(Math.abs(rec.bin1 - rec.bin2), expected.length - 1)] :
+                    averageCount
+                if (!(expectedCount > 0)) continue    // Skip
+                rgba = oeColorScale.getColor(rec.counts / expectedCount)
+                break
+            }
+
+            case 'PEARSON':
+                rgba = pearsonColorScale.getColor(rec.counts)
+                break
+
             default:    // Either 'A' or 'B'
                 rgba = colorScale.getColor(rec.counts)
         }
@@ -319,14 +585,65 @@ function paintRecords(buf, records, controlRecords, plan, row, column) {
     return painted
 }
 
+/**
+ * Flatten contact records into typed arrays, for posting to a worker.
+ *
+ * A record from hic-straw is a class instance, and structured clone would strip
+ * its `getKey` on the way across. Three parallel arrays also transfer rather
+ * than copy, and are a fraction of the size of the cloned objects. Counts stay
+ * Float64 -- live maps emit frequencies, and normalized counts are fractional.
+ *
+ * @param records contact records, or undefined for a single-map mode
+ * @returns {{bin1: Int32Array, bin2: Int32Array, counts: Float64Array}|undefined}
+ */
+function packRecords(records) {
+
+    if (!records) return undefined
+
+    const n = records.length
+    const packed = {bin1: new Int32Array(n), bin2: new Int32Array(n), counts: new Float64Array(n)}
+    for (let i = 0; i < n; i++) {
+        packed.bin1[i] = records[i].bin1
+        packed.bin2[i] = records[i].bin2
+        packed.counts[i] = records[i].counts
+    }
+    return packed
+}
+
+/**
+ * The inverse of packRecords: records paintRecords and indexControlRecords can
+ * read, keyed the way hic-straw keys them so a primary record finds its control.
+ */
+function unpackRecords(packed) {
+
+    if (!packed) return []
+
+    const records = new Array(packed.bin1.length)
+    for (let i = 0; i < records.length; i++) {
+        const bin1 = packed.bin1[i]
+        const bin2 = packed.bin2[i]
+        records[i] = {bin1, bin2, counts: packed.counts[i], getKey: () => `${bin1}_${bin2}`}
+    }
+    return records
+}
+
 export {
     tileKey,
     colorScaleKey,
     tileGrid,
+    leadingTiles,
+    zoomedTileGrid,
+    coarserTileRegion,
     bZoomIndex,
     resolveDisplayMode,
     computePercentile,
     autoThreshold,
+    expectedVector,
+    MAX_PEARSON_BINS,
+    pearsonMatrix,
+    pearsonRecords,
     indexControlRecords,
-    paintRecords
+    paintRecords,
+    packRecords,
+    unpackRecords
 }
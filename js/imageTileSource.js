@@ -27,11 +27,17 @@ import {
     tileKey,
     colorScaleKey,
     tileGrid,
+    leadingTiles,
+    zoomedTileGrid,
+    coarserTileRegion,
     resolveDisplayMode,
     autoThreshold,
-    indexControlRecords,
-    paintRecords
+    expectedVector,
+    MAX_PEARSON_BINS,
+    pearsonRecords
 } from './imageTileCore.js'
+import createTileRasterizer, {MainThreadRasterizer} from './tileRasterizer.js'
+import TileCache, {closeImage} from './tileCache.js'
 
 const DEFAULT_TILE_DIMENSION = 685
 
@@ -68,36 +74,58 @@ class ImageTileSource {
      * @param colorScale scale for the single-map display modes
      * @param ratioColorScale scale for AOB / BOA
      * @param diffColorScale signed scale for AMB
-     * @param createTile factory for a raster surface. Defaults to a canvas;
-     *        tests inject a stub, since the test environment has no canvas.
-     * @param observer receives colorScaleChanged, normalizationUnavailable and
-     *        loadingChanged. All optional.
+     * @param oeColorScale signed scale for OE / BOE
+     * @param pearsonColorScale signed scale for PEARSON
+     * @param createTile factory for a raster surface, painted on the main
+     *        thread. Tests inject a stub, since the test environment has no
+     *        canvas. Naming one opts out of the worker.
+     * @param rasterizer turns a tile's records into an image. Defaults to a
+     *        worker where the environment has one, see js/tileRasterizer.js.
+     * @param observer receives colorScaleChanged, normalizationUnavailable,
+     *        displayModeUnavailable and loadingChanged. All optional.
      * @param tileDimension tile edge length in bins
-     * @param cacheLimit retained tile count
+     * @param tileCache where tiles are kept, shared with the other browsers in
+     *        the registry; see js/tileCache.js. A source given none keeps a
+     *        cache of its own, at the default budget.
      */
     constructor({
                     colorScale,
                     ratioColorScale,
                     diffColorScale,
+                    oeColorScale,
+                    pearsonColorScale,
                     createTile,
+                    rasterizer,
                     observer = {},
                     tileDimension = DEFAULT_TILE_DIMENSION,
-                    cacheLimit = 8      // 8 is the minimum number required to support A/B cycling
+                    tileCache = new TileCache()
                 } = {}) {
 
         this.colorScale = colorScale
         this.ratioColorScale = ratioColorScale
         this.diffColorScale = diffColorScale
+        this.oeColorScale = oeColorScale
+        this.pearsonColorScale = pearsonColorScale
 
-        this.createTile = createTile || defaultCreateTile
+        this.rasterizer = rasterizer || (createTile ? new MainThreadRasterizer(createTile) : createTileRasterizer())
         this.observer = observer
         this.tileDimension = tileDimension
 
-        this.cache = {}
-        this.cacheKeys = []
-        this.cacheLimit = cacheLimit
+        this.tileCache = tileCache
         this.thresholdCache = {}
-        this.drawsInProgress = new Set()
+
+        // Draws under way, by key, for a settled pass to await.
+        this.drawsInProgress = new Map()
+
+        // Expected counts and Pearson matrices by dataset, then by chromosome,
+        // resolution and normalization. See #derived.
+        this.expectedCache = new WeakMap()
+        this.pearsonCache = new WeakMap()
+
+        // Background fetches by key, for a pass to await; see prefetch.
+        this.prefetching = new Map()
+        this.prefetchGeneration = 0
+        this.epoch = 0
     }
 
     // -- color scale ------------------------------------------------------
@@ -109,6 +137,11 @@ class ImageTileSource {
                 return this.ratioColorScale
             case 'AMB':
                 return this.diffColorScale
+            case 'OE':
+            case 'BOE':
+                return this.oeColorScale
+            case 'PEARSON':
+                return this.pearsonColorScale
             default:
                 return this.colorScale
         }
@@ -123,6 +156,13 @@ class ImageTileSource {
             case 'AMB':
                 this.diffColorScale = colorScale
                 break
+            case 'OE':
+            case 'BOE':
+                this.oeColorScale = colorScale
+                break
+            case 'PEARSON':
+                this.pearsonColorScale = colorScale
+                break
             default:
                 this.colorScale = colorScale
         }
@@ -135,16 +175,28 @@ class ImageTileSource {
         this.invalidate()
     }
 
+    /**
+     * Give up the rasterizer's worker, and this source's share of the tile
+     * cache. Called when the view that owns this source is disposed.
+     */
+    dispose() {
+        this.rasterizer.dispose()
+        this.tileCache.clear(this)
+    }
+
     /**
      * Discard cached tiles. Threshold caching is separate and survives by
      * default: a pan or a color change invalidates rasters but not the computed
      * threshold. Pass {thresholds: true} on map load, where both are stale.
      */
     invalidate({thresholds = false} = {}) {
-        this.cache = {}
-        this.cacheKeys = []
+        this.tileCache.clear(this)
+        this.epoch++
+        this.prefetchGeneration++
         if (thresholds) {
             this.thresholdCache = {}
+            this.expectedCache = new WeakMap()
+            this.pearsonCache = new WeakMap()
         }
     }
 
@@ -155,47 +207,91 @@ class ImageTileSource {
      *
      * Each tile is {row, column, blockBinCount, binSize} plus either an `image`
      * or `inProgress: true`. An in-progress tile is one whose raster is already
-     * being drawn by an overlapping pass; the caller decides what to show in
-     * its place.
+     * being drawn by an overlapping pass, and for which nothing coarser is
+     * cached; the caller decides what to show in its place.
+     *
+     * A tile carrying `placeholder: true` stands in for one that has not been
+     * drawn yet. Its `image` is a cached tile at a coarser resolution and its
+     * `source` the rectangle of that image covering the same region, which the
+     * caller stretches over the tile's place. Placeholders for every uncached
+     * tile come first, before anything is fetched, so a zoom shows a blurred map
+     * at once; the real tile follows and is painted over its placeholder.
      *
      * `binSize` is carried on every tile because the caller needs it to express
      * the view's genomic extent, and it has no other route to the zoom data.
+     *
+     * A `settled` pass yields finished tiles only, for a caller that paints
+     * once rather than progressively -- a figure export. It skips the
+     * placeholders and awaits a tile another pass is drawing instead of
+     * yielding it in progress.
      */
-    async* tilesFor({dataset, controlDataset, state, displayMode, viewDimensions}) {
+    async* tilesFor({dataset, controlDataset, state, displayMode, viewDimensions, settled = false}) {
+
+        // The view has moved on from whatever a prefetch was guessing at.
+        this.prefetchGeneration++
 
         const {ds, dsControl, zoom, controlZoom} =
-            resolveDisplayMode(dataset, controlDataset, state.zoom, displayMode)
+            resolveDisplayMode(dataset, controlDataset, state.zoom, displayMode, state.unit)
 
         const matrix = await ds.getMatrix(state.chr1, state.chr2)
-        const zd = matrix.getZoomDataByIndex(zoom, "BP")
+        const zd = matrix.getZoomDataByIndex(zoom, state.unit)
 
         let zdControl = null
         if (dsControl) {
             const matrixControl = await dsControl.getMatrix(state.chr1, state.chr2)
-            zdControl = matrixControl.getZoomDataByIndex(controlZoom, "BP")
+            zdControl = matrixControl.getZoomDataByIndex(controlZoom, state.unit)
         }
 
         const {row1, row2, col1, col2} = tileGrid(state, viewDimensions, this.tileDimension)
 
-        const normalization = this.#effectiveNormalization(ds, zd, state.normalization)
+        const normalization = await this.#effectiveNormalization(ds, zd, state.normalization)
 
-        await this.#ensureColorScale(ds, zd, {row1, row2, col1, col2}, normalization, state, displayMode)
+        // A pass refused what its mode needs renders, and is cached, as the
+        // observed map it falls back to.
+        const derived = await this.#derived(ds, zd, normalization, displayMode)
+        const {expected, pearson} = derived
+        displayMode = derived.displayMode
 
-        // Retain at least two screenfuls, so switching between the A and B maps
-        // finds both cached and so no pass can evict a tile it still needs. The
-        // configured limit is a floor, not a ceiling: a 1000x1000 viewport can
-        // span 9 tiles and a 1920x1080 one 12, against a default limit of 8.
-        // A configured limit of 0 disables caching outright, and stays disabled.
-        const tilesInView = (row2 - row1 + 1) * (col2 - col1 + 1)
-        const retain = 0 === this.cacheLimit ? 0 : Math.max(this.cacheLimit, tilesInView * 2)
+        // Pinned before anything is fetched, so no tile of this view -- nor of
+        // the one before it, for A/B cycling -- is evicted to make room for
+        // another. The budget can be exceeded by those two screenfuls.
+        const keys = []
+        for (let row = row1; row <= row2; row++) {
+            for (let column = col1; column <= col2; column++) {
+                keys.push(tileKey(zd, row, column, normalization, displayMode))
+            }
+        }
+        this.tileCache.pin(this, keys)
+
+        // Ahead of the threshold probe as well as the tile fetches: a zoom to a
+        // new resolution pays for both, and the placeholders need neither.
+        for (let row = row1; row <= row2 && !settled; row++) {
+            for (let column = col1; column <= col2; column++) {
+                if (!this.tileCache.has(this, tileKey(zd, row, column, normalization, displayMode))) {
+                    const placeholder = this.#placeholder(ds, zd, normalization, displayMode, row, column)
+                    if (placeholder) yield placeholder
+                }
+            }
+        }
+
+        await this.#ensureColorScale(ds, zd, {row1, row2, col1, col2}, normalization, state, displayMode)
 
         for (let row = row1; row <= row2; row++) {
             for (let column = col1; column <= col2; column++) {
-                yield await this.#tileAt(
-                    {ds, dsControl, zd, zdControl, normalization, displayMode, retain},
+                const tile = await this.#tileAt(
+                    {ds, dsControl, zd, zdControl, normalization, displayMode, expected, pearson},
                     row,
-                    column
+                    column,
+                    settled
                 )
+                try {
+                    yield tile
+                } finally {
+                    // Drawn for this pass alone, with no room in the cache: by
+                    // the time the consumer asks for the next tile it has been
+                    // painted, and nothing else holds it.
+                    if (tile.transient) closeImage(tile)
+                }
             }
         }
     }
@@ -204,20 +300,141 @@ class ImageTileSource {
      * The normalization this pass can actually render with.
      *
      * A vector absent at the current resolution falls back to NONE. The source
-     * reports the fallback and renders with it; it does not write state.
+     * reports the fallback -- unless `report` is false, as it is for a
+     * prefetch -- and renders with it; it does not write state.
+     * A dataset may answer whether it has the vector asynchronously -- a .hic
+     * file, or a composite of them -- so the answer is awaited.
      */
-    #effectiveNormalization(ds, zd, requested) {
+    async #effectiveNormalization(ds, zd, requested, report = true) {
 
         if (requested === "NONE") return requested
 
-        if (ds.hasNormalizationVector(requested, zd.chr1.name, zd.zoom.unit, zd.zoom.binSize)) {
+        if (await ds.hasNormalizationVector(requested, zd.chr1.name, zd.zoom.unit, zd.zoom.binSize)) {
             return requested
         }
 
-        this.observer.normalizationUnavailable?.(requested, "NONE")
+        if (report) {
+            this.observer.normalizationUnavailable?.(requested, "NONE")
+        }
         return "NONE"
     }
 
+    /**
+     * What a pass derives from the records before painting them, and the mode
+     * it can actually render in.
+     *
+     * - The O/E modes on a single chromosome need expected counts: across two
+     *   chromosomes the expected count is the map's average, which the zoom
+     *   data already carries.
+     * - PEARSON needs the correlation matrix of the whole chromosome, which is
+     *   only computed where it is affordable: one chromosome against itself,
+     *   at most MAX_PEARSON_BINS bins long at this resolution.
+     *
+     * A pass that cannot have what its mode needs renders the observed map
+     * instead, and the fallback is reported the way an unavailable
+     * normalization is, with the reason -- unless `report` is false, as it is
+     * for a prefetch.
+     *
+     * @returns {Promise<{displayMode: string, expected?: Float64Array, pearson?: {matrix: Float32Array, n: number}}>}
+     */
+    async #derived(ds, zd, normalization, displayMode, report = true) {
+
+        const refuse = (fallback, reason) => {
+            if (report) {
+                this.observer.displayModeUnavailable?.(displayMode, fallback, reason)
+            }
+            return {displayMode: fallback}
+        }
+
+        const sameChr = zd.chr1.index === zd.chr2.index
+
+        switch (displayMode) {
+
+            case 'OE':
+            case 'BOE': {
+                if (!sameChr) return {displayMode}
+                const expected = await this.#expectedFor(ds, zd, normalization)
+                return expected ?
+                    {displayMode, expected} :
+                    refuse('OE' === displayMode ? 'A' : 'B', 'this map carries no expected values at this resolution')
+            }
+
+            case 'PEARSON': {
+                if (!sameChr || ds.isWholeGenome?.(zd.chr1.index)) {
+                    return refuse('A', 'Pearson correlation is drawn for a chromosome against itself')
+                }
+
+                const n = Math.ceil(zd.chr1.size / zd.zoom.binSize)
+                if (n > MAX_PEARSON_BINS) {
+                    const affordable = (('FRAG' === zd.zoom.unit ? ds.fragResolutions : ds.bpResolutions) || [])
+                        .filter(binSize => Math.ceil(zd.chr1.size / binSize) <= MAX_PEARSON_BINS)
+                    return refuse('A', affordable.length > 0 ?
+                        `Pearson correlation of ${zd.chr1.name} needs a resolution of ${prettyBinSize(Math.min(...affordable))} or coarser` :
+                        `${zd.chr1.name} is too long for a Pearson correlation at any resolution of this map`)
+                }
+
+                const expected = await this.#expectedFor(ds, zd, normalization)
+                if (!expected) {
+                    return refuse('A', 'this map carries no expected values at this resolution')
+                }
+
+                const matrix = await this.#pearsonFor(ds, zd, normalization, expected, n, report)
+                return {displayMode, pearson: {matrix, n}}
+            }
+
+            default:
+                return {displayMode}
+        }
+    }
+
+    /**
+     * Expected counts by distance for the chromosome on view, or undefined where
+     * the dataset carries none. Memoized per dataset, chromosome, resolution
+     * and normalization.
+     */
+    async #expectedFor(ds, zd, normalization) {
+
+        const byKey = derivedCache(this.expectedCache, ds)
+        const key = `${zd.chr1.index}_${zd.zoom.unit}_${zd.zoom.binSize}_${normalization}`
+        if (!byKey.has(key)) {
+            const expectedValues = await ds.getExpectedValues?.(normalization, zd.zoom.unit, zd.zoom.binSize)
+            byKey.set(key, expectedValues ? expectedVector(expectedValues, zd.chr1.index) : undefined)
+        }
+
+        const expected = byKey.get(key)
+        return expected && expected.length > 0 ? expected : undefined
+    }
+
+    /**
+     * The chromosome's Pearson matrix, fetched and computed once per dataset,
+     * resolution and normalization. The promise is what is memoized, so tiles
+     * of one pass, and a pass overlapping it, share one computation. The
+     * computation is the rasterizer's, off the main thread where it has a worker.
+     */
+    #pearsonFor(ds, zd, normalization, expected, n, report) {
+
+        const byKey = derivedCache(this.pearsonCache, ds)
+        const key = `${zd.chr1.index}_${zd.zoom.unit}_${zd.zoom.binSize}_${normalization}`
+        if (!byKey.has(key)) {
+            const compute = async () => {
+                if (report) this.observer.loadingChanged?.(true)
+                try {
+                    const region = {chr: zd.chr1.name, start: 0, end: zd.chr1.size}
+                    const records = await ds.getContactRecords(
+                        normalization, region, region, zd.zoom.unit, zd.zoom.binSize)
+                    return await this.rasterizer.correlate({records, expected, n})
+                } finally {
+                    if (report) this.observer.loadingChanged?.(false)
+                }
+            }
+            const matrix = compute()
+            // A failed fetch is not remembered; the next pass tries again.
+            matrix.catch(() => byKey.delete(key))
+            byKey.set(key, matrix)
+        }
+        return byKey.get(key)
+    }
+
     /**
      * Compute and apply the automatic color scale threshold, if needed.
      *
@@ -229,7 +446,8 @@ class ImageTileSource {
      */
     async #ensureColorScale(ds, zd, grid, normalization, state, displayMode) {
 
-        if ('AOB' === displayMode || 'BOA' === displayMode || 'AMB' === displayMode) {
+        if ('AOB' === displayMode || 'BOA' === displayMode || 'AMB' === displayMode ||
+            'OE' === displayMode || 'BOE' === displayMode || 'PEARSON' === displayMode) {
             return
         }
 
@@ -247,27 +465,7 @@ class ImageTileSource {
 
         this.observer.loadingChanged?.(true)
         try {
-            const widthInBP = this.tileDimension * zd.zoom.binSize
-            const x0bp = grid.col1 * widthInBP
-            const y0bp = grid.row1 * widthInBP
-            const region1 = {
-                chr: zd.chr1.name,
-                start: x0bp,
-                end: x0bp + (grid.col2 - grid.col1 + 1) * widthInBP
-            }
-            const region2 = {
-                chr: zd.chr2.name,
-                start: y0bp,
-                end: y0bp + (grid.row2 - grid.row1 + 1) * widthInBP
-            }
-
-            const records = await ds.getContactRecords(
-                normalization, region1, region2, zd.zoom.unit, zd.zoom.binSize, true)
-
-            const threshold = autoThreshold(records, {
-                isLive: ds.isLive,
-                isWholeGenome: 0 === zd.chr1.index
-            })
+            const threshold = await this.#probeThreshold(ds, zd, grid, normalization)
 
             if (undefined !== threshold) {
                 this.colorScale = new ColorScale(this.colorScale)
@@ -280,83 +478,355 @@ class ImageTileSource {
         }
     }
 
-    async #tileAt({ds, dsControl, zd, zdControl, normalization, displayMode, retain}, row, column) {
+    /**
+     * The automatic threshold for the records under a tile range, or undefined
+     * where there is nothing to base one on.
+     */
+    async #probeThreshold(ds, zd, grid, normalization) {
+
+        const widthInBP = this.tileDimension * zd.zoom.binSize
+        const x0bp = grid.col1 * widthInBP
+        const y0bp = grid.row1 * widthInBP
+        const region1 = {
+            chr: zd.chr1.name,
+            start: x0bp,
+            end: x0bp + (grid.col2 - grid.col1 + 1) * widthInBP
+        }
+        const region2 = {
+            chr: zd.chr2.name,
+            start: y0bp,
+            end: y0bp + (grid.row2 - grid.row1 + 1) * widthInBP
+        }
+
+        const records = await ds.getContactRecords(
+            normalization, region1, region2, zd.zoom.unit, zd.zoom.binSize, true)
+
+        return autoThreshold(records, {
+            isLive: ds.isLive,
+            isWholeGenome: 0 === zd.chr1.index,
+            transfer: this.colorScale.transfer
+        })
+    }
+
+    /**
+     * A cached tile at a coarser resolution covering the same region, cut down
+     * to the part that does, or undefined when the cache holds none.
+     *
+     * The finest such resolution wins -- it is the least blurred. Everything
+     * but the resolution has to match, display mode and normalization included:
+     * a KR placeholder for a NONE tile would flash the wrong contrast.
+     */
+    #placeholder(ds, zd, normalization, displayMode, row, column) {
 
-        const key = tileKey(zd, row, column, normalization, displayMode)
         const binSize = zd.zoom.binSize
+        const resolutions = ('FRAG' === zd.zoom.unit ? ds.fragResolutions : ds.bpResolutions) || []
+        const coarser = resolutions.filter(b => b > binSize).sort((a, b) => a - b)
+
+        for (const coarseBinSize of coarser) {
+
+            const region = coarserTileRegion(row, column, this.tileDimension, binSize, coarseBinSize)
+            if (!region) continue
 
-        if (this.cache.hasOwnProperty(key)) {
-            return this.cache[key]
+            const coarseZd = {...zd, zoom: {...zd.zoom, binSize: coarseBinSize}}
+            const cached = this.tileCache.peek(this, tileKey(coarseZd, region.row, region.column, normalization, displayMode))
+            if (cached) {
+                const {x, y, width, height} = region
+                return {
+                    row,
+                    column,
+                    blockBinCount: this.tileDimension,
+                    binSize,
+                    image: cached.image,
+                    source: {x, y, width, height},
+                    placeholder: true
+                }
+            }
+        }
+
+        return undefined
+    }
+
+    async #tileAt(pass, row, column, settled = false) {
+
+        const {ds, zd, normalization, displayMode} = pass
+        const key = tileKey(zd, row, column, normalization, displayMode)
+
+        const cached = this.tileCache.get(this, key)
+        if (cached) {
+            return cached
+        }
+
+        // A prefetch already fetching this tile is as good as a draw of our
+        // own, and further along. Its tile is taken from the cache: one the
+        // prefetch had no room for is closed by the time this resumes.
+        if (this.prefetching.has(key)) {
+            await this.prefetching.get(key)
+            const prefetched = this.tileCache.get(this, key)
+            if (prefetched) return prefetched
         }
 
         if (this.drawsInProgress.has(key)) {
-            // TODO return an image at a coarser resolution if available
-            return {row, column, blockBinCount: this.tileDimension, binSize, inProgress: true}
+            // A settled pass waits for the draw, then takes the tile as that
+            // draw's own pass did: from the cache, or -- where the cache had no
+            // room, and the other pass closes its tile once painted -- by a
+            // draw of its own.
+            if (settled) {
+                await this.drawsInProgress.get(key)
+                return this.#tileAt(pass, row, column, settled)
+            }
+            return this.#placeholder(ds, zd, normalization, displayMode, row, column) ||
+                {row, column, blockBinCount: this.tileDimension, binSize: zd.zoom.binSize, inProgress: true}
         }
 
-        this.drawsInProgress.add(key)
+        const draw = this.#drawTile(pass, row, column, this.colorScale)
+        this.drawsInProgress.set(key, draw)
         this.observer.loadingChanged?.(true)
 
         try {
-            const widthInBP = this.tileDimension * binSize
-            const x0bp = column * widthInBP
-            const y0bp = row * widthInBP
-            const region1 = {chr: zd.chr1.name, start: x0bp, end: x0bp + widthInBP}
-            const region2 = {chr: zd.chr2.name, start: y0bp, end: y0bp + widthInBP}
-
-            const records = await ds.getContactRecords(
-                normalization, region1, region2, zd.zoom.unit, binSize)
-
-            let controlRecordList
-            if (zdControl) {
-                controlRecordList = await dsControl.getContactRecords(
-                    normalization, region1, region2, zdControl.zoom.unit, zdControl.zoom.binSize)
+            const tile = await draw
+            return this.tileCache.set(this, key, tile) ? tile : {...tile, transient: true}
+        } finally {
+            this.drawsInProgress.delete(key)
+            this.observer.loadingChanged?.(false)
+        }
+    }
+
+    async #drawTile({dsControl, ds, zd, zdControl, normalization, displayMode, expected, pearson}, row, column, colorScale) {
+
+        const binSize = zd.zoom.binSize
+        const widthInBP = this.tileDimension * binSize
+        const x0bp = column * widthInBP
+        const y0bp = row * widthInBP
+        const region1 = {chr: zd.chr1.name, start: x0bp, end: x0bp + widthInBP}
+        const region2 = {chr: zd.chr2.name, start: y0bp, end: y0bp + widthInBP}
+
+        // Each map's records are fetched by the rasterizer, off the main thread
+        // where the dataset describes the read for its worker.
+        const read = (dataset, unit, binSize) => ({
+            request: dataset.contactRecordsRequest?.(normalization, region1, region2, unit, binSize),
+            fetch: () => dataset.getContactRecords(normalization, region1, region2, unit, binSize)
+        })
+
+        // A Pearson tile is cut from the chromosome's matrix, already in hand.
+        const records = pearson ?
+            {fetch: async () => pearsonRecords(pearson.matrix, pearson.n, row, column, this.tileDimension)} :
+            read(ds, zd.zoom.unit, binSize)
+
+        const image = await this.rasterizer.rasterize({
+            records,
+            controlRecords: zdControl && read(dsControl, zdControl.zoom.unit, zdControl.zoom.binSize),
+            row,
+            column,
+            tileDimension: this.tileDimension,
+            plan: {
+                displayMode,
+                tileDimension: this.tileDimension,
+                sameChr: zd.chr1.index === zd.chr2.index,
+                averageCount: zd.averageCount,
+                ctrlAverageCount: zdControl ? zdControl.averageCount : 1,
+                colorScale,
+                ratioColorScale: this.ratioColorScale,
+                diffColorScale: this.diffColorScale,
+                oeColorScale: this.oeColorScale,
+                pearsonColorScale: this.pearsonColorScale,
+                expected
             }
+        })
 
-            const image = this.createTile(this.tileDimension)
+        return {row, column, blockBinCount: this.tileDimension, binSize, image}
+    }
 
-            if (records.length > 0) {
-                const ctx = image.getContext('2d')
-                const buf = ctx.getImageData(0, 0, image.width, image.height)
+    // -- prefetch ---------------------------------------------------------
 
-                paintRecords(buf, records, indexControlRecords(controlRecordList, displayMode), {
-                    displayMode,
-                    tileDimension: this.tileDimension,
-                    sameChr: zd.chr1.index === zd.chr2.index,
-                    averageCount: zd.averageCount,
-                    ctrlAverageCount: zdControl ? zdControl.averageCount : 1,
-                    colorScale: this.colorScale,
-                    ratioColorScale: this.ratioColorScale,
-                    diffColorScale: this.diffColorScale
-                }, row, column)
+    /**
+     * Warm the cache with the tiles the view is heading toward.
+     *
+     * `motion` is the view's most recent gesture: `{dx, dy}` for a pan, in
+     * pixels, or `{zoom, anchor}` for a zoom, where `zoom` is +1 in and -1 out
+     * and `anchor` the point zoomed about, in viewport pixels. A pan warms the
+     * tiles just past the edge it is moving toward (leadingTiles); a zoom warms
+     * a screenful at the next resolution around the anchor (zoomedTileGrid).
+     *
+     * Prefetching is strictly background work. Tiles are fetched one at a time,
+     * each after the browser reports idle time; the loading spinner is left
+     * alone, an unavailable normalization is not reported, and errors are
+     * dropped -- a tile that fails here is simply fetched again when it is
+     * needed. The next tilesFor, prefetch or invalidate cancels the remaining
+     * tiles; one already in flight finishes, and a pass that wants it awaits it
+     * rather than fetching it twice.
+     *
+     * Nothing is prefetched when caching is disabled, and a prefetched tile is
+     * dropped rather than cached when making room for it would evict a pinned
+     * tile -- one of the current view's, or the previous view's. A dropped
+     * tile's bitmap is closed.
+     *
+     * Resolves once the prefetch has finished or been cancelled.
+     */
+    async prefetch({dataset, controlDataset, state, displayMode, viewDimensions, motion}) {
+
+        const generation = ++this.prefetchGeneration
 
-                ctx.putImageData(buf, 0, 0)
+        // A Pearson view is a chromosome's worth of tiles computed in one go;
+        // there is nothing cheaper to warm ahead of it.
+        if (0 === this.tileCache.budget || !motion || 'PEARSON' === displayMode) {
+            return
+        }
+
+        const cancelled = () => generation !== this.prefetchGeneration
+
+        try {
+            const view = await this.#pass(dataset, controlDataset, state.zoom, state, displayMode, viewDimensions)
+            if (cancelled()) return
+
+            let target
+            if (motion.zoom) {
+                target = await this.#zoomTarget(view, dataset, controlDataset, state, displayMode, viewDimensions, motion)
+            } else {
+                target = {pass: view, tiles: leadingTiles(view.grid, motion), colorScale: this.colorScale}
             }
+            if (!target) return
 
-            const tile = {row, column, blockBinCount: this.tileDimension, binSize, image}
+            for (const {row, column} of target.tiles) {
+                await idle()
+                if (cancelled()) return
+                await this.#prefetchTile(target.pass, row, column, target.colorScale)
+            }
+        } catch (e) {
+            console.warn('Image tile prefetch failed', e)
+        }
+    }
 
-            if (retain > 0) {
-                this.cache[key] = tile
-                this.cacheKeys.push(key)
-                while (this.cacheKeys.length > retain) {
-                    delete this.cache[this.cacheKeys.shift()]
-                }
+    /**
+     * Everything a tile fetch needs at one zoom index, resolved the way
+     * tilesFor resolves it but without reporting anything.
+     */
+    async #pass(dataset, controlDataset, zoomIndex, state, displayMode, viewDimensions) {
+
+        const {ds, dsControl, zoom, controlZoom} =
+            resolveDisplayMode(dataset, controlDataset, zoomIndex, displayMode, state.unit)
+
+        const matrix = await ds.getMatrix(state.chr1, state.chr2)
+        const zd = matrix.getZoomDataByIndex(zoom, state.unit)
+
+        let zdControl = null
+        if (dsControl) {
+            const matrixControl = await dsControl.getMatrix(state.chr1, state.chr2)
+            zdControl = matrixControl.getZoomDataByIndex(controlZoom, state.unit)
+        }
+
+        const normalization = await this.#effectiveNormalization(ds, zd, state.normalization, false)
+
+        const derived = await this.#derived(ds, zd, normalization, displayMode, false)
+
+        const grid = tileGrid(state, viewDimensions, this.tileDimension)
+
+        return {ds, dsControl, zd, zdControl, normalization, ...derived, grid}
+    }
+
+    /**
+     * The tiles, and the scale to paint them with, one resolution step from
+     * the view -- or undefined past either end of the resolution list.
+     *
+     * A single-map tile is painted at the threshold its own zoom would get.
+     * That threshold is probed here if it is not already memoized, and memoized
+     * under the same key tilesFor reads, so the view arriving at that zoom
+     * adopts it and the warmed tiles match.
+     */
+    async #zoomTarget(view, dataset, controlDataset, state, displayMode, viewDimensions, {zoom, anchor}) {
+
+        const zoomIndex = state.zoom + Math.sign(zoom)
+        const resolutions = 'FRAG' === state.unit ? dataset.fragResolutions : dataset.bpResolutions
+        if (!resolutions || zoomIndex < 0 || zoomIndex >= resolutions.length) {
+            return undefined
+        }
+
+        const pass = await this.#pass(dataset, controlDataset, zoomIndex, state, displayMode, viewDimensions)
+
+        const center = anchor || {x: viewDimensions.width / 2, y: viewDimensions.height / 2}
+        const grid = zoomedTileGrid(
+            state, center, view.zd.zoom.binSize, pass.zd.zoom.binSize, viewDimensions, this.tileDimension)
+
+        const tiles = []
+        for (let row = grid.row1; row <= grid.row2; row++) {
+            for (let column = grid.col1; column <= grid.col2; column++) {
+                tiles.push({row, column})
+            }
+        }
+
+        let colorScale = this.colorScale
+        if ('A' === pass.displayMode || 'B' === pass.displayMode) {
+            const key = colorScaleKey({...state, zoom: zoomIndex, normalization: pass.normalization}, pass.displayMode)
+            if (!this.thresholdCache[key]) {
+                const threshold = await this.#probeThreshold(pass.ds, pass.zd, grid, pass.normalization)
+                if (undefined === threshold) return undefined
+                this.thresholdCache[key] = threshold
             }
+            colorScale = new ColorScale(this.colorScale)
+            colorScale.setThreshold(this.thresholdCache[key])
+        }
+
+        return {pass, tiles, colorScale}
+    }
 
-            return tile
+    async #prefetchTile(pass, row, column, colorScale) {
 
+        const key = tileKey(pass.zd, row, column, pass.normalization, pass.displayMode)
+        if (this.tileCache.has(this, key) || this.drawsInProgress.has(key) || this.prefetching.has(key)) {
+            return
+        }
+
+        // A tile this prefetch does not cache is nobody else's: a pass that
+        // awaited it reads the cache afterward, so its bitmap is closed here.
+        const epoch = this.epoch
+        const draw = this.#drawTile(pass, row, column, colorScale)
+            .then(tile => {
+                if (epoch === this.epoch) return tile
+                closeImage(tile)
+                return undefined
+            }, () => undefined)
+
+        this.prefetching.set(key, draw)
+        try {
+            const tile = await draw
+            if (tile && (this.tileCache.has(this, key) || !this.tileCache.set(this, key, tile, {ifRoom: true}))) {
+                closeImage(tile)
+            }
         } finally {
-            this.drawsInProgress.delete(key)
-            this.observer.loadingChanged?.(false)
+            this.prefetching.delete(key)
         }
     }
 }
 
-function defaultCreateTile(dimension) {
-    const canvas = document.createElement('canvas')
-    canvas.width = dimension
-    canvas.height = dimension
-    return canvas
+/**
+ * The memo for one dataset in a per-dataset cache, created on first use.
+ */
+function derivedCache(cache, ds) {
+    let byKey = cache.get(ds)
+    if (!byKey) {
+        byKey = new Map()
+        cache.set(ds, byKey)
+    }
+    return byKey
+}
+
+function prettyBinSize(binSize) {
+    if (binSize >= 1e6) return `${binSize / 1e6} mb`
+    if (binSize >= 1e3) return `${binSize / 1e3} kb`
+    return `${binSize} bp`
+}
+
+/**
+ * Resolves when the browser next has idle time, or on the next turn of the
+ * event loop where it cannot say.
+ */
+function idle() {
+    return new Promise(resolve => {
+        if (typeof requestIdleCallback === 'function') {
+            requestIdleCallback(() => resolve())
+        } else {
+            setTimeout(resolve, 0)
+        }
+    })
 }
 
 export {DEFAULT_TILE_DIMENSION}
@@ -0,0 +1,97 @@
+/**
+ * The worker half of `WorkerRasterizer` (js/tileRasterizer.js): paints one
+ * image tile per message into an OffscreenCanvas and posts back an ImageBitmap,
+ * or, for a message carrying `correlate`, computes a chromosome's Pearson
+ * matrix and posts that back.
+ *
+ * Deliberately thin. The painting is `paintRecords`, the same function the main
+ * thread runs, which is why imageTileCore.js is kept free of DOM and dataset
+ * dependencies. What is here is only the crossing: records arrive packed, or as
+ * a request the worker reads through its own hic-straw, and color scales
+ * arrive as the strings a session stores them as.
+ */
+import Straw from 'hic-straw'
+import {indexControlRecords, paintRecords, pearsonMatrix, unpackRecords} from './imageTileCore.js'
+import {parseColorScale} from './colorScaleParser.js'
+
+// The files requests have named, each opened once and read through its own
+// block cache. Keyed by the source's id: a File has no URL to key it by.
+const straws = new Map()
+
+async function read(packed, request) {
+
+    if (!request) return unpackRecords(packed)
+
+    const {source, args} = request
+    let straw = straws.get(source.id)
+    if (!straw) {
+        // A primary and a control, and the pair before a load replaced them.
+        if (straws.size >= 4) straws.clear()
+        straw = new Straw(source.config)
+        straws.set(source.id, straw)
+    }
+
+    try {
+        return await straw.getContactRecords(...args)
+    } catch (error) {
+        straws.delete(source.id)
+        throw Object.assign(new Error(error?.message ?? String(error)), {fetchFailed: true})
+    }
+}
+
+// A parsed scale carries its own color cache, which is most of what makes
+// getColor cheap. Tiles in one pass share a scale, so keep the parsed copy.
+const scales = new Map()
+
+function scaleFor(string) {
+
+    if (undefined === string) return undefined
+
+    let scale = scales.get(string)
+    if (!scale) {
+        scale = parseColorScale(string)
+        // At most a pass's worth -- one scale per kind -- as old thresholds are dead.
+        if (scales.size >= 5) scales.clear()
+        scales.set(string, scale)
+    }
+    return scale
+}
+
+self.onmessage = async ({data}) => {
+
+    const {id, row, column, tileDimension, records, recordsRequest, controlRecords, controlRecordsRequest, plan, correlate} = data
+
+    try {
+        if (correlate) {
+            const matrix = pearsonMatrix(unpackRecords(correlate.records), correlate.expected, correlate.n)
+            self.postMessage({id, matrix}, [matrix.buffer])
+            return
+        }
+
+        const [primary, control] = await Promise.all([
+            read(records, recordsRequest),
+            read(controlRecords, controlRecordsRequest)
+        ])
+
+        const canvas = new OffscreenCanvas(tileDimension, tileDimension)
+        const ctx = canvas.getContext('2d')
+        const buf = ctx.getImageData(0, 0, tileDimension, tileDimension)
+
+        paintRecords(buf, primary, indexControlRecords(control, plan.displayMode), {
+            ...plan,
+            colorScale: scaleFor(plan.colorScale),
+            ratioColorScale: scaleFor(plan.ratioColorScale),
+            diffColorScale: scaleFor(plan.diffColorScale),
+            oeColorScale: scaleFor(plan.oeColorScale),
+            pearsonColorScale: scaleFor(plan.pearsonColorScale)
+        }, row, column)
+
+        ctx.putImageData(buf, 0, 0)
+
+        const image = canvas.transferToImageBitmap()
+        self.postMessage({id, image}, [image])
+
+    } catch (error) {
+        self.postMessage({id, error: error.message, fetchFailed: Boolean(error.fetchFailed)})
+    }
+}
@@ -37,7 +37,9 @@ import {restoreSession} from "./session.js"
  * its contents; a different element gets a different registry, which is #384.
  *
  * @param {Element} container - the host element this embed occupies.
- * @param {Object} config - a browser config or a session.
+ * @param {Object} config - a browser config or a session. May also carry
+ *   `tileCacheBudget`, the bytes of image tile the embed's browsers share
+ *   (`js/tileCache.js`); it is the host's, and no session writes it.
  * @returns {Promise<BrowserRegistry>}
  */
 async function initRegistry(container, config) {
@@ -46,6 +48,12 @@ async function initRegistry(container, config) {
     // initialization, so the last embed to initialize captured every embed's
     // alerts. Each registry now owns its own dialog -- see #481.
 
+    // Read before a query string can replace the config: the budget is the
+    // host's to set, not a link's.
+    if (undefined !== config.tileCacheBudget) {
+        registryForContainer(container).tileCache.setBudget(config.tileCacheBudget);
+    }
+
     if (false !== config.queryParametersSupported) {
         const queryConfig = await extractConfig(window.location.href);
         if(queryConfig) {
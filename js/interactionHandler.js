@@ -129,6 +129,8 @@ class InteractionHandler {
             return;
         }
 
+        this.browser.contactMatrixView.noteMotion({dx, dy});
+
         await this.browser.state.panShift(
             dx, dy,
             this.browser,
@@ -191,6 +193,11 @@ class InteractionHandler {
                 const yLocus = { xLocus };
                 await this.setChromosomes(xLocus, yLocus);
             } else {
+                this.browser.contactMatrixView.noteMotion({
+                    zoom: scaleFactor > 1 ? 1 : -1,
+                    anchor: {x: anchorPx, y: anchorPy}
+                });
+
                 await this.browser.state.panWithZoom(
                     newZoom, newPixelSize, anchorPx, anchorPy, newBinSize,
                     this.browser, this.browser.dataset,
@@ -311,6 +318,11 @@ class InteractionHandler {
                 const yLocus = { ...xLocus };
                 await this.setChromosomes(xLocus, yLocus);
             } else {
+                this.browser.contactMatrixView.noteMotion({
+                    zoom: scaleFactor > 1 ? 1 : -1,
+                    anchor: {x: anchorPx, y: anchorPy}
+                });
+
                 await this.browser.state.panWithZoom(
                     newZoom, newPixelSize, anchorPx, anchorPy, newBinSize,
                     this.browser, this.browser.dataset,
@@ -352,6 +364,8 @@ class InteractionHandler {
             const yLocus = { chr: chrY.name, start: 0, end: chrY.size, wholeChr: true };
             await this.setChromosomes(xLocus, yLocus);
         } else {
+            this.browser.contactMatrixView.noteMotion({zoom: Math.sign(direction), anchor: {x: centerPX, y: centerPY}});
+
             const viewDimensions = this.browser.contactMatrixView.getViewDimensions();
             const resolutions = this.browser.getResolutions();
             const directionPositive = direction > 0 && this.browser.state.zoom === resolutions[resolutions.length - 1].index;
@@ -383,14 +397,16 @@ class InteractionHandler {
     /**
      * Set the current zoom state.
      * 
-     * @param {number} zoom - Index to the datasets resolution array (dataset.bpResolutions)
+     * @param {number} zoom - Index to the datasets resolution array of the unit
+     * @param {string} [unit] - "BP" or "FRAG"; the view's current unit by default
      */
-    async setZoom(zoom) {
+    async setZoom(zoom, unit) {
         const resolutionChanged = await this.browser.state.setWithZoom(
             zoom, 
             this.browser.contactMatrixView.getViewDimensions(), 
             this.browser, 
-            this.browser.dataset
+            this.browser.dataset,
+            unit
         );
 
         await this._applyStateChange({
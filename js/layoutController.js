@@ -81,6 +81,7 @@ class LayoutController {
             </div>
             <i class="fa fa-spinner fa-spin" style="font-size: 48px; position: absolute; left: 40%; top: 40%; display: none;"></i>
             <div id="${browser.id}-sweep-zoom-container" style="display: none;"></div>
+            <div id="${browser.id}-track2d-edit-container" style="display: none;"></div>
             <div id="${browser.id}-x-guide" style="display: none;"></div>
             <div id="${browser.id}-y-guide" style="display: none;"></div>
         </div>`);
@@ -298,6 +299,7 @@ function createNavBar(browser, root) {
         `<div id="${browser.id}-contact-map-hic-nav-bar-map-container">
             <div id="${browser.id}-contact-map-hic-nav-bar-map-label"></div>
              <div class="hic-nav-bar-button-container">
+                <i class="fa fa-info-circle fa-lg" title="Present map information"></i>
                 <i class="fa fa-bars fa-lg" title="Present menu"></i>
                 <i class="fa fa-minus-circle fa-lg" title="Delete browser panel" style="display: none;"></i>
              </div>
@@ -309,6 +311,9 @@ function createNavBar(browser, root) {
     browser.menuPresentDismiss = hicNavbarContainer.querySelector('.fa-bars');
     browser.menuPresentDismiss.addEventListener('click', e => browser.toggleMenu());
 
+    // The metadata panel, created with the other widgets, answers it.
+    browser.metadataButton = hicNavbarContainer.querySelector('.fa-info-circle');
+
     browser.browserPanelDeleteButton = hicNavbarContainer.querySelector('.fa-minus-circle');
     browser.browserPanelDeleteButton.addEventListener('click', e => deleteBrowser(browser));
 
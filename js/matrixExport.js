@@ -0,0 +1,287 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * Value export: the contact records behind the view on screen, as a
+ * tab-separated table. See CONTEXT.md for "value table".
+ *
+ * The records are those of the last painted extent (`genomicExtent`), at the
+ * view's resolution and normalization -- the normalization actually drawn,
+ * which is NONE where the map lacks the one asked for. Two layouts:
+ *
+ *   sparse -- one line per contact: chr1, start1, chr2, start2, value. An
+ *             intra-chromosomal contact appears once, as the map stores it.
+ *   dense  -- the view as a grid, x bins across and y bins down, each headed
+ *             by its chr:start-end. Empty cells are zero.
+ *
+ * The comparison modes (AOB, BOA, AMB) add the control map's value and the
+ * score the map is colored by -- the ratio or the difference, each count
+ * first divided by its map's average as the tiles do. A sparse table gains two
+ * columns; a dense one repeats the grid for each, separated by a blank line
+ * and named in its top-left cell. B and BOE export the control map's counts;
+ * the O/E and Pearson modes export the observed counts they are computed from.
+ *
+ *   const tsv = await browser.exportMatrix({format: 'dense'})
+ */
+
+import {bZoomIndex} from './imageTileCore.js'
+import {presentError} from './utils.js'
+
+const MATRIX_FORMATS = ['sparse', 'dense']
+
+// Past this, a dense table is tens of megabytes of mostly zeros.
+const MAX_DENSE_CELLS = 4000000
+
+const COMPARISONS = {AOB: 'ratio', BOA: 'ratio', AMB: 'difference'}
+
+/**
+ * The view's contact values as TSV.
+ *
+ * @param browser a browser with a map loaded and painted
+ * @param {'sparse'|'dense'} format
+ * @returns {Promise<string>}
+ * @throws {Error} for an unknown format, a browser with no map, the
+ *         whole-genome view, a fragment resolution, or a dense grid too large
+ *         to be useful
+ */
+async function exportMatrix(browser, {format = 'sparse'} = {}) {
+
+    if (!MATRIX_FORMATS.includes(format)) {
+        throw new Error(`Unknown matrix format "${format}": expected one of ${MATRIX_FORMATS.join(', ')}`)
+    }
+
+    const {dataset, controlDataset, state, contactMatrixView} = browser
+    const extent = contactMatrixView && contactMatrixView.genomicExtent
+    if (!dataset || !state || !extent) {
+        throw new Error('There is no contact map to export')
+    }
+
+    if (dataset.isWholeGenome(state.chr1)) {
+        throw new Error('Values cannot be exported from the whole-genome view: choose a chromosome first')
+    }
+
+    if ('FRAG' === state.unit) {
+        throw new Error('Values cannot be exported at a fragment resolution: choose a base pair resolution first')
+    }
+
+    const table = await matrixValues({dataset, controlDataset, state, displayMode: contactMatrixView.displayMode, extent})
+
+    if ('dense' === format) {
+        const cells = table.xBins.length * table.yBins.length * table.fields.length
+        if (cells > MAX_DENSE_CELLS) {
+            throw new Error(`A ${table.xBins.length} x ${table.yBins.length} bin view is too large for a dense table: ` +
+                `zoom in, or export it sparse`)
+        }
+        return denseTable(table)
+    }
+
+    return sparseTable(table)
+}
+
+/**
+ * Export the view's values and hand them to the user as a download -- the
+ * menu's entry point. A failure is reported in the embed's alert dialog.
+ */
+async function downloadMatrix(browser, format) {
+
+    try {
+        const tsv = await exportMatrix(browser, {format})
+        const {chromosomes} = browser.dataset
+        const {chr1, chr2} = browser.state
+
+        const anchor = document.createElement('a')
+        anchor.href = URL.createObjectURL(new Blob([tsv], {type: 'text/tab-separated-values'}))
+        anchor.download = `juicebox_${chromosomes[chr1].name}_${chromosomes[chr2].name}_${browser.resolution()}_${format}.tsv`
+        anchor.click()
+        URL.revokeObjectURL(anchor.href)
+    } catch (error) {
+        console.error(error)
+        presentError(browser.registry, 'Error exporting values', error)
+    }
+}
+
+/**
+ * The records in a genomic extent, gathered into cells keyed by bin pair.
+ *
+ * @returns {{chr1, chr2, binSize: number, normalization: string, fields: string[],
+ *            xBins: number[], yBins: number[], sameChr: boolean,
+ *            cells: Map<string, {bin1: number, bin2: number, values: number[]}>,
+ *            empty: number[]}}
+ *          `values` in `fields` order, and `empty` those of a cell with no
+ *          contacts; `xBins` along chr1 and `yBins` along chr2
+ */
+async function matrixValues({dataset, controlDataset, state, displayMode, extent}) {
+
+    const comparison = COMPARISONS[displayMode]
+    const showsControl = 'B' === displayMode || 'BOE' === displayMode
+
+    const ds = showsControl ? controlDataset : dataset
+    const zoom = showsControl ? bZoomIndex(dataset, controlDataset, state.zoom) : state.zoom
+    const zd = (await ds.getMatrix(extent.chr1, extent.chr2)).getZoomDataByIndex(zoom, 'BP')
+
+    const {binSize, unit} = zd.zoom
+    const sameChr = zd.chr1.index === zd.chr2.index
+    const normalization = 'NONE' === state.normalization ||
+    await ds.hasNormalizationVector(state.normalization, zd.chr1.name, unit, binSize) ?
+        state.normalization : 'NONE'
+
+    const xBins = binRange(extent.x, extent.w, binSize, zd.chr1.size)
+    const yBins = binRange(extent.y, extent.h, binSize, zd.chr2.size)
+    const region = (chr, bins) => ({
+        chr: chr.name,
+        start: (bins[0] || 0) * binSize,
+        end: (bins.length > 0 ? bins[bins.length - 1] + 1 : 0) * binSize
+    })
+    const region1 = region(zd.chr1, xBins)
+    const region2 = region(zd.chr2, yBins)
+
+    const inView = inExtent(xBins, yBins, sameChr)
+    let score = () => NaN
+
+    const cells = new Map()
+    const cell = (record) => {
+        const key = `${record.bin1}_${record.bin2}`
+        if (!cells.has(key)) {
+            cells.set(key, {bin1: record.bin1, bin2: record.bin2, values: [0, 0]})
+        }
+        return cells.get(key)
+    }
+
+    if (xBins.length > 0 && yBins.length > 0) {
+
+        const records = await ds.getContactRecords(normalization, region1, region2, unit, binSize)
+        for (const record of records) {
+            if (inView(record)) cell(record).values[0] = record.counts
+        }
+
+        if (comparison) {
+            const zdControl = (await controlDataset.getMatrix(extent.chr1, extent.chr2))
+                .getZoomDataByIndex(bZoomIndex(dataset, controlDataset, state.zoom), 'BP')
+            const controlRecords = await controlDataset.getContactRecords(
+                normalization, region1, region2, zdControl.zoom.unit, zdControl.zoom.binSize)
+            for (const record of controlRecords) {
+                if (inView(record)) cell(record).values[1] = record.counts
+            }
+
+            score = comparisonScore(displayMode, zd.averageCount, zdControl.averageCount)
+        }
+    }
+
+    const fields = comparison ? ['value', 'control', comparison] : ['value']
+    const complete = values => comparison ? [values[0], values[1], score(values[0], values[1])] : [values[0]]
+    for (const entry of cells.values()) {
+        entry.values = complete(entry.values)
+    }
+
+    return {
+        chr1: zd.chr1, chr2: zd.chr2, binSize, normalization, fields, xBins, yBins, sameChr, cells,
+        empty: complete([0, 0])
+    }
+}
+
+/**
+ * The score a comparison mode colors a cell by, from the two maps' counts --
+ * as paintRecords computes it.
+ */
+function comparisonScore(displayMode, averageCount, ctrlAverageCount) {
+
+    switch (displayMode) {
+        case 'AOB':
+            return (a, b) => (a / averageCount) / (b / ctrlAverageCount)
+        case 'BOA':
+            return (a, b) => (b / ctrlAverageCount) / (a / averageCount)
+        case 'AMB': {
+            const averageAcrossMapAndControl = (averageCount + ctrlAverageCount) / 2
+            return (a, b) => averageAcrossMapAndControl * ((a / averageCount) - (b / ctrlAverageCount))
+        }
+    }
+}
+
+/**
+ * The bins an extent covers along a chromosome: every bin it overlaps, short
+ * of the chromosome's end.
+ */
+function binRange(start, width, binSize, chrSize) {
+
+    const first = Math.max(0, Math.floor(start / binSize))
+    const last = Math.min(Math.ceil((start + width) / binSize) - 1, Math.ceil(chrSize / binSize) - 1)
+
+    const bins = []
+    for (let bin = first; bin <= last; bin++) bins.push(bin)
+    return bins
+}
+
+/**
+ * Whether a record falls in the view. A fetch returns whole blocks, so some of
+ * what comes back lies outside it; an intra-chromosomal record counts in
+ * either orientation, since the map shows both triangles from one.
+ */
+function inExtent(xBins, yBins, sameChr) {
+
+    const within = (bin, bins) => bins.length > 0 && bin >= bins[0] && bin <= bins[bins.length - 1]
+
+    return ({bin1, bin2}) =>
+        (within(bin1, xBins) && within(bin2, yBins)) ||
+        (sameChr && within(bin2, xBins) && within(bin1, yBins))
+}
+
+function sparseTable({chr1, chr2, binSize, fields, cells}) {
+
+    const lines = [['chr1', 'start1', 'chr2', 'start2', ...fields].join('\t')]
+
+    const sorted = Array.from(cells.values()).sort((a, b) => a.bin1 - b.bin1 || a.bin2 - b.bin2)
+    for (const {bin1, bin2, values} of sorted) {
+        lines.push([chr1.name, bin1 * binSize, chr2.name, bin2 * binSize, ...values.map(formatValue)].join('\t'))
+    }
+
+    return lines.join('\n') + '\n'
+}
+
+function denseTable({chr1, chr2, binSize, fields, xBins, yBins, sameChr, cells, empty}) {
+
+    const label = (chr, bin) => `${chr.name}:${bin * binSize}-${Math.min((bin + 1) * binSize, chr.size)}`
+
+    // A cell of the grid, which for an intra-chromosomal map may be stored
+    // with its bins the other way round.
+    const lookup = (x, y) => (cells.get(`${x}_${y}`) || (sameChr && cells.get(`${y}_${x}`)) || {values: empty}).values
+
+    const blocks = fields.map((field, i) => {
+        const lines = [[field, ...xBins.map(bin => label(chr1, bin))].join('\t')]
+        for (const y of yBins) {
+            const row = xBins.map(x => formatValue(lookup(x, y)[i]))
+            lines.push([label(chr2, y), ...row].join('\t'))
+        }
+        return lines.join('\n')
+    })
+
+    return blocks.join('\n\n') + '\n'
+}
+
+// A ratio with a zero denominator is no number at all: written empty.
+function formatValue(value) {
+    return Number.isFinite(value) ? String(value) : ''
+}
+
+export {matrixValues, downloadMatrix, MATRIX_FORMATS}
+
+export default exportMatrix
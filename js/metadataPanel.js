@@ -0,0 +1,184 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+import {makeDraggable} from 'igv-ui'
+import {StringUtils} from 'igv-utils'
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+
+// A graph's rows, one polyline each.
+const GRAPH_COLORS = ['#1f77b4', '#d62728', '#2ca02c', '#ff7f0e', '#9467bd']
+const GRAPH_WIDTH = 320
+const GRAPH_HEIGHT = 80
+
+/**
+ * The panel showing what the map, and its control, say about themselves -- the
+ * header attributes, the resolutions with the normalizations at each, and the
+ * Juicer QC statistics and graphs -- presented from the navbar. It reads
+ * `browser.getMetadata()` each time it opens.
+ */
+class MetadataPanel {
+
+    constructor(browser, button) {
+        this.browser = browser
+
+        this.createPanel(browser.rootElement)
+        button.addEventListener('click', () => this.toggle())
+    }
+
+    async toggle() {
+        if ('none' !== this.panelElement.style.display) {
+            this.panelElement.style.display = 'none'
+            return
+        }
+        if (!this.browser.dataset) {
+            this.browser.registry.presentAlert('No map loaded')
+            return
+        }
+        const {dataset, controlDataset} = await this.browser.getMetadata()
+        this.updateBody(dataset, controlDataset)
+        this.panelElement.style.display = 'flex'
+    }
+
+    createPanel(parent) {
+        this.panelElement = document.createElement('div')
+        this.panelElement.className = 'hic-metadata-panel-container'
+        parent.appendChild(this.panelElement)
+
+        const header = document.createElement('div')
+        header.className = 'hic-metadata-panel-header'
+        this.panelElement.appendChild(header)
+
+        const title = document.createElement('div')
+        title.textContent = 'Map information'
+        header.appendChild(title)
+
+        const closeIcon = document.createElement('i')
+        closeIcon.className = 'fa fa-times'
+        closeIcon.addEventListener('click', () => this.panelElement.style.display = 'none')
+        header.appendChild(closeIcon)
+
+        this.bodyElement = document.createElement('div')
+        this.bodyElement.className = 'hic-metadata-panel-body'
+        this.panelElement.appendChild(this.bodyElement)
+
+        makeDraggable(this.panelElement, header)
+        this.panelElement.style.display = 'none'
+    }
+
+    updateBody(metadata, controlMetadata) {
+        this.bodyElement.innerHTML = ''
+        if (controlMetadata) {
+            this.appendMap(`A: ${metadata.name}`, metadata)
+            this.appendMap(`B: ${controlMetadata.name}`, controlMetadata)
+        } else {
+            this.appendMap(metadata.name, metadata)
+        }
+    }
+
+    appendMap(title, {datasetType, genomeId, attributes, resolutions, statistics, graphs}) {
+
+        const heading = document.createElement('h3')
+        heading.textContent = title
+        this.bodyElement.appendChild(heading)
+
+        this.appendTable('Header', [
+            ['Type', datasetType],
+            ['Genome', genomeId],
+            ...Object.entries(attributes)
+        ])
+
+        this.appendTable('Resolutions', resolutions.map(({unit, binSize, normalizations, derivedFrom}) => [
+            resolutionLabel(unit, binSize) + (derivedFrom ? ` (summed from ${resolutionLabel(unit, derivedFrom)})` : ''),
+            normalizations.join(', ')
+        ]))
+
+        if (statistics.length > 0) {
+            const rows = this.appendTable('Statistics', statistics.map(({label, value}) => [label, value]))
+            statistics.forEach(({indent}, i) => rows[i].classList.toggle('hic-metadata-indent', indent))
+        }
+
+        if (graphs.length > 0) {
+            this.appendSection('Graphs').append(...graphs.map(graphElement))
+        }
+    }
+
+    appendSection(title) {
+        const section = document.createElement('div')
+        section.className = 'hic-metadata-section'
+        const heading = document.createElement('h4')
+        heading.textContent = title
+        section.appendChild(heading)
+        this.bodyElement.appendChild(section)
+        return section
+    }
+
+    // Returns the table's rows, in order.
+    appendTable(title, rows) {
+        const table = document.createElement('table')
+        for (const cells of rows) {
+            const row = table.insertRow()
+            for (const text of cells) {
+                row.insertCell().textContent = text ?? ''
+            }
+        }
+        this.appendSection(title).appendChild(table)
+        return Array.from(table.rows)
+    }
+}
+
+function resolutionLabel(unit, binSize) {
+    return 'FRAG' === unit ?
+        `${StringUtils.numberFormatter(binSize)} frag` :
+        `${StringUtils.numberFormatter(binSize)} bp`
+}
+
+// A graph as an SVG figure, its rows drawn against one shared scale.
+function graphElement({name, rows}) {
+
+    const figure = document.createElement('figure')
+    const caption = document.createElement('figcaption')
+    caption.textContent = name
+    figure.appendChild(caption)
+
+    const svg = document.createElementNS(SVG_NS, 'svg')
+    svg.setAttribute('width', GRAPH_WIDTH)
+    svg.setAttribute('height', GRAPH_HEIGHT)
+    svg.setAttribute('viewBox', `0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`)
+
+    const max = Math.max(...rows.flat(), 0) || 1
+    rows.forEach((row, i) => {
+        const step = row.length > 1 ? GRAPH_WIDTH / (row.length - 1) : 0
+        const points = row.map((value, j) => `${(j * step).toFixed(1)},${(GRAPH_HEIGHT - GRAPH_HEIGHT * value / max).toFixed(1)}`)
+        const line = document.createElementNS(SVG_NS, 'polyline')
+        line.setAttribute('points', points.join(' '))
+        line.setAttribute('fill', 'none')
+        line.setAttribute('stroke', GRAPH_COLORS[i % GRAPH_COLORS.length])
+        svg.appendChild(line)
+    })
+
+    figure.appendChild(svg)
+    return figure
+}
+
+export default MetadataPanel
@@ -384,7 +384,10 @@ function expandUrlShortcut(url) {
 function expandMapUrlShortcuts(config) {
 
     for (const key of ['url', 'controlUrl']) {
-        if (config[key]) {
+        if (Array.isArray(config[key])) {
+            // A composite map's members.
+            config[key] = config[key].map(expandUrlShortcut)
+        } else if (config[key]) {
             config[key] = expandUrlShortcut(config[key])
         }
     }
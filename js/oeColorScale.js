@@ -0,0 +1,55 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+import SignedColorScale from './signedColorScale.js'
+
+/**
+ * The threshold is an observed/expected ratio: 4 saturates at four-fold
+ * enrichment above the red side and four-fold depletion on the blue one.
+ */
+const defaultOEColorScaleConfig = {threshold: 4, positive: {r: 255, g: 0, b: 0}, negative: {r: 0, g: 0, b: 255}}
+
+/**
+ * Color scale for the O/E display modes, OE and BOE.
+ *
+ * Scores are observed counts over the count expected at their diagonal
+ * distance, so 1 is "as expected". The scale works in log2 of the ratio: the
+ * sign picks the side, and a two-fold enrichment reads as strong as a two-fold
+ * depletion.
+ */
+class OEColorScale extends SignedColorScale {
+
+    static tag = 'O:'
+
+    constructor(threshold = defaultOEColorScaleConfig.threshold) {
+        super(threshold, defaultOEColorScaleConfig)
+    }
+
+    transform(value) {
+        return Math.log2(value)
+    }
+}
+
+export {defaultOEColorScaleConfig}
+
+export default OEColorScale
@@ -0,0 +1,542 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * A contact map binned in the browser from a file of read pairs: 4DN `.pairs`,
+ * or Juicer's short, medium or long format, any of them gzipped. For small
+ * targeted experiments, where building a .hic file is more tooling than the
+ * data warrants. See CONTEXT.md under "Dataset".
+ *
+ * The whole file is read once, on `init`: each pair is counted into its cell at
+ * the finest resolution of the ladder, and the coarser resolutions are summed
+ * from those. Everything is then held in memory (see sparseMatrix.js), so the
+ * file may be no larger than `maxBytes` -- DEFAULT_MAX_BYTES unless the config
+ * says otherwise -- once ungzipped. Progress goes to `config.onProgress` as the
+ * file is read.
+ *
+ * Chromosomes are those of the `#chromsize` header lines of a .pairs file, in
+ * that order. A file without them -- any Juicer format -- gets a chromosome for
+ * each name it mentions, as long as the furthest position read on it, in
+ * natural order (chr2 before chr10). There are no normalization vectors.
+ *
+ *   const dataset = await PairsDataset.loadDataset({
+ *       url: 'https://example.org/capture.pairs.gz',
+ *       resolutions: [100000, 10000, 1000],
+ *       onProgress: ({loaded, total, contacts}) => console.log(`${loaded} of ${total} bytes`)
+ *   })
+ */
+
+import Dataset, {matchGenome, withWholeGenome, bpMatrix} from './dataset.js'
+import SparseMatrix from './sparseMatrix.js'
+import {isFile} from './fileUtils.js'
+import {getUrlMapper} from './urlMapper.js'
+
+// Juicer's default ladder.
+const DEFAULT_RESOLUTIONS = [2500000, 1000000, 500000, 250000, 100000, 50000, 25000, 10000, 5000]
+
+// Each pair read adds, at worst, a cell to each resolution: past this the map
+// is too large to hold in a browser tab.
+const DEFAULT_MAX_BYTES = 256 * 1024 * 1024
+
+// What is read of a local file at a time.
+const SLICE_SIZE = 4 * 1024 * 1024
+
+// Progress is reported no more often than every this many bytes.
+const PROGRESS_INTERVAL = 1024 * 1024
+
+const PAIRS_FORMATS = ['pairs', 'short', 'medium', 'long']
+
+// A .pairs file's columns when its header does not list them: the spec's
+// required ones, in the spec's order.
+const PAIRS_COLUMNS = {chr1: 1, pos1: 2, chr2: 3, pos2: 4}
+
+/**
+ * Whether a config names a file of pairs: by `format`, or by a `.pairs`
+ * extension, gzipped or not. Juicer's formats have no extension of their own,
+ * so need the `format`.
+ */
+function isPairsConfig(config) {
+    if (PAIRS_FORMATS.includes(config.format)) {
+        return true
+    }
+    const name = isFile(config.url) ? config.url.name : config.url
+    return 'string' === typeof name && /\.pairs(\.gz)?$/i.test(name.split(/[?#]/)[0])
+}
+
+class PairsDataset extends Dataset {
+
+    constructor(config) {
+        super(config)
+        this.config = config
+        this.isLive = false
+        this.datasetType = 'pairs'
+
+        // By resolution, then by chromosome index pair.
+        this.levels = new Map()
+    }
+
+    async init() {
+
+        const ladder = this.config.resolutions || DEFAULT_RESOLUTIONS
+        this.bpResolutions = checkResolutions(ladder).sort((a, b) => b - a)
+        this.fragResolutions = []
+        const finest = this.bpResolutions[this.bpResolutions.length - 1]
+
+        const {sequences, assembly, pairs} = await ingest(this.config, finest, this.name)
+
+        Object.assign(this, withWholeGenome(sequences))
+        const indexOf = new Map(this.chromosomes.map(({name, index}) => [name, index]))
+
+        for (const binSize of this.bpResolutions) {
+            this.levels.set(binSize, new Map())
+        }
+
+        for (const {name1, name2, matrix} of pairs.values()) {
+            const [i, j] = [indexOf.get(name1), indexOf.get(name2)]
+            const cells = i <= j ? matrix.compact() : matrix.transpose()
+            for (const binSize of this.bpResolutions) {
+                this.levels.get(binSize).set(`${Math.min(i, j)}_${Math.max(i, j)}`, cells.coarsen(binSize / finest))
+            }
+        }
+
+        this.wholeGenomeMap = this.#wholeGenome(finest)
+
+        this.normalizationTypes = ['NONE']
+        this.genomeId = assembly || 'unknown'
+        const tmp = matchGenome(this.chromosomes)
+        if (tmp) this.genomeId = tmp
+    }
+
+    async getContactRecords(normalization, region1, region2, units, binsize) {
+
+        if ('BP' !== units) {
+            return []
+        }
+
+        let idx1 = this.getChrIndexFromName(region1.chr)
+        let idx2 = this.getChrIndexFromName(region2.chr)
+        if (undefined === idx1 || undefined === idx2) {
+            return []
+        }
+
+        if (idx1 > idx2 || (idx1 === idx2 && region1.start >= region2.end)) {
+            [region1, region2] = [region2, region1];
+            [idx1, idx2] = [idx2, idx1]
+        }
+
+        let matrix
+        if (this.isWholeGenome(idx1)) {
+            matrix = this.wholeGenomeMap
+        } else {
+            const level = this.levels.get(binsize)
+            if (!level) {
+                throw new Error(`No data available for resolution: ${binsize}  for map ${region1.chr}-${region2.chr}`)
+            }
+            matrix = level.get(`${idx1}_${idx2}`)
+        }
+
+        return matrix ?
+            matrix.records(region1.start / binsize, region1.end / binsize, region2.start / binsize, region2.end / binsize) :
+            []
+    }
+
+    async getMatrix(chr1, chr2) {
+
+        if (chr1 > chr2) {
+            [chr1, chr2] = [chr2, chr1]
+        }
+        const chromosome1 = this.chromosomes[chr1]
+        const chromosome2 = this.chromosomes[chr2]
+
+        const average = (matrix, binSize) => {
+            const n1 = Math.ceil(chromosome1.size / binSize)
+            const n2 = Math.ceil(chromosome2.size / binSize)
+            const cells = chr1 === chr2 ? n1 * (n1 + 1) / 2 : n1 * n2
+            return matrix && cells > 0 ? matrix.sum / cells : 0
+        }
+
+        if (this.isWholeGenome(chr1)) {
+            const binSize = this.wholeGenomeBinSize
+            return bpMatrix(chromosome1, chromosome2, [{binSize, averageCount: average(this.wholeGenomeMap, binSize)}])
+        }
+
+        // The levels binned, not `bpResolutions`: that may list sizes summed from them.
+        return bpMatrix(chromosome1, chromosome2, Array.from(this.levels.keys(), binSize => ({
+            binSize,
+            averageCount: average(this.levels.get(binSize).get(`${chr1}_${chr2}`), binSize)
+        })))
+    }
+
+    hasNormalizationVector(type, chr, unit, binSize) {
+        return false
+    }
+
+    async getNormalizationOptions() {
+        return this.normalizationTypes
+    }
+
+    /**
+     * Factory method to load a dataset from a file of pairs
+     * @param {Object} config - Configuration object with url, name, resolutions, maxBytes, onProgress, etc.
+     * @returns {Promise<PairsDataset>}
+     */
+    static async loadDataset(config) {
+
+        if (isFile(config.url)) {
+            config.blob = config.url
+            delete config.url
+        }
+
+        const dataset = new PairsDataset(config)
+        await dataset.init()
+        dataset.url = config.url
+        return dataset
+    }
+
+    // The finest resolution's cells summed into the bins of "All", each placed
+    // by its bin's start.
+    #wholeGenome(finest) {
+
+        const allBin = (chromosome, bin) => {
+            const position = this.chromosomeStarts[chromosome.index] + bin * finest
+            return Math.floor(position / this.wholeGenomeResolution)
+        }
+
+        this.chromosomeStarts = []
+        let start = 0
+        for (const chromosome of this.chromosomes.slice(1)) {
+            this.chromosomeStarts[chromosome.index] = start
+            start += chromosome.size
+        }
+
+        const all = new SparseMatrix()
+        for (const [key, matrix] of this.levels.get(finest)) {
+            const [chromosome1, chromosome2] = key.split('_').map(i => this.chromosomes[i])
+            const {bin1, bin2, counts} = matrix
+            for (let i = 0; i < bin1.length; i++) {
+                const a = allBin(chromosome1, bin1[i])
+                const b = allBin(chromosome2, bin2[i])
+                all.add(Math.min(a, b), Math.max(a, b), counts[i])
+            }
+        }
+        return all.compact()
+    }
+}
+
+function checkResolutions(resolutions) {
+
+    if (!Array.isArray(resolutions) || 0 === resolutions.length ||
+        !resolutions.every(binSize => Number.isInteger(binSize) && binSize > 0)) {
+        throw new Error(`Resolutions must be a list of positive whole numbers of bp, not ${JSON.stringify(resolutions)}`)
+    }
+
+    const finest = Math.min(...resolutions)
+    const uneven = resolutions.find(binSize => 0 !== binSize % finest)
+    if (undefined !== uneven) {
+        throw new Error(`Resolution ${uneven} is not a multiple of the finest, ${finest}: the coarser resolutions are summed from it`)
+    }
+
+    return Array.from(new Set(resolutions))
+}
+
+/**
+ * Read a file of pairs into cells at `binSize`.
+ *
+ * @returns {Promise<{sequences: {name: string, size: number}[], assembly: string|undefined,
+ *                    pairs: Map<string, {name1: string, name2: string, matrix: SparseMatrix}>}>}
+ *          `pairs` by chromosome name pair, each counted in the order the
+ *          names first appeared together
+ */
+async function ingest(config, binSize, name = 'The file') {
+
+    const maxBytes = config.maxBytes || DEFAULT_MAX_BYTES
+    const onProgress = config.onProgress || (() => undefined)
+    const source = await openSource(config)
+
+    const tooLarge = () => new Error(`${name} is over the ${Math.round(maxBytes / (1024 * 1024))} MB a file of pairs can ` +
+        `be binned in the browser: build a .hic file from it instead`)
+
+    if (source.total > maxBytes) {
+        source.cancel()
+        throw tooLarge()
+    }
+
+    const declared = []
+    const inferred = new Map()
+    const pairs = new Map()
+    let assembly
+    let layout
+    let contacts = 0
+    let reported = 0
+
+    const report = () => {
+        onProgress({loaded: source.loaded, total: source.total, contacts})
+        reported = source.loaded
+    }
+
+    const count = (chr1, pos1, chr2, pos2, score) => {
+
+        if (chr2 < chr1) {
+            [chr1, chr2, pos1, pos2] = [chr2, chr1, pos2, pos1]
+        }
+        let bin1 = Math.floor(pos1 / binSize)
+        let bin2 = Math.floor(pos2 / binSize)
+        if (chr1 === chr2 && bin1 > bin2) {
+            [bin1, bin2] = [bin2, bin1]
+        }
+
+        const key = `${chr1}\t${chr2}`
+        if (!pairs.has(key)) {
+            pairs.set(key, {name1: chr1, name2: chr2, matrix: new SparseMatrix()})
+        }
+        pairs.get(key).matrix.add(bin1, bin2, score)
+
+        inferred.set(chr1, Math.max(inferred.get(chr1) || 0, pos1))
+        inferred.set(chr2, Math.max(inferred.get(chr2) || 0, pos2))
+        contacts++
+    }
+
+    for await (const line of textLines(source)) {
+
+        // The text read, not the bytes fetched: a gzipped file is several
+        // times larger than what crossed the network.
+        if (source.decoded > maxBytes) {
+            source.cancel()
+            throw tooLarge()
+        }
+        if (source.loaded - reported >= PROGRESS_INTERVAL) {
+            report()
+        }
+
+        if (line.startsWith('## pairs format')) {
+            // Columns are the standard ones unless a '#columns' line says otherwise.
+            layout = layout || PAIRS_COLUMNS
+            continue
+        }
+        if (line.startsWith('#')) {
+            const header = pairsHeader(line)
+            if ('chromsize' === header.key) {
+                declared.push({name: header.values[0], size: Number.parseInt(header.values[1])})
+            } else if ('genome_assembly' === header.key) {
+                assembly = header.values[0]
+            } else if ('columns' === header.key) {
+                layout = pairsLayout(header.values)
+            }
+            continue
+        }
+
+        const tokens = line.trim().split(/\s+/)
+        if (tokens.length < 5) {
+            continue
+        }
+        layout = layout || juicerLayout(tokens.length, line)
+
+        const chr1 = tokens[layout.chr1]
+        const chr2 = tokens[layout.chr2]
+        const pos1 = Number.parseInt(tokens[layout.pos1])
+        const pos2 = Number.parseInt(tokens[layout.pos2])
+        const score = undefined === layout.score ? 1 : Number.parseFloat(tokens[layout.score])
+
+        // Unmapped sides are '!' in .pairs.
+        if ('!' === chr1 || '!' === chr2 || !(pos1 >= 0 && pos2 >= 0) || !Number.isFinite(score)) {
+            continue
+        }
+        count(chr1, pos1, chr2, pos2, score)
+    }
+
+    report()
+
+    if (0 === contacts) {
+        throw new Error(`${name} holds no pairs`)
+    }
+
+    // Declared chromosomes in their order, then any the header missed.
+    const sequences = declared.slice()
+    const undeclared = Array.from(inferred.keys())
+        .filter(chr => !declared.some(sequence => sequence.name === chr))
+        .sort(naturalOrder)
+    for (const chr of undeclared) {
+        sequences.push({name: chr, size: inferred.get(chr)})
+    }
+
+    return {sequences, assembly, pairs}
+}
+
+// A '#key: values' header line of a .pairs file.
+function pairsHeader(line) {
+    const colon = line.indexOf(':')
+    if (colon < 0) {
+        return {}
+    }
+    return {key: line.substring(1, colon).trim(), values: line.substring(colon + 1).trim().split(/\s+/)}
+}
+
+// The columns of a .pairs file, from its '#columns' header.
+function pairsLayout(columns) {
+    const layout = {
+        chr1: columns.indexOf('chrom1'),
+        pos1: columns.indexOf('pos1'),
+        chr2: columns.indexOf('chrom2'),
+        pos2: columns.indexOf('pos2')
+    }
+    if (Object.values(layout).some(column => column < 0)) {
+        throw new Error(`A .pairs file must have chrom1, pos1, chrom2 and pos2 columns, not ${columns.join(' ')}`)
+    }
+    return layout
+}
+
+/**
+ * The columns of a line in one of Juicer's formats, told by how many there are.
+ * A .pairs file is known by its '## pairs format' line instead, since with its
+ * optional columns it can be any width; one that lacks the line is taken for a
+ * Juicer file where the widths overlap, and read as .pairs only at widths
+ * Juicer does not write.
+ *
+ *   .pairs   readID chr1 pos1 chr2 pos2 [strand1 strand2]
+ *   short    str1 chr1 pos1 frag1 str2 chr2 pos2 frag2 [score]
+ *   medium   readname str1 chr1 pos1 frag1 str2 chr2 pos2 frag2 mapq1 mapq2
+ *   long     str1 chr1 pos1 frag1 str2 chr2 pos2 frag2 mapq1 cigar1 seq1 mapq2 cigar2 seq2 name1 name2
+ */
+function juicerLayout(columns, line) {
+    switch (columns) {
+        case 8:
+        case 16:
+            return {chr1: 1, pos1: 2, chr2: 5, pos2: 6}
+        case 9:
+            return {chr1: 1, pos1: 2, chr2: 5, pos2: 6, score: 8}
+        case 11:
+            return {chr1: 2, pos1: 3, chr2: 6, pos2: 7}
+        case 5:
+        case 6:
+        case 7:
+            return PAIRS_COLUMNS
+        default:
+            throw new Error(`Not a line of pairs in a known format: "${line.substring(0, 80)}"`)
+    }
+}
+
+// chr2 before chr10, and the numbered chromosomes before X, Y and M.
+function naturalOrder(a, b) {
+    const number = name => {
+        const match = /^(chr)?(\d+)$/i.exec(name)
+        return match ? Number.parseInt(match[2]) : Infinity
+    }
+    return (number(a) - number(b)) || (a < b ? -1 : a > b ? 1 : 0)
+}
+
+/**
+ * The bytes of a local file or a URL, a piece at a time: `total` where known,
+ * `loaded` as they are read, and `cancel` to stop early. `decoded` is filled in
+ * by textLines.
+ */
+async function openSource({url, blob, mapUrl}) {
+
+    const source = {loaded: 0, decoded: 0, total: undefined, cancel: () => undefined}
+
+    if (blob) {
+        source.total = blob.size
+        source.chunks = (async function* () {
+            for (let start = 0; start < blob.size; start += SLICE_SIZE) {
+                yield new Uint8Array(await blob.slice(start, start + SLICE_SIZE).arrayBuffer())
+            }
+        })()
+    } else {
+        const mapper = mapUrl || getUrlMapper()
+        const response = await fetch(mapper ? mapper(url) : url)
+        if (!response.ok) {
+            throw new Error(`${url}: ${response.status} ${response.statusText}`)
+        }
+        const length = Number.parseInt(response.headers.get('content-length'))
+        source.total = Number.isFinite(length) ? length : undefined
+        const reader = response.body.getReader()
+        source.cancel = () => reader.cancel()
+        source.chunks = (async function* () {
+            for (let result = await reader.read(); !result.done; result = await reader.read()) {
+                yield result.value
+            }
+        })()
+    }
+
+    return source
+}
+
+// The source's text a line at a time, ungzipped if it starts with gzip's magic
+// number. `source.loaded` counts the bytes read from the source, and
+// `source.decoded` those of the text, after decompression.
+async function* textLines(source) {
+
+    const counted = (async function* () {
+        for await (const chunk of source.chunks) {
+            source.loaded += chunk.length
+            yield chunk
+        }
+    })()
+
+    const first = await counted.next()
+    if (first.done) {
+        return
+    }
+
+    let chunks
+    if (0x1f === first.value[0] && 0x8b === first.value[1]) {
+        const compressed = new ReadableStream({
+            start(controller) {
+                controller.enqueue(first.value)
+            },
+            async pull(controller) {
+                const {done, value} = await counted.next()
+                if (done) controller.close()
+                else controller.enqueue(value)
+            }
+        })
+        const reader = compressed.pipeThrough(new DecompressionStream('gzip')).getReader()
+        chunks = (async function* () {
+            for (let result = await reader.read(); !result.done; result = await reader.read()) {
+                yield result.value
+            }
+        })()
+    } else {
+        chunks = (async function* () {
+            yield first.value
+            yield* counted
+        })()
+    }
+
+    const decoder = new TextDecoder()
+    let rest = ''
+    for await (const chunk of chunks) {
+        source.decoded += chunk.length
+        const text = rest + decoder.decode(chunk, {stream: true})
+        const lines = text.split('\n')
+        rest = lines.pop()
+        yield* lines
+    }
+    rest += decoder.decode()
+    if (rest) {
+        yield rest
+    }
+}
+
+export {isPairsConfig, DEFAULT_RESOLUTIONS}
+
+export default PairsDataset
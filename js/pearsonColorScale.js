@@ -0,0 +1,50 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+import SignedColorScale from './signedColorScale.js'
+
+/**
+ * Correlations run from -1 to 1, but compartment signal rarely reaches either
+ * end; 0.5 saturates where the A/B checkerboard is already unmistakable.
+ */
+const defaultPearsonColorScaleConfig = {threshold: 0.5, positive: {r: 255, g: 0, b: 0}, negative: {r: 0, g: 0, b: 255}}
+
+/**
+ * Color scale for the PEARSON display mode.
+ *
+ * Scores are correlations, already signed and centered on zero, so the
+ * transform is the identity -- as for DiffColorScale, with a threshold in
+ * correlation rather than counts.
+ */
+class PearsonColorScale extends SignedColorScale {
+
+    static tag = 'P:'
+
+    constructor(threshold = defaultPearsonColorScaleConfig.threshold) {
+        super(threshold, defaultPearsonColorScaleConfig)
+    }
+}
+
+export {defaultPearsonColorScaleConfig}
+
+export default PearsonColorScale
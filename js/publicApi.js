@@ -28,7 +28,7 @@
  * work, and so does an embedder we have never heard of."
  *
  * Most of that surface is not visible from inside this repo. `js/index.js`
- * exports twelve names and `HICBrowser` is not one of them: hosts get browser
+ * exports fourteen names and `HICBrowser` is not one of them: hosts get browser
  * instances from `init()` and then use them directly. So asking "does anything
  * call this?" and grepping `js/` returns *no* for members two shipped
  * applications depend on. Every refactor that trusts that grep is reasoning
@@ -76,7 +76,10 @@ export const NAMESPACE_SURFACE = [
     'getAllBrowsers',
     'igvxhr',
     'EventBus',
-    'setUrlMapper'
+    'setUrlMapper',
+    // A host's own kinds of contact map, by extension, scheme or magic bytes.
+    // See js/datasetRegistry.js.
+    'registerDatasetType'
 ]
 
 /**
@@ -109,6 +112,14 @@ export const BROWSER_SURFACE = [
     // Real methods
     'reset',
     'setCustomCrosshairsHandler',
+    // Figure export, for a host building figures without the menu. Resolves
+    // to a Blob whatever the format, so a host saves either the same way.
+    'exportFigure',
+    // The view's contact values, as TSV text, for a host's own analysis.
+    'exportMatrix',
+    // Header attributes, resolutions, normalizations and Juicer QC of the
+    // map and its control -- what the metadata panel shows.
+    'getMetadata',
     // The one teardown path, new in #493. Declared deliberately rather than
     // left to be discovered: Spacewalk tears down its Juicebox panel and has no
     // way to say so today, and per "absence is not permission" a new reachable
@@ -205,7 +216,12 @@ export const REGISTRY_SURFACE = [
     'restoreSession',
 
     // This embed's own alert dialog, rather than igv-ui's page-wide singleton.
-    'presentAlert'
+    'presentAlert',
+
+    // The tile cache every browser in the embed shares: a host sets its byte
+    // ceiling with `setBudget` and reads eviction counts from `stats`. Declared
+    // for those two; the rest of `TileCache` is the image tile source's.
+    'tileCache'
 ]
 
 /**
@@ -307,7 +323,8 @@ export const COORDINATOR_PAYLOAD_SHAPES = [
     {
         callback: 'onMapLoaded',
         payload: ['dataset', 'state', 'datasetType', 'browser'],
-        values: {datasetType: ['live', 'hic', 'unknown']},
+        // Plus the name of any type a host registers with `registerDatasetType`.
+        values: {datasetType: ['live', 'hic', 'cooler', 'pairs', 'tileserver', 'composite', 'unknown']},
         readsInto: ['dataset', 'dataset.isLive']
     },
     {
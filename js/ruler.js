@@ -246,9 +246,22 @@ class Ruler {
             { fillStyle: IGVColor.rgbColor(255, 255, 255) }
         );
 
-        config.bpPerPixel = browser.dataset.bpResolutions[browser.state.zoom] / browser.state.pixelSize;
         const bin = this.axis === 'x' ? browser.state.x : browser.state.y;
-        config.bpStart = bin * browser.dataset.bpResolutions[browser.state.zoom];
+        if ('FRAG' === browser.state.unit) {
+            // Fragments are not linear in base pairs: the tick spacing is chosen
+            // from the base pairs the view spans, and each tick is placed through
+            // the restriction sites.
+            const { dataset, state } = browser;
+            const chrIndex = this.axis === 'x' ? state.chr1 : state.chr2;
+            const fragmentsPerBin = browser.resolution();
+            config.bpStart = dataset.toBP(chrIndex, bin * fragmentsPerBin, 'FRAG');
+            const bpEnd = dataset.toBP(chrIndex, (bin + width / state.pixelSize) * fragmentsPerBin, 'FRAG');
+            config.bpPerPixel = (bpEnd - config.bpStart) / width;
+            config.pixelOf = bp => (dataset.fromBP(chrIndex, bp, 'FRAG') / fragmentsPerBin - bin) * state.pixelSize;
+        } else {
+            config.bpPerPixel = browser.dataset.bpResolutions[browser.state.zoom] / browser.state.pixelSize;
+            config.bpStart = bin * browser.dataset.bpResolutions[browser.state.zoom];
+        }
 
         config.rulerTickMarkReferencePixels = Math.max(
             this.canvasElement.width,
@@ -272,6 +285,7 @@ class Ruler {
             rulerTickMarkReferencePixels,
             bpPerPixel,
             bpStart,
+            pixelOf,
             chrName
         } = options;
 
@@ -309,7 +323,11 @@ class Ruler {
 
             while (pixel < rulerLengthPixels) {
                 const l = Math.floor(nTick * majorTickSpacing);
-                pixel = Math.round(((l - 1) - bpStart + 0.5) / bpPerPixel);
+
+                // Past the chromosome's end there are no sites to place a tick by.
+                if (pixelOf && l >= chrSize) break;
+
+                pixel = pixelOf ? Math.round(pixelOf(l)) : Math.round(((l - 1) - bpStart + 0.5) / bpPerPixel);
 
                 const rulerLabel = `${formatNumber(l / tickSpec.unitMultiplier, 0)} ${tickSpec.majorUnit}`;
                 const tickSpacingPixels = Math.abs(pixel - pixelLast);
@@ -456,4 +474,5 @@ function noopTransformWithContext(ctx) {
 
 }
 
+export { findSpacing, formatNumber };
 export default Ruler;
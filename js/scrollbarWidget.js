@@ -64,9 +64,9 @@ class ScrollbarWidget {
             this.xAxisScrollbarContainerElement.style.display = 'block';
             this.yAxisScrollbarContainerElement.style.display = 'block';
 
-            const { chr1, chr2, zoom, pixelSize, x, y } = state;
+            const { chr1, chr2, zoom, pixelSize, x, y, unit } = state;
 
-            const chromosomeLengthsBin = [chr1, chr2].map(chr => dataset.chromosomes[chr].size / dataset.bpResolutions[zoom]);
+            const chromosomeLengthsBin = [chr1, chr2].map(chr => dataset.getChromosomeLength(chr, unit) / dataset.getResolutions(unit)[zoom]);
             const chromosomeLengthsPixel = chromosomeLengthsBin.map(bin => bin * pixelSize);
             const { width, height } = this.browser.contactMatrixView.getViewDimensions();
             const pixels = [width, height];
@@ -125,10 +125,10 @@ export const SessionFormat = {
  * the corpus in `test/data/wireFormatCorpus.js`. Requiring the field would break
  * the entire archive to gain a check on nothing.
  *
- * **It buys nothing now.** There is one version and one reader of it. Its whole
- * value is to whoever changes the format next, who would otherwise have to
- * detect structurally what a discriminator states outright — which is exactly
- * the position this format was in until #508.
+ * **Its first use was the colormaps.** A session carrying one, or anything else
+ * a v1 reader would misread, is stamped {@link GRADIENT_SESSION_VERSION} so
+ * that the reader refuses it, where without the field it would have had to
+ * misread it. Every other session is still stamped this.
  *
  * The version belongs to the **wire format**, not to the session document:
  * {@link encodeSession} writes it and {@link takeSessionVersion} takes it off,
@@ -141,6 +141,43 @@ export const SessionFormat = {
  */
 export const SESSION_VERSION = 1
 
+/**
+ * The version stamped on a session a v1 reader would misread: one whose
+ * `colorScale` carries a tag v1 does not know, or whose `displayMode` is not one
+ * of v1's. Such a reader takes the string after an unknown tag -- a colormap's
+ * "G:", the O/E scale's "O:", the correlation scale's "P:" -- for a NaN
+ * threshold, and has no view for the O/E and Pearson modes. Stamping 2 makes
+ * it refuse the session by name instead, which is the refusal
+ * {@link SESSION_VERSION} was added to make possible. Named for the colormaps,
+ * the first spelling it was stamped for.
+ *
+ * Only such a session is stamped 2, so every other stays v1 and keeps opening
+ * in every juicebox that reads v1. A transfer function is not such a spelling:
+ * v1 reads past it, and paints linear in the right colors.
+ */
+export const GRADIENT_SESSION_VERSION = 2
+
+// What a v1 reader knows: the display modes it shipped with, and the tags of
+// the two signed scales it had. A plain scale carries no tag.
+const V1_DISPLAY_MODES = ['A', 'B', 'AOB', 'BOA', 'AMB']
+const V1_SCALE_TAGS = ['R:', 'D:']
+const SCALE_TAG = /^[A-Z]:/
+
+/**
+ * The lowest version that can carry a session document, and so the one
+ * {@link encodeSession} stamps on it.
+ *
+ * @param {object} session
+ * @returns {number}
+ */
+export function sessionVersion(session) {
+    const configs = session.browsers || [session]
+    const unreadable = configs.some(({colorScale, displayMode}) =>
+        (typeof colorScale === 'string' && SCALE_TAG.test(colorScale) && !V1_SCALE_TAGS.some(tag => colorScale.startsWith(tag))) ||
+        (undefined !== displayMode && !V1_DISPLAY_MODES.includes(displayMode)))
+    return unreadable ? GRADIENT_SESSION_VERSION : SESSION_VERSION
+}
+
 const COMPRESSED_PREFIXES = {
     'blob:': SessionFormat.BLOB,
     'data:': SessionFormat.DATA_URI,
@@ -313,7 +350,8 @@ export function encodeSessionString(session) {
  *
  * **The version is stamped here**, and here only: this is the one place juicebox
  * writes the `session=` format, and the inverse of the one place that reads a
- * version off it ({@link SESSION_VERSION}, #508). The caller's document is not
+ * version off it ({@link SESSION_VERSION}, #508) -- the lowest that carries the
+ * document, which {@link sessionVersion} reads off it. The caller's document is not
  * touched — the stamp goes into the copy that is serialized — and a `version`
  * already on the document is overwritten rather than honoured, because what
  * juicebox writes is what juicebox writes.
@@ -326,7 +364,7 @@ export function encodeSessionString(session) {
  * @throws {SessionEncodeError}
  */
 export function encodeSession(session) {
-    return `session=${encodeSessionString({...session, version: SESSION_VERSION})}`
+    return `session=${encodeSessionString({...session, version: sessionVersion(session)})}`
 }
 
 /**
@@ -356,20 +394,25 @@ export function encodeSession(session) {
  *   `State.parse`, where they decode to a view of `NaN`.
  * @param {function(*): void} [onUnknownType] - called with `value` when it is
  *   neither a string nor an object; the default view is returned either way
+ * @param {Dataset} [dataset] - the dataset the view is restored onto. Given,
+ *   the zoom is read as `State.restoreZoom` reads it: by the `binSize` a
+ *   session carries beside it, or else as an index into the stored ladder.
  * @returns {State}
  */
-export function decodeState(value, onUnknownType = () => {}) {
+export function decodeState(value, onUnknownType = () => {}, dataset) {
 
     if (!value) {
         return State.default()
     }
 
     if (typeof value === 'string') {
-        return State.parse(value)
+        const state = State.parse(value)
+        return dataset ? state.restoreZoom(dataset) : state
     }
 
     if (typeof value === 'object') {
-        return State.fromJSON(value)
+        const state = State.fromJSON(value)
+        return dataset ? state.restoreZoom(dataset, value.binSize) : state
     }
 
     onUnknownType(value)
@@ -596,7 +639,8 @@ function parseFailure(origin, e) {
  *
  * 1. **No version means v1**, so the document is returned exactly as it arrived,
  *    with nothing logged. This is the common case forever, not a fallback.
- * 2. **{@link SESSION_VERSION} is accepted and consumed** — taken off rather
+ * 2. **{@link SESSION_VERSION} and {@link GRADIENT_SESSION_VERSION} are accepted
+ *    and consumed** — taken off rather
  *    than passed on, because a version describes the wire format and not the
  *    session.
  * 3. **Anything else is refused, by name.** A session from a future juicebox may
@@ -621,10 +665,10 @@ function takeSessionVersion(session) {
 
     const {version, ...document} = session
 
-    if (SESSION_VERSION !== version) {
+    if (SESSION_VERSION !== version && GRADIENT_SESSION_VERSION !== version) {
         throw new SessionDecodeError(
             `Session was written in wire format version ${JSON.stringify(version)}, and this ` +
-            `juicebox reads version ${SESSION_VERSION}. Update juicebox to open it. See docs/url.md.`)
+            `juicebox reads versions ${SESSION_VERSION} and ${GRADIENT_SESSION_VERSION}. Update juicebox to open it. See docs/url.md.`)
     }
 
     return document
@@ -21,7 +21,7 @@
  *
  */
 
-import ColorScale from './colorScale.js'
+import ColorScale, {GRADIENT_TAG} from './colorScale.js'
 
 /**
  * A signed color scale: one color for scores above the neutral point, another
@@ -37,8 +37,18 @@ import ColorScale from './colorScale.js'
  *   DiffColorScale (AMB) -- scores are differences, already centered on zero
  *   and already signed, so the transform is the identity.
  *
+ *   OEColorScale (OE / BOE) -- scores are observed/expected ratios, centered on
+ *   1 like AOB's, read in log2 as O/E conventionally is.
+ *
+ *   PearsonColorScale (PEARSON) -- scores are correlations, signed like AMB's,
+ *   so the transform is the identity.
+ *
  * The transform applies to the threshold as well as to the score, keeping both
  * on the axis the underlying single-sided scales measure.
+ *
+ * A transfer function (`js/colorTransfer.js`) is applied after the transform,
+ * on each side's magnitude, and is the same on both sides: a log ratio read
+ * through a sqrt transfer lifts weak enrichment and weak depletion alike.
  */
 class SignedColorScale {
 
@@ -94,6 +104,39 @@ class SignedColorScale {
         }
     }
 
+    /**
+     * Paint one side along a gradient -- a colormap name or '-'-joined hex
+     * stops -- rather than a single color.
+     */
+    setGradient(gradient, plusOrMinus) {
+        if ('-' === plusOrMinus) {
+            return this.negativeScale.setGradient(gradient)
+        } else {
+            return this.positiveScale.setGradient(gradient)
+        }
+    }
+
+    getGradient(plusOrMinus) {
+        if ('-' === plusOrMinus) {
+            return this.negativeScale.getGradient()
+        } else {
+            return this.positiveScale.getGradient()
+        }
+    }
+
+    /**
+     * @param {string} transfer a token `js/colorTransfer.js` accepts, applied
+     *        to both sides
+     */
+    setTransfer(transfer) {
+        this.positiveScale.setTransfer(transfer)
+        this.negativeScale.setTransfer(transfer)
+    }
+
+    getTransfer() {
+        return this.positiveScale.getTransfer()
+    }
+
     getColor(score) {
 
         const signed = this.transform(score)
@@ -105,8 +148,15 @@ class SignedColorScale {
         }
     }
 
+    /**
+     * A gradient on either side moves the gradient tag to the front of the
+     * whole string, ahead of this scale's own.
+     */
     stringify() {
-        return `${this.constructor.tag}${this.threshold}:${this.positiveScale.stringify()}:${this.negativeScale.stringify()}`
+        const sides = [this.positiveScale, this.negativeScale].map(side => side.stringify())
+        const gradient = sides.some(side => side.startsWith(GRADIENT_TAG))
+        const [positive, negative] = sides.map(side => side.replace(GRADIENT_TAG, ''))
+        return `${gradient ? GRADIENT_TAG : ''}${this.constructor.tag}${this.threshold}:${positive}:${negative}`
     }
 }
 
@@ -0,0 +1,148 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * The cells of one chromosome pair's map at one resolution, held in memory:
+ * for datasets binned in the browser rather than read from an indexed file.
+ *
+ * Counts are added cell by cell, then `compact` sorts the cells into typed
+ * arrays by bin1 and bin2, and `records` answers a region from those by binary
+ * search. A chromosome against itself holds one triangle, bin1 <= bin2, as a
+ * .hic file does; the caller orders each cell's bins.
+ *
+ *   const matrix = new SparseMatrix()
+ *   matrix.add(3, 7, 1)
+ *   matrix.compact()
+ *   matrix.records(0, 10, 0, 10)   // [ContactRecord {bin1: 3, bin2: 7, counts: 1}]
+ */
+
+import ContactRecord from './contactRecord.js'
+
+// A cell's key while counts are added: bin1 * BIN_SPAN + bin2, exact in a
+// double for bins of up to 2^26 -- 67 Gb at 1 kb.
+const BIN_SPAN = 2 ** 26
+
+class SparseMatrix {
+
+    constructor() {
+        this.cells = new Map()
+        this.sum = 0
+    }
+
+    get size() {
+        return this.cells ? this.cells.size : this.bin1.length
+    }
+
+    add(bin1, bin2, counts) {
+        const key = bin1 * BIN_SPAN + bin2
+        this.cells.set(key, (this.cells.get(key) || 0) + counts)
+        this.sum += counts
+    }
+
+    /**
+     * Sort the cells into arrays, after which nothing more can be added.
+     * @returns {SparseMatrix} this
+     */
+    compact() {
+
+        if (!this.cells) {
+            return this
+        }
+
+        const keys = Float64Array.from(this.cells.keys()).sort()
+        this.bin1 = new Int32Array(keys.length)
+        this.bin2 = new Int32Array(keys.length)
+        this.counts = new Float64Array(keys.length)
+        keys.forEach((key, i) => {
+            this.bin1[i] = Math.floor(key / BIN_SPAN)
+            this.bin2[i] = key % BIN_SPAN
+            this.counts[i] = this.cells.get(key)
+        })
+
+        this.cells = undefined
+        return this
+    }
+
+    /**
+     * The records with bin1 in [x1, x2) and bin2 in [y1, y2). The bounds may be
+     * fractional, as hic-straw's are: a region in bp over the bin size.
+     *
+     * @returns {ContactRecord[]}
+     */
+    records(x1, x2, y1, y2) {
+
+        const {bin1, bin2, counts} = this.compact()
+
+        // The first cell whose bin1 is at least x1.
+        let lo = 0
+        let hi = bin1.length
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1
+            if (bin1[mid] < x1) lo = mid + 1
+            else hi = mid
+        }
+
+        const records = []
+        for (let i = lo; i < bin1.length && bin1[i] < x2; i++) {
+            if (bin2[i] >= y1 && bin2[i] < y2) {
+                records.push(new ContactRecord(bin1[i], bin2[i], counts[i]))
+            }
+        }
+        return records
+    }
+
+    /**
+     * This map summed into bins `factor` times the size. The bins of a
+     * chromosome against itself stay ordered, since merging preserves order.
+     *
+     * @param {number} factor - a whole number
+     * @returns {SparseMatrix} compacted
+     */
+    coarsen(factor) {
+
+        const {bin1, bin2, counts} = this.compact()
+        const coarse = new SparseMatrix()
+        for (let i = 0; i < bin1.length; i++) {
+            coarse.add(Math.floor(bin1[i] / factor), Math.floor(bin2[i] / factor), counts[i])
+        }
+        return coarse.compact()
+    }
+
+    /**
+     * This map with its axes swapped -- for a pair of chromosomes counted in
+     * the other order.
+     *
+     * @returns {SparseMatrix} compacted
+     */
+    transpose() {
+
+        const {bin1, bin2, counts} = this.compact()
+        const transposed = new SparseMatrix()
+        for (let i = 0; i < bin1.length; i++) {
+            transposed.add(bin2[i], bin1[i], counts[i])
+        }
+        return transposed.compact()
+    }
+}
+
+export default SparseMatrix
@@ -146,10 +146,26 @@ class StateManager {
             this.activeState._detectChromosomeChange(state.chr1, state.chr2);
 
         const resolutionChanged = !this.activeState ||
-            this.activeState._detectResolutionChange(state.zoom);
+            this.activeState._detectResolutionChange(state.zoom, state.unit);
 
         const restored = state.clone();
 
+        // A view saved in fragments, restored onto a map without them -- or onto
+        // the whole genome, which has none -- has no base pair view to translate
+        // to. Its zoom index names a fragment resolution and its origin counts
+        // fragments, and without fragment sites neither maps onto base pairs, so
+        // reading them as base pairs would open an arbitrary resolution at an
+        // arbitrary place. It opens on the same chromosomes at the coarsest base
+        // pair resolution, from the origin.
+        let { x, y, zoom, unit } = state;
+        if ('FRAG' === unit &&
+            (!(this.activeDataset.fragResolutions?.length > 0) || this.activeDataset.isWholeGenome(state.chr1))) {
+            unit = 'BP';
+            zoom = 0;
+            x = 0;
+            y = 0;
+        }
+
         // `setView`'s return is deliberately discarded. It runs on the clone,
         // which already holds the incoming chromosomes and the incoming zoom, so
         // its `chrChanged` and its `resolutionChanged` are both always false —
@@ -160,10 +176,11 @@ class StateManager {
         // `_adjustPixelSize` consults `browser.minPixelSize` with the same
         // arguments the hand-rolled floor above it used to.
         await restored.setView(
-            state.chr1, state.chr2, state.x, state.y, state.zoom, state.pixelSize,
+            state.chr1, state.chr2, x, y, zoom, state.pixelSize,
             this.browser,
             this.activeDataset,
-            this.browser.contactMatrixView.getViewDimensions()
+            this.browser.contactMatrixView.getViewDimensions(),
+            { unit }
         );
 
         restored.normalization = await this.resolveNormalization(restored.normalization);
@@ -0,0 +1,429 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * A stand-in for a CanvasRenderingContext2D that writes SVG instead of pixels,
+ * so that the code drawing a figure's rulers, tracks and 2D features -- igv's
+ * track renderers included -- draws vectors without knowing it.
+ *
+ * It covers the part of the 2D context those callers use: rectangles, paths
+ * (lines, arcs, curves), text, images, the transform and save/restore, clipping,
+ * dashes and alpha. Gradients, patterns, shadows and compositing are not
+ * covered; `clearRect` draws nothing, since a figure starts empty.
+ *
+ * Coordinates are transformed as they are issued, as a canvas does, so a path
+ * begun before a `translate` keeps its points where they were. Text and images
+ * carry the transform as an attribute instead, so they stay text and images.
+ *
+ *   const ctx = new SVGContext({width: 400, height: 300})
+ *   ctx.fillStyle = 'red'
+ *   ctx.fillRect(10, 10, 50, 50)
+ *   ctx.getSerializedSvg()
+ */
+class SVGContext {
+
+    /**
+     * @param {number} width of the figure, in CSS pixels
+     * @param {number} height
+     * @param {CanvasRenderingContext2D} measureContext a real context for
+     *        `measureText`. Without one, text is measured by an estimate.
+     */
+    constructor({width, height, measureContext} = {}) {
+
+        this.width = width
+        this.height = height
+        this.measureContext = measureContext
+
+        this.fillStyle = '#000000'
+        this.strokeStyle = '#000000'
+        this.lineWidth = 1
+        this.lineCap = 'butt'
+        this.lineJoin = 'miter'
+        this.font = '10px sans-serif'
+        this.textAlign = 'start'
+        this.textBaseline = 'alphabetic'
+        this.globalAlpha = 1
+        this.imageSmoothingEnabled = true
+        this.lineDash = []
+        this.matrix = [1, 0, 0, 1, 0, 0]
+
+        // What save() keeps, and the clip groups opened since, for restore()
+        // to close.
+        this.stack = []
+        this.openGroups = 0
+
+        this.elements = []
+        this.definitions = []
+        this.nextId = 0
+
+        this.path = []
+        this.pathStart = undefined
+        this.pathCursor = undefined
+
+        // igv's renderers reach `ctx.canvas` for its size.
+        this.canvas = {width, height}
+    }
+
+    // -- state ------------------------------------------------------------
+
+    save() {
+        this.stack.push({
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            lineCap: this.lineCap,
+            lineJoin: this.lineJoin,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline,
+            globalAlpha: this.globalAlpha,
+            imageSmoothingEnabled: this.imageSmoothingEnabled,
+            lineDash: this.lineDash,
+            matrix: this.matrix,
+            openGroups: this.openGroups
+        })
+        this.openGroups = 0
+    }
+
+    restore() {
+        const saved = this.stack.pop()
+        if (!saved) return
+        for (; this.openGroups > 0; this.openGroups--) {
+            this.elements.push('</g>')
+        }
+        Object.assign(this, saved)
+    }
+
+    setLineDash(segments) {
+        this.lineDash = [...segments]
+    }
+
+    getLineDash() {
+        return [...this.lineDash]
+    }
+
+    // -- transform --------------------------------------------------------
+
+    setTransform(a, b, c, d, e, f) {
+        this.matrix = [a, b, c, d, e, f]
+    }
+
+    resetTransform() {
+        this.setTransform(1, 0, 0, 1, 0, 0)
+    }
+
+    transform(a, b, c, d, e, f) {
+        const [ma, mb, mc, md, me, mf] = this.matrix
+        this.matrix = [
+            ma * a + mc * b,
+            mb * a + md * b,
+            ma * c + mc * d,
+            mb * c + md * d,
+            ma * e + mc * f + me,
+            mb * e + md * f + mf
+        ]
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y)
+    }
+
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0)
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle)
+        const sin = Math.sin(angle)
+        this.transform(cos, sin, -sin, cos, 0, 0)
+    }
+
+    // -- paths ------------------------------------------------------------
+
+    beginPath() {
+        this.path = []
+        this.pathStart = undefined
+        this.pathCursor = undefined
+    }
+
+    moveTo(x, y) {
+        const point = this.#apply(x, y)
+        this.path.push(`M${point}`)
+        this.pathStart = this.pathCursor = point
+    }
+
+    lineTo(x, y) {
+        if (!this.pathCursor) {
+            return this.moveTo(x, y)
+        }
+        const point = this.#apply(x, y)
+        this.path.push(`L${point}`)
+        this.pathCursor = point
+    }
+
+    closePath() {
+        if (this.pathStart) {
+            this.path.push('Z')
+            this.pathCursor = this.pathStart
+        }
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y)
+        this.lineTo(x + width, y)
+        this.lineTo(x + width, y + height)
+        this.lineTo(x, y + height)
+        this.closePath()
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        this.#ensureCursor(cpx, cpy)
+        const point = this.#apply(x, y)
+        this.path.push(`Q${this.#apply(cpx, cpy)} ${point}`)
+        this.pathCursor = point
+    }
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        this.#ensureCursor(cp1x, cp1y)
+        const point = this.#apply(x, y)
+        this.path.push(`C${this.#apply(cp1x, cp1y)} ${this.#apply(cp2x, cp2y)} ${point}`)
+        this.pathCursor = point
+    }
+
+    /**
+     * Drawn as line segments, fine enough not to show at any scale a figure is
+     * printed at: each point is transformed as it is issued, like every other
+     * point of a path, where SVG's own arc command would need the transform
+     * decomposed into radii and a rotation.
+     */
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+
+        const full = 2 * Math.PI
+        const span = counterclockwise ? startAngle - endAngle : endAngle - startAngle
+        const magnitude = span >= full ? full : (span % full + full) % full
+        const sweep = counterclockwise ? -magnitude : magnitude
+
+        const steps = Math.max(8, Math.ceil(Math.abs(sweep) / (Math.PI / 32)))
+        for (let i = 0; i <= steps; i++) {
+            const angle = startAngle + sweep * i / steps
+            this.lineTo(x + radius * Math.cos(angle), y + radius * Math.sin(angle))
+        }
+    }
+
+    ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+        const matrix = this.matrix
+        this.translate(x, y)
+        this.rotate(rotation)
+        this.scale(radiusX, radiusY)
+        this.arc(0, 0, 1, startAngle, endAngle, counterclockwise)
+        this.matrix = matrix
+    }
+
+    fill() {
+        if (this.path.length > 0) {
+            this.elements.push(`<path d="${this.path.join(' ')}"${this.#fillAttributes()}/>`)
+        }
+    }
+
+    stroke() {
+        if (this.path.length > 0) {
+            this.elements.push(`<path d="${this.path.join(' ')}" fill="none"${this.#strokeAttributes()}/>`)
+        }
+    }
+
+    /**
+     * Clip everything drawn until the matching restore() to the current path.
+     */
+    clip() {
+        const id = `clip${this.nextId++}`
+        this.definitions.push(`<clipPath id="${id}"><path d="${this.path.join(' ')}"/></clipPath>`)
+        this.elements.push(`<g clip-path="url(#${id})">`)
+        this.openGroups++
+    }
+
+    // -- rectangles -------------------------------------------------------
+
+    fillRect(x, y, width, height) {
+        this.#rectangle(x, y, width, height, this.#fillAttributes())
+    }
+
+    strokeRect(x, y, width, height) {
+        this.#rectangle(x, y, width, height, ` fill="none"${this.#strokeAttributes()}`)
+    }
+
+    clearRect() {
+    }
+
+    // -- text -------------------------------------------------------------
+
+    fillText(text, x, y) {
+        this.#text(text, x, y, this.#fillAttributes())
+    }
+
+    strokeText(text, x, y) {
+        this.#text(text, x, y, ` fill="none"${this.#strokeAttributes()}`)
+    }
+
+    measureText(text) {
+        if (this.measureContext) {
+            this.measureContext.font = this.font
+            return this.measureContext.measureText(text)
+        }
+        // An average glyph is a little over half its font size wide.
+        return {width: 0.55 * fontSize(this.font) * String(text).length}
+    }
+
+    // -- images -----------------------------------------------------------
+
+    /**
+     * Embeds the image as a PNG data URL, so it needs to be a canvas or an
+     * image element with a `src`.
+     */
+    drawImage(image, ...args) {
+
+        let sx = 0, sy = 0, sw = image.width, sh = image.height
+        let dx, dy, dw = image.width, dh = image.height
+        if (2 === args.length) {
+            [dx, dy] = args
+        } else if (4 === args.length) {
+            [dx, dy, dw, dh] = args
+        } else {
+            [sx, sy, sw, sh, dx, dy, dw, dh] = args
+        }
+
+        const href = image.toDataURL ? image.toDataURL('image/png') : image.src
+        const rendering = this.imageSmoothingEnabled ? '' : ' style="image-rendering: pixelated"'
+        const opacity = this.globalAlpha < 1 ? ` opacity="${round(this.globalAlpha)}"` : ''
+        const imageElement = `<image width="${image.width}" height="${image.height}" preserveAspectRatio="none" href="${href}"${rendering}/>`
+
+        // A nested viewport shows the source rectangle, stretched over the
+        // destination one.
+        this.elements.push(
+            `<svg x="${round(dx)}" y="${round(dy)}" width="${round(dw)}" height="${round(dh)}" ` +
+            `viewBox="${round(sx)} ${round(sy)} ${round(sw)} ${round(sh)}" preserveAspectRatio="none" overflow="hidden"` +
+            `${this.#transformAttribute()}${opacity}>${imageElement}</svg>`)
+    }
+
+    // -- output -----------------------------------------------------------
+
+    /**
+     * The figure as a standalone SVG document.
+     *
+     * @returns {string}
+     */
+    getSerializedSvg() {
+        const groups = '</g>'.repeat(this.openGroups + this.stack.reduce((sum, saved) => sum + saved.openGroups, 0))
+        const definitions = this.definitions.length > 0 ? `<defs>${this.definitions.join('')}</defs>` : ''
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" ` +
+            `viewBox="0 0 ${this.width} ${this.height}">` +
+            definitions +
+            this.elements.join('') +
+            groups +
+            '</svg>'
+    }
+
+    #rectangle(x, y, width, height, attributes) {
+        const corners = [[x, y], [x + width, y], [x + width, y + height], [x, y + height]]
+        const d = corners.map(([px, py], i) => `${i ? 'L' : 'M'}${this.#apply(px, py)}`).join(' ')
+        this.elements.push(`<path d="${d} Z"${attributes}/>`)
+    }
+
+    #text(text, x, y, attributes) {
+        const anchor = {center: 'middle', right: 'end', end: 'end'}[this.textAlign]
+        const baseline = {top: 'text-before-edge', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge'}[this.textBaseline]
+        this.elements.push(
+            `<text x="${round(x)}" y="${round(y)}"${this.#transformAttribute()}` +
+            ` style="font: ${escape(this.font)}"` +
+            (anchor ? ` text-anchor="${anchor}"` : '') +
+            (baseline ? ` dominant-baseline="${baseline}"` : '') +
+            `${attributes}>${escape(String(text))}</text>`)
+    }
+
+    #fillAttributes() {
+        const {color, opacity} = parseColor(this.fillStyle)
+        const alpha = opacity * this.globalAlpha
+        return ` fill="${color}"` + (alpha < 1 ? ` fill-opacity="${round(alpha)}"` : '')
+    }
+
+    #strokeAttributes() {
+        const {color, opacity} = parseColor(this.strokeStyle)
+        const alpha = opacity * this.globalAlpha
+        const [a, b, c, d] = this.matrix
+        const width = this.lineWidth * Math.sqrt(Math.abs(a * d - b * c))
+        return ` stroke="${color}" stroke-width="${round(width)}"` +
+            (alpha < 1 ? ` stroke-opacity="${round(alpha)}"` : '') +
+            ('butt' === this.lineCap ? '' : ` stroke-linecap="${this.lineCap}"`) +
+            ('miter' === this.lineJoin ? '' : ` stroke-linejoin="${this.lineJoin}"`) +
+            (this.lineDash.length > 0 ? ` stroke-dasharray="${this.lineDash.map(round).join(' ')}"` : '')
+    }
+
+    #transformAttribute() {
+        const [a, b, c, d, e, f] = this.matrix
+        const identity = 1 === a && 0 === b && 0 === c && 1 === d && 0 === e && 0 === f
+        return identity ? '' : ` transform="matrix(${this.matrix.map(round).join(' ')})"`
+    }
+
+    #ensureCursor(x, y) {
+        if (!this.pathCursor) {
+            this.moveTo(x, y)
+        }
+    }
+
+    #apply(x, y) {
+        const [a, b, c, d, e, f] = this.matrix
+        return `${round(a * x + c * y + e)},${round(b * x + d * y + f)}`
+    }
+}
+
+/**
+ * A canvas color as an SVG paint and its opacity. `rgba()` is split in two:
+ * SVG 1.1 readers, Illustrator among them, take no alpha in the color.
+ */
+function parseColor(style) {
+    const match = /^rgba\(\s*([^,]+),\s*([^,]+),\s*([^,]+),\s*([^)]+)\)$/.exec(String(style).trim())
+    if (match) {
+        const [, r, g, b, a] = match
+        return {color: `rgb(${r.trim()},${g.trim()},${b.trim()})`, opacity: Math.min(1, Math.max(0, Number.parseFloat(a)))}
+    }
+    return {color: escape(String(style)), opacity: 1}
+}
+
+function fontSize(font) {
+    const match = /(\d+(?:\.\d+)?)px/.exec(font)
+    return match ? Number.parseFloat(match[1]) : 10
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000
+}
+
+function escape(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+}
+
+export default SVGContext
@@ -53,18 +53,21 @@ class SweepZoom {
         this.rulerSweeperElement.style.display = 'none';
 
         const state = this.browser.state;
-        const { chromosomes, bpResolutions } = this.browser.dataset;
-        const bpResolution = bpResolutions[state.zoom];
+        const dataset = this.browser.dataset;
+        const { chromosomes } = dataset;
+        const resolution = this.browser.resolution();
 
-        // bp = ((bin + pixel/pixel-per-bin) / bp-per-bin)
-        const xBP = (state.x + (xPixel / state.pixelSize)) * bpResolution
-        const yBP = (state.y + (yPixel / state.pixelSize)) * bpResolution
-        const  widthBP = ( width / state.pixelSize) * bpResolution;
-        const heightBP = (height / state.pixelSize) * bpResolution;
+        // bp = ((bin + pixel/pixel-per-bin) * bp-per-bin), through the restriction
+        // sites for a view in fragments
+        const toBP = (chr, bin) => dataset.toBP(chr, bin * resolution, state.unit)
+        const xBP = toBP(state.chr1, state.x + (xPixel / state.pixelSize))
+        const yBP = toBP(state.chr2, state.y + (yPixel / state.pixelSize))
+        const xEndBP = toBP(state.chr1, state.x + ((xPixel + width) / state.pixelSize))
+        const yEndBP = toBP(state.chr2, state.y + ((yPixel + height) / state.pixelSize))
 
         await this.browser.goto(
-            chromosomes[state.chr1].name, Math.round(xBP), Math.round(xBP + widthBP),
-            chromosomes[state.chr2].name, Math.round(yBP), Math.round(yBP + heightBP),
+            chromosomes[state.chr1].name, Math.round(xBP), Math.round(xEndBP),
+            chromosomes[state.chr2].name, Math.round(yBP), Math.round(yEndBP),
         );
     }
 }
@@ -0,0 +1,278 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * 128 MiB: about 70 tiles at the default 685-bin tile edge, each a 1.8 MB RGBA
+ * raster -- two screenfuls apiece for four browsers on a large display.
+ */
+const DEFAULT_TILE_CACHE_BUDGET = 128 * 1024 * 1024
+
+/**
+ * The image tiles of every browser in one embed, held under one byte budget
+ * and evicted least recently used first. See CONTEXT.md for "tile cache".
+ *
+ * Each `ImageTileSource` is an *owner*: its keys are its own, and invalidating
+ * or disposing it drops only its tiles. Recency is shared, so a browser the
+ * user is looking at keeps its tiles at the expense of one that has sat still.
+ *
+ * The budget is a ceiling on everything but the pinned tiles. Each owner pins
+ * the tiles of its two most recent views: a pass must never evict a tile it is
+ * still painting, and cycling between the A and B maps must find both cached.
+ * Those stay even when they alone exceed the budget, as the retained tile count
+ * they replace did -- it was a floor, not a ceiling.
+ *
+ * A budget of zero caches nothing, pins included.
+ *
+ * A tile leaving the cache, evicted or cleared, has its ImageBitmap closed: the
+ * raster a worker hands back lives in GPU-backed memory that garbage collection
+ * frees only eventually, and the budget counts it gone at once. A tile `set`
+ * declines never entered it, and its caller closes it.
+ *
+ *   const cache = new TileCache({budget: 64 * 1024 * 1024})
+ *   cache.set(source, key, tile)
+ *   cache.get(source, key)
+ *   cache.stats()   // {budget, bytes, tiles, hits, misses, evictions, evictedBytes}
+ */
+class TileCache {
+
+    /**
+     * @param {number} budget bytes of raster the cache holds before evicting
+     */
+    constructor({budget = DEFAULT_TILE_CACHE_BUDGET} = {}) {
+
+        this.budget = budget
+
+        // By owner-qualified key, in recency order: a Map iterates in insertion
+        // order, so re-inserting on a hit moves an entry to the back and the
+        // least recently used is always first.
+        this.entries = new Map()
+        this.bytes = 0
+
+        // Owner -> [current view's keys, previous view's keys].
+        this.pins = new Map()
+
+        this.owners = new WeakMap()
+        this.nextOwner = 0
+
+        this.hits = 0
+        this.misses = 0
+        this.evictions = 0
+        this.evictedBytes = 0
+    }
+
+    /**
+     * Change the budget, evicting at once if it shrank.
+     *
+     * @param {number} budget bytes
+     */
+    setBudget(budget) {
+        this.budget = budget
+        if (0 === budget) {
+            for (const id of Array.from(this.entries.keys())) {
+                this.#remove(id)
+            }
+            this.pins.clear()
+        } else {
+            this.#evict(0)
+        }
+    }
+
+    /**
+     * The tile cached under `key`, counted as a hit and made most recently
+     * used; undefined, counted as a miss, when there is none.
+     */
+    get(owner, key) {
+        const id = this.#qualify(owner, key)
+        const entry = this.entries.get(id)
+        if (!entry) {
+            this.misses++
+            return undefined
+        }
+        this.hits++
+        this.entries.delete(id)
+        this.entries.set(id, entry)
+        return entry.tile
+    }
+
+    /**
+     * The tile cached under `key`, without touching recency or the counts --
+     * for looking a tile up on the way to something else, as a placeholder.
+     */
+    peek(owner, key) {
+        return this.entries.get(this.#qualify(owner, key))?.tile
+    }
+
+    has(owner, key) {
+        return this.entries.has(this.#qualify(owner, key))
+    }
+
+    /**
+     * Cache a tile, evicting the least recently used unpinned tiles to make
+     * room for it.
+     *
+     * @param {{ifRoom: boolean}} options with `ifRoom`, a tile that would not
+     *        fit without evicting a pinned one is dropped instead -- a prefetch
+     *        is not worth a tile on screen. Without it, the tile is cached
+     *        regardless, since the caller is about to pin it.
+     * @returns {boolean} whether the tile was cached. A tile that was not --
+     *          refused for room, or under a budget of zero -- is still the
+     *          caller's, to paint and then close.
+     */
+    set(owner, key, tile, {ifRoom = false} = {}) {
+
+        if (0 === this.budget) {
+            return false
+        }
+
+        const id = this.#qualify(owner, key)
+        const bytes = bytesOf(tile)
+
+        this.#remove(id, tile)
+        if (!this.#evict(bytes) && ifRoom) {
+            return false
+        }
+
+        this.entries.set(id, {owner, key, tile, bytes})
+        this.bytes += bytes
+        return true
+    }
+
+    /**
+     * Pin the tiles of an owner's current view, alongside those of its previous
+     * one. Keys need not be cached yet: a pass pins its whole grid before
+     * fetching any of it.
+     *
+     * @param {Iterable<string>} keys
+     */
+    pin(owner, keys) {
+        if (0 === this.budget) {
+            return
+        }
+        const current = new Set(Array.from(keys, key => this.#qualify(owner, key)))
+        const [previous] = this.pins.get(owner) || []
+        this.pins.set(owner, [current, previous || new Set()])
+        this.#evict(0)
+    }
+
+    /**
+     * Drop every tile an owner cached, and its pins.
+     */
+    clear(owner) {
+        for (const [id, entry] of this.entries) {
+            if (entry.owner === owner) {
+                this.#remove(id)
+            }
+        }
+        this.pins.delete(owner)
+    }
+
+    /**
+     * How the cache is doing, for a host to report or tune the budget by.
+     * `hits` and `misses` count lookups of a tile a view needed; `evictions`
+     * and `evictedBytes` count tiles dropped to stay under the budget, not
+     * those dropped by an owner's own invalidation.
+     *
+     * @returns {{budget: number, bytes: number, tiles: number, hits: number, misses: number, evictions: number, evictedBytes: number}}
+     */
+    stats() {
+        return {
+            budget: this.budget,
+            bytes: this.bytes,
+            tiles: this.entries.size,
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            evictedBytes: this.evictedBytes
+        }
+    }
+
+    /**
+     * Evict unpinned tiles, least recently used first, until `incoming` more
+     * bytes fit. Whether they now do.
+     */
+    #evict(incoming) {
+
+        const pinned = id => {
+            for (const sets of this.pins.values()) {
+                if (sets.some(set => set.has(id))) return true
+            }
+            return false
+        }
+
+        for (const [id, entry] of this.entries) {
+            if (this.bytes + incoming <= this.budget) break
+            if (pinned(id)) continue
+            this.#remove(id)
+            this.evictions++
+            this.evictedBytes += entry.bytes
+        }
+
+        return this.bytes + incoming <= this.budget
+    }
+
+    // `replacement`, the tile about to take the entry's place, keeps its bitmap
+    // should it be the same one.
+    #remove(id, replacement) {
+        const entry = this.entries.get(id)
+        if (entry) {
+            this.entries.delete(id)
+            this.bytes -= entry.bytes
+            if (entry.tile.image !== replacement?.image) {
+                closeImage(entry.tile)
+            }
+        }
+    }
+
+    #qualify(owner, key) {
+        let ownerId = this.owners.get(owner)
+        if (undefined === ownerId) {
+            ownerId = this.nextOwner++
+            this.owners.set(owner, ownerId)
+        }
+        return `${ownerId}:${key}`
+    }
+}
+
+/**
+ * A tile's raster is RGBA, four bytes a pixel, whether a canvas or the
+ * ImageBitmap a worker hands back.
+ */
+function bytesOf(tile) {
+    const {width = 0, height = 0} = tile.image || {}
+    return width * height * 4
+}
+
+/**
+ * Free a tile's raster now rather than at the next collection. Only an
+ * ImageBitmap can be; a canvas, the main-thread fallback's raster, is left to
+ * the collector.
+ */
+function closeImage(tile) {
+    if (typeof tile.image?.close === 'function') {
+        tile.image.close()
+    }
+}
+
+export {DEFAULT_TILE_CACHE_BUDGET, closeImage}
+
+export default TileCache
@@ -0,0 +1,280 @@
+/**
+ * Turns the contact records for one image tile into a raster. See CONTEXT.md
+ * for "image tile".
+ *
+ * Two implementations behind one method, `rasterize(job)`:
+ *
+ * - `MainThreadRasterizer` fetches the records and paints them into a canvas
+ *   on the calling thread. It is what every tile went through before, and it
+ *   is still the fallback.
+ * - `WorkerRasterizer` hands the tile to `imageTileWorker.js`, which fetches
+ *   the records, paints them into an OffscreenCanvas and answers with an
+ *   `ImageBitmap`. A dense 685-bin tile costs tens of milliseconds to decode
+ *   and as many to paint, and a pan at 5kb asks for several at once -- on the
+ *   main thread that is the jank.
+ *
+ * A job is `{records, controlRecords, plan, row, column, tileDimension}`, where
+ * `plan` is the one `paintRecords` reads and each of `records` and
+ * `controlRecords` is a read: `{fetch, request}`. `fetch()` resolves to the
+ * records on the calling thread; `request`, where the dataset offers one
+ * (`Dataset.contactRecordsRequest`), is the same read described for the
+ * worker, which opens the file itself and keeps a block cache of its own. A
+ * read without one -- a live map, a derived resolution, a Pearson tile cut
+ * from a matrix in hand -- is fetched here and its records cross instead. Both
+ * implementations resolve to something `drawImage` accepts and that has
+ * `width` and `height`.
+ *
+ * The same split serves `correlate({records, expected, n})`, a chromosome's
+ * Pearson matrix. That is seconds of arithmetic at the sizes allowed, far more
+ * than any tile, and would freeze the page were it computed where it is asked
+ * for.
+ */
+import {indexControlRecords, packRecords, paintRecords, pearsonMatrix} from './imageTileCore.js'
+import ImageTileWorker from './imageTileWorker.js?worker&inline'
+
+class MainThreadRasterizer {
+
+    /**
+     * @param createTile factory for a raster surface. Tests inject a stub,
+     *        since the test environment has no canvas.
+     */
+    constructor(createTile = createCanvasTile) {
+        this.createTile = createTile
+    }
+
+    async rasterize({records: read, controlRecords: controlRead, plan, row, column, tileDimension}) {
+
+        const [records, controlRecords] = await Promise.all([read.fetch(), controlRead?.fetch()])
+
+        const image = this.createTile(tileDimension)
+
+        // An empty tile stays blank rather than round-tripping through
+        // getImageData.
+        if (records.length > 0) {
+            const ctx = image.getContext('2d')
+            const buf = ctx.getImageData(0, 0, image.width, image.height)
+            paintRecords(buf, records, indexControlRecords(controlRecords, plan.displayMode), plan, row, column)
+            ctx.putImageData(buf, 0, 0)
+        }
+
+        return image
+    }
+
+    async correlate({records, expected, n}) {
+        return pearsonMatrix(records, expected, n)
+    }
+
+    dispose() {
+    }
+}
+
+class WorkerRasterizer {
+
+    /**
+     * @param createWorker factory for the worker. Injectable so a test can
+     *        stand one in; the default is the bundled `imageTileWorker.js`.
+     * @param fallback where a job goes when the worker cannot take it
+     */
+    constructor({createWorker = createImageTileWorker, fallback = new MainThreadRasterizer()} = {}) {
+
+        this.fallback = fallback
+        this.pending = new Map()
+        this.nextId = 0
+
+        // Cleared when the worker fails to fetch: a map it cannot read, from
+        // its origin or without the page's credentials, is read here after.
+        this.fetchInWorker = true
+
+        this.worker = createWorker()
+        this.worker.onmessage = ({data}) => this.#receive(data)
+        this.worker.onerror = (event) => this.#abandon(event)
+    }
+
+    async rasterize(job) {
+
+        if (!this.worker) {
+            return this.fallback.rasterize(job)
+        }
+
+        const {plan, row, column, tileDimension} = job
+
+        // A read the worker cannot make is made here, and kept: a job the
+        // worker fails on is then painted without fetching it again.
+        const [records, controlRecords] = await Promise.all([job.records, job.controlRecords].map(read =>
+            read && (this.fetchInWorker && read.request ? read : this.#fetched(read))))
+        const local = {...job, records, controlRecords}
+
+        // Nothing to paint is a blank surface, and there is no reason to send
+        // an empty message across a thread for one.
+        if (!this.worker || (records.records && 0 === records.records.length)) {
+            return this.fallback.rasterize(local)
+        }
+
+        const primary = packRecords(records.records)
+        const control = packRecords(controlRecords?.records)
+        const transfer = [primary, control]
+            .filter(Boolean)
+            .flatMap(({bin1, bin2, counts}) => [bin1.buffer, bin2.buffer, counts.buffer])
+
+        // Scales cross as their session strings, which the worker parses back
+        // into the same classes. A scale is whatever it was when the job was
+        // posted; a threshold change invalidates the cache and repaints anyway.
+        // Expected counts are copied, not transferred: the source keeps them for
+        // every tile on the chromosome.
+        const message = {
+            id: this.nextId++,
+            row,
+            column,
+            tileDimension,
+            records: primary,
+            recordsRequest: primary ? undefined : records.request,
+            controlRecords: control,
+            controlRecordsRequest: control ? undefined : controlRecords?.request,
+            plan: {
+                displayMode: plan.displayMode,
+                tileDimension: plan.tileDimension,
+                sameChr: plan.sameChr,
+                averageCount: plan.averageCount,
+                ctrlAverageCount: plan.ctrlAverageCount,
+                colorScale: plan.colorScale.stringify(),
+                ratioColorScale: plan.ratioColorScale?.stringify(),
+                diffColorScale: plan.diffColorScale?.stringify(),
+                oeColorScale: plan.oeColorScale?.stringify(),
+                pearsonColorScale: plan.pearsonColorScale?.stringify(),
+                expected: plan.expected
+            }
+        }
+
+        return this.#post(message, transfer, () => this.fallback.rasterize(local))
+    }
+
+    async #fetched(read) {
+        const records = await read.fetch()
+        return {records, fetch: async () => records}
+    }
+
+    /**
+     * A chromosome's Pearson matrix, computed in the worker. The records are
+     * transferred and the matrix comes back the same way; expected counts are
+     * copied, as for a tile.
+     */
+    async correlate(job) {
+
+        if (!this.worker) {
+            return this.fallback.correlate(job)
+        }
+
+        const {records, expected, n} = job
+        const packed = packRecords(records)
+        const transfer = packed ? [packed.bin1.buffer, packed.bin2.buffer, packed.counts.buffer] : []
+
+        const message = {id: this.nextId++, correlate: {records: packed, expected, n}}
+        return this.#post(message, transfer, () => this.fallback.correlate(job))
+    }
+
+    #post(message, transfer, fallback) {
+        return new Promise((resolve, reject) => {
+            this.pending.set(message.id, {resolve, reject, fallback})
+            this.worker.postMessage(message, transfer)
+        })
+    }
+
+    /**
+     * Stop the worker. A job still out with it is painted on the main thread
+     * instead, so no pass is left awaiting a tile that will never come; a pass
+     * belonging to a disposed browser drops the result on its own.
+     */
+    dispose() {
+        this.worker?.terminate()
+        this.worker = undefined
+        this.#strand()
+    }
+
+    #receive({id, image, matrix, error, fetchFailed}) {
+
+        const entry = this.pending.get(id)
+        if (!entry) return
+
+        this.pending.delete(id)
+        if (error) {
+            // One job the worker could not do is one the main thread can.
+            console.error(`Image tile worker: ${error}`)
+            if (fetchFailed) {
+                this.fetchInWorker = false
+            }
+            entry.fallback().then(entry.resolve, entry.reject)
+        } else {
+            entry.resolve(image || matrix)
+        }
+    }
+
+    /**
+     * The worker failed to load or died. Everything it was holding, and every
+     * job after, is painted on the main thread -- the map renders as it did
+     * before workers, rather than not at all.
+     */
+    #abandon(event) {
+
+        console.error('Image tile worker failed, rasterizing on the main thread', event?.message || event)
+
+        this.worker?.terminate()
+        this.worker = undefined
+        this.#strand()
+    }
+
+    #strand() {
+        const stranded = [...this.pending.values()]
+        this.pending.clear()
+        for (const {resolve, reject, fallback} of stranded) {
+            fallback().then(resolve, reject)
+        }
+    }
+}
+
+/**
+ * Can this environment rasterize off the main thread? A worker alone is not
+ * enough: painting there needs OffscreenCanvas, and handing the result back
+ * without a copy needs ImageBitmap.
+ */
+function workersAvailable() {
+    return typeof Worker !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof createImageBitmap !== 'undefined'
+}
+
+/**
+ * The rasterizer an image tile source uses when it is not handed one: a worker
+ * where the environment supports it, the main thread otherwise.
+ */
+function createTileRasterizer() {
+
+    if (workersAvailable()) {
+        try {
+            return new WorkerRasterizer()
+        } catch (e) {
+            // A Content-Security-Policy without worker-src is the usual cause.
+            console.warn('Image tile worker unavailable, rasterizing on the main thread', e)
+        }
+    }
+
+    return new MainThreadRasterizer()
+}
+
+// The worker is inlined into the bundle rather than emitted beside it. A URL
+// resolved against `import.meta.url` exists only in the ES module build: the
+// UMD build has no `import.meta`, so there it never resolved and every page
+// rasterized on the main thread.
+function createImageTileWorker() {
+    return new ImageTileWorker()
+}
+
+function createCanvasTile(dimension) {
+    const canvas = document.createElement('canvas')
+    canvas.width = dimension
+    canvas.height = dimension
+    return canvas
+}
+
+export {MainThreadRasterizer, WorkerRasterizer, workersAvailable}
+
+export default createTileRasterizer
@@ -0,0 +1,196 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+/**
+ * A contact map served, not stored: a Dataset for any HTTP service that
+ * answers the JSON protocol in docs/tile-server-protocol.md -- the genome's
+ * chromosomes, resolutions and normalizations up front, then the sparse records
+ * of a rectangle as they are viewed. For matrices that do not exist as files.
+ *
+ * A map config names the service by its base URL, either with `format:
+ * 'tileserver'` or by prefixing the URL's scheme, as in
+ * `tileserver+https://lab.example.org/maps/sample1`. The records are rendered
+ * and cached by tile as a .hic file's are; this class caches nothing of its own
+ * beyond `/info` and each chromosome pair's averages.
+ *
+ * tile-server/reference-server.js is a working server, for tests and as an
+ * example to build one from.
+ */
+
+import Dataset, {matchGenome, withWholeGenome, bpMatrix} from './dataset.js'
+import ContactRecord from './contactRecord.js'
+import {getUrlMapper} from './urlMapper.js'
+
+const PROTOCOL_VERSION = 1
+
+const SCHEME_PREFIX = 'tileserver+'
+
+/**
+ * Whether a config names a tile server: by `format`, or by the scheme prefix.
+ */
+function isTileServerConfig(config) {
+    return 'tileserver' === config.format ||
+        ('string' === typeof config.url && config.url.startsWith(SCHEME_PREFIX))
+}
+
+class TileServerDataset extends Dataset {
+
+    constructor(config) {
+        super(config)
+        this.config = config
+        this.isLive = false
+        this.datasetType = 'tileserver'
+
+        const url = config.url.startsWith(SCHEME_PREFIX) ? config.url.substring(SCHEME_PREFIX.length) : config.url
+        this.baseUrl = url.replace(/\/+$/, '')
+
+        // Each chromosome pair's averages, by "chr1_chr2" index.
+        this.averages = new Map()
+    }
+
+    async init() {
+
+        const info = await this.#request('info')
+        if (PROTOCOL_VERSION !== info.version) {
+            throw new Error(`${this.baseUrl} speaks version ${info.version} of the tile server protocol, not ${PROTOCOL_VERSION}`)
+        }
+        if (!Array.isArray(info.chromosomes) || 0 === info.chromosomes.length ||
+            !Array.isArray(info.resolutions) || 0 === info.resolutions.length) {
+            throw new Error(`${this.baseUrl}/info lists no chromosomes or no resolutions`)
+        }
+
+        Object.assign(this, withWholeGenome(info.chromosomes))
+        this.bpResolutions = info.resolutions.slice().sort((a, b) => b - a)
+        this.fragResolutions = []
+        this.hasWholeGenome = Boolean(info.wholeGenome)
+
+        const normalizations = (info.normalizations || []).filter(n => 'NONE' !== n)
+        this.normalizationTypes = ['NONE', ...normalizations]
+
+        this.genomeId = info.genome || 'unknown'
+        const tmp = matchGenome(this.chromosomes)
+        if (tmp) this.genomeId = tmp
+    }
+
+    async getContactRecords(normalization, region1, region2, units, binsize) {
+
+        if ('BP' !== units) {
+            return []
+        }
+
+        let idx1 = this.getChrIndexFromName(region1.chr)
+        let idx2 = this.getChrIndexFromName(region2.chr)
+        if (undefined === idx1 || undefined === idx2) {
+            return []
+        }
+
+        // The server answers the upper triangle: ask for it, as hic-straw does.
+        if (idx1 > idx2 || (idx1 === idx2 && region1.start >= region2.end)) {
+            [region1, region2] = [region2, region1];
+            [idx1, idx2] = [idx2, idx1]
+        }
+
+        if (this.isWholeGenome(idx1)) {
+            if (!this.hasWholeGenome) {
+                return []
+            }
+        } else if (!this.bpResolutions.includes(binsize)) {
+            throw new Error(`No data available for resolution: ${binsize}  for map ${region1.chr}-${region2.chr}`)
+        }
+
+        const {records} = await this.#request('records', {
+            chr1: this.chromosomes[idx1].name,
+            start1: Math.floor(region1.start),
+            end1: Math.ceil(region1.end),
+            chr2: this.chromosomes[idx2].name,
+            start2: Math.floor(region2.start),
+            end2: Math.ceil(region2.end),
+            binSize: binsize,
+            normalization
+        })
+
+        return records.map(([bin1, bin2, counts]) => new ContactRecord(bin1, bin2, counts))
+    }
+
+    async getMatrix(chr1, chr2) {
+
+        if (chr1 > chr2) {
+            [chr1, chr2] = [chr2, chr1]
+        }
+        const chromosome1 = this.chromosomes[chr1]
+        const chromosome2 = this.chromosomes[chr2]
+
+        const key = `${chr1}_${chr2}`
+        if (!this.averages.has(key)) {
+            this.averages.set(key, this.#request('matrix', {chr1: chromosome1.name, chr2: chromosome2.name})
+                .catch(e => {
+                    this.averages.delete(key)
+                    throw e
+                }))
+        }
+        const {averageCounts = {}} = await this.averages.get(key)
+
+        const binSizes = this.isWholeGenome(chr1) ? [this.wholeGenomeBinSize] : this.bpResolutions
+        return bpMatrix(chromosome1, chromosome2, binSizes.map(binSize => ({
+            binSize,
+            averageCount: averageCounts[binSize] || 1
+        })))
+    }
+
+    hasNormalizationVector(type, chr, unit, binSize) {
+        return 'BP' === unit && this.normalizationTypes.includes(type)
+    }
+
+    async getNormalizationOptions() {
+        return this.normalizationTypes
+    }
+
+    /**
+     * Factory method to load a dataset from a tile server
+     * @param {Object} config - Configuration object with url, name, headers, etc.
+     * @returns {Promise<TileServerDataset>}
+     */
+    static async loadDataset(config) {
+        const dataset = new TileServerDataset(config)
+        await dataset.init()
+        dataset.url = config.url
+        return dataset
+    }
+
+    async #request(endpoint, params) {
+
+        const query = params ? `?${new URLSearchParams(params)}` : ''
+        const url = `${this.baseUrl}/${endpoint}${query}`
+        const mapper = this.config.mapUrl || getUrlMapper()
+
+        const response = await fetch(mapper ? mapper(url) : url, {headers: this.config.headers})
+        if (!response.ok) {
+            throw new Error(`${url}: ${response.status} ${response.statusText}`)
+        }
+        return response.json()
+    }
+}
+
+export {isTileServerConfig}
+
+export default TileServerDataset
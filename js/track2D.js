@@ -1,5 +1,15 @@
 import {igvxhr, StringUtils} from 'igv-utils'
 import {mapUrl} from './urlMapper.js'
+import {gradientStops, interpolateStops, paletteColor, paletteNames} from './colormaps.js'
+import FeatureIndex from './featureIndex.js'
+import Track2DSource from './track2DSource.js'
+
+// Values a feature has without its file giving them: the separation of its
+// anchors, a loop's size, and its width.
+const DERIVED_ATTRIBUTES = {
+    distance: f => Math.abs((f.y1 + f.y2) / 2 - (f.x1 + f.x2) / 2),
+    width: f => f.x2 - f.x1
+}
 
 class Track2D {
 
@@ -9,7 +19,7 @@ class Track2D {
         both: 0b01 | 0b10,
     }
 
-    constructor(config, features) {
+    constructor(config, features, source) {
 
         this.config = config
         this.name = config.name
@@ -24,22 +34,49 @@ class Track2D {
 
         this.repColor = features.length > 0 ? features[0].color : "black"
 
+        // A track the user draws on rather than one read from a file: it has no
+        // url, and a session carries its features inline. See Track2DEditor.
+        this.editable = true === config.editable
+
+        // Where a track too large to read whole fetches its features by region;
+        // undefined for one whose features are all here. See loadRegion.
+        this.source = source
+
         this.featureMap = {}
         this.featureCount = 0
+
+        // A FeatureIndex per chromosome pair, keyed as featureMap is; built on the
+        // first query of a region and dropped when a feature on the pair changes.
+        this.indexes = {}
+
         for (let f of features) {
-            this.featureCount++
-            const key = getKey(f.chr1, f.chr2)
-            let list = this.featureMap[key]
-            if (!list) {
-                list = []
-                this.featureMap[key] = list
-            }
-            list.push(f)
+            this.addFeature(f)
         }
+
+        this.setStyle(config.style)
+        this.setFilters(config.filters || [])
+    }
+
+    /**
+     * A track whose features are in its config rather than at a url -- what
+     * `toJSON` writes for an editable track. Chromosome names are resolved
+     * through the genome's aliases, as a file's are.
+     */
+    static fromFeatures(config, genome) {
+        const features = config.features.map(f => ({
+            ...f,
+            chr1: genome ? genome.getChromosomeName(f.chr1) : f.chr1,
+            chr2: genome ? genome.getChromosomeName(f.chr2) : f.chr2
+        }))
+        return new Track2D(config, features)
     }
 
     static async loadTrack2D(config, genome) {
 
+        if (Track2DSource.isRegionIndexed(config)) {
+            return new Track2D(config, [], await Track2DSource.load(config, genome))
+        }
+
         // Mapped at the fetch, not on the config: this is a juicebox-owned call site, so the
         // rewritten URL is used and discarded and `config.url` — the one toJSON serializes —
         // stays the original. See issue #450.
@@ -48,19 +85,253 @@ class Track2D {
         return new Track2D(config, features)
     }
 
+    /**
+     * Fetch what a view of `chr1` against `chr2` needs, for a track read by
+     * region, making its features those of the source's cached tiles. A track
+     * read whole has every feature already. The style's range, or its palette's
+     * classes, is held from the first features loaded: see setStyle.
+     *
+     * @param region - `{xStart, xEnd, yStart, yEnd}` in base pairs, x on `chr1`
+     * @returns {Promise<boolean>} whether anything was fetched, changing the features
+     */
+    async loadRegion(chr1, chr2, region) {
+        const fetched = Boolean(this.source && await this.source.load(chr1, chr2, region))
+        if (fetched) {
+            this.setFeatures(this.source.features())
+        }
+        return fetched
+    }
+
+    setFeatures(features) {
+        this.featureMap = {}
+        this.featureCount = 0
+        this.indexes = {}
+        for (const feature of features) {
+            this.addFeature(feature)
+        }
+        if (!this.color && features.length > 0) {
+            this.repColor = features[0].color || this.repColor
+        }
+        this.styleScale = undefined
+    }
+
     getColor() {
         return this.color || this.repColor
     }
 
-    getFeatures(chr1, chr2) {
+    /**
+     * Color features by one of their attributes, over the track's color and
+     * their own: through a colormap, `{attribute, colormap, min, max}`, for a
+     * numeric attribute, the range defaulting to the attribute's over the
+     * track; or through a palette, `{attribute, palette}`, a color for each
+     * distinct value in the order they first appear. A feature without the
+     * attribute keeps its color. Undefined for none.
+     *
+     * A track read by region has only the features near the view, so a range
+     * over them would recolor every feature on each pan. Its range is taken
+     * from the first features loaded and held until the style is set again,
+     * and its palette keeps the colors it has given as new values arrive; give
+     * `min` and `max` for a range that does not depend on where the view
+     * started.
+     *
+     * @throws {Error} for an unknown colormap or palette
+     */
+    setStyle(style) {
+        if (style) {
+            if (style.colormap) {
+                gradientStops(style.colormap)
+            } else if (!paletteNames.includes(style.palette)) {
+                throw new Error(`A 2D track style needs a colormap, or a palette: one of ${paletteNames.join(', ')}`)
+            }
+        }
+        this.style = style
+        this.styleScale = undefined
+        // What a track read by region holds across loads: the colormap's range,
+        // or the palette's classes.
+        this.styleDomain = undefined
+    }
+
+    /**
+     * Draw only features whose attributes fall in every range of
+     * `[{attribute, min, max}]`, either bound optional. A feature without one
+     * of the attributes is not drawn.
+     */
+    setFilters(filters) {
+        this.filters = filters
+    }
+
+    getFeatureColor(feature) {
+        if (this.style) {
+            if (!this.styleScale) {
+                this.styleScale = this.style.colormap ? numericScale(this, this.style) : categoricalScale(this, this.style)
+                if (this.source) {
+                    this.styleDomain = this.styleScale.domain
+                }
+            }
+            const color = this.styleScale(feature)
+            if (color) {
+                return color
+            }
+        }
+        return this.color || feature.color
+    }
+
+    isFeatureShown(feature) {
+        return this.filters.every(({attribute, min, max}) => {
+            const value = numericValue(feature, attribute)
+            return !Number.isNaN(value) && (undefined === min || value >= min) && (undefined === max || value <= max)
+        })
+    }
+
+    /**
+     * The attributes a style or filter can use: the columns of the track's
+     * files, in order, then the derived ones.
+     */
+    attributeNames() {
+        const names = new Set()
+        for (const f of this.getAllFeatures()) {
+            for (const name of Object.keys(f.attributes || {})) {
+                names.add(name)
+            }
+        }
+        for (const name of Object.keys(DERIVED_ATTRIBUTES)) {
+            names.add(name)
+        }
+        return Array.from(names)
+    }
+
+    /**
+     * @returns {{min: number, max: number}|undefined} the range of an attribute's
+     *          numeric values over the track; undefined if it has none
+     */
+    attributeRange(attribute) {
+        let min = Infinity
+        let max = -Infinity
+        for (const f of this.getAllFeatures()) {
+            const value = numericValue(f, attribute)
+            if (!Number.isNaN(value)) {
+                min = Math.min(min, value)
+                max = Math.max(max, value)
+            }
+        }
+        return min <= max ? {min, max} : undefined
+    }
+
+    /**
+     * The features filed under a chromosome pair, in either order. With a
+     * region -- `{xStart, xEnd, yStart, yEnd}` in base pairs, x on `chr1` --
+     * only those intersecting it, found through the pair's index rather than by
+     * visiting all of them.
+     */
+    getFeatures(chr1, chr2, region) {
         const key = getKey(chr1, chr2)
-        return this.featureMap[key]
+        const list = this.featureMap[key]
+        if (!list || !region) {
+            return list
+        }
+
+        // The index holds each feature on the axes of the pair's first chromosome.
+        const first = chr1 > chr2 ? chr2 : chr1
+        let index = this.indexes[key]
+        if (!index) {
+            index = new FeatureIndex(list.map(feature => first === feature.chr1 ?
+                {xStart: feature.x1, xEnd: feature.x2, yStart: feature.y1, yEnd: feature.y2, item: feature} :
+                {xStart: feature.y1, xEnd: feature.y2, yStart: feature.x1, yEnd: feature.x2, item: feature}))
+            this.indexes[key] = index
+        }
+
+        const {xStart, xEnd, yStart, yEnd} = region
+        return first === chr1 ? index.query(xStart, xEnd, yStart, yEnd) : index.query(yStart, yEnd, xStart, xEnd)
+    }
+
+    getAllFeatures() {
+        return Object.values(this.featureMap).flat()
+    }
+
+    addFeature(feature) {
+        const key = getKey(feature.chr1, feature.chr2)
+        let list = this.featureMap[key]
+        if (!list) {
+            list = []
+            this.featureMap[key] = list
+        }
+        list.push(feature)
+        this.featureCount++
+        delete this.indexes[key]
+        this.styleScale = undefined
+    }
+
+    /**
+     * @returns {boolean} whether the track held the feature
+     */
+    removeFeature(feature) {
+        const key = getKey(feature.chr1, feature.chr2)
+        const list = this.featureMap[key]
+        const index = list ? list.indexOf(feature) : -1
+        if (index < 0) {
+            return false
+        }
+        list.splice(index, 1)
+        if (0 === list.length) {
+            delete this.featureMap[key]
+        }
+        this.featureCount--
+        delete this.indexes[key]
+        this.styleScale = undefined
+        return true
+    }
+
+    /**
+     * Move a feature's extents, in place. Chromosomes are not changed, so the
+     * feature stays filed where it is; a start past its end is swapped back.
+     *
+     * @param {Object} feature
+     * @param {{x1?: number, x2?: number, y1?: number, y2?: number}} extents
+     */
+    updateFeature(feature, extents) {
+        Object.assign(feature, extents)
+        if (feature.x1 > feature.x2) {
+            [feature.x1, feature.x2] = [feature.x2, feature.x1]
+        }
+        if (feature.y1 > feature.y2) {
+            [feature.y1, feature.y2] = [feature.y2, feature.y1]
+        }
+        delete this.indexes[getKey(feature.chr1, feature.chr2)]
+        this.styleScale = undefined
+    }
+
+    /**
+     * The features as BEDPE, in the column layout juicer writes for loop and
+     * domain lists: name, score and strands from a feature's attributes, and
+     * its own color, or else the track's, when that can be written as r,g,b,
+     * in the eleventh column, where `parseData` reads it. A style's colors are
+     * a view of the attributes, which are written already, and are left out.
+     */
+    toBEDPE() {
+        const lines = ["#chr1\tx1\tx2\tchr2\ty1\ty2\tname\tscore\tstrand1\tstrand2\tcolor"]
+        for (const f of this.getAllFeatures()) {
+            const {name = ".", score = ".", strand1 = ".", strand2 = "."} = f.attributes || {}
+            const tokens = [f.chr1, f.x1, f.x2, f.chr2, f.y1, f.y2, name, score, strand1, strand2]
+            const rgb = rgbTriplet(f.color || this.color)
+            if (rgb) {
+                tokens.push(rgb)
+            }
+            lines.push(tokens.join("\t"))
+        }
+        return lines.join("\n") + "\n"
     }
 
     toJSON() {
-        const json =
+        const json = this.editable ?
+            {
+                format: "bedpe",
+                editable: true,
+                features: this.getAllFeatures().map(({chr1, x1, x2, chr2, y1, y2, color, attributes}) =>
+                    ({chr1, x1, x2, chr2, y1, y2, ...(color && {color}), ...(attributes && {attributes})}))
+            } :
             {
-                url: this.config.url
+                url: this.config.url,
+                ...(this.source && regionIndexedConfig(this.config))
             }
         if (this.name) {
             json.name = this.name
@@ -74,6 +345,12 @@ class Track2D {
         if (!this.isVisible) {
             json.isVisible = this.isVisible
         }
+        if (this.style) {
+            json.style = this.style
+        }
+        if (this.filters.length > 0) {
+            json.filters = this.filters
+        }
 
         return json
 
@@ -93,6 +370,18 @@ function isBedPE(config) {
     }
 }
 
+// Field names for a file without a header row: BEDPE's, with the color where
+// juicebox writes it, and a juicebox loop list's.
+const BEDPE_COLUMNS = ["chr1", "x1", "x2", "chr2", "y1", "y2", "name", "score", "strand1", "strand2", "color"]
+const LOOP_LIST_COLUMNS = ["chr1", "x1", "x2", "chr2", "y1", "y2", "color"]
+
+/**
+ * Every column beyond the six coordinates is kept, in `feature.attributes`,
+ * keyed by the header row's field names -- a HiCCUPS loop list names its
+ * observed, expected and FDR columns there -- or by the format's when there is
+ * none. A header is the first line, commented or not, naming its coordinates
+ * rather than giving them; a column past the names is "column <n>".
+ */
 function parseData(data, isBedPE, genome) {
 
     if (!data) return null
@@ -100,15 +389,33 @@ function parseData(data, isBedPE, genome) {
     const lines = StringUtils.splitLines(data)
     const allFeatures = []
     const delimiter = "\t"
-    const start = isBedPE ? 0 : 1
-    const colorColumn = isBedPE ? 10 : 6
+
+    let columns = isBedPE ? BEDPE_COLUMNS : LOOP_LIST_COLUMNS
+    let colorColumn = isBedPE ? 10 : 6
+    let inHeader = true
 
     let errorCount = 0
     for (let line of lines) {
         line = line.trim()
-        if (line.startsWith("#") || line.startsWith("track") || line.startsWith("browser") || line.length === 0) {
+        if (line.startsWith("track") || line.startsWith("browser") || line.length === 0) {
+            continue
+        }
+
+        if (inHeader) {
+            const tokens = line.replace(/^#+/, "").trim().split(delimiter)
+            if (tokens.length >= 6 && Number.isNaN(parseInt(tokens[1])) && Number.isNaN(parseInt(tokens[2]))) {
+                columns = tokens.map(token => token.trim())
+                colorColumn = columns.indexOf("color")
+                inHeader = false
+                continue
+            }
+        }
+
+        if (line.startsWith("#")) {
             continue
         }
+        inHeader = false
+
         const tokens = line.split(delimiter)
         if (tokens.length < 6 && errorCount <= 5) {
             if (errorCount === 5) {
@@ -129,10 +436,17 @@ function parseData(data, isBedPE, genome) {
             y2: parseInt(tokens[5])
         }
 
-        if (tokens.length > colorColumn) {
+        if (colorColumn >= 0 && tokens.length > colorColumn) {
             feature.color = "rgb(" + tokens[colorColumn] + ")"
         }
 
+        if (tokens.length > 6) {
+            feature.attributes = {}
+            for (let i = 6; i < tokens.length; i++) {
+                feature.attributes[columns[i] || `column ${i + 1}`] = tokens[i]
+            }
+        }
+
         if (!Number.isNaN(feature.x1)) {
             allFeatures.push(feature)
         }
@@ -141,6 +455,56 @@ function parseData(data, isBedPE, genome) {
     return allFeatures
 }
 
+function featureValue(feature, attribute) {
+    const value = feature.attributes?.[attribute]
+    if (undefined !== value) {
+        return value
+    }
+    const derived = DERIVED_ATTRIBUTES[attribute]
+    return derived ? derived(feature) : undefined
+}
+
+// NaN for a feature without the attribute, or with a value that is not a number.
+function numericValue(feature, attribute) {
+    return Number.parseFloat(featureValue(feature, attribute))
+}
+
+// A scale carries its `domain` -- the range or the classes it was built over,
+// undefined while there were none -- for a track read by region to hold on to.
+function numericScale(track2D, {attribute, colormap, min, max}) {
+    const domain = track2D.styleDomain || track2D.attributeRange(attribute)
+    const range = domain || {min: 0, max: 1}
+    const lo = undefined === min ? range.min : min
+    const hi = undefined === max ? range.max : max
+    const stops = gradientStops(colormap)
+    const scale = feature => {
+        const value = numericValue(feature, attribute)
+        if (Number.isNaN(value)) {
+            return undefined
+        }
+        const {r, g, b} = interpolateStops(stops, hi > lo ? (value - lo) / (hi - lo) : 1)
+        return `rgb(${r},${g},${b})`
+    }
+    scale.domain = domain
+    return scale
+}
+
+function categoricalScale(track2D, {attribute, palette}) {
+    const classes = new Map(track2D.styleDomain)
+    for (const f of track2D.getAllFeatures()) {
+        const value = featureValue(f, attribute)
+        if (undefined !== value && !classes.has(value)) {
+            classes.set(value, classes.size)
+        }
+    }
+    const scale = feature => {
+        const value = featureValue(feature, attribute)
+        return classes.has(value) ? paletteColor(palette, classes.get(value)) : undefined
+    }
+    scale.domain = classes.size > 0 ? classes : undefined
+    return scale
+}
+
 function getKey(chr1, chr2) {
     return chr1 > chr2 ? chr2 + "_" + chr1 : chr1 + "_" + chr2
 }
@@ -151,10 +515,32 @@ function validateColor(str) {
     return div.style.borderColor !== ""
 }
 
+// "rgb(255, 0, 0)" or "#ff0000" as "255,0,0"; undefined for anything else.
+function rgbTriplet(color) {
+    if (!color) {
+        return undefined
+    }
+    const rgb = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/)
+    if (rgb) {
+        return rgb.slice(1, 4).join(",")
+    }
+    const hex = color.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i)
+    if (hex) {
+        return hex.slice(1, 4).map(h => parseInt(h, 16)).join(",")
+    }
+    return undefined
+}
+
 function isString(x) {
     return typeof x === "string" || x instanceof String
 }
 
+// What a session needs to read a track by region again: its index, and its
+// format when the url does not tell.
+function regionIndexedConfig({indexURL, format}) {
+    return {...(indexURL && {indexURL}), ...(format && {format})}
+}
+
 function buildOptions(config, options) {
     const defaultOptions = {
         oauthToken: config.oauthToken,
@@ -166,4 +552,5 @@ function buildOptions(config, options) {
     return Object.assign(defaultOptions, options)
 }
 
+export {parseData}
 export default Track2D
@@ -0,0 +1,358 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+import Track2D from './track2D.js'
+import {resolveFeatureAxes, featureDrawPasses, DENSITY_THRESHOLD} from './contactMatrixView.js'
+import {presentError} from './utils.js'
+
+// How near an outline, in pixels, a press grabs its edge rather than its inside.
+const EDGE_TOLERANCE = 4
+
+// Smaller than this, in pixels, a drawn rectangle is taken for a click.
+const MIN_FEATURE_SIZE = 3
+
+// How far, in pixels, the pointer moves before a press on an outline is a drag.
+const DRAG_THRESHOLD = 2
+
+const WHOLE_GENOME_MESSAGE = '2D annotations cannot be edited in the whole genome view'
+
+const EDGE_CURSORS = {
+    left: 'ew-resize',
+    right: 'ew-resize',
+    top: 'ns-resize',
+    bottom: 'ns-resize',
+    inside: 'move'
+}
+
+/**
+ * Edit mode for 2D annotations: drag out a rectangle on the contact map to
+ * create a feature, drag an outline's edge to move that edge or its inside to
+ * move the whole feature, click one to select it and press Delete to remove it.
+ *
+ * Edits land on the browser's user-owned track -- the `editable` Track2D,
+ * created the first time edit mode is entered -- never on a track read from a
+ * file. ContactMatrixView hands this its pointer gestures while `active`;
+ * panning is suspended until edit mode is left, wheel zoom and alt-drag sweep
+ * zoom are not.
+ */
+class Track2DEditor {
+
+    constructor(browser, viewportElement, button) {
+        this.browser = browser
+        this.viewportElement = viewportElement
+        this.button = button
+
+        this.active = false
+        this.selected = undefined
+        this.gesture = undefined
+
+        this.rectElement = viewportElement.querySelector("div[id$='-track2d-edit-container']")
+        this.rectElement.style.display = 'none'
+
+        button.addEventListener('click', () => {
+            this.toggle()
+            this.browser.hideMenu()
+        })
+    }
+
+    toggle() {
+        if (!this.active && !this.browser.dataset) {
+            this.browser.registry.presentAlert('No map loaded')
+            return
+        }
+        if (!this.active && this.inWholeGenome()) {
+            this.browser.registry.presentAlert(WHOLE_GENOME_MESSAGE)
+            return
+        }
+
+        this.active = !this.active
+        this.selected = undefined
+        this.gesture = undefined
+        this.rectElement.style.display = 'none'
+        this.viewportElement.style.cursor = ''
+        this.button.textContent = this.active ? 'Stop Editing 2D Annotations' : 'Edit 2D Annotations'
+
+        if (this.active) {
+            this.userTrack()
+        }
+        this.browser.contactMatrixView.update()
+    }
+
+    /**
+     * Whether the view is of the whole genome, whose axes are the chromosomes
+     * laid end to end: a rectangle there spans no one pair of them, and is no
+     * feature.
+     */
+    inWholeGenome() {
+        const {dataset, state} = this.browser
+        return Boolean(dataset && state && dataset.isWholeGenome(state.chr1))
+    }
+
+    /**
+     * The track edits land on, created on first use and added to the browser's
+     * 2D tracks -- again, should the user have deleted it.
+     */
+    userTrack() {
+        let track = this.browser.tracks2D.find(track2D => track2D.editable)
+        if (!track) {
+            track = new Track2D({name: 'Annotations', editable: true, color: 'rgb(0,0,255)'}, [])
+            this.browser.tracks2D.push(track)
+            this.browser.coordinator.onTrackLoad2D(this.browser.tracks2D)
+        }
+        return track
+    }
+
+    cursorAt(x, y) {
+        const hit = hitTest(this.outlines(), x, y)
+        return hit ? EDGE_CURSORS[hit.edge] : 'crosshair'
+    }
+
+    mouseDown(x, y) {
+        const hit = hitTest(this.outlines(), x, y)
+        this.selected = hit ? hit.feature : undefined
+        this.gesture = {start: {x, y}, hit}
+        this.browser.contactMatrixView.update()
+    }
+
+    mouseMove(x, y) {
+        const gesture = this.gesture
+        if (!gesture || (!gesture.rect && Math.max(Math.abs(x - gesture.start.x), Math.abs(y - gesture.start.y)) <= DRAG_THRESHOLD)) {
+            return
+        }
+        const rect = gestureRect(this.gesture, x, y)
+        this.gesture.rect = rect
+
+        Object.assign(this.rectElement.style, {
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.right - rect.left}px`,
+            height: `${rect.bottom - rect.top}px`,
+            display: 'block'
+        })
+    }
+
+    mouseUp() {
+        const gesture = this.gesture
+        this.gesture = undefined
+        this.rectElement.style.display = 'none'
+
+        const rect = gesture?.rect
+        if (!rect || rect.right - rect.left < MIN_FEATURE_SIZE || rect.bottom - rect.top < MIN_FEATURE_SIZE) {
+            return
+        }
+
+        // Entered on a chromosome, and navigated to the whole genome since.
+        if (this.inWholeGenome()) {
+            this.browser.registry.presentAlert(WHOLE_GENOME_MESSAGE)
+            return
+        }
+
+        try {
+            const extent = this.genomicExtent(rect)
+            const track = this.userTrack()
+            if (gesture.hit) {
+                const {feature, xKeys, yKeys} = gesture.hit
+                track.updateFeature(feature, {
+                    [xKeys[0]]: extent.x1, [xKeys[1]]: extent.x2,
+                    [yKeys[0]]: extent.y1, [yKeys[1]]: extent.y2
+                })
+            } else {
+                this.selected = extent
+                track.addFeature(extent)
+            }
+            this.browser.contactMatrixView.update()
+        } catch (error) {
+            presentError(this.browser.registry, 'Error editing 2D annotation', error)
+        }
+    }
+
+    keyDown(e) {
+        if ('Escape' === e.key) {
+            this.toggle()
+        } else if (('Delete' === e.key || 'Backspace' === e.key) && this.selected) {
+            e.preventDefault()
+            this.userTrack().removeFeature(this.selected)
+            this.selected = undefined
+            this.browser.contactMatrixView.update()
+        }
+    }
+
+    /**
+     * The user-owned track's features as outlined in the view now.
+     */
+    outlines() {
+        const {dataset, state} = this.browser
+        const track = this.browser.tracks2D.find(track2D => track2D.editable)
+        if (!track || !dataset || !state || false === track.isVisible) {
+            return []
+        }
+        const viewDimensions = {width: this.viewportElement.offsetWidth, height: this.viewportElement.offsetHeight}
+        return featureOutlines(track, dataset, state, this.browser.resolution(), viewDimensions)
+    }
+
+    /**
+     * A rectangle in view pixels as a feature on the chromosomes in view.
+     */
+    genomicExtent({left, right, top, bottom}) {
+        const {dataset, state} = this.browser
+        const binSize = this.browser.resolution()
+        const toBP = (chr, origin, pixel) => Math.round(dataset.toBP(chr, (origin + pixel / state.pixelSize) * binSize, state.unit))
+        return {
+            chr1: dataset.chromosomes[state.chr1].name,
+            x1: toBP(state.chr1, state.x, left),
+            x2: toBP(state.chr1, state.x, right),
+            chr2: dataset.chromosomes[state.chr2].name,
+            y1: toBP(state.chr2, state.y, top),
+            y2: toBP(state.chr2, state.y, bottom)
+        }
+    }
+}
+
+/**
+ * Where a 2D track's features, those its filters let through, are outlined in
+ * a view, in pixels, one outline per draw pass -- so a feature mirrored across
+ * the diagonal has two. Each names the feature's fields its horizontal and
+ * vertical extents come from, which are swapped in a mirrored pass and for a
+ * feature filed with its chromosomes the other way round. See
+ * resolveFeatureAxes.
+ *
+ * Given the view's size, only features in view are outlined, and none of a
+ * pass render2DTracks draws as a density.
+ *
+ * @returns {Array<{feature, left, right, top, bottom, xKeys: string[], yKeys: string[]}>}
+ */
+function featureOutlines(track2D, dataset, state, binSize, viewDimensions) {
+
+    const chr1Name = dataset.chromosomes[state.chr1].name
+    const chr2Name = dataset.chromosomes[state.chr2].name
+
+    const pixel = (chr, origin, bp) => (dataset.fromBP(chr, bp, state.unit) / binSize - origin) * state.pixelSize
+    const toBP = (chr, origin, pixel) => dataset.toBP(chr, (origin + pixel / state.pixelSize) * binSize, state.unit)
+
+    const view = viewDimensions && {
+        xStart: toBP(state.chr1, state.x, 0),
+        xEnd: toBP(state.chr1, state.x, viewDimensions.width),
+        yStart: toBP(state.chr2, state.y, 0),
+        yEnd: toBP(state.chr2, state.y, viewDimensions.height)
+    }
+
+    const outlines = []
+    for (const mirrored of featureDrawPasses(track2D.displayMode, state.chr1 === state.chr2)) {
+
+        const region = view && (mirrored ? {xStart: view.yStart, xEnd: view.yEnd, yStart: view.xStart, yEnd: view.xEnd} : view)
+        const features = (track2D.getFeatures(chr1Name, chr2Name, region) || []).filter(feature => track2D.isFeatureShown(feature))
+        if (region && features.length > DENSITY_THRESHOLD) {
+            continue
+        }
+
+        for (const feature of features) {
+            const {xS, xE, yS, yE} = resolveFeatureAxes(feature, chr1Name, mirrored)
+            const swapped = (chr1Name !== feature.chr1) !== mirrored
+            outlines.push({
+                feature,
+                left: pixel(state.chr1, state.x, xS),
+                right: pixel(state.chr1, state.x, xE),
+                top: pixel(state.chr2, state.y, yS),
+                bottom: pixel(state.chr2, state.y, yE),
+                xKeys: swapped ? ['y1', 'y2'] : ['x1', 'x2'],
+                yKeys: swapped ? ['x1', 'x2'] : ['y1', 'y2']
+            })
+        }
+    }
+    return outlines
+}
+
+/**
+ * The outline under a point, and which part of it: an edge within the
+ * tolerance, or its inside. The last drawn outline wins, as it is on top.
+ *
+ * @returns {{feature, edge: string, left, right, top, bottom, xKeys, yKeys}|undefined}
+ */
+function hitTest(outlines, x, y, tolerance = EDGE_TOLERANCE) {
+
+    for (let i = outlines.length - 1; i >= 0; i--) {
+        const outline = outlines[i]
+        const {left, right, top, bottom} = outline
+        if (x < left - tolerance || x > right + tolerance || y < top - tolerance || y > bottom + tolerance) {
+            continue
+        }
+
+        let edge = 'inside'
+        if (Math.abs(x - left) <= tolerance) {
+            edge = 'left'
+        } else if (Math.abs(x - right) <= tolerance) {
+            edge = 'right'
+        } else if (Math.abs(y - top) <= tolerance) {
+            edge = 'top'
+        } else if (Math.abs(y - bottom) <= tolerance) {
+            edge = 'bottom'
+        }
+        return {...outline, edge}
+    }
+    return undefined
+}
+
+/**
+ * The rectangle a gesture has made of its outline, or drawn from scratch, with
+ * the pointer at (x, y).
+ */
+function gestureRect({start, hit}, x, y) {
+
+    if (!hit) {
+        return {
+            left: Math.min(start.x, x), right: Math.max(start.x, x),
+            top: Math.min(start.y, y), bottom: Math.max(start.y, y)
+        }
+    }
+
+    const {left, right, top, bottom, edge} = hit
+    const dx = x - start.x
+    const dy = y - start.y
+    switch (edge) {
+        case 'left':
+            return {left: Math.min(left + dx, right), right: Math.max(left + dx, right), top, bottom}
+        case 'right':
+            return {left: Math.min(left, right + dx), right: Math.max(left, right + dx), top, bottom}
+        case 'top':
+            return {left, right, top: Math.min(top + dy, bottom), bottom: Math.max(top + dy, bottom)}
+        case 'bottom':
+            return {left, right, top: Math.min(top, bottom + dy), bottom: Math.max(top, bottom + dy)}
+        default:
+            return {left: left + dx, right: right + dx, top: top + dy, bottom: bottom + dy}
+    }
+}
+
+/**
+ * Save the user-owned 2D track as a BEDPE file -- the annotation panel's
+ * entry point.
+ */
+function downloadBEDPE(track2D) {
+    const anchor = document.createElement('a')
+    anchor.href = URL.createObjectURL(new Blob([track2D.toBEDPE()], {type: 'text/plain'}))
+    anchor.download = `${track2D.name || 'annotations'}.bedpe`
+    anchor.click()
+    URL.revokeObjectURL(anchor.href)
+}
+
+export {featureOutlines, hitTest, gestureRect, downloadBEDPE}
+export default Track2DEditor
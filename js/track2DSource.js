@@ -0,0 +1,203 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+import igv from 'igv'
+import {mapTrackConfig} from './urlMapper.js'
+
+// Tiles kept per track. A view needs two, one per axis; the rest let it pan
+// back without refetching.
+const TILE_CACHE_SIZE = 8
+
+/**
+ * The 2D features of a file too large to read whole -- bgzipped BEDPE with a
+ * tabix index on the first anchor, or bigInteract -- fetched by region as the
+ * view moves. igv.js reads the file, as it does a 1D track's; this keeps what
+ * it has read in tiles, as TrackPair keeps 1D features (see js/tile.js).
+ *
+ * A tile holds the features whose first anchor falls in a span of one
+ * chromosome, wherever their second is. A view of chr1 against chr2 needs the
+ * tile of its x span on chr1 and of its y span on chr2: between them they hold
+ * every feature in view, filed under either order, on either side of the
+ * diagonal.
+ */
+class Track2DSource {
+
+    /**
+     * @param reader - answers `getFeatures(chr, start, end)` with igv.js interaction features
+     * @param genome - resolves the file's chromosome names, as parseData does
+     */
+    constructor(reader, genome) {
+        this.reader = reader
+        this.genome = genome
+        this.tiles = []
+    }
+
+    /**
+     * Whether a 2D track config names a file to read by region rather than whole.
+     */
+    static isRegionIndexed(config) {
+        if (config.indexURL) {
+            return true
+        }
+        const path = (typeof config.url === 'string' ? config.url : config.url?.name || '').toLowerCase().split('?')[0]
+        return 'biginteract' === config.format?.toLowerCase() || path.endsWith('.biginteract') || path.endsWith('.inter.bb')
+    }
+
+    static async load(config, genome) {
+        const format = config.format || (config.indexURL ? 'bedpe' : 'biginteract')
+        const reader = await igv.createTrack({...mapTrackConfig(config), type: 'interact', format}, {genome})
+        await reader.postInit()
+        return new Track2DSource(reader, genome)
+    }
+
+    /**
+     * Fetch the tiles a view of `chr1` against `chr2` needs that are not cached.
+     *
+     * @param region - `{xStart, xEnd, yStart, yEnd}` in base pairs, x on `chr1`
+     * @returns {Promise<boolean>} whether any were, changing `features()`
+     */
+    async load(chr1, chr2, region) {
+
+        // Features only ever sit on a chromosome, never on the whole genome.
+        if ('all' === chr1.toLowerCase() || 'all' === chr2.toLowerCase()) {
+            return false
+        }
+
+        const spans = [[chr1, region.xStart, region.xEnd], [chr2, region.yStart, region.yEnd]]
+        let fetched = false
+        const tiles = spans.map(([chr, start, end]) => {
+            let tile = this.tiles.find(tile => tile.containsRange(chr, start, end))
+            if (tile) {
+                // Most recently used last.
+                this.tiles.splice(this.tiles.indexOf(tile), 1)
+            } else {
+                tile = this.fetchTile(chr, start, end)
+                fetched = true
+            }
+            this.tiles.push(tile)
+            if (this.tiles.length > TILE_CACHE_SIZE) {
+                this.tiles.shift()
+            }
+            return tile
+        })
+
+        // Both axes are asked for at once, and one failing does not keep the
+        // other from arriving: it stays cached for the next view.
+        const settled = await Promise.allSettled(tiles.map(tile => tile.loaded))
+        const failed = settled.find(({status}) => 'rejected' === status)
+        if (failed) {
+            throw failed.reason
+        }
+        return fetched
+    }
+
+    /**
+     * The features of every cached tile, each once.
+     */
+    features() {
+        const features = new Map()
+        for (const tile of this.tiles) {
+            for (const feature of tile.features || []) {
+                const key = `${feature.chr1}:${feature.x1}-${feature.x2}:${feature.chr2}:${feature.y1}-${feature.y2}`
+                if (!features.has(key)) {
+                    features.set(key, feature)
+                }
+            }
+        }
+        return Array.from(features.values())
+    }
+
+    // A span three times the one asked for, so the view can pan a bit without a
+    // fetch. A tile that fails to load leaves the cache, to be asked for again.
+    fetchTile(chr, start, end) {
+        const length = end - start
+        const tile = new FeatureTile(chr, Math.max(0, Math.floor(start - length)), Math.ceil(end + length))
+        tile.loaded = this.reader.getFeatures(chr, tile.startBP, tile.endBP)
+            .then(features => {
+                tile.features = (features || [])
+                    .filter(feature => !feature.dup)
+                    .map(feature => toTrack2DFeature(feature, this.genome, this.reader.header?.columnNames))
+            })
+            .catch(error => {
+                this.tiles = this.tiles.filter(t => t !== tile)
+                throw error
+            })
+        return tile
+    }
+}
+
+class FeatureTile {
+
+    constructor(chr, startBP, endBP) {
+        this.chr = chr
+        this.startBP = startBP
+        this.endBP = endBP
+        this.features = undefined
+    }
+
+    containsRange(chr, startBP, endBP) {
+        return chr === this.chr && this.startBP <= startBP && this.endBP >= endBP
+    }
+}
+
+// igv.js names BEDPE's optional columns, and a bigInteract's value, as fields;
+// a Track2D feature keeps them in its attributes, under parseData's names.
+const ATTRIBUTE_FIELDS = ['name', 'score', 'strand1', 'strand2', 'value']
+
+// The columns after those, igv.js's `extras`, are named by the header row.
+function toTrack2DFeature(f, genome, columnNames = []) {
+
+    const feature = {
+        chr1: genome ? genome.getChromosomeName(f.chr1) : f.chr1,
+        x1: f.start1,
+        x2: f.end1,
+        chr2: genome ? genome.getChromosomeName(f.chr2) : f.chr2,
+        y1: f.start2,
+        y2: f.end2
+    }
+
+    if (f.color) {
+        feature.color = /^\d+,\d+,\d+$/.test(f.color) ? `rgb(${f.color})` : f.color
+    }
+
+    const attributes = {}
+    for (const field of ATTRIBUTE_FIELDS) {
+        if (undefined !== f[field] && !Number.isNaN(f[field])) {
+            attributes[field] = String(f[field])
+        }
+    }
+    if (f.extras) {
+        const names = columnNames.slice(columnNames.length - f.extras.length)
+        f.extras.forEach((value, i) => {
+            attributes[names[i] || `column ${columnNames.length - f.extras.length + i + 1}`] = value
+        })
+    }
+    if (Object.keys(attributes).length > 0) {
+        feature.attributes = attributes
+    }
+
+    return feature
+}
+
+export {toTrack2DFeature}
+export default Track2DSource
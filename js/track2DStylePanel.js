@@ -0,0 +1,205 @@
+/*
+ *  The MIT License (MIT)
+ *
+ * Copyright (c) 2016-2017 The Regents of the University of California
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of this software and
+ * associated documentation files (the "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is furnished to do so, subject to the
+ * following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all copies or substantial
+ * portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING
+ * BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,  FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY
+ * CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+ * ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ *
+ */
+
+import {colormapNames, paletteNames} from './colormaps.js'
+
+/**
+ * The controls under a 2D track's row in the annotation panel that set its
+ * style and its filters -- see Track2D.setStyle and setFilters: color by an
+ * attribute through a colormap or a palette, and keep features whose
+ * attributes fall in ranges. `onChange` is called once an edit is on the track.
+ *
+ * @returns {HTMLElement} the container, hidden
+ */
+function createTrack2DStylePanel(parent, track2D, onChange) {
+
+    const container = document.createElement('div')
+    container.className = 'hic-track2d-style-container'
+    container.style.display = 'none'
+    parent.appendChild(container)
+
+    const attributes = track2D.attributeNames()
+    const isNumeric = attribute => undefined !== track2D.attributeRange(attribute)
+
+    // Color by
+    const styleRow = document.createElement('div')
+    styleRow.appendChild(label('Color by'))
+    container.appendChild(styleRow)
+
+    const attributeSelect = select([['', 'track color'], ...attributes.map(name => [name, name])], track2D.style?.attribute)
+    styleRow.appendChild(attributeSelect)
+
+    const schemeSelect = select([...colormapNames, ...paletteNames].map(name => [name, name]),
+        track2D.style?.colormap || track2D.style?.palette)
+    styleRow.appendChild(schemeSelect)
+
+    const applyStyle = () => {
+        const attribute = attributeSelect.value
+        schemeSelect.disabled = !attribute
+        if (!attribute) {
+            track2D.setStyle(undefined)
+        } else {
+            const scheme = schemeSelect.value
+            track2D.setStyle(colormapNames.includes(scheme) ? {attribute, colormap: scheme} : {attribute, palette: scheme})
+        }
+        onChange()
+    }
+
+    // A numeric attribute starts on a colormap, any other on a palette.
+    attributeSelect.addEventListener('change', () => {
+        if (attributeSelect.value) {
+            const numeric = isNumeric(attributeSelect.value)
+            if (numeric !== colormapNames.includes(schemeSelect.value)) {
+                schemeSelect.value = numeric ? colormapNames[0] : paletteNames[0]
+            }
+        }
+        applyStyle()
+    })
+    schemeSelect.addEventListener('change', applyStyle)
+    schemeSelect.disabled = !track2D.style
+
+    // Filters
+    const filtersElement = document.createElement('div')
+    container.appendChild(filtersElement)
+
+    const setFilter = (index, filter) => {
+        const filters = track2D.filters.slice()
+        if (filter) {
+            filters[index] = filter
+        } else {
+            filters.splice(index, 1)
+        }
+        track2D.setFilters(filters)
+        onChange()
+    }
+
+    const renderFilters = () => {
+        filtersElement.innerHTML = ''
+        track2D.filters.forEach((filter, index) => filtersElement.appendChild(filterRow(track2D, attributes, filter, {
+            change: filter => setFilter(index, filter),
+            remove: () => {
+                setFilter(index, undefined)
+                renderFilters()
+            }
+        })))
+    }
+    renderFilters()
+
+    const addButton = document.createElement('button')
+    addButton.type = 'button'
+    addButton.textContent = 'Add filter'
+    addButton.addEventListener('click', () => {
+        const attribute = attributes.find(isNumeric) || attributes[0]
+        track2D.setFilters([...track2D.filters, {attribute}])
+        renderFilters()
+        onChange()
+    })
+    container.appendChild(addButton)
+
+    return container
+}
+
+// One filter: an attribute and its range, blank bounds open, the track's range
+// shown as placeholders.
+function filterRow(track2D, attributes, {attribute, min, max}, {change, remove}) {
+
+    const row = document.createElement('div')
+    row.appendChild(label('Filter'))
+
+    const attributeSelect = select(attributes.map(name => [name, name]), attribute)
+    row.appendChild(attributeSelect)
+
+    const minInput = boundInput('min', min)
+    const maxInput = boundInput('max', max)
+    row.append(minInput, maxInput)
+
+    const showRange = () => {
+        const range = track2D.attributeRange(attributeSelect.value)
+        minInput.placeholder = range ? `${range.min}` : 'min'
+        maxInput.placeholder = range ? `${range.max}` : 'max'
+    }
+    showRange()
+
+    const bound = input => {
+        const value = Number.parseFloat(input.value)
+        return Number.isNaN(value) ? undefined : value
+    }
+
+    const apply = () => {
+        const filter = {attribute: attributeSelect.value}
+        const [lo, hi] = [bound(minInput), bound(maxInput)]
+        if (undefined !== lo) {
+            filter.min = lo
+        }
+        if (undefined !== hi) {
+            filter.max = hi
+        }
+        change(filter)
+    }
+
+    attributeSelect.addEventListener('change', () => {
+        showRange()
+        apply()
+    })
+    minInput.addEventListener('change', apply)
+    maxInput.addEventListener('change', apply)
+
+    const removeIcon = document.createElement('i')
+    removeIcon.className = 'fa fa-times'
+    removeIcon.title = 'Remove filter'
+    removeIcon.addEventListener('click', remove)
+    row.appendChild(removeIcon)
+
+    return row
+}
+
+function label(text) {
+    const element = document.createElement('span')
+    element.textContent = text
+    return element
+}
+
+// `options` as [value, text] pairs.
+function select(options, value) {
+    const element = document.createElement('select')
+    for (const [optionValue, text] of options) {
+        const option = document.createElement('option')
+        option.value = optionValue
+        option.textContent = text
+        element.appendChild(option)
+    }
+    if (undefined !== value) {
+        element.value = value
+    }
+    return element
+}
+
+function boundInput(name, value) {
+    const input = document.createElement('input')
+    input.type = 'text'
+    input.title = name
+    input.value = undefined === value ? '' : `${value}`
+    return input
+}
+
+export {createTrack2DStylePanel}
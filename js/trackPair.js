@@ -248,44 +248,57 @@ class TrackPair {
             canvas.width = pixelWidth;
             canvas.height = this.x.canvasElement.height;
 
-            const context = canvas.getContext('2d');
-
-            if (features) {
-                const drawConfiguration = {
-                    axis: genomicState.axis,
-                    features,
-                    context,
-                    pixelWidth,
-                    bpStart,
-                    bpEnd,
-                    bpPerPixel: genomicState.bpp,
-                    genomicState,
-                    pixelHeight: Math.min(canvas.width, canvas.height),
-                    viewportContainerX: (genomicState.startBP - bpStart) / genomicState.bpp,
-                    viewportContainerWidth: pixelWidth,
-                    viewportWidth: pixelWidth,
-                    referenceFrame: {},
-                };
-
-                if (this.track.autoscale || !this.track.dataRange) {
-                    if (typeof this.track.doAutoscale === 'function') {
-                        this.track.doAutoscale(features);
-                    } else {
-                        this.track.dataRange = doAutoscale(features);
-                    }
-                }
-
-                this.track.draw(drawConfiguration);
-            } else {
-                const wye = canvas.height - canvas.height / 4;
-                igv.IGVGraphics.fillRect(context, 0, wye, canvas.width, 2, { fillStyle: 'rgba(0,0,0,0.1)' });
-            }
+            this.drawFeatures(canvas.getContext('2d'), genomicState, features, {bpStart, bpEnd, pixelWidth, pixelHeight: canvas.height});
 
             this.tile = new Tile(genomicState.chromosome.name, bpStart, bpEnd, genomicState.bpp, canvas, features);
             return this.tile;
         }
     }
 
+    /**
+     * Draw this track's features for `bpStart`..`bpEnd` along a strip
+     * `pixelWidth` by `pixelHeight`, horizontally -- the y renderer turns its
+     * strip on its side afterwards. A figure export draws through here too,
+     * into a context of its own.
+     *
+     * @param context a 2D context, or anything that records like one
+     * @param genomicState the axis, chromosome and bp per pixel drawn at
+     * @param features what `track.getFeatures` returned, or nothing
+     */
+    drawFeatures(context, genomicState, features, {bpStart, bpEnd, pixelWidth, pixelHeight}) {
+
+        if (features) {
+            const drawConfiguration = {
+                axis: genomicState.axis,
+                features,
+                context,
+                pixelWidth,
+                bpStart,
+                bpEnd,
+                bpPerPixel: genomicState.bpp,
+                genomicState,
+                pixelHeight: Math.min(pixelWidth, pixelHeight),
+                viewportContainerX: (genomicState.startBP - bpStart) / genomicState.bpp,
+                viewportContainerWidth: pixelWidth,
+                viewportWidth: pixelWidth,
+                referenceFrame: {},
+            };
+
+            if (this.track.autoscale || !this.track.dataRange) {
+                if (typeof this.track.doAutoscale === 'function') {
+                    this.track.doAutoscale(features);
+                } else {
+                    this.track.dataRange = doAutoscale(features);
+                }
+            }
+
+            this.track.draw(drawConfiguration);
+        } else {
+            const wye = pixelHeight - pixelHeight / 4;
+            igv.IGVGraphics.fillRect(context, 0, wye, pixelWidth, 2, { fillStyle: 'rgba(0,0,0,0.1)' });
+        }
+    }
+
     dispose() {
         this.x.dispose()
         this.y.dispose()
@@ -39,7 +39,10 @@ function prettyPrint(number) {
 function extractName(config) {
     if (config.name === undefined) {
         const urlOrFile = config.url
-        if (isFile(urlOrFile)) {
+        if (Array.isArray(urlOrFile)) {
+            // A composite map, named for its members.
+            return urlOrFile.map(url => extractName({url})).join(' + ')
+        } else if (isFile(urlOrFile)) {
             return urlOrFile.name
         } else {
             const str = urlOrFile.split('?').shift()
@@ -0,0 +1,95 @@
+"""
+Writes test.mcool, the fixture of test/testCoolerDataset.js: two chromosomes
+at 10 kb and 20 kb, laid out as cooler writes them, with a multiplicative
+`weight` and a divisive `KR` column. Small chunks make the pixel table's chunk
+index more than one level deep.
+
+    python3 makeTestMcool.py test.mcool
+"""
+import sys
+import h5py
+import numpy as np
+
+chroms = [('chrA', 95000), ('chrB', 50000)]
+
+def bins_for(res):
+    out = []
+    for ci, (name, length) in enumerate(chroms):
+        n = -(-length // res)
+        for i in range(n):
+            out.append((ci, i * res, min((i + 1) * res, length)))
+    return out
+
+# Counts at 10 kb: a deterministic function of the genome-wide bin ids
+fine = bins_for(10000)
+def count(i, j):
+    ci, cj = fine[i][0], fine[j][0]
+    if ci == cj:
+        return max(1, 20 - 3 * (j - i))
+    return 1 + (i + j) % 3
+
+fine_pixels = {}
+for i in range(len(fine)):
+    for j in range(i, len(fine)):
+        c = count(i, j)
+        if (i + 2 * j) % 7 == 0 and i != j:
+            continue   # some empty cells
+        fine_pixels[(i, j)] = c
+
+def coarsen(res):
+    coarse = bins_for(res)
+    index = {}
+    for k, (ci, start, end) in enumerate(coarse):
+        index[(ci, start // res)] = k
+    pixels = {}
+    for (i, j), c in fine_pixels.items():
+        a = index[(fine[i][0], fine[i][1] // res)]
+        b = index[(fine[j][0], fine[j][1] // res)]
+        a, b = min(a, b), max(a, b)
+        pixels[(a, b)] = pixels.get((a, b), 0) + c
+    return coarse, pixels
+
+def write(group, res, bins, pixels, chunk):
+    opts = dict(compression='gzip', shuffle=True)
+    group.attrs['format'] = 'HDF5::Cooler'
+    group.attrs['format-version'] = 3
+    group.attrs['bin-type'] = 'fixed'
+    group.attrs['bin-size'] = res
+    group.attrs['storage-mode'] = 'symmetric-upper'
+    group.attrs['genome-assembly'] = 'testGenome'
+    group.attrs['nbins'] = len(bins)
+    group.attrs['nchroms'] = len(chroms)
+    g = group.create_group('chroms')
+    g.create_dataset('name', data=np.array([c[0] for c in chroms], dtype='S32'), **opts)
+    g.create_dataset('length', data=np.array([c[1] for c in chroms], dtype='int32'), **opts)
+    g = group.create_group('bins')
+    enum = h5py.enum_dtype({c[0]: i for i, c in enumerate(chroms)}, basetype='int32')
+    g.create_dataset('chrom', data=np.array([b[0] for b in bins], dtype='int32'), dtype=enum, chunks=(4,), **opts)
+    g.create_dataset('start', data=np.array([b[1] for b in bins], dtype='int32'), chunks=(4,), **opts)
+    g.create_dataset('end', data=np.array([b[2] for b in bins], dtype='int32'), chunks=(4,), **opts)
+    weight = np.array([1.0 / (1 + k % 4) for k in range(len(bins))])
+    weight[1] = np.nan
+    g.create_dataset('weight', data=weight, chunks=(4,), **opts)
+    kr = g.create_dataset('KR', data=np.array([1.0 + k % 3 for k in range(len(bins))]), chunks=(4,), **opts)
+    kr.attrs['divisive_weights'] = True
+    keys = sorted(pixels)
+    g = group.create_group('pixels')
+    g.create_dataset('bin1_id', data=np.array([k[0] for k in keys], dtype='int64'), chunks=(chunk,), **opts)
+    g.create_dataset('bin2_id', data=np.array([k[1] for k in keys], dtype='int64'), chunks=(chunk,), **opts)
+    g.create_dataset('count', data=np.array([pixels[k] for k in keys], dtype='int32'), chunks=(chunk,), **opts)
+    offsets = [0]
+    for ci, (name, length) in enumerate(chroms):
+        offsets.append(offsets[-1] + sum(1 for b in bins if b[0] == ci))
+    bin1_offset = np.searchsorted(np.array([k[0] for k in keys]), np.arange(len(bins) + 1))
+    g = group.create_group('indexes')
+    g.create_dataset('chrom_offset', data=np.array(offsets, dtype='int64'), chunks=(min(4, len(offsets)),), **opts)
+    g.create_dataset('bin1_offset', data=bin1_offset.astype('int64'), chunks=(4,), **opts)
+    return keys
+
+with h5py.File(sys.argv[1], 'w') as f:
+    f.attrs['format'] = 'HDF5::MCOOL'
+    f.attrs['format-version'] = 2
+    r = f.create_group('resolutions')
+    write(r.create_group('10000'), 10000, fine, fine_pixels, 1)
+    coarse, pixels = coarsen(20000)
+    write(r.create_group('20000'), 20000, coarse, pixels, 4)
@@ -0,0 +1,191 @@
+/**
+ * Writes test.hic, the fixture of test/testHicExpectedValues.js: a version 8
+ * map of chr1 (25 kb) and chr2 (12 kb) at 10 kb and 1 kb, laid out as Juicer
+ * Tools writes one -- header, one block per zoom of the chr1 matrix, and a
+ * footer holding the master index, the expected values, the KR normalized
+ * expected values, the norm vector index and the KR vectors.
+ *
+ *     node makeTestHic.js test.hic
+ */
+import fs from 'fs'
+import zlib from 'zlib'
+
+const VERSION = 8
+const chromosomes = [['All', 37], ['chr1', 25000], ['chr2', 12000]]
+const resolutions = [10000, 1000]
+
+// Contacts at 1 kb, bin pairs on chr1 with x <= y; 10 kb sums them.
+const fine = [[1, 2, 2], [1, 15, 1], [3, 3, 4], [20, 24, 1]]
+const coarse = Object.values(fine.reduce((cells, [x, y, count]) => {
+    const key = `${Math.floor(x / 10)}_${Math.floor(y / 10)}`
+    cells[key] = cells[key] || [Math.floor(x / 10), Math.floor(y / 10), 0]
+    cells[key][2] += count
+    return cells
+}, {}))
+
+// Expected counts by diagonal, with a scale factor for each chromosome.
+const expected = {
+    10000: {values: [3, 1, 0.5], normFactors: {1: 1, 2: 2}},
+    1000: {values: [4, 2, 1, 0.5], normFactors: {1: 1.5, 2: 0.5}}
+}
+const krExpected = {
+    10000: {values: [2.5, 0.75], normFactors: {1: 1}},
+    1000: {values: [3.5, 1.25, 0.25], normFactors: {1: 2}}
+}
+const kr = binSize => Array.from({length: Math.ceil(25000 / binSize)}, (_, i) => 1 + i / 10)
+
+class Writer {
+
+    constructor() {
+        this.chunks = []
+        this.length = 0
+    }
+
+    bytes(buffer) {
+        this.chunks.push(buffer)
+        this.length += buffer.length
+    }
+
+    number(method, size, value) {
+        const buffer = Buffer.alloc(size)
+        buffer[method](value)
+        this.bytes(buffer)
+    }
+
+    byte(value) { this.number('writeInt8', 1, value) }
+    short(value) { this.number('writeInt16LE', 2, value) }
+    int(value) { this.number('writeInt32LE', 4, value) }
+    long(value) { this.number('writeBigInt64LE', 8, BigInt(value)) }
+    float(value) { this.number('writeFloatLE', 4, value) }
+    double(value) { this.number('writeDoubleLE', 8, value) }
+    string(value) { this.bytes(Buffer.from(value + '\0', 'latin1')) }
+
+    buffer() {
+        return Buffer.concat(this.chunks)
+    }
+}
+
+// A list-of-rows block, every bin in the chromosome's one block.
+function block(records) {
+    const w = new Writer()
+    w.int(records.length)
+    w.int(0)
+    w.int(0)
+    w.byte(1)   // float counts
+    w.byte(1)   // list of rows
+    const rows = [...new Set(records.map(([, y]) => y))]
+    w.short(rows.length)
+    for (const y of rows) {
+        const row = records.filter(r => r[1] === y)
+        w.short(y)
+        w.short(row.length)
+        for (const [x, , count] of row) {
+            w.short(x)
+            w.float(count)
+        }
+    }
+    return zlib.deflateSync(w.buffer())
+}
+
+function expectedEntry(w, type, binSize, {values, normFactors}) {
+    if (type) {
+        w.string(type)
+    }
+    w.string('BP')
+    w.int(binSize)
+    w.int(values.length)
+    values.forEach(value => w.double(value))
+    w.int(Object.keys(normFactors).length)
+    for (const [chrIndex, factor] of Object.entries(normFactors)) {
+        w.int(Number(chrIndex))
+        w.double(factor)
+    }
+}
+
+const file = new Writer()
+
+// Header, its footer position filled in at the end.
+file.string('HIC')
+file.int(VERSION)
+const footerPositionAt = file.length
+file.long(0)
+file.string('test')
+file.int(1)
+file.string('software')
+file.string('makeTestHic.js')
+file.int(chromosomes.length)
+for (const [name, size] of chromosomes) {
+    file.string(name)
+    file.int(size)
+}
+file.int(resolutions.length)
+resolutions.forEach(binSize => file.int(binSize))
+file.int(0)
+
+// The chr1 matrix -- each zoom 3 + 9 * 4 bytes and its block's index entry --
+// its blocks placed straight after it.
+const blocks = [block(coarse), block(fine)]
+const matrix = new Writer()
+const zoomSize = 3 + 4 * 9 + (4 + 8 + 4)
+let blockPosition = file.length + 12 + resolutions.length * zoomSize
+matrix.int(1)
+matrix.int(1)
+matrix.int(resolutions.length)
+resolutions.forEach((binSize, zoom) => {
+    const records = zoom ? fine : coarse
+    matrix.string('BP')
+    matrix.int(zoom)
+    matrix.float(records.reduce((sum, [, , count]) => sum + count, 0))
+    matrix.float(records.length)
+    matrix.float(0)
+    matrix.float(0)
+    matrix.int(binSize)
+    matrix.int(Math.ceil(25000 / binSize))
+    matrix.int(1)
+    matrix.int(1)
+    matrix.int(0)
+    matrix.long(blockPosition)
+    matrix.int(blocks[zoom].length)
+    blockPosition += blocks[zoom].length
+})
+const matrixPosition = file.length
+const matrixBuffer = matrix.buffer()
+file.bytes(matrixBuffer)
+blocks.forEach(buffer => file.bytes(buffer))
+
+// Footer: master index and expected values, then what follows nBytes.
+const footerPosition = file.length
+const footer = new Writer()
+footer.int(1)
+footer.string('1_1')
+footer.long(matrixPosition)
+footer.int(matrixBuffer.length)
+footer.int(resolutions.length)
+resolutions.forEach(binSize => expectedEntry(footer, undefined, binSize, expected[binSize]))
+file.int(footer.length)
+file.bytes(footer.buffer())
+
+file.int(resolutions.length)
+resolutions.forEach(binSize => expectedEntry(file, 'KR', binSize, krExpected[binSize]))
+
+// Norm vector index: each entry 3 + 4 + 3 + 4 + 8 + 4 bytes, then the vectors.
+const indexSize = 4 + resolutions.length * 26
+let vectorPosition = file.length + indexSize
+file.int(resolutions.length)
+for (const binSize of resolutions) {
+    file.string('KR')
+    file.int(1)
+    file.string('BP')
+    file.int(binSize)
+    file.long(vectorPosition)
+    file.int(4 + 8 * kr(binSize).length)
+    vectorPosition += 4 + 8 * kr(binSize).length
+}
+for (const binSize of resolutions) {
+    file.int(kr(binSize).length)
+    kr(binSize).forEach(value => file.double(value))
+}
+
+const buffer = file.buffer()
+buffer.writeBigInt64LE(BigInt(footerPosition), footerPositionAt)
+fs.writeFileSync(process.argv[2] || 'test.hic', buffer)
@@ -0,0 +1,145 @@
+/**
+ * A control map naming its chromosomes differently from the primary -- `1` for
+ * `chr1` -- or carrying contigs the primary lacks, read in the primary's terms.
+ * See js/chromosomeMapping.js. Both maps are files of pairs binned in memory.
+ */
+import {describe, it, expect, vi, beforeEach} from 'vitest'
+import PairsDataset from '../js/pairsDataset.js'
+import Genome from '../js/genome.js'
+
+const loadHic = vi.fn()
+
+vi.mock('../js/hicDataset.js', () => ({
+    default: {loadDataset: (...args) => loadHic(...args)},
+    HiCDataset: class {}
+}))
+
+const {mapChromosomes} = await import('../js/chromosomeMapping.js')
+const {deriveResolutions} = await import('../js/derivedResolutions.js')
+const {default: DataLoader} = await import('../js/dataLoader.js')
+
+// A map holds at least one pair: by default, one on its first chromosome.
+const pairs = (sizes, lines = [`r1\t${Object.keys(sizes)[0]}\t100\t${Object.keys(sizes)[0]}\t200`], resolutions = [10000, 1000]) => PairsDataset.loadDataset({
+    url: new File(Buffer.from([
+        ...Object.entries(sizes).map(([name, size]) => `#chromsize: ${name} ${size}`),
+        ...lines
+    ].join('\n')), 'map.pairs'),
+    resolutions
+})
+
+const primary = () => pairs({chr1: 25000, chr2: 12000, chrM: 16000}, ['r1\tchr1\t1500\tchr1\t2500'])
+
+const genomeOf = dataset => new Genome('test', dataset.chromosomes)
+
+const records = list => list.map(({bin1, bin2, counts}) => [bin1, bin2, counts])
+
+describe('mapChromosomes', () => {
+
+    it('matches chromosomes through the genome\'s aliases and reads them by the primary\'s names', async () => {
+        const genome = genomeOf(await primary())
+        const {dataset: control, ...mapping} = mapChromosomes(
+            await pairs({1: 25000, 2: 12000, MT: 16000}, ['r1\t1\t1500\t1\t2500', 'r2\t1\t1600\t1\t2400']), genome)
+
+        expect(mapping).toEqual({shared: ['chr1', 'chr2', 'chrM'], dropped: [], controlDropped: []})
+
+        const region = {chr: 'chr1', start: 0, end: 25000}
+        expect(records(await control.getContactRecords('NONE', region, region, 'BP', 1000))).toEqual([[1, 2, 2]])
+        expect((await control.getMatrix(1, 1)).getZoomData(1000, 'BP').chr1.name).toBe('1')
+        expect((await control.getMatrix(0, 0)).bpZoomData).toHaveLength(1)
+    })
+
+    it('leaves out what one map carries alone, or at another length, and the whole genome with it', async () => {
+        const genome = genomeOf(await primary())
+        const {dataset: control, ...mapping} = mapChromosomes(
+            await pairs({chr1: 25000, chr2: 11000, chrUn_1: 5000}, ['r1\tchr1\t1500\tchr1\t2500']), genome)
+
+        expect(mapping).toEqual({shared: ['chr1'], dropped: ['chr2', 'chrM'], controlDropped: ['chr2', 'chrUn_1']})
+
+        const chr2 = {chr: 'chr2', start: 0, end: 12000}
+        expect(await control.getContactRecords('NONE', chr2, chr2, 'BP', 1000)).toEqual([])
+        expect((await control.getMatrix(2, 2)).getZoomData(1000, 'BP').averageCount).toBe(0)
+        expect((await control.getMatrix(0, 0)).getZoomData(1000, 'BP').averageCount).toBe(0)
+
+        const chr1 = {chr: 'chr1', start: 0, end: 25000}
+        expect(records(await control.getContactRecords('NONE', chr1, chr1, 'BP', 1000))).toEqual([[1, 2, 1]])
+    })
+
+    it('leaves a control naming the same chromosomes the same way untouched', async () => {
+        const genome = genomeOf(await primary())
+        const control = await pairs({chr1: 25000, chr2: 12000, chrM: 16000})
+        const getMatrix = control.getMatrix
+
+        const mapping = mapChromosomes(control, genome)
+        expect(mapping.dropped).toEqual([])
+        expect(mapping.dataset).toBe(control)
+        expect(control.getMatrix).toBe(getMatrix)
+    })
+
+    it('answers in the primary\'s index space, over a control with derived resolutions of its own', async () => {
+        // The control sorts a contig of its own between "1" and "2", so its
+        // chr2 is index 3 where the primary's is 2, and its whole genome is
+        // left out of the comparison.
+        const genome = genomeOf(await primary())
+        const loaded = deriveResolutions(await pairs({1: 25000, 10: 5000, 2: 12000, MT: 16000},
+            ['r1\t2\t1500\t2\t2500'], [10000, 1000]))
+        const getMatrix = loaded.getMatrix
+
+        const {dataset: control} = mapChromosomes(loaded, genome)
+
+        expect(control.source).toBe(loaded)
+        expect(loaded.getMatrix).toBe(getMatrix)
+        expect(control.chromosomes).toBe(genome.chromosomes)
+        expect(control.isWholeGenome(0)).toBe(true)
+        expect(control.getChromosomeLength(2)).toBe(12000)
+        expect(control.bpResolutions).toEqual([10000, 5000, 2000, 1000])
+
+        const matrix = await control.getMatrix(2, 2)
+        expect(matrix.getZoomData(1000, 'BP').chr1.name).toBe('2')
+        expect(matrix.getZoomData(5000, 'BP').derivedFrom).toBe(1000)
+        expect((await control.getMatrix(0, 0)).getZoomData(5000, 'BP').averageCount).toBe(0)
+
+        const chr2 = {chr: 'chr2', start: 0, end: 12000}
+        expect(records(await control.getContactRecords('NONE', chr2, chr2, 'BP', 1000))).toEqual([[1, 2, 1]])
+    })
+})
+
+describe('loading a control map', () => {
+
+    const presented = []
+
+    const browserWith = async dataset => ({
+        dataset,
+        genome: genomeOf(dataset),
+        stopSpinner: () => undefined,
+        contactMatrixView: {startSpinner: () => undefined},
+        contactMapLabel: {textContent: '', title: ''},
+        controlMapLabel: {textContent: '', title: ''},
+        userInteractionShield: {style: {}},
+        coordinator: {onControlMapLoaded: () => undefined},
+        registry: {presentAlert: message => presented.push(message)}
+    })
+
+    beforeEach(() => {
+        presented.length = 0
+    })
+
+    it('compares the shared chromosomes and warns about the rest instead of refusing the file', async () => {
+        const browser = await browserWith(await primary())
+        loadHic.mockResolvedValue(await pairs({1: 25000, 2: 12000, 3: 9000}))
+
+        const control = await new DataLoader(browser).loadHicControlFile({url: 'https://example.org/b.hic'}, true)
+
+        expect(browser.controlDataset).toBe(control)
+        expect(presented).toEqual(['Chromosomes not in both maps at the same length are left out of the comparison. ' +
+            '"A" only: chrM. "B" only: 3'])
+    })
+
+    it('refuses a control sharing no chromosome', async () => {
+        const browser = await browserWith(await primary())
+        loadHic.mockResolvedValue(await pairs({chrX: 25000}))
+
+        expect(await new DataLoader(browser).loadHicControlFile({url: 'https://example.org/b.hic'}, true)).toBeUndefined()
+        expect(browser.controlDataset).toBeUndefined()
+        expect(presented[0]).toContain('does not match "A" map genome')
+    })
+})
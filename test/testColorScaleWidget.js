@@ -2,6 +2,7 @@ import {describe, it, expect} from 'vitest'
 import ColorScaleWidget from '../js/hicColorScaleWidget.js'
 import ColorScale from '../js/colorScale.js'
 import RatioColorScale from '../js/ratioColorScale.js'
+import {colormapNames} from '../js/colormaps.js'
 
 // updateForColorScale is the widget's whole update path: BrowserCoordinator
 // calls it directly from onColorScale and onDisplayMode. Exercise it on a stub
@@ -45,6 +46,36 @@ describe('ColorScaleWidget.updateForColorScale', () => {
             .not.toBe(widget.plusButton.style.backgroundColor)
     })
 
+    // The colormap pickers are optional on the stub, as they are absent from
+    // the ones above; given a pair, the method selects each side's gradient.
+    function withPickers(widget) {
+        const picker = () => ({style: {}, value: '', options: ['', ...colormapNames].map(value => ({value}))})
+        return {...widget, plusColormapSelect: picker(), minusColormapSelect: picker()}
+    }
+
+    it('selects a single-sided scale\'s colormap and hides the minus picker', () => {
+        const widget = withPickers(stubWidget())
+        widget.updateForColorScale(new ColorScale({threshold: 2000, r: 0, g: 0, b: 255, gradient: 'magma'}))
+        expect(widget.plusColormapSelect.value).toBe('magma')
+        expect(widget.minusColormapSelect.style.display).toBe('none')
+    })
+
+    it('selects the scale\'s transfer function', () => {
+        const widget = {...stubWidget(), transferSelect: {value: '', options: [{value: 'linear'}, {value: 'log'}]}}
+        widget.updateForColorScale(new ColorScale({threshold: 2000, r: 0, g: 0, b: 255, transfer: 'log'}))
+        expect(widget.transferSelect.value).toBe('log')
+    })
+
+    it('selects each side\'s colormap for a signed scale, and single color for a side without one', () => {
+        const widget = withPickers(stubWidget())
+        const scale = new RatioColorScale(5)
+        scale.setGradient('blues', '-')
+        widget.updateForColorScale(scale)
+        expect(widget.minusColormapSelect.style.display).toBe('block')
+        expect(widget.minusColormapSelect.value).toBe('blues')
+        expect(widget.plusColormapSelect.value).toBe('')
+    })
+
     // The coordinator passes contactMatrixView.getColorScale(mode), which is
     // undefined before a map is loaded.
     it('is a no-op when handed no scale', () => {
@@ -3,6 +3,10 @@ import ColorScale, {defaultColorScaleConfig} from '../js/colorScale.js'
 import {parseColorScale} from '../js/colorScaleParser.js'
 import RatioColorScale, {defaultRatioColorScaleConfig} from '../js/ratioColorScale.js'
 import DiffColorScale, {defaultDiffColorScaleConfig} from '../js/diffColorScale.js'
+import OEColorScale, {defaultOEColorScaleConfig} from '../js/oeColorScale.js'
+import PearsonColorScale from '../js/pearsonColorScale.js'
+import {colormaps, gradientStops, interpolateStops} from '../js/colormaps.js'
+import {isTransfer, transferFraction} from '../js/colorTransfer.js'
 
 /**
  * The two-sided color scales: the ratio scale used by AOB / BOA, and the signed
@@ -100,6 +104,40 @@ describe('RatioColorScale', () => {
     })
 })
 
+describe('OEColorScale', () => {
+
+    it('is neutral at a ratio of 1', () => {
+        expect(new OEColorScale().getColor(1).alpha).toBe(0)
+    })
+
+    it('reads enrichment and depletion of the same fold as equally strong', () => {
+        const cs = new OEColorScale()
+        const depleted = cs.getColor(0.5)
+        const enriched = cs.getColor(2)
+        expect(depleted.blue).toBe(defaultOEColorScaleConfig.negative.b)
+        expect(enriched.red).toBe(defaultOEColorScaleConfig.positive.r)
+        expect(depleted.alpha).toBe(enriched.alpha)
+    })
+
+    it('saturates at the threshold ratio', () => {
+        const cs = new OEColorScale(4)
+        expect(cs.getColor(4).alpha).toBe(255)
+        expect(cs.getColor(0.25).alpha).toBe(255)
+        expect(cs.getColor(2).alpha).toBe(127)
+    })
+})
+
+describe('PearsonColorScale', () => {
+
+    it('splits on the sign of the correlation', () => {
+        const cs = new PearsonColorScale(0.5)
+        expect(cs.getColor(0.5).red).toBe(255)
+        expect(cs.getColor(-0.5).blue).toBe(255)
+        expect(cs.getColor(0.25).alpha).toBe(cs.getColor(-0.25).alpha)
+        expect(cs.getColor(0).alpha).toBe(0)
+    })
+})
+
 describe('parseColorScale', () => {
 
     it('round-trips a plain color scale', () => {
@@ -159,8 +197,192 @@ describe('parseColorScale', () => {
         expect(parsed.getColorComponents('+')).toEqual({r: 1, g: 2, b: 3})
     })
 
+    it('round-trips an O/E color scale', () => {
+        const cs = new OEColorScale(8)
+        const parsed = parseColorScale(cs.stringify())
+        expect(parsed).toBeInstanceOf(OEColorScale)
+        expect(parsed.getThreshold()).toBe(8)
+        expect(parsed.getColorComponents('-')).toEqual(defaultOEColorScaleConfig.negative)
+    })
+
+    it('round-trips a Pearson color scale', () => {
+        const parsed = parseColorScale(new PearsonColorScale(0.3).stringify())
+        expect(parsed).toBeInstanceOf(PearsonColorScale)
+        expect(parsed.getThreshold()).toBe(0.3)
+    })
+
     it('keeps a difference scale distinguishable from a ratio scale', () => {
         expect(new DiffColorScale(100).stringify())
             .not.toBe(new RatioColorScale(100).stringify())
     })
 })
+
+describe('colormaps', () => {
+
+    it('reads hex stops as rgb components', () => {
+        expect(gradientStops('ffffff-ff0000')).toEqual([{r: 255, g: 255, b: 255}, {r: 255, g: 0, b: 0}])
+    })
+
+    it('reads a name from the table', () => {
+        expect(gradientStops('viridis')).toHaveLength(colormaps.viridis.length)
+        expect(gradientStops('viridis')[0]).toEqual({r: 0x44, g: 0x01, b: 0x54})
+    })
+
+    it('refuses a name it does not know', () => {
+        expect(() => gradientStops('jet')).toThrow(/Unknown colormap "jet"/)
+        expect(() => gradientStops('ff0000')).toThrow(/Unknown colormap/)
+    })
+
+    it('interpolates between the two stops a fraction falls between', () => {
+        const stops = gradientStops('000000-ff0000-ffffff')
+        expect(interpolateStops(stops, 0)).toEqual({r: 0, g: 0, b: 0})
+        expect(interpolateStops(stops, 0.25)).toEqual({r: 128, g: 0, b: 0})
+        expect(interpolateStops(stops, 0.75)).toEqual({r: 255, g: 128, b: 128})
+        expect(interpolateStops(stops, 1)).toEqual({r: 255, g: 255, b: 255})
+        expect(interpolateStops(stops, 2)).toEqual({r: 255, g: 255, b: 255})
+    })
+})
+
+describe('gradients', () => {
+
+    const gradient = (threshold = 100) => new ColorScale({...defaultColorScaleConfig, threshold, gradient: '000000-ffffff'})
+
+    it('paints along the stops at full alpha', () => {
+        const scale = gradient()
+        expect(scale.getColor(0)).toMatchObject({red: 0, green: 0, blue: 0, alpha: 255})
+        expect(scale.getColor(100)).toMatchObject({red: 255, green: 255, blue: 255, alpha: 255})
+        expect(scale.getColor(1000).red).toBe(255)
+        expect(scale.getColor(50).red).toBeGreaterThan(120)
+        expect(scale.getColor(50).red).toBeLessThan(135)
+    })
+
+    it('reports the last stop as its color, for a swatch', () => {
+        expect(gradient().getColorComponents()).toEqual({r: 255, g: 255, b: 255})
+    })
+
+    it('goes back to a single color when given one', () => {
+        const scale = gradient()
+        scale.setColorComponents({r: 0, g: 0, b: 255})
+        expect(scale.getGradient()).toBeUndefined()
+        expect(scale.getColor(100)).toMatchObject({blue: 255, alpha: 255})
+        expect(scale.getColor(0).alpha).toBe(0)
+    })
+
+    // ImageTileSource copies its scale this way when it sets a threshold.
+    it('survives being copied', () => {
+        expect(new ColorScale(gradient()).getGradient()).toBe('000000-ffffff')
+    })
+
+    it('paints each side of a signed scale along its own gradient', () => {
+        const scale = new DiffColorScale(100)
+        scale.setGradient('reds', '+')
+        scale.setGradient('blues', '-')
+        expect(scale.getGradient('+')).toBe('reds')
+        expect(scale.getColor(100)).toMatchObject({red: 0x67, green: 0x00, blue: 0x0d})
+        expect(scale.getColor(-100)).toMatchObject({red: 0x08, green: 0x30, blue: 0x6b})
+    })
+
+    it('tags the string, ahead of any signed tag', () => {
+        expect(gradient(2000).stringify()).toBe('G:2000,000000-ffffff')
+
+        const ratio = new RatioColorScale(5)
+        ratio.setGradient('viridis', '-')
+        expect(ratio.stringify()).toMatch(/^G:R:5:[^:]*,255,0,0:[^:]*,viridis$/)
+    })
+
+    it('leaves a string without one untagged', () => {
+        expect(new ColorScale(defaultColorScaleConfig).stringify()).not.toMatch(/^G:/)
+        expect(new RatioColorScale(5).stringify()).toMatch(/^R:/)
+    })
+
+    it('round-trips a single-sided gradient', () => {
+        const parsed = parseColorScale('G:2000,magma')
+        expect(parsed).toBeInstanceOf(ColorScale)
+        expect(parsed.getThreshold()).toBe(2000)
+        expect(parsed.getGradient()).toBe('magma')
+        expect(parsed.stringify()).toBe('G:2000,magma')
+    })
+
+    it('round-trips a gradient on one side of each signed scale', () => {
+        for (const Scale of [RatioColorScale, DiffColorScale, OEColorScale, PearsonColorScale]) {
+            const scale = new Scale(2)
+            scale.setGradient('fall', '+')
+            const parsed = parseColorScale(scale.stringify())
+            expect(parsed).toBeInstanceOf(Scale)
+            expect(parsed.getGradient('+')).toBe('fall')
+            expect(parsed.getGradient('-')).toBeUndefined()
+            expect(parsed.stringify()).toBe(scale.stringify())
+        }
+    })
+
+    it('refuses a gradient naming no colormap', () => {
+        expect(() => parseColorScale('G:2000,jet')).toThrow(/Unknown colormap/)
+    })
+})
+
+describe('transfer functions', () => {
+
+    it('names linear, log, sqrt and any positive gamma', () => {
+        for (const token of ['linear', 'log', 'sqrt', 'gamma0.5', 'gamma2', 'gamma.3']) {
+            expect(isTransfer(token)).toBe(true)
+        }
+        for (const token of ['gamma', 'gamma0', 'gamma-1', 'exp', '255', 'viridis', undefined]) {
+            expect(isTransfer(token)).toBe(false)
+        }
+    })
+
+    it('maps a score to its fraction of full color', () => {
+        expect(transferFraction('linear', 25, 100)).toBe(0.25)
+        expect(transferFraction('sqrt', 25, 100)).toBe(0.5)
+        expect(transferFraction('gamma2', 50, 100)).toBe(0.25)
+        expect(transferFraction('log', 9, 99)).toBeCloseTo(0.5)
+    })
+
+    it('clamps to [0, 1] whatever the transfer', () => {
+        for (const transfer of ['linear', 'log', 'sqrt', 'gamma0.3']) {
+            expect(transferFraction(transfer, -5, 100)).toBe(0)
+            expect(transferFraction(transfer, 500, 100)).toBe(1)
+        }
+    })
+
+    it('paints a log scale\'s weak scores stronger than a linear one\'s', () => {
+        const linear = new ColorScale({...defaultColorScaleConfig, threshold: 1000})
+        const log = new ColorScale({...defaultColorScaleConfig, threshold: 1000, transfer: 'log'})
+        expect(log.getColor(10).alpha).toBeGreaterThan(4 * linear.getColor(10).alpha)
+        expect(log.getColor(1000).alpha).toBe(255)
+    })
+
+    it('bins after the transfer, so nearby weak scores are told apart', () => {
+        const log = new ColorScale({...defaultColorScaleConfig, threshold: 2000, transfer: 'log'})
+        expect(log.getColor(0.1).alpha).toBeLessThan(log.getColor(0.9).alpha)
+    })
+
+    it('is the same on both sides of a signed scale', () => {
+        const scale = new DiffColorScale(100)
+        scale.setTransfer('sqrt')
+        expect(scale.getTransfer()).toBe('sqrt')
+        expect(scale.getColor(25).alpha).toBe(scale.getColor(-25).alpha)
+        expect(scale.getColor(25).alpha).toBe(Math.floor(255 * 0.5))
+    })
+
+    it('leaves a linear scale\'s string as it always was', () => {
+        expect(new ColorScale({threshold: 2000, r: 255, g: 0, b: 0, transfer: 'linear'}).stringify()).toBe('2000,255,0,0')
+    })
+
+    it('round-trips on a single-sided scale, a gradient and each side of a signed scale', () => {
+        for (const string of ['2000,255,0,0,log', 'G:2000,viridis,gamma0.5', 'R:2:5,255,0,0,sqrt:5,0,0,255,sqrt']) {
+            expect(parseColorScale(string).stringify()).toBe(string)
+        }
+        expect(parseColorScale('2000,255,0,0,log').getTransfer()).toBe('log')
+        expect(parseColorScale('G:2000,viridis,gamma0.5').getGradient()).toBe('viridis')
+        expect(parseColorScale('R:2:5,255,0,0,sqrt:5,0,0,255,sqrt').getTransfer()).toBe('sqrt')
+    })
+
+    // What a decoder predating transfers does with the string: reads the color
+    // and ignores the trailing field.
+    it('trails the color, where a reader ignoring it still finds the color', () => {
+        const [threshold, r, g, b] = new ColorScale({threshold: 2000, r: 0, g: 0, b: 255, transfer: 'log'})
+            .stringify().split(',').map(Number.parseFloat)
+        expect({threshold, r, g, b}).toEqual({threshold: 2000, r: 0, g: 0, b: 255})
+    })
+})
@@ -0,0 +1,85 @@
+import {describe, it, expect} from 'vitest'
+import CompositeDataset, {isCompositeConfig} from '../js/compositeDataset.js'
+import PairsDataset from '../js/pairsDataset.js'
+
+/**
+ * Replicates pooled into one map. The members are files of pairs binned in
+ * memory -- chr1 (25 kb) and chr2 (12 kb) -- so every expected value can be
+ * counted by hand off the lines below.
+ */
+
+const HEADER = ['#chromsize: chr1 25000', '#chromsize: chr2 12000']
+
+const pairs = (lines, name) => new File(Buffer.from([...HEADER, ...lines].join('\n')), name)
+
+// Replicate 1: two contacts in chr1's cell (1, 2). Replicate 2: one there, one
+// in (1, 15) -- and half the total count.
+const REP1 = pairs(['r1\tchr1\t1500\tchr1\t2500', 'r2\tchr1\t1600\tchr1\t2400', 'r3\tchr2\t100\tchr2\t200', 'r4\tchr2\t300\tchr2\t400'], 'rep1.pairs')
+const REP2 = pairs(['r1\tchr1\t1500\tchr1\t2500', 'r2\tchr1\t1100\tchr1\t15000'], 'rep2.pairs')
+
+const loadMember = config => PairsDataset.loadDataset({resolutions: [10000, 1000], ...config})
+
+const load = config => CompositeDataset.loadDataset({url: [REP1, REP2], name: 'pooled', ...config}, loadMember)
+
+const records = list => list
+    .map(({bin1, bin2, counts}) => [bin1, bin2, counts])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+
+const chr1 = {chr: 'chr1', start: 0, end: 25000}
+
+describe('CompositeDataset', () => {
+
+    it('sums the members\' records per bin', async () => {
+        const dataset = await load()
+        expect(records(await dataset.getContactRecords('NONE', chr1, chr1, 'BP', 1000))).toEqual([[1, 2, 3], [1, 15, 1]])
+        expect(dataset.datasetType).toBe('composite')
+        expect(dataset.members.map(member => member.name)).toEqual(['rep1.pairs', 'rep2.pairs'])
+    })
+
+    it('averages them, a bin one member lacks counting as zero there', async () => {
+        const dataset = await load({combine: 'average'})
+        expect(records(await dataset.getContactRecords('NONE', chr1, chr1, 'BP', 1000))).toEqual([[1, 2, 1.5], [1, 15, 0.5]])
+    })
+
+    it('scales each member to the members\' mean total count first', async () => {
+        // Totals 4 and 2, so factors of 3/4 and 3/2.
+        const dataset = await load({scaleByTotal: true})
+        expect(dataset.scales).toEqual([0.75, 1.5])
+        expect(records(await dataset.getContactRecords('NONE', chr1, chr1, 'BP', 1000))).toEqual([[1, 2, 3], [1, 15, 1.5]])
+    })
+
+    it('combines the average counts the same way', async () => {
+        const dataset = await load({combine: 'average'})
+        const matrix = await dataset.getMatrix(1, 1)
+        expect(matrix.getZoomData(10000, 'BP').averageCount).toBeCloseTo((2 / 6 + 2 / 6) / 2)
+    })
+
+    it('offers only the resolutions every member has', async () => {
+        const dataset = await CompositeDataset.loadDataset({url: [REP1, REP2]}, config =>
+            PairsDataset.loadDataset({...config, resolutions: config.url === REP1 ? [10000, 1000] : [10000, 5000]}))
+        expect(dataset.bpResolutions).toEqual([10000])
+    })
+
+    it('refuses members with different chromosomes', async () => {
+        const other = new File(Buffer.from('#chromsize: chr1 30000\nr1\tchr1\t1500\tchr1\t2500\n'), 'other.pairs')
+        await expect(CompositeDataset.loadDataset({url: [REP1, other]}, loadMember))
+            .rejects.toThrow('other.pairs cannot be combined with rep1.pairs')
+    })
+
+    it('refuses an unknown way to combine', async () => {
+        await expect(load({combine: 'max'})).rejects.toThrow('Unknown way to combine maps "max"')
+    })
+
+    it('tells a session how to combine, beside the member URLs', async () => {
+        expect((await load()).sessionOptions()).toEqual({})
+        expect((await load({combine: 'average', scaleByTotal: true})).sessionOptions()).toEqual({combine: 'average', scaleByTotal: true})
+    })
+})
+
+describe('isCompositeConfig', () => {
+
+    it('knows a composite by its list of URLs', () => {
+        expect(isCompositeConfig({url: ['a.hic', 'b.hic']})).toBe(true)
+        expect(isCompositeConfig({url: 'a.hic'})).toBe(false)
+    })
+})
@@ -59,6 +59,9 @@
  * | 2026-08-10 | `syncDatasets-false-on-a-single-browser-config` | **#533**, the `syncDatasets` resolution. Only the `createBrowser` column moves, and only in `synchable`: the session-level opt-out is resolved in normalize now, so the door that takes one browser config honours it as the door that takes a list always did. The three columns that already honoured it are byte-identical. |
  * | 2026-08-11 | **all fixtures**, in two fields; plus `mini-mode-the-legacy-spelling-of-figure-mode` and `synth-query-every-parameter` | **#536**, the downstream readers. Three kinds of movement and nothing else — the whole diff was tallied line by line before the update. (1) Every config gains **`synchable: true`** and a **`backgroundColor: {r: 255, g: 255, b: 255}`**: those were `HICBrowser`'s `config.synchable !== false` and `createWidgets`' `browser.config.backgroundColor \|\| ContactMatrixView.defaultBackgroundColor`, and a default a reader keeps to itself is a field `browser.config` cannot answer for. They are `normalizeSession`'s now, so they are *in* the config. No behaviour moved: the `readBack` `synchable` column is unchanged everywhere, including the two fixtures that opt out. (2) The **mini-mode** fixture moves in the three display flags and gains `figureMode: true` — the one *behavioural* movement, and the divergence this fixture was written to expose: `browser.figureMode` was true while the flags defaulted on as though it were not. `miniMode` resolves into `figureMode` now, so a mini map is a figure at every reader. (3) `synth-query-every-parameter` moves `displayMode` from `"AOB"` to `"A"` **at construction only** — `init()` overwrote it one line later, so `readBack` said `"A"` before and says `"A"` now. The write moved up a stage; nothing about it changed. |
  * | 2026-08-11 | `harvested-query-wapl-wt`, `harvested-query-wapl-ko`, `harvested-query-gm12878-nvi`, `harvested-query-degron-fully-encoded`, `synth-query-colorscale-bare-threshold` | **#514**, the bare-threshold colour scale. Every moved fixture carries a `colorScale` of a threshold and nothing else, and every moved line is one of three: `r: undefined` → `255`, `g: undefined` → `0`, `b: undefined` → `0`. Those are `defaultColorScaleConfig`, which the decoder defined and never consulted, so the bare form painted `rgba(undefined,undefined,undefined,alpha)`. **This is not a change to the wire format.** The same inputs decode, to the same document, with the same threshold; what changed is the colour a component the string never supplied resolves to — from unpaintable to the default red. No fixture without a bare `colorScale` moved, and no other field moved in the five that did. |
+ * | 2026-10-18 | every fixture carrying a `colorScale`, in every column | **Transfer functions** (log, sqrt, gamma color mapping). Every moved line is one **added** `transfer: "linear"` in a `ColorScale`, 48 of them: the scale now carries the transfer it paints through, and no input in the corpus names one, so each resolves to linear -- the mapping every scale used before. Nothing else moved. |
+ * | 2026-10-18 | every fixture carrying a `state`, in every column | **Fragment-resolution browsing.** Every moved line is one **added** `unit: "BP"` in a `State`, 32 of them: the state now says what its bins count, and no input in the corpus names fragments. Nothing else moved. |
+ * | 2026-10-18 | every fixture carrying a `colorScale`, in every column | **Transfer functions**, follow-up. Every moved line is one **removed** `binsize` in a `ColorScale`, 48 of them: a value derived from the threshold that nothing read. Nothing else moved. |
  *
  * @see test/data/configEntryPathCorpus.js — the inputs and their divergence notes
  * @see test/testDecoderGolden.js — the same instrument, one seam upstream
@@ -67,6 +70,7 @@ import {afterEach, beforeEach, describe, expect, test, vi} from 'vitest'
 import {igvxhr} from 'igv-utils'
 import HICBrowser from '../js/hicBrowser.js'
 import DataLoader from '../js/dataLoader.js'
+import Dataset from '../js/dataset.js'
 import {init} from '../js/init.js'
 import {restoreSession} from '../js/session.js'
 import {createBrowser, createBrowserList} from '../js/createBrowser.js'
@@ -102,6 +106,7 @@ function withStubbedControlLoads() {
                 genomeId: 'hg19',
                 isWholeGenome: () => false,
                 bpResolutions: [2500000, 1000000],
+                getResolutions: Dataset.prototype.getResolutions,
                 isCompatible: () => true,
             }
         })
@@ -5,7 +5,18 @@ describe('displayModeOptions', () => {
 
     it('offers every display mode the renderer supports', () => {
         expect(Object.keys(displayModeOptions).sort())
-            .toEqual(['A', 'AMB', 'AOB', 'B', 'BOA'])
+            .toEqual(['A', 'AMB', 'AOB', 'B', 'BOA', 'BOE', 'OE', 'PEARSON'])
+    })
+
+    // A, A O/E and Pearson are all a single map can show, and the toggle moves
+    // between them without a control map.
+    it('offers only the single-map modes without a control map, toggling between them', () => {
+        const alone = Object.values(displayModeOptions).filter(option => !option.needsControl)
+        expect(alone.map(option => option.value).sort()).toEqual(['A', 'OE', 'PEARSON'])
+        for (const option of alone) {
+            expect(option.alone).not.toBe(option.value)
+            expect(displayModeOptions[option.alone].needsControl).toBeUndefined()
+        }
     })
 
     it('keys each option by its own value', () => {
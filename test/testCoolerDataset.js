@@ -0,0 +1,143 @@
+import {describe, it, expect, beforeAll} from 'vitest'
+import path from 'path'
+import CoolerDataset, {isCoolerConfig} from '../js/coolerDataset.js'
+import readSlice from '../js/hdf5Slice.js'
+import {createFile} from './utils/File.js'
+
+/**
+ * A cooler file read through the same interface a .hic file is. The fixture,
+ * test/data/cooler/test.mcool, is written by makeTestMcool.py beside it: chrA
+ * (95 kb) and chrB (50 kb) at 10 and 20 kb. Expected values are read off that
+ * script's arithmetic with h5py.
+ */
+
+const fixture = path.resolve(__dirname, 'data/cooler/test.mcool')
+
+const records = list => list
+    .map(({bin1, bin2, counts}) => [bin1, bin2, counts])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+
+describe('CoolerDataset', () => {
+
+    let dataset
+
+    beforeAll(async () => {
+        dataset = await CoolerDataset.loadDataset({url: createFile(fixture), name: 'test'})
+    })
+
+    it('presents the resolutions coarsest first, as a .hic file does', () => {
+        expect(dataset.bpResolutions).toEqual([20000, 10000])
+        expect(dataset.getZoomIndexForBinSize(10000, 'BP')).toBe(1)
+        expect(dataset.getBinSizeForZoomIndex(0, 'BP')).toBe(20000)
+    })
+
+    it('puts a whole-genome "All" ahead of the file\'s chromosomes, sized in kb', () => {
+        expect(dataset.chromosomes).toEqual([
+            {index: 0, name: 'All', size: 145},
+            {index: 1, name: 'chrA', size: 95000},
+            {index: 2, name: 'chrB', size: 50000}
+        ])
+        expect(dataset.isWholeGenome(0)).toBe(true)
+    })
+
+    it('names its type and the assembly the file records', () => {
+        expect(dataset.datasetType).toBe('cooler')
+        expect(dataset.isLive).toBe(false)
+        expect(dataset.genomeId).toBe('testGenome')
+    })
+
+    it('offers each weight column as a normalization', async () => {
+        expect(await dataset.getNormalizationOptions()).toEqual(['NONE', 'KR', 'weight'])
+        expect(dataset.hasNormalizationVector('weight', 'chrA', 'BP', 10000)).toBe(true)
+        expect(dataset.hasNormalizationVector('VC', 'chrA', 'BP', 10000)).toBe(false)
+        expect(dataset.hasNormalizationVector('weight', 'chrA', 'BP', 5000)).toBe(false)
+    })
+
+    it('answers the raw counts of a region', async () => {
+        const region = {chr: 'chrA', start: 0, end: 30000}
+        expect(records(await dataset.getContactRecords('NONE', region, region, 'BP', 10000))).toEqual([
+            [0, 0, 20], [0, 1, 17], [0, 2, 14], [1, 1, 20], [1, 2, 17], [2, 2, 20]
+        ])
+    })
+
+    it('reads the upper triangle whichever way round the regions are asked', async () => {
+        const chrA = {chr: 'chrA', start: 0, end: 20000}
+        const chrB = {chr: 'chrB', start: 0, end: 20000}
+        const expected = [[0, 0, 2], [0, 1, 3], [1, 1, 1]]
+
+        expect(records(await dataset.getContactRecords('NONE', chrA, chrB, 'BP', 10000))).toEqual(expected)
+        expect(records(await dataset.getContactRecords('NONE', chrB, chrA, 'BP', 10000))).toEqual(expected)
+    })
+
+    it('multiplies by cooler\'s weights and drops the records of a masked bin', async () => {
+        const region = {chr: 'chrA', start: 0, end: 30000}
+        const balanced = records(await dataset.getContactRecords('weight', region, region, 'BP', 10000))
+
+        expect(balanced.map(([bin1, bin2]) => [bin1, bin2])).toEqual([[0, 0], [0, 2], [2, 2]])
+        expect(balanced[1][2]).toBeCloseTo(14 / 3)
+        expect(balanced[2][2]).toBeCloseTo(20 / 9)
+    })
+
+    it('divides by a column marked divisive, as hic2cool writes them', async () => {
+        const region = {chr: 'chrA', start: 0, end: 30000}
+        const kr = records(await dataset.getContactRecords('KR', region, region, 'BP', 10000))
+        expect(kr.map(record => record[2])).toEqual([20, 8.5, 14 / 3, 5, 17 / 6, 20 / 9].map(v => expect.closeTo(v)))
+    })
+
+    it('reads rows across every chunk of the pixel table', async () => {
+        const chrA = {chr: 'chrA', start: 0, end: 95000}
+        const all = await dataset.getContactRecords('NONE', chrA, chrA, 'BP', 10000)
+        expect(all.length).toBe(49)
+        expect(all.every(({bin1, bin2}) => bin1 <= bin2 && bin2 < 10)).toBe(true)
+    })
+
+    it('describes each resolution of a chromosome pair, with its average count', async () => {
+        const matrix = await dataset.getMatrix(1, 1)
+        const fine = matrix.getZoomDataByIndex(1, 'BP')
+
+        expect(fine.zoom).toEqual({binSize: 10000, unit: 'BP'})
+        expect(fine.chr1.name).toBe('chrA')
+        expect(matrix.getZoomDataByIndex(0, 'BP').averageCount).toBeCloseTo(576 / 15)
+        expect(fine.averageCount).toBeCloseTo(576 / 15 / 4)
+    })
+
+    it('sums the coarsest resolution into the whole-genome map', async () => {
+        const zd = (await dataset.getMatrix(0, 0)).getZoomDataByIndex(0, 'BP')
+        expect(zd.zoom.binSize).toBe(1)
+        expect(dataset.wholeGenomeResolution).toBe(1000)
+
+        const all = {chr: 'All', start: 0, end: 145}
+        const wg = await dataset.getContactRecords('NONE', all, all, 'BP', 1)
+        expect(wg.reduce((sum, record) => sum + record.counts, 0)).toBe(884)
+    })
+
+    it('refuses a resolution the file does not have', async () => {
+        const region = {chr: 'chrA', start: 0, end: 30000}
+        await expect(dataset.getContactRecords('NONE', region, region, 'BP', 5000))
+            .rejects.toThrow('No data available for resolution: 5000')
+    })
+
+    it('keeps no URL for a local file, so a session is not written for it', () => {
+        expect(dataset.url).toBeUndefined()
+    })
+})
+
+describe('readSlice', () => {
+
+    it('names the reader version it was written against when the reader\'s internals have moved', async () => {
+        const moved = {name: '/pixels/bin1_id', shape: Promise.resolve([10]), _dataobjects: {}}
+        await expect(readSlice(moved, 0, 5)).rejects.toThrow(
+            '/pixels/bin1_id cannot be read by range: hdf5-indexed-reader has no _dataobjects._get_chunk_params() ' +
+            'as juicebox reads it, which was written against version 1.0.1')
+    })
+})
+
+describe('isCoolerConfig', () => {
+
+    it('knows a cooler file by its extension', () => {
+        expect(isCoolerConfig({url: 'https://example.org/a/sample.mcool'})).toBe(true)
+        expect(isCoolerConfig({url: 'https://example.org/sample.cool?token=1'})).toBe(true)
+        expect(isCoolerConfig({url: new File([], 'local.mcool')})).toBe(true)
+        expect(isCoolerConfig({url: 'https://example.org/sample.hic'})).toBe(false)
+    })
+})
@@ -0,0 +1,120 @@
+import {describe, it, expect} from 'vitest'
+import {HiCDataset} from '../js/hicDataset.js'
+import PairsDataset from '../js/pairsDataset.js'
+import {deriveResolutions} from '../js/derivedResolutions.js'
+import {datasetMetadata, parseStatistics, parseGraphs} from '../js/datasetMetadata.js'
+
+/**
+ * What a map says about itself -- see js/datasetMetadata.js. The .hic map is a
+ * HiCDataset over a stand-in for hic-straw's file, holding what its header and
+ * norm vector index would: no network is touched.
+ */
+
+const STATISTICS = [
+    'Sequenced Read Pairs:  1,000',
+    ' Normal Paired: 800 (80.00%)',
+    ' Unmapped: 200 (20.00%)',
+    'Hi-C Contacts: 700 (70.00%)',
+    ''
+].join('\n')
+
+const GRAPHS = 'A = [\n1 2 3 4\n];\nB = [\n0 1\n2 3\n];\n'
+
+const hicDataset = () => {
+    const dataset = new HiCDataset({url: 'https://example.org/test.hic', name: 'test'})
+    dataset.genomeId = 'hg19'
+    dataset.chromosomes = [{index: 0, name: 'All', size: 1000}, {index: 1, name: 'chr1', size: 1000000}]
+    dataset.wholeGenomeChromosome = dataset.chromosomes[0]
+    dataset.bpResolutions = [100000, 10000]
+    dataset.fragResolutions = [500]
+    dataset.hicFile = {
+        attributes: {software: 'Juicer Tools Version 1.22.01', statistics: STATISTICS, graphs: GRAPHS},
+        getNormVectorIndex: async () => ({
+            'KR_1_BP_100000': {},
+            'VC_SQRT_1_BP_100000': {},
+            'KR_1_BP_10000': {},
+            'VC_1_BP_10000': {}
+        })
+    }
+    return dataset
+}
+
+describe('datasetMetadata', () => {
+
+    it('lists the header attributes, leaving the QC report to its own fields', async () => {
+        const metadata = await datasetMetadata(hicDataset())
+        expect(metadata).toMatchObject({name: 'test', datasetType: 'hic', genomeId: 'hg19'})
+        expect(metadata.attributes).toEqual({software: 'Juicer Tools Version 1.22.01'})
+        expect(metadata.statistics).toHaveLength(4)
+        expect(metadata.graphs.map(graph => graph.name)).toEqual(['A', 'B'])
+    })
+
+    it('reads the normalizations at each resolution off the norm vector index, of any chromosome', async () => {
+        const {resolutions} = await datasetMetadata(hicDataset())
+        expect(resolutions).toEqual([
+            {unit: 'BP', binSize: 100000, normalizations: ['NONE', 'KR', 'VC_SQRT']},
+            {unit: 'BP', binSize: 10000, normalizations: ['NONE', 'KR', 'VC']},
+            {unit: 'FRAG', binSize: 500, normalizations: ['NONE']}
+        ])
+    })
+
+    it('gives a derived resolution its source\'s normalizations', async () => {
+        const dataset = hicDataset()
+        dataset.bpResolutions = [100000, 50000, 10000]
+        dataset.derivedResolutions = new Map([[50000, 10000]])
+        const {resolutions} = await datasetMetadata(dataset)
+        expect(resolutions[1]).toEqual({unit: 'BP', binSize: 50000, normalizations: ['NONE', 'KR', 'VC'], derivedFrom: 10000})
+    })
+
+    it('asks the first chromosome of a map without a vector index', async () => {
+        const pairs = 'r1\tchr1\t1500\tchr1\t2500\n'
+        const dataset = deriveResolutions(await PairsDataset.loadDataset({
+            url: new File(Buffer.from(`#chromsize: chr1 25000\n${pairs}`), 'test.pairs'),
+            resolutions: [10000, 1000]
+        }))
+        const metadata = await datasetMetadata(dataset)
+        expect(metadata.attributes).toEqual({})
+        expect(metadata.statistics).toEqual([])
+        expect(metadata.resolutions.map(({binSize, normalizations, derivedFrom}) => [binSize, normalizations, derivedFrom]))
+            .toEqual([[10000, ['NONE'], undefined], [5000, ['NONE'], 1000], [2000, ['NONE'], 1000], [1000, ['NONE'], undefined]])
+    })
+})
+
+describe('parseStatistics', () => {
+
+    it('reads a statistics file, sub-totals indented', () => {
+        expect(parseStatistics(STATISTICS)).toEqual([
+            {label: 'Sequenced Read Pairs', value: '1,000', indent: false},
+            {label: 'Normal Paired', value: '800 (80.00%)', indent: true},
+            {label: 'Unmapped', value: '200 (20.00%)', indent: true},
+            {label: 'Hi-C Contacts', value: '700 (70.00%)', indent: false}
+        ])
+    })
+
+    it('reads the HTML table older versions wrote as text', () => {
+        const html = '<table><tr><td>Sequenced Read Pairs:</td><td>1,000</td></tr>' +
+            '<tr><td>Hi-C Contacts:</td><td>700&nbsp;(70%)</td></tr></table>'
+        expect(parseStatistics(html)).toEqual([
+            {label: 'Sequenced Read Pairs', value: '1,000', indent: false},
+            {label: 'Hi-C Contacts', value: '700 (70%)', indent: false}
+        ])
+    })
+
+    it('reads nothing from a map without statistics', () => {
+        expect(parseStatistics(undefined)).toEqual([])
+    })
+})
+
+describe('parseGraphs', () => {
+
+    it('reads each named array as its rows of numbers', () => {
+        expect(parseGraphs(GRAPHS)).toEqual([
+            {name: 'A', rows: [[1, 2, 3, 4]]},
+            {name: 'B', rows: [[0, 1], [2, 3]]}
+        ])
+    })
+
+    it('reads rows separated by semicolons', () => {
+        expect(parseGraphs('x = [1 2; 3 4]')).toEqual([{name: 'x', rows: [[1, 2], [3, 4]]}])
+    })
+})
@@ -0,0 +1,144 @@
+/**
+ * Which kind of contact map a config loads as, and how a host adds its own.
+ * See js/datasetRegistry.js.
+ */
+import {describe, it, expect, vi} from 'vitest'
+
+const loadHic = vi.fn(async config => ({datasetType: 'hic', url: config.url}))
+
+vi.mock('../js/hicDataset.js', () => ({
+    default: {loadDataset: (...args) => loadHic(...args)}
+}))
+
+vi.mock('igv', () => ({default: {}}))
+
+vi.mock('igv-ui', () => ({
+    AlertDialog: class {},
+    InputDialog: class {},
+    DOMUtils: {}
+}))
+
+const {registerDatasetType, loadDataset} = await import('../js/datasetRegistry.js')
+const {default: HICBrowser} = await import('../js/hicBrowser.js')
+
+// A host's Dataset: it names no type of its own.
+const hostType = (type, match) => {
+    const create = vi.fn(async config => ({url: config.url}))
+    registerDatasetType({type, match, create})
+    return create
+}
+
+describe('registerDatasetType', () => {
+
+    it('loads a config by its extension, and the dataset carries the type\'s name', async () => {
+        const create = hostType('ext', {extensions: ['.ext']})
+
+        const dataset = await loadDataset({url: 'https://example.org/map.EXT?token=1'})
+
+        expect(create).toHaveBeenCalledOnce()
+        expect(create.mock.calls[0][0].datasetType).toBe('ext')
+        expect(dataset.datasetType).toBe('ext')
+    })
+
+    it('loads a config by its URL scheme', async () => {
+        const create = hostType('scheme', {schemes: ['tiles']})
+        await loadDataset({url: 'tiles://server/map'})
+        expect(create).toHaveBeenCalledOnce()
+    })
+
+    it('loads a config by a predicate', async () => {
+        const create = hostType('predicate', config => 'mine' === config.format)
+        await loadDataset({url: 'https://example.org/map', format: 'mine'})
+        expect(create).toHaveBeenCalledOnce()
+    })
+
+    it('reads the leading bytes of a file no name matches', async () => {
+        const create = hostType('magic', {magic: 'MAGIC'})
+
+        await loadDataset({url: new File(Buffer.from('MAGIC and then the rest'), 'map.bin')})
+        expect(create).toHaveBeenCalledOnce()
+
+        await loadDataset({url: new File(Buffer.from('HIC\0'), 'other.bin')})
+        expect(create).toHaveBeenCalledOnce()
+        expect(loadHic).toHaveBeenLastCalledWith(expect.objectContaining({datasetType: 'hic'}))
+    })
+
+    it('prefers the type registered last', async () => {
+        const first = hostType('first', {extensions: ['.both']})
+        const second = hostType('second', {extensions: ['.both']})
+
+        await loadDataset({url: 'https://example.org/map.both'})
+
+        expect(second).toHaveBeenCalledOnce()
+        expect(first).not.toHaveBeenCalled()
+    })
+
+    it('loads the type a config names, whatever its extension', async () => {
+        const create = hostType('named', {extensions: ['.named']})
+        await loadDataset({url: 'https://example.org/map.hic', datasetType: 'named'})
+        expect(create).toHaveBeenCalledOnce()
+    })
+
+    it('refuses a type nothing has registered', async () => {
+        await expect(loadDataset({url: 'https://example.org/map.hic', datasetType: 'nowhere'}))
+            .rejects.toThrow('No dataset type "nowhere" is registered')
+    })
+
+    it('loads a config nothing claims as a .hic file', async () => {
+        loadHic.mockClear()
+        const dataset = await loadDataset({url: 'https://example.org/map'})
+        expect(loadHic).toHaveBeenCalledOnce()
+        expect(dataset.datasetType).toBe('hic')
+    })
+
+    it('keeps the built-in types', async () => {
+        const pairs = 'r1\tchr1\t1500\tchr1\t2500\t+\t-\n'
+        const dataset = await loadDataset({url: new File(Buffer.from(pairs), 'map.pairs'), resolutions: [1000]})
+        expect(dataset.datasetType).toBe('pairs')
+    })
+
+    it('refuses a registration without a name, a match or a create', () => {
+        expect(() => registerDatasetType({match: {}, create: () => undefined})).toThrow('A dataset type needs a name')
+        expect(() => registerDatasetType({type: 't', match: {}})).toThrow('Dataset type "t" needs a create function')
+        expect(() => registerDatasetType({type: 't', create: () => undefined})).toThrow('Dataset type "t" needs a match')
+    })
+})
+
+describe('session', () => {
+
+    const session = (dataset, controlDataset) => HICBrowser.prototype.toJSON.call({
+        registry: {},
+        dataset: {getResolutions: () => [], ...dataset},
+        controlDataset,
+        controlUrl: controlDataset && controlDataset.url,
+        state: {toJSON: () => ({})},
+        contactMatrixView: {
+            stringifyBackgroundColor: () => '255,255,255',
+            getColorScale: () => ({stringify: () => ''})
+        },
+        coordinator: {widgets: {controlMapWidget: {getDisplayModeCycle: () => undefined}}},
+        getDisplayMode: () => undefined,
+        trackPairs: [],
+        tracks2D: []
+    })
+
+    it('records the type of each map, so a restore picks the same one', () => {
+        const json = session({url: 'tiles://a', datasetType: 'scheme'}, {url: 'b.mcool', datasetType: 'cooler'})
+        expect(json.datasetType).toBe('scheme')
+        expect(json.controlDatasetType).toBe('cooler')
+    })
+
+    it('records what a composite needs to be rebuilt, the control map\'s with a prefix', () => {
+        const composite = url => ({url, datasetType: 'composite', sessionOptions: () => ({combine: 'average'})})
+        const json = session(composite(['a.hic', 'b.hic']), composite(['c.hic', 'd.hic']))
+
+        expect(json).toMatchObject({url: ['a.hic', 'b.hic'], datasetType: 'composite', combine: 'average'})
+        expect(json).toMatchObject({controlUrl: ['c.hic', 'd.hic'], controlDatasetType: 'composite', controlCombine: 'average'})
+    })
+
+    it('leaves a .hic file\'s session as it always was', () => {
+        const json = session({url: 'a.hic', datasetType: 'hic'}, {url: 'b.hic', datasetType: 'hic'})
+        expect(json).not.toHaveProperty('datasetType')
+        expect(json).not.toHaveProperty('controlDatasetType')
+    })
+})
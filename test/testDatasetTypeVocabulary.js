@@ -1,5 +1,9 @@
 import {describe, it, expect} from 'vitest'
 import Dataset, {HiCDataset} from '../js/hicDataset.js'
+import CoolerDataset from '../js/coolerDataset.js'
+import PairsDataset from '../js/pairsDataset.js'
+import TileServerDataset from '../js/tileServerDataset.js'
+import CompositeDataset from '../js/compositeDataset.js'
 
 /**
  * The `datasetType` a `Dataset` *carries* -- see CONTEXT.md under "Dataset" for
@@ -40,6 +44,30 @@ describe('datasetType vocabulary', () => {
         }
     })
 
+    it('reads cooler for a dataset backed by a cooler file', () => {
+        const dataset = new CoolerDataset({url: 'https://example.org/test.mcool'})
+        expect(dataset.datasetType).toBe('cooler')
+        expect(dataset.isLive).toBe(false)
+    })
+
+    it('reads pairs for a dataset binned from a file of pairs', () => {
+        const dataset = new PairsDataset({url: 'https://example.org/test.pairs.gz'})
+        expect(dataset.datasetType).toBe('pairs')
+        expect(dataset.isLive).toBe(false)
+    })
+
+    it('reads tileserver for a dataset served by a tile server', () => {
+        const dataset = new TileServerDataset({url: 'tileserver+https://example.org/maps/test'})
+        expect(dataset.datasetType).toBe('tileserver')
+        expect(dataset.isLive).toBe(false)
+    })
+
+    it('reads composite for a dataset combining others', () => {
+        const dataset = new CompositeDataset({url: ['https://example.org/a.hic', 'https://example.org/b.hic']}, [])
+        expect(dataset.datasetType).toBe('composite')
+        expect(dataset.isLive).toBe(false)
+    })
+
     /**
      * The base-class default is reachable, not dead: any `Dataset` subclass
      * that does not set the field leaves it here, and the value escapes to
@@ -54,6 +54,9 @@
  * | 2026-08-09 | `harvested-juiceboxURL-bitly` — `decodes` became `throws` | **#506**, ADR-0006 decision 1: the named exception to the frozen contract. The bit.ly expansion and its embedded credential are gone, so the fixture that decoded a two-browser session through a live third-party endpoint now records the refusal that replaced it. **This is the first deliberate deviation from the baseline** — the whole point of the log is that it is written down rather than absorbed by a bare `-u`. No other fixture moved, which is the other half of the claim. |
  * | 2026-08-11 | `harvested-query-wapl-wt`, `harvested-query-wapl-ko`, `harvested-query-gm12878-nvi`, `harvested-query-degron-fully-encoded`, `synth-query-colorscale-bare-threshold` | **#514**, the bare-threshold colour scale. The five moved fixtures are exactly the five carrying a `colorScale` of a threshold with no RGB, and every moved line is `r: undefined` → `255`, `g: undefined` → `0` or `b: undefined` → `0` — `defaultColorScaleConfig`, which `parseSingle` never consulted, so the bare form decoded to a scale that painted `rgba(undefined,undefined,undefined,alpha)`. **This is not a change to the wire format**: the same strings are accepted, the threshold is untouched, and no encoder writes the bare form. What moved is the colour an *absent* component resolves to. `testConfigGolden.js`'s query columns move in the same five, for the same three lines, and nothing else. |
  * | 2026-08-11 | `harvested-query-wapl-wt`, `harvested-query-wapl-ko`, `harvested-juicebox-literal-braces`, `harvested-query-4dn-state-colorscale-track`, `synth-query-tracks-empty-range` | **#515**, the empty data-range field. The five moved fixtures are exactly the five carrying a four-field track string with an empty third field, and every moved line is a **deleted** `min: NaN` or `max: NaN` — twelve tracks, twenty-four lines, nothing added. `destringifyTracksV0` gated on `tokens.length > 2`, which an empty field satisfies, so `parseFloat("")` handed a track that would otherwise autoscale a range it could not use; it now reads the field only when it holds something. **This is not a change to the wire format**: the same strings are accepted and the same tracks come out of them, minus two keys that never meant anything. `testConfigGolden.js` did **not** move at all, because `normalizeSession` was already deleting these downstream — what closed is the round trip through `NaN`, not the end state. |
+ * | 2026-10-18 | every fixture carrying a `colorScale` — 15 `ColorScale` objects, the two sides of a signed scale included | **Transfer functions** (log, sqrt, gamma color mapping). Every moved line is one **added** `transfer: "linear"`: `ColorScale` now carries the transfer it paints through, and a string without one -- every string in the corpus -- decodes linear, which is how it always painted. **This is not a change to the wire format**: the same strings decode to the same threshold and colors. `binsize` did not move. `testConfigGolden.js` moves in the same line, 48 times. |
+ * | 2026-10-18 | every fixture that decodes a `State` -- 24 of them, the state-string suite included | **Fragment-resolution browsing.** Every moved line is one **added** `unit: "BP"`: `State` now says what its `x`, `y` and `zoom` count, base pairs or restriction fragments, and no string in the corpus says fragments, so each reads as base pairs -- as it always did. **This is not a change to the wire format**: the same strings decode to the same chromosomes, origin, zoom, pixel size and normalization, and a base pair state still writes no unit. `testConfigGolden.js` and `testRestoreGolden.js` move in the same line. |
+ * | 2026-10-18 | every fixture carrying a `colorScale` — the same 15 `ColorScale` objects | **Transfer functions**, follow-up. Every moved line is one **removed** `binsize`: `ColorScale` computed it from the threshold and nothing read it, so the field is gone rather than kept in step. It was derived, never read from or written to a session, so **this is not a change to the wire format**. `testConfigGolden.js` moves in the same line, 48 times. |
  *
  * @see docs/adr/0006-session-wire-format-and-one-decoder.md
  * @see test/data/wireFormatCorpus.js — the inputs
@@ -0,0 +1,253 @@
+import {describe, it, expect} from 'vitest'
+import Dataset from '../js/dataset.js'
+import PairsDataset from '../js/pairsDataset.js'
+import ContactRecord from '../js/contactRecord.js'
+import {deriveResolutions, matchResolutions} from '../js/derivedResolutions.js'
+import {loadDataset} from '../js/datasetRegistry.js'
+import {bZoomIndex} from '../js/imageTileCore.js'
+import {decodeState} from '../js/sessionCodec.js'
+import State from '../js/hicState.js'
+
+/**
+ * Resolutions summed in the browser from finer stored ones. The map is a file of
+ * pairs binned at 10 and 1 kb, which gains 5 and 2 kb: chr1 (25 kb) with
+ * contacts in the 1 kb cells (1, 2) twice and (1, 15) once.
+ */
+
+const PAIRS = [
+    '#chromsize: chr1 25000',
+    '#chromsize: chr2 12000',
+    'r1\tchr1\t1500\tchr1\t2500',
+    'r2\tchr1\t2600\tchr1\t1200',
+    'r3\tchr1\t1100\tchr1\t15000',
+    ''
+].join('\n')
+
+const config = (extra = {}) => ({
+    url: new File(Buffer.from(PAIRS), 'test.pairs'),
+    name: 'test',
+    resolutions: [10000, 1000],
+    ...extra
+})
+
+const load = async () => deriveResolutions(await PairsDataset.loadDataset(config()))
+
+const records = list => list
+    .map(({bin1, bin2, counts}) => [bin1, bin2, counts])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+
+const chr1 = {chr: 'chr1', start: 0, end: 25000}
+
+// A dataset answering only for the sizes it stores, and saying what it was asked.
+class StoredDataset extends Dataset {
+
+    constructor(bpResolutions, records = []) {
+        super({})
+        this.bpResolutions = bpResolutions
+        this.records = records
+        this.asked = []
+    }
+
+    async getContactRecords(normalization, region1, region2, units, binSize) {
+        this.asked.push(binSize)
+        return this.records.map(({bin1, bin2, counts}) => new ContactRecord(bin1, bin2, counts))
+    }
+
+    async hasNormalizationVector(type, chr, unit, binSize) {
+        this.asked.push(binSize)
+        return this.bpResolutions.includes(binSize)
+    }
+
+    async getExpectedValues(normalization, unit, binSize) {
+        this.asked.push(binSize)
+        return {normalization, unit, binSize, values: [1, 2, 3, 4]}
+    }
+}
+
+describe('derived resolutions', () => {
+
+    it('fills the juicer ladder in between the stored sizes, each summed from the coarsest dividing it', async () => {
+        const dataset = await load()
+        expect(dataset.bpResolutions).toEqual([10000, 5000, 2000, 1000])
+        expect(dataset.derivedResolutions).toEqual(new Map([[5000, 1000], [2000, 1000]]))
+
+        const sparse = deriveResolutions(new StoredDataset([1000000, 100000, 25000, 5000]))
+        expect(sparse.derivedResolutions).toEqual(new Map([[500000, 100000], [250000, 25000], [50000, 25000], [10000, 5000]]))
+    })
+
+    it('leaves a dataset with nothing between its sizes untouched', () => {
+        const dataset = new StoredDataset([10000, 5000])
+        const getMatrix = dataset.getMatrix
+        expect(deriveResolutions(dataset)).toBe(dataset)
+        expect(dataset.bpResolutions).toEqual([10000, 5000])
+        expect(dataset.derivedResolutions).toBeUndefined()
+        expect(dataset.getMatrix).toBe(getMatrix)
+    })
+
+    it('sums the stored bins into the derived ones', async () => {
+        const dataset = await load()
+        expect(records(await dataset.getContactRecords('NONE', chr1, chr1, 'BP', 1000))).toEqual([[1, 2, 2], [1, 15, 1]])
+        expect(records(await dataset.getContactRecords('NONE', chr1, chr1, 'BP', 5000))).toEqual([[0, 0, 2], [0, 3, 1]])
+        expect(records(await dataset.getContactRecords('NONE', chr1, chr1, 'BP', 2000))).toEqual([[0, 1, 2], [0, 7, 1]])
+    })
+
+    it('answers zoom data for every size, a derived one scaled from its source', async () => {
+        const dataset = await load()
+        const matrix = await dataset.getMatrix(1, 1)
+        const fine = matrix.getZoomData(1000, 'BP')
+        const derived = matrix.getZoomDataByIndex(1, 'BP')
+
+        expect(matrix.bpZoomData.map(zd => zd.zoom.binSize)).toEqual([10000, 5000, 2000, 1000])
+        expect(derived.zoom.binSize).toBe(5000)
+        expect(derived.derivedFrom).toBe(1000)
+        expect(derived.averageCount).toBeCloseTo(fine.averageCount * 25)
+        expect(matrix.getZoomData(10000, 'BP').derivedFrom).toBeUndefined()
+        expect(matrix.findZoomForResolution(4000, 'BP')).toBe(1)
+    })
+
+    it('leaves the whole genome to the dataset', async () => {
+        const dataset = await load()
+        const matrix = await dataset.getMatrix(0, 0)
+        expect(matrix.bpZoomData).toHaveLength(1)
+    })
+
+    it('asks the source size for normalization vectors', async () => {
+        const dataset = deriveResolutions(new StoredDataset([10000, 1000]))
+        expect(await dataset.hasNormalizationVector('KR', 'chr1', 'BP', 5000)).toBe(true)
+        expect(await dataset.hasNormalizationVector('KR', 'chr1', 'BP', 10000)).toBe(true)
+        expect(dataset.source.asked).toEqual([1000, 10000])
+    })
+
+    it('sums expected values over the diagonals a coarser bin covers', async () => {
+        const dataset = deriveResolutions(new StoredDataset([10000, 1000]))
+        const expected = await dataset.getExpectedValues('NONE', 'BP', 2000)
+
+        // On the diagonal the 1 kb distances 0 and 1, twice and once; one bin
+        // off it, 1, 2 and 3 once, twice and once.
+        expect(Array.from(expected.values)).toEqual([2 * 1 + 2, 2 + 2 * 3 + 4])
+        expect(expected.binSize).toBe(1000)
+        expect(dataset.source.asked).toEqual([1000])
+    })
+
+    it('matches a control map at a size only the primary stores', async () => {
+        const primary = new StoredDataset([10000, 5000, 1000])
+        const control = await load()
+        expect(bZoomIndex(primary, control, 1)).toBe(1)
+        expect(() => bZoomIndex(primary, new StoredDataset([10000, 1000]), 1)).toThrow('Invalid binSize for "B" map: 5000')
+    })
+
+    it('is applied on load unless the config declines', async () => {
+        expect((await loadDataset(config())).bpResolutions).toEqual([10000, 5000, 2000, 1000])
+
+        const stored = await loadDataset(config({deriveResolutions: false}))
+        expect(stored.bpResolutions).toEqual([10000, 1000])
+        expect(stored.derivedResolutions).toBeUndefined()
+    })
+})
+
+describe('a saved view restored onto derived resolutions', () => {
+
+    // The view a session written before resolutions were derived holds: zoom 1
+    // of the stored ladder [10000, 1000], i.e. 1 kb.
+    const legacy = {chr1: 1, chr2: 1, zoom: 1, x: 10, y: 10, pixelSize: 2, normalization: 'NONE'}
+
+    const binSizeOf = (dataset, state) => dataset.bpResolutions[state.zoom]
+
+    it('reads an old session\'s zoom as an index into the stored sizes', async () => {
+        const dataset = await load()
+        const state = decodeState(JSON.parse(JSON.stringify(legacy)), undefined, dataset)
+        expect(binSizeOf(dataset, state)).toBe(1000)
+        expect(state.zoom).toBe(3)
+    })
+
+    it('reads a state= URL the same way', async () => {
+        const dataset = await load()
+        expect(binSizeOf(dataset, decodeState('1,1,1,10,10,2,NONE', undefined, dataset))).toBe(1000)
+    })
+
+    it('round-trips an old session across derivation, by the bin size saved beside the zoom', async () => {
+        const dataset = await load()
+        const restored = decodeState(legacy, undefined, dataset)
+
+        // What a browser writes: the state, and its bin size (hicBrowser.toJSON).
+        const saved = JSON.parse(JSON.stringify({...restored.toJSON(), binSize: binSizeOf(dataset, restored)}))
+        expect(saved).toEqual({...legacy, zoom: 3, binSize: 1000})
+
+        expect(binSizeOf(dataset, decodeState(saved, undefined, dataset))).toBe(1000)
+
+        const stored = await loadDataset(config({deriveResolutions: false}))
+        expect(binSizeOf(stored, decodeState(saved, undefined, stored))).toBe(1000)
+    })
+
+    it('restores a view at a derived size, or the nearest stored one where it is not derived', async () => {
+        const dataset = await load()
+        const saved = {...new State(1, 1, 2, 10, 10, 2, 'NONE').toJSON(), binSize: 2000}
+        expect(binSizeOf(dataset, decodeState(saved, undefined, dataset))).toBe(2000)
+
+        const stored = await loadDataset(config({deriveResolutions: false}))
+        expect(binSizeOf(stored, decodeState(saved, undefined, stored))).toBe(1000)
+    })
+})
+
+describe('a control map matched to its primary', () => {
+
+    const cells = list => records(list).map(([bin1, bin2, counts]) => [bin1, bin2, +counts.toFixed(6)])
+
+    it('gains each size of the primary it lacks, from the coarsest stored size dividing it or else the nearest', async () => {
+        const control = matchResolutions(await load(), new StoredDataset([10000, 4000, 1000, 500]))
+
+        expect(control.bpResolutions).toEqual([10000, 5000, 4000, 2000, 1000, 500])
+        expect(control.derivedResolutions.get(4000)).toBe(1000)
+        expect(control.derivedResolutions.get(500)).toBe(1000)
+        expect(bZoomIndex(new StoredDataset([10000, 4000, 1000, 500]), control, 3)).toBe(5)
+
+        const matrix = await control.getMatrix(1, 1)
+        expect(matrix.bpZoomData.map(zd => zd.derivedFrom)).toEqual([undefined, 1000, 1000, 1000, undefined, 1000])
+    })
+
+    it('sums to a multiple of a stored size and resamples to a finer one', async () => {
+        const control = matchResolutions(await load(), new StoredDataset([10000, 4000, 1000, 500]))
+
+        expect(records(await control.getContactRecords('NONE', chr1, chr1, 'BP', 4000))).toEqual([[0, 0, 2], [0, 3, 1]])
+        expect(cells(await control.getContactRecords('NONE', chr1, chr1, 'BP', 500))).toEqual([
+            [2, 4, 0.5], [2, 5, 0.5], [2, 30, 0.25], [2, 31, 0.25],
+            [3, 4, 0.5], [3, 5, 0.5], [3, 30, 0.25], [3, 31, 0.25]
+        ])
+    })
+
+    it('spreads a stored bin over the bins it overlaps, folding the lower triangle onto the upper', async () => {
+        const control = matchResolutions(new StoredDataset([3000], [{bin1: 0, bin2: 0, counts: 9}]), new StoredDataset([2000]))
+        const resampled = await control.getContactRecords('NONE', chr1, chr1, 'BP', 2000)
+
+        expect(control.source.asked).toEqual([3000])
+        expect(cells(resampled)).toEqual([[0, 0, 4], [0, 1, 4], [1, 1, 1]])
+    })
+
+    it('reads expected values at the same distance in base pairs, scaled by cell area', async () => {
+        const control = matchResolutions(new StoredDataset([1000]), new StoredDataset([1500]))
+        const expected = await control.getExpectedValues('NONE', 'BP', 1500)
+        expect(Array.from(expected.values)).toEqual([2.25, 2.25 * 2.5, 2.25 * 4])
+    })
+
+    it('leaves a control storing every size of the primary untouched', async () => {
+        const control = new StoredDataset([10000, 1000])
+        expect(matchResolutions(control, new StoredDataset([10000, 1000]))).toBe(control)
+        expect(control.derivedResolutions).toBeUndefined()
+    })
+
+    it('is read through one adapter over the control as loaded, not the control itself', async () => {
+        const loaded = await load()
+        const stored = loaded.source
+        const getMatrix = stored.getMatrix
+
+        const control = matchResolutions(loaded, new StoredDataset([10000, 4000, 1000, 500]))
+
+        expect(control.source).toBe(stored)
+        expect(control.derivedResolutions).toEqual(new Map([[5000, 1000], [2000, 1000], [4000, 1000], [500, 1000]]))
+        expect(stored.bpResolutions).toEqual([10000, 1000])
+        expect(stored.derivedResolutions).toBeUndefined()
+        expect(stored.getMatrix).toBe(getMatrix)
+        expect(control.hicFile).toBe(stored.hicFile)
+        expect(control.datasetType).toBe(stored.datasetType)
+    })
+})
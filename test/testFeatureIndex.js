@@ -0,0 +1,59 @@
+import { describe, test, expect } from 'vitest'
+import FeatureIndex from '../js/featureIndex.js'
+
+/**
+ * The R-tree 2D tracks find the features in view through: it must answer what
+ * visiting every rectangle would.
+ */
+
+// A seeded generator, so a failure can be replayed.
+function random(seed) {
+    return () => {
+        seed = (seed * 1664525 + 1013904223) % 4294967296
+        return seed / 4294967296
+    }
+}
+
+function boxes(count, next) {
+    return Array.from({ length: count }, (_, item) => {
+        const xStart = Math.floor(next() * 1000000)
+        const yStart = Math.floor(next() * 1000000)
+        return { xStart, xEnd: xStart + Math.floor(next() * 20000), yStart, yEnd: yStart + Math.floor(next() * 20000), item }
+    })
+}
+
+const bruteForce = (entries, xStart, xEnd, yStart, yEnd) => entries
+    .filter(e => !(e.xEnd < xStart || e.xStart > xEnd || e.yEnd < yStart || e.yStart > yEnd))
+    .map(e => e.item)
+
+const sorted = items => [ ...items ].sort((a, b) => a - b)
+
+describe('FeatureIndex', () => {
+
+    test('finds what a scan of every rectangle finds', () => {
+        const next = random(42)
+        const entries = boxes(5000, next)
+        const index = new FeatureIndex(entries)
+        expect(index.size).toBe(5000)
+
+        for (let i = 0; i < 50; i++) {
+            const xStart = Math.floor(next() * 1000000)
+            const yStart = Math.floor(next() * 1000000)
+            const xEnd = xStart + Math.floor(next() * 100000)
+            const yEnd = yStart + Math.floor(next() * 100000)
+            expect(sorted(index.query(xStart, xEnd, yStart, yEnd))).toEqual(bruteForce(entries, xStart, xEnd, yStart, yEnd))
+        }
+    })
+
+    test('counts a rectangle touching the query at an edge', () => {
+        const index = new FeatureIndex([ { xStart: 10, xEnd: 20, yStart: 30, yEnd: 40, item: 'a' } ])
+        expect(index.query(20, 25, 0, 30)).toEqual([ 'a' ])
+        expect(index.query(21, 25, 0, 30)).toEqual([])
+    })
+
+    test('answers nothing when empty', () => {
+        const index = new FeatureIndex([])
+        expect(index.size).toBe(0)
+        expect(index.query(0, Infinity, 0, Infinity)).toEqual([])
+    })
+})
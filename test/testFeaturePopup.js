@@ -0,0 +1,39 @@
+import { describe, test, expect } from 'vitest'
+import { featureAt, featureRows } from '../js/featurePopup.js'
+
+/**
+ * Which 2D feature a popup describes, and what it says about it. Outlines are
+ * in view pixels, as featureOutlines gives them.
+ */
+
+const domain = {feature: 'domain', left: 0, right: 100, top: 0, bottom: 100}
+const loop = {feature: 'loop', left: 40, right: 50, top: 40, bottom: 50}
+
+describe('featureAt', () => {
+
+    test('a click answers for the smallest outline holding the point', () => {
+        expect(featureAt([domain, loop], 45, 45).feature).toBe('loop')
+        expect(featureAt([loop, domain], 70, 70).feature).toBe('domain')
+    })
+
+    test('a hover answers only on an outline\'s edge', () => {
+        expect(featureAt([domain], 70, 70, {edgesOnly: true})).toBeUndefined()
+        expect(featureAt([domain], 98, 70, {edgesOnly: true}).feature).toBe('domain')
+    })
+})
+
+describe('featureRows', () => {
+
+    test('lists the loci, one-based, then the file\'s columns in order', () => {
+        const feature = {
+            chr1: 'chr1', x1: 1000, x2: 2000, chr2: 'chr1', y1: 5000, y2: 6000,
+            attributes: {o: '52.0', fdr_bl: '1.2E-10'}
+        }
+        expect(featureRows(feature)).toEqual([
+            ['Locus 1', 'chr1:1,001-2,000'],
+            ['Locus 2', 'chr1:5,001-6,000'],
+            ['o', '52.0'],
+            ['fdr_bl', '1.2E-10']
+        ])
+    })
+})
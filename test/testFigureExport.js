@@ -0,0 +1,112 @@
+import {describe, it, expect} from 'vitest'
+import exportFigure, {figureLayout, legendColor, legendLabels, withResolution} from '../js/figureExport.js'
+import ColorScale from '../js/colorScale.js'
+import RatioColorScale from '../js/ratioColorScale.js'
+import DiffColorScale from '../js/diffColorScale.js'
+
+/**
+ * The parts of a figure that can be checked without a canvas: where things go,
+ * what the legend says, and the resolution written into a PNG.
+ */
+
+describe('figureLayout', () => {
+
+    it('puts the ruler against the map and the legend under it', () => {
+        const layout = figureLayout({mapWidth: 400, mapHeight: 300})
+        const {map, xRuler, yRuler, legend} = layout
+
+        expect(xRuler.y + xRuler.height).toBe(map.y)
+        expect(xRuler.width).toBe(map.width)
+        expect(yRuler.x + yRuler.width).toBe(map.x)
+        expect(yRuler.height).toBe(map.height)
+        expect(legend.x).toBe(map.x)
+        expect(legend.y).toBeGreaterThan(map.y + map.height)
+        expect(layout.width).toBeGreaterThan(map.x + map.width)
+        expect(layout.height).toBeGreaterThan(legend.y + legend.height)
+    })
+
+    it('stacks track pairs outward from the ruler, the first outermost', () => {
+        const {map, xRuler, yRuler, xTracks, yTracks} = figureLayout({mapWidth: 400, mapHeight: 300, trackHeights: [20, 30]})
+
+        expect(xTracks.map(t => t.height)).toEqual([20, 30])
+        expect(xTracks[0].y + 20).toBe(xTracks[1].y)
+        expect(xTracks[1].y + 30).toBe(xRuler.y)
+        expect(xTracks.every(t => t.x === map.x && t.width === map.width)).toBe(true)
+
+        expect(yTracks.map(t => t.width)).toEqual([20, 30])
+        expect(yTracks[1].x + 30).toBe(yRuler.x)
+        expect(yTracks.every(t => t.y === map.y && t.height === map.height)).toBe(true)
+    })
+
+    it('keeps the legend no wider than the map', () => {
+        expect(figureLayout({mapWidth: 100, mapHeight: 100}).legend.width).toBe(100)
+    })
+})
+
+describe('legend', () => {
+
+    it('runs a color scale from 0 to its threshold', () => {
+        const scale = new ColorScale({threshold: 2000, r: 255, g: 0, b: 0})
+        expect(legendLabels(scale)).toEqual(['0', '2000'])
+        expect(legendColor(scale, 0).alpha).toBe(0)
+        expect(legendColor(scale, 1).alpha).toBe(255)
+    })
+
+    it('reads a ratio scale from 1/threshold through 1', () => {
+        expect(legendLabels(new RatioColorScale(5))).toEqual(['0.2', '1', '5'])
+    })
+
+    it('reads a difference scale from -threshold through 0', () => {
+        expect(legendLabels(new DiffColorScale(50))).toEqual(['-50', '0', '50'])
+    })
+
+    it('paints a signed scale neutral in the middle and a side toward each end', () => {
+        const scale = new DiffColorScale(50)
+        const color = ({red, green, blue}) => ({r: red, g: green, b: blue})
+
+        expect(legendColor(scale, 0.5).alpha).toBe(0)
+        expect(color(legendColor(scale, 0))).toEqual(color(scale.negativeScale.getColor(1)))
+        expect(color(legendColor(scale, 1))).toEqual(color(scale.positiveScale.getColor(1)))
+        expect(legendColor(scale, 1).alpha).toBe(255)
+    })
+})
+
+describe('withResolution', () => {
+
+    const png = () => {
+        const bytes = new Uint8Array(8 + 25 + 12)
+        bytes.set([0x89, 0x50, 0x4e, 0x47], 0)
+        bytes.set([0x49, 0x44, 0x41, 0x54], 8 + 25 + 4)
+        return bytes
+    }
+
+    it('inserts a pHYs chunk straight after the header', () => {
+        const result = withResolution(png(), 300)
+        const view = new DataView(result.buffer)
+
+        expect(result.length).toBe(png().length + 21)
+        expect(view.getUint32(33)).toBe(9)
+        expect(String.fromCharCode(...result.subarray(37, 41))).toBe('pHYs')
+        // 300 dpi is 11811 pixels to the meter.
+        expect(view.getUint32(41)).toBe(11811)
+        expect(view.getUint32(45)).toBe(11811)
+        expect(result[49]).toBe(1)
+        expect(String.fromCharCode(...result.subarray(54 + 4, 54 + 8))).toBe('IDAT')
+    })
+
+    it('checksums the chunk as PNG readers expect', () => {
+        const view = new DataView(withResolution(png(), 300).buffer)
+        expect(view.getUint32(50)).toBe(0x78a53f76)
+    })
+})
+
+describe('exportFigure', () => {
+
+    it('refuses a format it cannot write', async () => {
+        await expect(exportFigure({}, {format: 'jpeg'})).rejects.toThrow('Unknown figure format "jpeg": expected one of png, svg')
+    })
+
+    it('refuses a browser with no map', async () => {
+        await expect(exportFigure({dataset: undefined, state: undefined})).rejects.toThrow('There is no contact map to export')
+    })
+})
@@ -0,0 +1,138 @@
+import {describe, it, expect} from 'vitest'
+import FragmentSites from '../js/fragmentSites.js'
+import Dataset from '../js/dataset.js'
+
+/**
+ * The restriction sites of a .hic file, read from a header written here byte
+ * by byte as juicer writes it: chr1 of 1000 bp cut at 100, 400 and 1000, and
+ * chr2 of 500 bp cut at 250 and 500.
+ */
+
+const CHROMOSOMES = [['All', 1], ['chr1', 1000], ['chr2', 500]]
+const SITES = {chr1: [100, 400, 1000], chr2: [250, 500]}
+
+function header(version, {fragResolutions = [1, 2], attributes = {software: 'juicer'}} = {}) {
+
+    const bytes = []
+    const int = value => {
+        const buffer = new ArrayBuffer(4)
+        new DataView(buffer).setInt32(0, value, true)
+        bytes.push(...new Uint8Array(buffer))
+    }
+    const long = value => {
+        int(value)
+        int(0)
+    }
+    const string = value => bytes.push(...new TextEncoder().encode(value), 0)
+
+    string('HIC')
+    int(version)
+    long(0)                                          // footer position, unread here
+
+    string('test')
+    if (version >= 9) {
+        long(0)
+        long(0)
+    }
+    int(Object.keys(attributes).length)
+    for (const [key, value] of Object.entries(attributes)) {
+        string(key)
+        string(value)
+    }
+    int(CHROMOSOMES.length)
+    for (const [name, size] of CHROMOSOMES) {
+        string(name)
+        version < 9 ? int(size) : long(size)
+    }
+    int(2)
+    int(1000)
+    int(100)
+    int(fragResolutions.length)
+    fragResolutions.forEach(int)
+    if (fragResolutions.length > 0) {
+        for (const name of ['chr1', 'chr2']) {
+            int(SITES[name].length)
+            SITES[name].forEach(int)
+        }
+    }
+
+    const buffer = new Uint8Array(bytes).buffer
+    return {
+        version,
+        masterIndex: {'1_1': {start: buffer.byteLength, size: 0}},
+        file: {read: async (position, length) => buffer.slice(position, position + length)}
+    }
+}
+
+describe('FragmentSites', () => {
+
+    for (const version of [8, 9]) {
+        it(`reads each chromosome's sites from a version ${version} header`, async () => {
+            const sites = await FragmentSites.read(header(version))
+            expect(Array.from(sites.sites.get('chr1'))).toEqual(SITES.chr1)
+            expect(Array.from(sites.sites.get('chr2'))).toEqual(SITES.chr2)
+            expect(sites.has('All')).toBe(false)
+            expect(sites.count('chr1')).toBe(3)
+        })
+    }
+
+    it('reads none from a file without fragment resolutions', async () => {
+        const sites = await FragmentSites.read(header(8, {fragResolutions: []}))
+        expect(sites.has('chr1')).toBe(false)
+        expect(() => sites.count('chr1')).toThrow('No restriction sites for chromosome chr1')
+    })
+
+    it('places a fragment between the sites either side of it', async () => {
+        const sites = await FragmentSites.read(header(8))
+        expect(sites.toBP('chr1', 0)).toBe(0)
+        expect(sites.toBP('chr1', 0.5)).toBe(50)
+        expect(sites.toBP('chr1', 1)).toBe(100)
+        expect(sites.toBP('chr1', 1.5)).toBe(250)
+        expect(sites.toBP('chr1', 3)).toBe(1000)
+        expect(sites.toBP('chr1', 7)).toBe(1000)
+    })
+
+    it('finds the fragment a position falls in, the inverse of toBP', async () => {
+        const sites = await FragmentSites.read(header(8))
+        expect(sites.toFragment('chr1', 50)).toBe(0.5)
+        expect(sites.toFragment('chr1', 100)).toBe(1)
+        expect(sites.toFragment('chr1', 700)).toBe(2.5)
+        expect(sites.toFragment('chr1', 5000)).toBe(3)
+        for (const fragment of [0.25, 1.75, 2.1]) {
+            expect(sites.toFragment('chr1', sites.toBP('chr1', fragment))).toBeCloseTo(fragment)
+        }
+    })
+})
+
+describe('Dataset positions by unit', () => {
+
+    class FragmentDataset extends Dataset {
+        constructor(fragmentSites) {
+            super({})
+            this.chromosomes = CHROMOSOMES.map(([name, size], index) => ({index, name, size}))
+            this.bpResolutions = [1000, 100]
+            this.fragmentSites = fragmentSites
+        }
+    }
+
+    it('answers base pairs unconverted', () => {
+        const dataset = new FragmentDataset()
+        expect(dataset.getChromosomeLength(1, 'BP')).toBe(1000)
+        expect(dataset.toBP(1, 123)).toBe(123)
+        expect(dataset.fromBP(1, 123, 'BP')).toBe(123)
+        expect(dataset.getResolutions('BP')).toEqual([1000, 100])
+        expect(dataset.getResolutions('FRAG')).toEqual([])
+    })
+
+    it('converts fragments through the sites', async () => {
+        const dataset = new FragmentDataset(await FragmentSites.read(header(9)))
+        expect(dataset.getChromosomeLength(2, 'FRAG')).toBe(2)
+        expect(dataset.toBP(1, 1.5, 'FRAG')).toBe(250)
+        expect(dataset.fromBP(1, 250, 'FRAG')).toBe(1.5)
+    })
+
+    it('refuses fragments before the sites are loaded', () => {
+        const dataset = new FragmentDataset()
+        expect(() => dataset.toBP(1, 1, 'FRAG')).toThrow(/await loadFragmentSites\(\) first/)
+    })
+})
@@ -0,0 +1,89 @@
+import {describe, it, expect, beforeAll} from 'vitest'
+import path from 'path'
+import {HiCDataset} from '../js/hicDataset.js'
+import ExpectedValueReader from '../js/hicExpectedValues.js'
+import {expectedVector} from '../js/imageTileCore.js'
+import {createFile} from './utils/File.js'
+
+/**
+ * Expected values read off a .hic file's footer, which hic-straw skips. The
+ * fixture, test/data/hic/test.hic, is written by makeTestHic.js beside it: a
+ * version 8 map of chr1 and chr2 at 10 and 1 kb, with expected values for NONE
+ * and KR at both.
+ */
+
+const fixture = path.resolve(__dirname, 'data/hic/test.hic')
+
+describe('HiCDataset expected values', () => {
+
+    let dataset
+
+    beforeAll(async () => {
+        dataset = await HiCDataset.loadDataset({url: createFile(fixture), name: 'test'})
+    })
+
+    it('reads the file the expected values sit in the footer of', async () => {
+        expect(dataset.bpResolutions).toEqual([10000, 1000])
+        const chr1 = {chr: 'chr1', start: 0, end: 25000}
+        const records = await dataset.getContactRecords('NONE', chr1, chr1, 'BP', 1000)
+        expect(records.map(({bin1, bin2, counts}) => [bin1, bin2, counts])).toEqual([[1, 2, 2], [1, 15, 1], [3, 3, 4], [20, 24, 1]])
+    })
+
+    it('reads NONE from the expected section, with each chromosome\'s scale factor', async () => {
+        const expected = await dataset.getExpectedValues('NONE', 'BP', 1000)
+        expect(expected).toMatchObject({normalization: 'NONE', unit: 'BP', binSize: 1000, normFactors: {1: 1.5, 2: 0.5}})
+        expect(Array.from(expected.values)).toEqual([4, 2, 1, 0.5])
+        expect(Array.from(expectedVector(expected, 2))).toEqual([8, 4, 2, 1])
+    })
+
+    it('reads a normalization from the normalized expected section', async () => {
+        const expected = await dataset.getExpectedValues('KR', 'BP', 10000)
+        expect(Array.from(expected.values)).toEqual([2.5, 0.75])
+        expect(expected.normFactors).toEqual({1: 1})
+    })
+
+    it('answers undefined for a vector the file was written without', async () => {
+        expect(await dataset.getExpectedValues('VC', 'BP', 1000)).toBeUndefined()
+        expect(await dataset.getExpectedValues('NONE', 'FRAG', 1)).toBeUndefined()
+    })
+
+    it('still finds the norm vectors past the expected values', async () => {
+        expect(await dataset.hasNormalizationVector('KR', 'chr1', 'BP', 1000)).toBeTruthy()
+    })
+})
+
+describe('ExpectedValueReader', () => {
+
+    it('reads version 9\'s long counts and float values', async () => {
+        const bytes = []
+        const push = (method, size, value) => {
+            const buffer = Buffer.alloc(size)
+            buffer[method](value)
+            bytes.push(buffer)
+        }
+        bytes.push(Buffer.from('HIC\0'))
+        push('writeInt32LE', 4, 9)
+        push('writeBigInt64LE', 8, 16n)
+        push('writeBigInt64LE', 8, BigInt(4 + 4 + 3 + 4 + 8 + 8 + 4 + 4 + 4))    // nBytes
+        push('writeInt32LE', 4, 0)      // no matrices
+        push('writeInt32LE', 4, 1)
+        bytes.push(Buffer.from('BP\0'))
+        push('writeInt32LE', 4, 5000)
+        push('writeBigInt64LE', 8, 2n)
+        push('writeFloatLE', 4, 1.5)
+        push('writeFloatLE', 4, 0.25)
+        push('writeInt32LE', 4, 1)
+        push('writeInt32LE', 4, 3)
+        push('writeFloatLE', 4, 2)
+        push('writeInt32LE', 4, 0)      // no normalized expected values
+
+        const buffer = Buffer.concat(bytes)
+        const reader = new ExpectedValueReader({
+            read: async (position, length) => buffer.buffer.slice(buffer.byteOffset + position, buffer.byteOffset + Math.min(position + length, buffer.length))
+        })
+
+        const expected = await reader.getExpectedValues('NONE', 'BP', 5000)
+        expect(Array.from(expected.values)).toEqual([1.5, 0.25])
+        expect(expected.normFactors).toEqual({3: 2})
+    })
+})
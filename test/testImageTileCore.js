@@ -3,12 +3,21 @@ import {
     tileKey,
     colorScaleKey,
     tileGrid,
+    leadingTiles,
+    zoomedTileGrid,
+    coarserTileRegion,
     bZoomIndex,
     resolveDisplayMode,
     computePercentile,
     autoThreshold,
+    expectedVector,
+    MAX_PEARSON_BINS,
+    pearsonMatrix,
+    pearsonRecords,
     indexControlRecords,
-    paintRecords
+    paintRecords,
+    packRecords,
+    unpackRecords
 } from '../js/imageTileCore.js'
 import DiffColorScale, {defaultDiffColorScaleConfig} from '../js/diffColorScale.js'
 
@@ -66,14 +75,13 @@ describe('tileKey', () => {
 
 describe('colorScaleKey', () => {
 
-    const state = {chr1: 1, chr2: 1, zoom: 4, normalization: 'KR'}
+    const state = {chr1: 1, chr2: 1, unit: 'BP', zoom: 4, normalization: 'KR'}
 
-    it('joins chromosome pair, zoom index, normalization and display mode', () => {
-        expect(colorScaleKey(state, 'A')).toBe('1_1_4_KR_A')
+    it('joins chromosome pair, unit, zoom index, normalization and display mode', () => {
+        expect(colorScaleKey(state, 'A')).toBe('1_1_BP_4_KR_A')
     })
 
     it('is coarser than tileKey -- shared across every tile in the view', () => {
-        expect(colorScaleKey(state, 'A')).not.toContain('BP')
         expect(colorScaleKey(state, 'A')).not.toContain('5000')
     })
 
@@ -81,6 +89,15 @@ describe('colorScaleKey', () => {
         expect(colorScaleKey({...state, zoom: 4}, 'A')).not.toBe(colorScaleKey({...state, zoom: 5}, 'A'))
     })
 
+    it('distinguishes states differing only by unit', () => {
+        expect(colorScaleKey(state, 'A')).not.toBe(colorScaleKey({...state, unit: 'FRAG'}, 'A'))
+    })
+
+    it('reads a state without a unit as base pairs', () => {
+        const {unit, ...withoutUnit} = state
+        expect(colorScaleKey(withoutUnit, 'A')).toBe(colorScaleKey(state, 'A'))
+    })
+
     it('distinguishes states differing only by display mode', () => {
         expect(colorScaleKey(state, 'A')).not.toBe(colorScaleKey(state, 'AOB'))
     })
@@ -147,6 +164,60 @@ describe('tileGrid', () => {
     })
 })
 
+describe('leadingTiles', () => {
+
+    const grid = {row1: 2, row2: 3, col1: 4, col2: 5}
+
+    it('takes the column past the right edge for a pan with positive dx', () => {
+        expect(leadingTiles(grid, {dx: 3, dy: 0})).toEqual([{row: 2, column: 6}, {row: 3, column: 6}])
+    })
+
+    it('takes the column before the left edge for a pan with negative dx', () => {
+        expect(leadingTiles(grid, {dx: -3, dy: 0}).map(t => t.column)).toEqual([3, 3])
+    })
+
+    it('takes rows from dy the same way', () => {
+        expect(leadingTiles(grid, {dx: 0, dy: 1})).toEqual([{row: 4, column: 4}, {row: 4, column: 5}])
+    })
+
+    it('adds the corner tile for a diagonal pan', () => {
+        const tiles = leadingTiles(grid, {dx: 1, dy: -1})
+        expect(tiles.length).toBe(5)
+        expect(tiles).toContainEqual({row: 1, column: 6})
+    })
+
+    it('is empty for a view at rest', () => {
+        expect(leadingTiles(grid, {dx: 0, dy: 0})).toEqual([])
+    })
+
+    it('drops tiles off the low edge of the matrix', () => {
+        expect(leadingTiles({row1: 0, row2: 0, col1: 0, col2: 0}, {dx: -1, dy: -1})).toEqual([])
+    })
+})
+
+describe('zoomedTileGrid', () => {
+
+    const TILE = 100
+    const view = {width: 100, height: 100}
+
+    it('centers the next resolution on the anchor', () => {
+        // Anchor at bin 250 on both axes at 2kb is bin 500 at 1kb; a 100-bin
+        // view centered there spans bins 450-550, tiles 4 and 5.
+        const grid = zoomedTileGrid({x: 200, y: 200, pixelSize: 1}, {x: 50, y: 50}, 2000, 1000, view, TILE)
+        expect(grid).toEqual({row1: 4, row2: 5, col1: 4, col2: 5})
+    })
+
+    it('shrinks the range when zooming out', () => {
+        const grid = zoomedTileGrid({x: 1000, y: 0, pixelSize: 1}, {x: 0, y: 0}, 1000, 2000, view, TILE)
+        expect([grid.col1, grid.row1]).toEqual([4, 0])
+    })
+
+    it('clamps at the origin', () => {
+        const grid = zoomedTileGrid({x: 0, y: 0, pixelSize: 1}, {x: 0, y: 0}, 2000, 1000, view, TILE)
+        expect([grid.row1, grid.col1]).toEqual([0, 0])
+    })
+})
+
 /**
  * Datasets stand in for HiCDataset. Only the two resolution-lookup methods are
  * exercised, and both are pure lookups over a bin-size array.
@@ -221,11 +292,95 @@ describe('resolveDisplayMode', () => {
         expect(zoom).toBe(1)
     })
 
+    it('OE renders the primary map alone, like A', () => {
+        expect(resolveDisplayMode(a, b, 2, 'OE')).toEqual(resolveDisplayMode(a, b, 2, 'A'))
+    })
+
+    it('BOE renders the control map alone, like B', () => {
+        expect(resolveDisplayMode(a, b, 2, 'BOE')).toEqual(resolveDisplayMode(a, b, 2, 'B'))
+    })
+
     it('an unrecognised display mode falls through to primary-only', () => {
         expect(resolveDisplayMode(a, b, 2, 'nonsense')).toEqual({ds: a, dsControl: null, zoom: 2, controlZoom: undefined})
     })
 })
 
+describe('expectedVector', () => {
+
+    it('divides the genome-wide vector by the chromosome\'s factor', () => {
+        const vector = expectedVector({values: [8, 4, 2], normFactors: {1: 2, 2: 4}}, 2)
+        expect(Array.from(vector)).toEqual([2, 1, 0.5])
+    })
+
+    it('uses the vector as is for a chromosome with no factor', () => {
+        expect(Array.from(expectedVector({values: [8, 4], normFactors: {}}, 3))).toEqual([8, 4])
+    })
+})
+
+describe('pearsonMatrix', () => {
+
+    const rec = (bin1, bin2, counts) => ({bin1, bin2, counts})
+    const flat = [1, 1, 1, 1]
+
+    it('correlates rows that rise and fall together, and anti-correlates opposed ones', () => {
+        // Symmetric 3x3 with rows 0 and 2 equal and row 1 their mirror.
+        const records = [rec(0, 0, 4), rec(0, 1, 1), rec(1, 1, 4), rec(0, 2, 4), rec(1, 2, 1), rec(2, 2, 4)]
+        const r = pearsonMatrix(records, flat, 3)
+        expect(r[0 * 3 + 2]).toBeCloseTo(1)
+        expect(r[0 * 3 + 1]).toBeCloseTo(-1)
+        expect(r[1 * 3 + 0]).toBe(r[0 * 3 + 1])
+    })
+
+    it('divides by the expected count before correlating', () => {
+        // Distance 0 expects 4 and everything else 1, so the observed rows
+        // [8, 1, 2], [1, 8, 1], [2, 1, 8] correlate as [2, 1, 2], [1, 2, 1], [2, 1, 2].
+        const observed = [rec(0, 0, 8), rec(0, 1, 1), rec(0, 2, 2), rec(1, 1, 8), rec(1, 2, 1), rec(2, 2, 8)]
+        const oe = [rec(0, 0, 2), rec(0, 1, 1), rec(0, 2, 2), rec(1, 1, 2), rec(1, 2, 1), rec(2, 2, 2)]
+        const r = Array.from(pearsonMatrix(observed, [4, 1, 1], 3))
+        Array.from(pearsonMatrix(oe, flat, 3)).forEach((value, i) => expect(r[i]).toBeCloseTo(value))
+        expect(r[0 * 3 + 2]).toBeCloseTo(1)
+    })
+
+    it('leaves a row with no variance uncorrelated', () => {
+        const r = pearsonMatrix([rec(0, 0, 4), rec(0, 1, 1)], flat, 3)
+        expect(Number.isNaN(r[2 * 3 + 0])).toBe(true)
+        expect(Number.isNaN(r[2 * 3 + 2])).toBe(true)
+    })
+
+    it('ignores records past the end of the chromosome', () => {
+        expect(() => pearsonMatrix([rec(0, 5, 1)], flat, 3)).not.toThrow()
+    })
+
+    it('is bounded to what a tab can compute at once', () => {
+        expect(MAX_PEARSON_BINS).toBeLessThanOrEqual(1000)
+    })
+})
+
+describe('pearsonRecords', () => {
+
+    const n = 4
+    const matrix = Float32Array.from({length: n * n}, (_, i) => i)
+
+    it('lays a tile below the diagonal out with bin1 along its column', () => {
+        const records = pearsonRecords(matrix, n, 1, 0, 2)
+        expect(records.map(r => [r.bin1, r.bin2])).toEqual([[0, 2], [0, 3], [1, 2], [1, 3]])
+        expect(records[0].counts).toBe(0 * n + 2)
+    })
+
+    it('swaps the axes above the diagonal, where paintRecords transposes', () => {
+        const records = pearsonRecords(matrix, n, 0, 1, 2)
+        expect(records.map(r => [r.bin1, r.bin2])).toEqual([[0, 2], [0, 3], [1, 2], [1, 3]])
+    })
+
+    it('stops at the end of the chromosome and skips NaN cells', () => {
+        const withGap = Float32Array.from(matrix)
+        withGap[0] = NaN
+        const records = pearsonRecords(withGap, n, 0, 0, 3)
+        expect(records.length).toBe(3 * 3 - 1)
+        expect(pearsonRecords(matrix, n, 2, 2, 3)).toEqual([])
+    })
+})
+
 const recordsWithCounts = (counts) => counts.map(c => ({counts: c}))
 
 describe('computePercentile', () => {
@@ -295,6 +450,25 @@ describe('autoThreshold', () => {
         // Guards against the x4 being applied to undefined and yielding NaN.
         expect(autoThreshold([], {isLive: false, isWholeGenome: true})).toBeUndefined()
     })
+
+    it('reads an absent transfer as linear', () => {
+        expect(autoThreshold(hicRecords, {isLive: false, isWholeGenome: false, transfer: 'linear'}))
+            .toBe(autoThreshold(hicRecords, {isLive: false, isWholeGenome: false}))
+    })
+
+    // The transfer lifts the weak scores itself; saturating the diagonal on top
+    // would flatten it for nothing.
+    it('spans nearly the whole range for any other transfer, unscaled at whole genome', () => {
+        for (const transfer of ['log', 'sqrt', 'gamma0.3']) {
+            expect(autoThreshold(hicRecords, {isLive: false, isWholeGenome: false, transfer})).toBe(100)
+            expect(autoThreshold(hicRecords, {isLive: false, isWholeGenome: true, transfer})).toBe(100)
+        }
+    })
+
+    it('still clamps a live map under another transfer', () => {
+        const frequencies = recordsWithCounts([0.5, 0.9, 1, 1, 1, 3])
+        expect(autoThreshold(frequencies, {isLive: true, isWholeGenome: false, transfer: 'log'})).toBe(1)
+    })
 })
 
 /**
@@ -556,4 +730,99 @@ describe('paintRecords', () => {
             expect(pixelAt(bufRatio, 1, 1)).not.toEqual(pixelAt(bufDiff, 1, 1))
         })
     })
+
+    describe('O/E modes', () => {
+
+        // The scale reads the ratio back as red x 10, so fractions survive.
+        const ratioScale = {getColor: (v) => ({red: v * 10, green: 0, blue: 0, alpha: 255})}
+
+        const plan = basePlan({
+            displayMode: 'OE',
+            sameChr: true,
+            expected: Float64Array.from([10, 4, 2]),
+            oeColorScale: ratioScale
+        })
+
+        it('divides each count by the expected count at its diagonal distance', () => {
+            const buf = pixelBuffer(10)
+            paintRecords(buf, [record(1, 1, 20), record(3, 2, 8)], {}, plan, 0, 0)
+            expect(pixelAt(buf, 1, 1)[0]).toBe(20)      // 20 / 10 at distance 0
+            expect(pixelAt(buf, 3, 2)[0]).toBe(20)      // 8 / 4 at distance 1
+        })
+
+        it('holds the last expected count past the end of the vector', () => {
+            const buf = pixelBuffer(10)
+            paintRecords(buf, [record(9, 1, 4)], {}, plan, 0, 0)
+            expect(pixelAt(buf, 9, 1)[0]).toBe(20)      // 4 / 2
+        })
+
+        it('divides by the map average across two chromosomes', () => {
+            const buf = pixelBuffer(10)
+            paintRecords(buf, [record(1, 2, 6)], {}, {...plan, sameChr: false, expected: undefined, averageCount: 3}, 0, 0)
+            expect(pixelAt(buf, 1, 2)[0]).toBe(20)
+        })
+
+        it('skips a record whose expected count is zero', () => {
+            const buf = pixelBuffer(10)
+            const zero = {...plan, expected: Float64Array.from([0])}
+            expect(paintRecords(buf, [record(1, 1, 5)], {}, zero, 0, 0)).toBe(0)
+        })
+
+        it('paints a Pearson record\'s correlation through the Pearson scale', () => {
+            const buf = pixelBuffer(10)
+            const pearsonPlan = basePlan({displayMode: 'PEARSON', sameChr: true, pearsonColorScale: ratioScale})
+            paintRecords(buf, [record(2, 1, -0.5)], {}, pearsonPlan, 0, 0)
+            expect(pixelAt(buf, 2, 1)[0]).toBe(0)       // -5, clamped by the buffer
+            expect(pixelAt(buf, 1, 2)[3]).toBe(255)     // mirrored on the diagonal tile
+        })
+
+        it('paints BOE the same way, from the map it was handed', () => {
+            const buf = pixelBuffer(10)
+            paintRecords(buf, [record(1, 1, 20)], {}, {...plan, displayMode: 'BOE'}, 0, 0)
+            expect(pixelAt(buf, 1, 1)[0]).toBe(20)
+        })
+    })
+})
+
+describe('packRecords / unpackRecords', () => {
+
+    it('round-trips bins and counts, fractional counts included', () => {
+        const records = [record(3, 4, 0.25), record(10, 2, 1234)]
+        const out = unpackRecords(packRecords(records))
+        expect(out.map(r => [r.bin1, r.bin2, r.counts])).toEqual([[3, 4, 0.25], [10, 2, 1234]])
+    })
+
+    it('keys unpacked records the way hic-straw does, so control lookup still matches', () => {
+        const [rec] = unpackRecords(packRecords([record(3, 4, 1)]))
+        expect(rec.getKey()).toBe(record(3, 4, 1).getKey())
+    })
+
+    it('packs nothing for a mode with no control records', () => {
+        expect(packRecords(undefined)).toBeUndefined()
+        expect(unpackRecords(undefined)).toEqual([])
+    })
+})
+
+describe('coarserTileRegion', () => {
+
+    it('locates a fine tile inside the coarse tile covering it', () => {
+        // 2:1 -- fine tile (1, 3) is the lower-right quarter of coarse tile (0, 1)
+        expect(coarserTileRegion(1, 3, 100, 1000, 2000))
+            .toEqual({row: 0, column: 1, x: 50, y: 50, width: 50, height: 50})
+    })
+
+    it('maps tile (0, 0) onto the origin of coarse tile (0, 0)', () => {
+        expect(coarserTileRegion(0, 0, 100, 5000, 50000))
+            .toEqual({row: 0, column: 0, x: 0, y: 0, width: 10, height: 10})
+    })
+
+    it('refuses a fine tile straddling two coarse ones', () => {
+        // 25kb over 10kb is 2.5: fine column 2 spans coarse bins 80..120
+        expect(coarserTileRegion(0, 2, 100, 10000, 25000)).toBeUndefined()
+    })
+
+    it('accepts a non-integer ratio where the tile happens to fit', () => {
+        expect(coarserTileRegion(0, 1, 100, 10000, 25000))
+            .toEqual({row: 0, column: 0, x: 40, y: 0, width: 40, height: 40})
+    })
 })
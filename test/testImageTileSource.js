@@ -1,5 +1,6 @@
 import {describe, it, expect} from 'vitest'
 import ImageTileSource from '../js/imageTileSource.js'
+import TileCache from '../js/tileCache.js'
 
 /**
  * ImageTileSource is exercised end to end with plain-object fakes. Nothing here
@@ -37,9 +38,20 @@ const stubTile = (dimension) => {
     }
 }
 
-const zoomData = ({binSize = 1000, unit = 'BP', chr1Index = 1, chr2Index = 1, averageCount = 1} = {}) => ({
-    chr1: {name: 'chr1', index: chr1Index},
-    chr2: {name: chr1Index === chr2Index ? 'chr1' : 'chr2', index: chr2Index},
+// Stub tiles with an ImageBitmap's close(), recorded.
+const closingTiles = () => {
+    const closed = []
+    const createTile = (dimension) => {
+        const tile = stubTile(dimension)
+        tile.close = () => closed.push(tile)
+        return tile
+    }
+    return {closed, createTile}
+}
+
+const zoomData = ({binSize = 1000, unit = 'BP', chr1Index = 1, chr2Index = 1, averageCount = 1, size = 20000} = {}) => ({
+    chr1: {name: 'chr1', index: chr1Index, size},
+    chr2: {name: chr1Index === chr2Index ? 'chr1' : 'chr2', index: chr2Index, size},
     zoom: {binSize, unit},
     averageCount
 })
@@ -53,20 +65,28 @@ const dataset = ({
                      resolutions = [1000],
                      normalizations = ['NONE', 'KR'],
                      isLive = false,
-                     zd = zoomData()
+                     zd = zoomData(),
+                     zoomDataAt = () => zd,
+                     expectedValues
                  } = {}) => {
     const calls = []
+    const expectedCalls = []
     return {
         isLive,
         calls,
+        expectedCalls,
         bpResolutions: resolutions,
         getBinSizeForZoomIndex: (i) => resolutions[i],
         getZoomIndexForBinSize: (b) => resolutions.indexOf(b),
         hasNormalizationVector: (norm) => normalizations.includes(norm),
-        getMatrix: async () => ({getZoomDataByIndex: () => zd}),
+        getMatrix: async () => ({getZoomDataByIndex: (i) => zoomDataAt(i)}),
         getContactRecords: async (norm, r1, r2, unit, binSize, forScale) => {
             calls.push({norm, r1, r2, unit, binSize, forScale: !!forScale})
             return records
+        },
+        getExpectedValues: async (norm, unit, binSize) => {
+            expectedCalls.push({norm, unit, binSize})
+            return expectedValues
         }
     }
 }
@@ -83,6 +103,11 @@ const scale = (red = 1) => ({
     getColor: () => ({red, green: 0, blue: 0, alpha: 255})
 })
 
+// A cache holding `tiles` of the stub tiles above, which are TILE square.
+const TILE_BYTES = TILE * TILE * 4
+const cacheOf = (tiles) => new TileCache({budget: tiles * TILE_BYTES})
+const cachedKeys = (source) => Array.from(source.tileCache.entries.values(), entry => entry.key)
+
 // The source issues two kinds of fetch: one scale-only probe per threshold
 // computation, and one per uncached tile. Most assertions care about the tiles.
 const tileFetches = (ds) => ds.calls.filter(c => !c.forScale).length
@@ -225,10 +250,10 @@ describe('ImageTileSource caching', () => {
         expect(tileFetches(ds)).toBe(8)
     })
 
-    it('evicts the oldest tile once the retained count is exceeded', async () => {
+    it('evicts the least recently used tile once the budget is exceeded', async () => {
         const ds = dataset({records: [record(0, 0, 5)]})
-        // One tile per pass, retaining two.
-        const source = makeSource({cacheLimit: 2})
+        // One tile per pass, room for two.
+        const source = makeSource({tileCache: cacheOf(2)})
         const oneTile = {width: 1, height: 1}
 
         for (const x of [0, TILE, TILE * 2]) {
@@ -237,15 +262,33 @@ describe('ImageTileSource caching', () => {
             })))
         }
 
-        expect(source.cacheKeys.length).toBe(2)
-        expect(Object.keys(source.cache).length).toBe(2)
+        expect(source.tileCache.stats()).toMatchObject({tiles: 2, bytes: 2 * TILE_BYTES, evictions: 1})
+        expect(cachedKeys(source).some(k => k.includes('_0_0_'))).toBe(false)
     })
 
-    it('keeps cache and cacheKeys in step', async () => {
-        // The original eviction shifted cacheKeys but never pushed to it, so the
-        // two structures diverged and the cache grew without bound.
+    it('refreshes a tile\'s recency when it is served from cache', async () => {
         const ds = dataset({records: [record(0, 0, 5)]})
-        const source = makeSource({cacheLimit: 2})
+        const source = makeSource({tileCache: cacheOf(3)})
+        const oneTile = {width: 1, height: 1}
+        const at = (x) => collect(source.tilesFor(request({dataset: ds, state: state({x}), viewDimensions: oneTile})))
+
+        // Column 0 is the oldest tile, but a view of it makes it the newest.
+        await at(0)
+        await at(TILE)
+        await at(TILE * 2)
+        await at(0)
+        await at(TILE * 3)
+        await at(TILE * 4)
+
+        expect(cachedKeys(source).some(k => k.includes('_0_0_'))).toBe(true)
+        expect(cachedKeys(source).some(k => k.includes('_0_1_'))).toBe(false)
+    })
+
+    it('keeps its byte count in step with what it holds', async () => {
+        // The original FIFO shifted its key list but never pushed to it, so the
+        // list and the cache diverged and the cache grew without bound.
+        const ds = dataset({records: [record(0, 0, 5)]})
+        const source = makeSource({tileCache: cacheOf(2)})
         const oneTile = {width: 1, height: 1}
 
         for (const x of [0, TILE, TILE * 2, TILE * 3]) {
@@ -254,16 +297,16 @@ describe('ImageTileSource caching', () => {
             })))
         }
 
-        expect(source.cacheKeys.length).toBe(Object.keys(source.cache).length)
-        expect(source.cacheKeys.every(k => k in source.cache)).toBe(true)
+        const {tiles, bytes} = source.tileCache.stats()
+        expect(bytes).toBe(tiles * TILE_BYTES)
+        expect(tiles).toBe(2)
     })
 
     it('never evicts a tile the current view still needs', async () => {
-        // Regression guard. A 1000x1000 viewport can span 9 tiles and a
-        // 1920x1080 one 12, against a default limit of 8 -- honouring the limit
-        // literally would evict tiles mid-pass and refetch them every repaint.
+        // Regression guard. A budget too small for the view, honoured
+        // literally, would evict tiles mid-pass and refetch them every repaint.
         const ds = dataset({records: [record(0, 0, 5)]})
-        const source = makeSource({cacheLimit: 2})
+        const source = makeSource({tileCache: cacheOf(2)})
         const fourTiles = {width: TILE, height: TILE}   // 2x2 grid
 
         await collect(source.tilesFor(request({dataset: ds, viewDimensions: fourTiles})))
@@ -274,21 +317,34 @@ describe('ImageTileSource caching', () => {
         expect(tileFetches(ds)).toBe(4)      // second pass entirely cached
     })
 
-    it('caches nothing when the limit is zero', async () => {
+    it('caches nothing when the budget is zero', async () => {
         const ds = dataset({records: [record(0, 0, 5)]})
-        const source = makeSource({cacheLimit: 0})
+        const source = makeSource({tileCache: cacheOf(0)})
 
         await collect(source.tilesFor(request({dataset: ds})))
         await collect(source.tilesFor(request({dataset: ds})))
 
-        expect(source.cacheKeys.length).toBe(0)
+        expect(source.tileCache.stats().tiles).toBe(0)
         expect(tileFetches(ds)).toBe(8)      // every pass refetches
     })
 
+    it('closes each tile once painted when the budget is zero', async () => {
+        const {closed, createTile} = closingTiles()
+        const source = makeSource({tileCache: cacheOf(0), createTile})
+
+        // Open while the consumer holds it; closed once it asks for the next.
+        const open = []
+        for await (const tile of source.tilesFor(request())) {
+            open.push(!closed.includes(tile.image))
+        }
+        expect(open).toEqual([true, true, true, true])
+        expect(closed.length).toBe(4)
+    })
+
     it('retains two screenfuls, so A/B cycling stays cached', async () => {
         const primary = dataset({records: [record(0, 0, 5)]})
         const control = dataset({records: [record(0, 0, 9)]})
-        const source = makeSource({cacheLimit: 2})
+        const source = makeSource({tileCache: cacheOf(2)})
         const fourTiles = {width: TILE, height: TILE}
 
         const pass = (displayMode) => collect(source.tilesFor(request({
@@ -346,6 +402,16 @@ describe('ImageTileSource normalization fallback', () => {
         expect(s.normalization).toBe('KR')
     })
 
+    it('awaits a dataset that answers for its vectors asynchronously, as a .hic file does', async () => {
+        const observer = recordingObserver()
+        const ds = dataset({normalizations: ['NONE']})
+        ds.hasNormalizationVector = async () => false
+        await collect(makeSource({observer}).tilesFor(request({dataset: ds, state: state({normalization: 'KR'})})))
+
+        expect(observer.seen.fallbacks).toEqual([['KR', 'NONE']])
+        expect(ds.calls.every(c => c.norm === 'NONE')).toBe(true)
+    })
+
     it('does not consult the dataset when normalization is already NONE', async () => {
         let asked = false
         const ds = dataset()
@@ -425,6 +491,15 @@ describe('ImageTileSource automatic color scale', () => {
         expect(observer.seen.scales[0].threshold).toBeCloseTo(0.076)
     })
 
+    it('spans the range for a scale whose transfer is not linear, and keeps the transfer', async () => {
+        const observer = recordingObserver()
+        const ds = dataset({records: manyRecords})
+        await collect(makeSource({observer, colorScale: {...scale(), transfer: 'log'}}).tilesFor(request({dataset: ds})))
+
+        expect(observer.seen.scales[0].threshold).toBe(100)   // 99.9th percentile
+        expect(observer.seen.scales[0].getTransfer()).toBe('log')
+    })
+
     it('emits no color scale change when no threshold can be computed', async () => {
         const observer = recordingObserver()
         await collect(makeSource({observer}).tilesFor(request()))
@@ -527,3 +602,500 @@ describe('ImageTileSource display modes', () => {
         expect(primary.calls.length).toBeGreaterThan(afterA)
     })
 })
+
+describe('ImageTileSource O/E', () => {
+
+    const oneTile = {width: 1, height: 1}
+
+    // Reads the ratio back as red x 10.
+    const oeColorScale = {getColor: (v) => ({red: v * 10, green: 0, blue: 0, alpha: 255})}
+
+    const oe = (over = {}) => request({displayMode: 'OE', viewDimensions: oneTile, ...over})
+
+    it('divides by the expected count for the chromosome on view', async () => {
+        const ds = dataset({records: [record(1, 1, 20)], expectedValues: {values: [20], normFactors: {1: 2}}})
+        const [tile] = await collect(makeSource({oeColorScale}).tilesFor(oe({dataset: ds})))
+
+        const i = (1 + 1 * TILE) * 4
+        expect(tile.image.buf.data[i]).toBe(20)      // 20 / (20 / 2)
+        expect(ds.expectedCalls).toEqual([{norm: 'NONE', unit: 'BP', binSize: 1000}])
+    })
+
+    it('reads expected values once per chromosome and resolution', async () => {
+        const ds = dataset({expectedValues: {values: [1], normFactors: {}}})
+        const source = makeSource({oeColorScale})
+        await collect(source.tilesFor(oe({dataset: ds})))
+        await collect(source.tilesFor(oe({dataset: ds, state: state({x: TILE})})))
+        expect(ds.expectedCalls.length).toBe(1)
+    })
+
+    it('needs no expected values across two chromosomes', async () => {
+        const ds = dataset({zd: zoomData({chr2Index: 2})})
+        const tiles = await collect(makeSource({oeColorScale}).tilesFor(oe({dataset: ds})))
+        expect(ds.expectedCalls).toEqual([])
+        expect(tiles[0].image).toBeDefined()
+    })
+
+    it('leaves the threshold alone -- the O/E scale is user-driven', async () => {
+        const ds = dataset({records: [record(0, 0, 5)], expectedValues: {values: [1], normFactors: {}}})
+        await collect(makeSource({oeColorScale}).tilesFor(oe({dataset: ds})))
+        expect(scaleFetches(ds)).toBe(0)
+    })
+
+    it('renders and reports the observed map when the dataset carries no expected values', async () => {
+        const observer = recordingObserver()
+        const fallbacks = []
+        observer.displayModeUnavailable = (requested, effective) => fallbacks.push([requested, effective])
+        const source = makeSource({oeColorScale, observer})
+
+        await collect(source.tilesFor(oe({dataset: dataset()})))
+
+        expect(fallbacks).toEqual([['OE', 'A']])
+        expect(cachedKeys(source).every(key => key.endsWith('_A'))).toBe(true)
+    })
+
+    it('falls back to B for the control map', async () => {
+        const fallbacks = []
+        const source = makeSource({oeColorScale, observer: {displayModeUnavailable: (r, e) => fallbacks.push([r, e])}})
+        await collect(source.tilesFor(oe({dataset: dataset(), controlDataset: dataset(), displayMode: 'BOE'})))
+        expect(fallbacks).toEqual([['BOE', 'B']])
+    })
+
+    it('selects the O/E scale for both O/E modes', () => {
+        const source = makeSource({oeColorScale})
+        expect(source.getColorScale('OE')).toBe(oeColorScale)
+        expect(source.getColorScale('BOE')).toBe(oeColorScale)
+    })
+})
+
+describe('ImageTileSource Pearson', () => {
+
+    const oneTile = {width: 1, height: 1}
+
+    // Reads a correlation back as red 100 + 100r, so both signs survive.
+    const pearsonColorScale = {getColor: (r) => ({red: 100 + 100 * r, green: 0, blue: 0, alpha: 255})}
+
+    // Two rows proportional to each other, one anti-proportional.
+    const checkerboard = [record(0, 0, 4), record(0, 1, 1), record(1, 1, 4), record(0, 2, 4), record(1, 2, 1), record(2, 2, 4)]
+
+    const pearson = (over = {}) => request({displayMode: 'PEARSON', viewDimensions: oneTile, ...over})
+
+    const refusals = () => {
+        const seen = []
+        return {seen, displayModeUnavailable: (...args) => seen.push(args)}
+    }
+
+    it('fetches the whole chromosome once and cuts every tile from it', async () => {
+        const ds = dataset({
+            records: checkerboard,
+            zd: zoomData({size: 3000}),
+            expectedValues: {values: [1], normFactors: {}}
+        })
+        const source = makeSource({pearsonColorScale})
+
+        const [tile] = await collect(source.tilesFor(pearson({dataset: ds})))
+        await collect(source.tilesFor(pearson({dataset: ds, state: state({x: TILE})})))
+
+        expect(ds.calls.map(c => [c.r1.start, c.r1.end])).toEqual([[0, 3000]])
+        const red = (x, y) => tile.image.buf.data[(x + y * TILE) * 4]
+        expect(red(0, 2)).toBe(200)     // rows 0 and 2 correlate perfectly
+        expect(red(0, 1)).toBe(0)       // rows 0 and 1 anti-correlate
+    })
+
+    it('leaves the threshold alone', async () => {
+        const ds = dataset({records: checkerboard, zd: zoomData({size: 3000}), expectedValues: {values: [1], normFactors: {}}})
+        await collect(makeSource({pearsonColorScale}).tilesFor(pearson({dataset: ds})))
+        expect(scaleFetches(ds)).toBe(0)
+    })
+
+    it('refuses a resolution too fine to afford, naming one that is not', async () => {
+        const observer = refusals()
+        const ds = dataset({
+            resolutions: [500000, 100000, 1000],
+            zd: zoomData({binSize: 1000, size: 200000000}),
+            expectedValues: {values: [1], normFactors: {}}
+        })
+        const source = makeSource({pearsonColorScale, observer})
+
+        await collect(source.tilesFor(pearson({dataset: ds})))
+
+        expect(observer.seen).toEqual([['PEARSON', 'A', 'Pearson correlation of chr1 needs a resolution of 500 kb or coarser']])
+        expect(ds.calls.every(c => c.r1.end - c.r1.start < 200000000)).toBe(true)
+        expect(cachedKeys(source).every(key => key.endsWith('_A'))).toBe(true)
+    })
+
+    it('refuses a view across two chromosomes', async () => {
+        const observer = refusals()
+        const ds = dataset({zd: zoomData({chr2Index: 2}), expectedValues: {values: [1], normFactors: {}}})
+        await collect(makeSource({pearsonColorScale, observer}).tilesFor(pearson({dataset: ds})))
+        expect(observer.seen.map(([requested, effective]) => [requested, effective])).toEqual([['PEARSON', 'A']])
+    })
+
+    it('refuses a map without expected values', async () => {
+        const observer = refusals()
+        await collect(makeSource({pearsonColorScale, observer}).tilesFor(pearson({dataset: dataset()})))
+        expect(observer.seen[0][2]).toMatch(/expected values/)
+    })
+
+    it('is never prefetched', async () => {
+        const ds = dataset({records: checkerboard, zd: zoomData({size: 3000}), expectedValues: {values: [1], normFactors: {}}})
+        const source = makeSource({pearsonColorScale})
+        await source.prefetch({...pearson({dataset: ds}), motion: {dx: 5, dy: 0}})
+        expect(ds.calls).toEqual([])
+    })
+})
+
+describe('ImageTileSource placeholders', () => {
+
+    // Two resolutions, coarsest first as a .hic file lists them. Zoom 0 is 2000
+    // bp bins, zoom 1 is 1000, so one coarse tile covers a 2x2 block of fine.
+    const ladder = (records = [record(0, 0, 5)]) => dataset({
+        records,
+        resolutions: [2000, 1000],
+        zoomDataAt: (i) => zoomData({binSize: [2000, 1000][i]})
+    })
+
+    const oneTile = {width: 1, height: 1}
+
+    it('stands a cached coarser tile in for an uncached one, before fetching it', async () => {
+        const ds = ladder()
+        const source = makeSource()
+        const coarse = await collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile})))
+
+        const it = source.tilesFor(request({
+            dataset: ds, viewDimensions: oneTile, state: state({zoom: 1, x: TILE, y: 0})
+        }))
+        const fetchesBefore = tileFetches(ds)
+        const {value: first} = await it.next()
+
+        expect(first.placeholder).toBe(true)
+        expect(first.image).toBe(coarse[0].image)
+        expect([first.row, first.column, first.binSize]).toEqual([0, 1, 1000])
+        expect(tileFetches(ds)).toBe(fetchesBefore)
+
+        const rest = await collect(it)
+        expect(rest.map(t => !!t.placeholder)).toEqual([false])
+    })
+
+    it('cuts out the part of the coarse tile covering the same region', async () => {
+        const ds = ladder()
+        const source = makeSource()
+        await collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile})))
+
+        const [placeholder] = await collect(source.tilesFor(request({
+            dataset: ds, viewDimensions: oneTile, state: state({zoom: 1, x: TILE, y: TILE})
+        })))
+
+        expect(placeholder.source).toEqual({x: TILE / 2, y: TILE / 2, width: TILE / 2, height: TILE / 2})
+    })
+
+    it('yields no placeholder when nothing coarser is cached', async () => {
+        const tiles = await collect(makeSource().tilesFor(request({
+            dataset: ladder(), viewDimensions: oneTile, state: state({zoom: 1})
+        })))
+        expect(tiles.some(t => t.placeholder)).toBe(false)
+    })
+
+    it('does not stand in a tile of another normalization', async () => {
+        const ds = ladder()
+        const source = makeSource()
+        await collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile})))
+
+        const tiles = await collect(source.tilesFor(request({
+            dataset: ds, viewDimensions: oneTile, state: state({zoom: 1, normalization: 'KR'})
+        })))
+        expect(tiles.some(t => t.placeholder)).toBe(false)
+    })
+
+    it('yields no placeholder for a tile that is already cached', async () => {
+        const ds = ladder()
+        const source = makeSource()
+        await collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile})))
+        await collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile, state: state({zoom: 1})})))
+
+        const tiles = await collect(source.tilesFor(request({
+            dataset: ds, viewDimensions: oneTile, state: state({zoom: 1})
+        })))
+        expect(tiles.length).toBe(1)
+        expect(tiles[0].placeholder).toBeUndefined()
+    })
+
+    it('answers an in-flight tile with a placeholder rather than the loading tile', async () => {
+        const ds = ladder()
+        const source = makeSource()
+        await collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile})))
+
+        // Hold the fine tile's fetch open so a second pass finds it in flight.
+        let release
+        const gate = new Promise(resolve => release = resolve)
+        const getContactRecords = ds.getContactRecords
+        ds.getContactRecords = async (...args) => {
+            if (!args[5]) await gate
+            return getContactRecords(...args)
+        }
+
+        const fine = request({dataset: ds, viewDimensions: oneTile, state: state({zoom: 1})})
+        const first = collect(source.tilesFor(fine))
+        await new Promise(resolve => setTimeout(resolve, 0))
+
+        const second = await collect(source.tilesFor(fine))
+        release()
+        await first
+
+        expect(second.every(t => t.placeholder)).toBe(true)
+        expect(second.some(t => t.inProgress)).toBe(false)
+    })
+
+    it('yields no placeholder to a settled pass', async () => {
+        const ds = ladder()
+        const source = makeSource()
+        await collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile})))
+
+        const tiles = await collect(source.tilesFor(request({
+            dataset: ds, viewDimensions: oneTile, state: state({zoom: 1}), settled: true
+        })))
+        expect(tiles.map(t => [!!t.placeholder, !!t.image])).toEqual([[false, true]])
+    })
+
+    it('has a settled pass await an in-flight tile rather than take a stand-in', async () => {
+        const ds = ladder()
+        const source = makeSource()
+
+        let release
+        const gate = new Promise(resolve => release = resolve)
+        const getContactRecords = ds.getContactRecords
+        ds.getContactRecords = async (...args) => {
+            if (!args[5]) await gate
+            return getContactRecords(...args)
+        }
+
+        const first = collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile})))
+        await new Promise(resolve => setTimeout(resolve, 0))
+
+        const settled = collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile, settled: true})))
+        release()
+        const [[drawn], [awaited]] = await Promise.all([first, settled])
+
+        expect(awaited.inProgress).toBeUndefined()
+        expect(awaited.image).toBe(drawn.image)
+        expect(tileFetches(ds)).toBe(1)
+    })
+
+    it('draws a settled pass its own tile where the one in flight is not cached', async () => {
+        const {closed, createTile} = closingTiles()
+        const ds = ladder()
+        const source = makeSource({tileCache: cacheOf(0), createTile})
+
+        let release
+        const gate = new Promise(resolve => release = resolve)
+        const getContactRecords = ds.getContactRecords
+        ds.getContactRecords = async (...args) => {
+            if (!args[5]) await gate
+            return getContactRecords(...args)
+        }
+
+        const first = collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile})))
+        await new Promise(resolve => setTimeout(resolve, 0))
+
+        // Painted only once the other pass is done with, and has closed, its tile.
+        const open = []
+        const settled = (async () => {
+            for await (const tile of source.tilesFor(request({dataset: ds, viewDimensions: oneTile, settled: true}))) {
+                await first
+                open.push(!closed.includes(tile.image))
+            }
+        })()
+        release()
+        await settled
+
+        expect(open).toEqual([true])
+        expect(tileFetches(ds)).toBe(2)
+    })
+})
+
+describe('ImageTileSource.prefetch', () => {
+
+    const oneTile = {width: 1, height: 1}
+
+    // Tiles fetched at a given grid position, read off the region the fetch asked for.
+    const fetchesAt = (ds, row, column) => ds.calls.filter(c =>
+        !c.forScale && c.r1.start === column * TILE * 1000 && c.r2.start === row * TILE * 1000).length
+
+    it('warms the column a pan to the right is about to reveal', async () => {
+        const ds = dataset({records: [record(0, 0, 5)]})
+        const source = makeSource()
+        await collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile})))
+
+        await source.prefetch({...request({dataset: ds, viewDimensions: oneTile}), motion: {dx: 5, dy: 0}})
+        expect(fetchesAt(ds, 0, 1)).toBe(1)
+
+        const [tile] = await collect(source.tilesFor(request({
+            dataset: ds, viewDimensions: oneTile, state: state({x: TILE})
+        })))
+        expect(tile.column).toBe(1)
+        expect(fetchesAt(ds, 0, 1)).toBe(1)
+    })
+
+    it('fetches nothing past the low edge of the matrix', async () => {
+        const ds = dataset()
+        const source = makeSource()
+        await collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile})))
+        const before = tileFetches(ds)
+
+        await source.prefetch({...request({dataset: ds, viewDimensions: oneTile}), motion: {dx: -5, dy: -5}})
+        expect(tileFetches(ds)).toBe(before)
+    })
+
+    it('leaves the loading signal alone', async () => {
+        const observer = recordingObserver()
+        const ds = dataset()
+        const source = makeSource({observer})
+        await collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile})))
+        observer.seen.loading.length = 0
+
+        await source.prefetch({...request({dataset: ds, viewDimensions: oneTile}), motion: {dx: 5, dy: 5}})
+        expect(tileFetches(ds)).toBe(4)
+        expect(observer.seen.loading).toEqual([])
+    })
+
+    it('is cancelled by the next pass', async () => {
+        const ds = dataset()
+        const source = makeSource()
+        await collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile})))
+
+        const prefetch = source.prefetch({...request({dataset: ds, viewDimensions: oneTile}), motion: {dx: 5, dy: 0}})
+        await collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile})))
+        await prefetch
+
+        expect(fetchesAt(ds, 0, 1)).toBe(0)
+    })
+
+    it('does nothing when caching is disabled', async () => {
+        const ds = dataset()
+        const source = makeSource({tileCache: cacheOf(0)})
+        await source.prefetch({...request({dataset: ds, viewDimensions: oneTile}), motion: {dx: 5, dy: 0}})
+        expect(ds.calls).toEqual([])
+    })
+
+    it('drops a tile rather than evict one the view shows', async () => {
+        const ds = dataset()
+        const source = makeSource({tileCache: cacheOf(1)})
+        const at = (x) => request({dataset: ds, viewDimensions: oneTile, state: state({x})})
+
+        // Leaves columns 1 and 0 pinned, as the last two views, in a cache
+        // already over its budget of one.
+        await collect(source.tilesFor(at(TILE)))
+        await collect(source.tilesFor(at(0)))
+        await collect(source.tilesFor(at(TILE)))
+
+        await source.prefetch({...at(TILE), motion: {dx: 5, dy: 0}})
+        expect(fetchesAt(ds, 0, 2)).toBe(1)
+        expect(cachedKeys(source).some(k => k.includes('_0_2_'))).toBe(false)
+        expect(cachedKeys(source).some(k => k.includes('_0_1_'))).toBe(true)
+    })
+
+    it('closes the bitmap of a tile it drops', async () => {
+        const {closed, createTile} = closingTiles()
+        const ds = dataset()
+        const source = makeSource({tileCache: cacheOf(1), createTile})
+        const at = (x) => request({dataset: ds, viewDimensions: oneTile, state: state({x})})
+
+        await collect(source.tilesFor(at(TILE)))
+        await collect(source.tilesFor(at(0)))
+        await collect(source.tilesFor(at(TILE)))
+        closed.length = 0
+
+        await source.prefetch({...at(TILE), motion: {dx: 5, dy: 0}})
+        expect(fetchesAt(ds, 0, 2)).toBe(1)
+        expect(closed.length).toBe(1)
+    })
+
+    it('closes the bitmap of a tile that lands after an invalidate', async () => {
+        const {closed, createTile} = closingTiles()
+        const ds = dataset()
+        const source = makeSource({createTile})
+        await collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile})))
+
+        let release
+        const gate = new Promise(resolve => release = resolve)
+        const getContactRecords = ds.getContactRecords
+        ds.getContactRecords = async (...args) => {
+            if (!args[5]) await gate
+            return getContactRecords(...args)
+        }
+
+        const prefetch = source.prefetch({...request({dataset: ds, viewDimensions: oneTile}), motion: {dx: 5, dy: 0}})
+        while (!source.prefetching.size) {
+            await new Promise(resolve => setTimeout(resolve, 0))
+        }
+        source.invalidate()
+        closed.length = 0
+        release()
+        await prefetch
+
+        expect(fetchesAt(ds, 0, 1)).toBe(1)
+        expect(closed.length).toBe(1)
+        expect(cachedKeys(source)).toEqual([])
+    })
+
+    it('hands an in-flight tile to the pass that wants it rather than fetching it twice', async () => {
+        const ds = dataset()
+        const source = makeSource()
+        await collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile})))
+
+        let release
+        const gate = new Promise(resolve => release = resolve)
+        const getContactRecords = ds.getContactRecords
+        ds.getContactRecords = async (...args) => {
+            if (!args[5]) await gate
+            return getContactRecords(...args)
+        }
+
+        const prefetch = source.prefetch({...request({dataset: ds, viewDimensions: oneTile}), motion: {dx: 5, dy: 0}})
+        while (!source.prefetching.size) {
+            await new Promise(resolve => setTimeout(resolve, 0))
+        }
+
+        const pass = collect(source.tilesFor(request({
+            dataset: ds, viewDimensions: oneTile, state: state({x: TILE})
+        })))
+        release()
+        const [tile] = await pass
+        await prefetch
+
+        expect(tile.image).toBeDefined()
+        expect(fetchesAt(ds, 0, 1)).toBe(1)
+    })
+
+    it('warms the next resolution around the zoom anchor, at its own threshold', async () => {
+        const ds = dataset({
+            records: [record(0, 0, 5)],
+            resolutions: [2000, 1000],
+            zoomDataAt: (i) => zoomData({binSize: [2000, 1000][i]})
+        })
+        const observer = recordingObserver()
+        const source = makeSource({observer})
+        await collect(source.tilesFor(request({dataset: ds, viewDimensions: oneTile})))
+        const scalesBefore = observer.seen.scales.length
+
+        await source.prefetch({
+            ...request({dataset: ds, viewDimensions: oneTile}),
+            motion: {zoom: 1, anchor: {x: 0, y: 0}}
+        })
+        expect(observer.seen.scales.length).toBe(scalesBefore)
+
+        const fetches = ds.calls.length
+        const tiles = await collect(source.tilesFor(request({
+            dataset: ds, viewDimensions: oneTile, state: state({zoom: 1})
+        })))
+        expect(tiles.map(t => [t.row, t.column, t.binSize])).toEqual([[0, 0, 1000]])
+        expect(ds.calls.length).toBe(fetches)
+    })
+
+    it('stops at the finest resolution', async () => {
+        const ds = dataset()
+        const source = makeSource()
+        await source.prefetch({...request({dataset: ds, viewDimensions: oneTile}), motion: {zoom: 1}})
+        expect(tileFetches(ds)).toBe(0)
+    })
+})
@@ -104,7 +104,7 @@ describe('the datasetType onMapLoaded publishes', () => {
     test('never publishes a value outside the documented vocabulary', async () => {
         // The negative half, and the one a host reading the old JSDoc would
         // have branched on. 'livecontactmap' is here because it was real.
-        const documented = ['live', 'hic', 'unknown']
+        const documented = ['live', 'hic', 'cooler', 'pairs', 'tileserver', 'composite', 'unknown']
         const liveContactMap = {chromosomes: [{name: 'chrAll'}, {name: 'chr1'}], genomicStart: 0, genomicEnd: 1000}
 
         await new DataLoader(stubBrowser()).loadLiveContactMap({liveContactMap}, true)
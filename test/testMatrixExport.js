@@ -0,0 +1,152 @@
+import {describe, it, expect} from 'vitest'
+import exportMatrix from '../js/matrixExport.js'
+
+/**
+ * The value table, from a browser of plain-object fakes: a dataset answering
+ * one zoom of 1000 bp bins, and a painted extent of bins 2..3 on both axes.
+ */
+
+const record = (bin1, bin2, counts) => ({bin1, bin2, counts, getKey: () => `${bin1}_${bin2}`})
+
+const chromosome = (index, name = `chr${index}`) => ({index, name, size: 10000})
+
+const dataset = ({records = [], averageCount = 1, chr2 = chromosome(1), normalizations = ['NONE']} = {}) => {
+    const calls = []
+    return {
+        calls,
+        chromosomes: [chromosome(0, 'All'), chromosome(1), chromosome(2)],
+        isWholeGenome: (index) => 0 === index,
+        getBinSizeForZoomIndex: () => 1000,
+        getZoomIndexForBinSize: () => 0,
+        hasNormalizationVector: (norm) => normalizations.includes(norm),
+        getMatrix: async () => ({
+            getZoomDataByIndex: () => ({chr1: chromosome(1), chr2, zoom: {binSize: 1000, unit: 'BP'}, averageCount})
+        }),
+        getContactRecords: async (...args) => {
+            calls.push(args)
+            return records
+        }
+    }
+}
+
+const browser = ({ds = dataset(), control, displayMode = 'A', normalization = 'NONE', chr2 = 1} = {}) => ({
+    dataset: ds,
+    controlDataset: control,
+    state: {chr1: 1, chr2, zoom: 0, normalization},
+    contactMatrixView: {
+        displayMode,
+        genomicExtent: {chr1: 1, chr2, x: 2000, y: 2000, w: 2000, h: 2000}
+    }
+})
+
+const lines = (tsv) => tsv.replace(/\n$/, '').split('\n').map(line => line.split('\t'))
+
+describe('exportMatrix', () => {
+
+    it('lists the contacts in view, one a line', async () => {
+        const ds = dataset({records: [record(2, 3, 5), record(2, 2, 7), record(9, 9, 1)]})
+        const tsv = await exportMatrix(browser({ds}))
+
+        expect(lines(tsv)).toEqual([
+            ['chr1', 'start1', 'chr2', 'start2', 'value'],
+            ['chr1', '2000', 'chr1', '2000', '7'],
+            ['chr1', '2000', 'chr1', '3000', '5']
+        ])
+    })
+
+    it('fetches the extent at the view\'s resolution and normalization', async () => {
+        const ds = dataset({normalizations: ['NONE', 'KR']})
+        await exportMatrix(browser({ds, normalization: 'KR'}))
+
+        expect(ds.calls).toEqual([
+            ['KR', {chr: 'chr1', start: 2000, end: 4000}, {chr: 'chr1', start: 2000, end: 4000}, 'BP', 1000]
+        ])
+    })
+
+    it('falls back to NONE where the map lacks the normalization, as the tiles do', async () => {
+        const ds = dataset()
+        await exportMatrix(browser({ds, normalization: 'KR'}))
+        expect(ds.calls[0][0]).toBe('NONE')
+    })
+
+    it('awaits a map that answers for its vectors asynchronously', async () => {
+        const ds = dataset()
+        ds.hasNormalizationVector = async () => false
+        await exportMatrix(browser({ds, normalization: 'KR'}))
+        expect(ds.calls[0][0]).toBe('NONE')
+    })
+
+    it('lays a dense table out as the map shows it, both triangles filled', async () => {
+        const ds = dataset({records: [record(2, 3, 5), record(3, 3, 2)]})
+        const tsv = await exportMatrix(browser({ds}), {format: 'dense'})
+
+        expect(lines(tsv)).toEqual([
+            ['value', 'chr1:2000-3000', 'chr1:3000-4000'],
+            ['chr1:2000-3000', '0', '5'],
+            ['chr1:3000-4000', '5', '2']
+        ])
+    })
+
+    it('fills one triangle only between two chromosomes', async () => {
+        const ds = dataset({records: [record(2, 3, 5)], chr2: chromosome(2)})
+        const tsv = await exportMatrix(browser({ds, chr2: 2}), {format: 'dense'})
+
+        expect(lines(tsv)).toEqual([
+            ['value', 'chr1:2000-3000', 'chr1:3000-4000'],
+            ['chr2:2000-3000', '0', '0'],
+            ['chr2:3000-4000', '5', '0']
+        ])
+    })
+
+    it('adds the control value and the ratio in AOB', async () => {
+        const ds = dataset({records: [record(2, 2, 8), record(2, 3, 3)], averageCount: 2})
+        const control = dataset({records: [record(2, 2, 2)], averageCount: 1})
+        const tsv = await exportMatrix(browser({ds, control, displayMode: 'AOB'}))
+
+        expect(lines(tsv)).toEqual([
+            ['chr1', 'start1', 'chr2', 'start2', 'value', 'control', 'ratio'],
+            ['chr1', '2000', 'chr1', '2000', '8', '2', '2'],
+            ['chr1', '2000', 'chr1', '3000', '3', '0', '']
+        ])
+    })
+
+    it('turns the ratio over in BOA', async () => {
+        const ds = dataset({records: [record(2, 2, 8)]})
+        const control = dataset({records: [record(2, 2, 2)]})
+        const [, row] = lines(await exportMatrix(browser({ds, control, displayMode: 'BOA'})))
+        expect(row.slice(4)).toEqual(['8', '2', '0.25'])
+    })
+
+    it('adds the difference in AMB, and a grid for each value when dense', async () => {
+        const ds = dataset({records: [record(2, 2, 8)]})
+        const control = dataset({records: [record(3, 3, 2)]})
+        const blocks = (await exportMatrix(browser({ds, control, displayMode: 'AMB'}), {format: 'dense'}))
+            .split('\n\n').map(lines)
+
+        expect(blocks.map(block => block[0][0])).toEqual(['value', 'control', 'difference'])
+        expect(blocks[2].slice(1).map(row => row.slice(1))).toEqual([['8', '0'], ['0', '-2']])
+    })
+
+    it('exports the control map\'s counts in B', async () => {
+        const ds = dataset({records: [record(2, 2, 8)]})
+        const control = dataset({records: [record(2, 2, 4)]})
+        const [, row] = lines(await exportMatrix(browser({ds, control, displayMode: 'B'})))
+        expect(row[4]).toBe('4')
+        expect(ds.calls.length).toBe(0)
+    })
+
+    it('refuses an unknown format', async () => {
+        await expect(exportMatrix(browser(), {format: 'csv'})).rejects.toThrow('Unknown matrix format "csv": expected one of sparse, dense')
+    })
+
+    it('refuses a browser with nothing painted', async () => {
+        const unpainted = {...browser(), contactMatrixView: {displayMode: 'A'}}
+        await expect(exportMatrix(unpainted)).rejects.toThrow('There is no contact map to export')
+    })
+
+    it('refuses the whole-genome view', async () => {
+        const b = browser()
+        b.state.chr1 = 0
+        await expect(exportMatrix(b)).rejects.toThrow(/whole-genome/)
+    })
+})
@@ -0,0 +1,187 @@
+import {describe, it, expect, beforeAll} from 'vitest'
+import {gzipSync} from 'zlib'
+import PairsDataset, {isPairsConfig} from '../js/pairsDataset.js'
+
+/**
+ * A file of pairs binned in the browser, then read through the same interface
+ * a .hic file is. The files are written here, small enough to count by hand:
+ * chr1 (25 kb) and chr2 (12 kb), at 10 and 1 kb.
+ */
+
+const PAIRS = [
+    '## pairs format v1.0',
+    '#genome_assembly: test',
+    '#chromsize: chr1 25000',
+    '#chromsize: chr2 12000',
+    '#columns: readID chrom1 pos1 chrom2 pos2 strand1 strand2',
+    'r1\tchr1\t1500\tchr1\t2500\t+\t-',
+    'r2\tchr1\t2600\tchr1\t1200\t+\t-',
+    'r3\tchr1\t1100\tchr1\t15000\t+\t-',
+    'r4\tchr2\t500\tchr1\t3500\t+\t-',
+    'r5\tchr1\t3000\tchr2\t11000\t+\t-',
+    'r6\t!\t0\tchr1\t100\t+\t-',
+    ''
+].join('\n')
+
+const file = (text, name, gzip = false) => new File(gzip ? gzipSync(Buffer.from(text)) : Buffer.from(text), name)
+
+const load = (text, config = {}) => PairsDataset.loadDataset({
+    url: file(text, 'test.pairs'),
+    name: 'test',
+    resolutions: [10000, 1000],
+    ...config
+})
+
+const records = list => list
+    .map(({bin1, bin2, counts}) => [bin1, bin2, counts])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+
+const region = (chr, start, end) => ({chr, start, end})
+
+describe('PairsDataset', () => {
+
+    let dataset
+
+    beforeAll(async () => {
+        dataset = await load(PAIRS)
+    })
+
+    it('takes its chromosomes from the #chromsize header, after a whole-genome "All"', () => {
+        expect(dataset.chromosomes).toEqual([
+            {index: 0, name: 'All', size: 37},
+            {index: 1, name: 'chr1', size: 25000},
+            {index: 2, name: 'chr2', size: 12000}
+        ])
+        expect(dataset.genomeId).toBe('test')
+        expect(dataset.datasetType).toBe('pairs')
+    })
+
+    it('presents the resolution ladder coarsest first', () => {
+        expect(dataset.bpResolutions).toEqual([10000, 1000])
+        expect(dataset.getZoomIndexForBinSize(1000, 'BP')).toBe(1)
+    })
+
+    it('counts each pair into one triangle of a chromosome\'s own map', async () => {
+        const list = await dataset.getContactRecords('NONE', region('chr1', 0, 25000), region('chr1', 0, 25000), 'BP', 1000)
+        expect(records(list)).toEqual([[1, 2, 2], [1, 15, 1]])
+    })
+
+    it('sums the coarser resolutions from the finest', async () => {
+        const list = await dataset.getContactRecords('NONE', region('chr1', 0, 25000), region('chr1', 0, 25000), 'BP', 10000)
+        expect(records(list)).toEqual([[0, 0, 2], [0, 1, 1]])
+    })
+
+    it('answers a pair of chromosomes in either order, whichever the file wrote first', async () => {
+        const list = await dataset.getContactRecords('NONE', region('chr2', 0, 12000), region('chr1', 0, 25000), 'BP', 1000)
+        expect(records(list)).toEqual([[3, 0, 1], [3, 11, 1]])
+    })
+
+    it('answers only the region asked for', async () => {
+        const list = await dataset.getContactRecords('NONE', region('chr1', 1000, 2000), region('chr1', 10000, 20000), 'BP', 1000)
+        expect(records(list)).toEqual([[1, 15, 1]])
+    })
+
+    it('gives each zoom the average count over its cells', async () => {
+        const matrix = await dataset.getMatrix(1, 1)
+        expect(matrix.getZoomData(10000, 'BP').averageCount).toBeCloseTo(3 / 6)
+        expect(matrix.getZoomDataByIndex(1, 'BP').zoom).toEqual({binSize: 1000, unit: 'BP'})
+        expect(matrix.getZoomDataByIndex(0, 'FRAG')).toBeUndefined()
+    })
+
+    it('sums every pair into the whole-genome map', async () => {
+        const list = await dataset.getContactRecords('NONE', region('All', 0, 37), region('All', 0, 37), 'BP', dataset.wholeGenomeBinSize)
+        expect(list.reduce((sum, {counts}) => sum + counts, 0)).toBe(5)
+    })
+
+    it('offers no normalization', async () => {
+        expect(await dataset.getNormalizationOptions()).toEqual(['NONE'])
+        expect(dataset.hasNormalizationVector('KR', 'chr1', 'BP', 1000)).toBe(false)
+    })
+
+    it('refuses a resolution it has not binned', async () => {
+        await expect(dataset.getContactRecords('NONE', region('chr1', 0, 25000), region('chr1', 0, 25000), 'BP', 5000))
+            .rejects.toThrow('No data available for resolution: 5000')
+    })
+
+    it('reads a gzipped file the same', async () => {
+        const gzipped = await load(PAIRS, {url: file(PAIRS, 'test.pairs.gz', true)})
+        const list = await gzipped.getContactRecords('NONE', region('chr1', 0, 25000), region('chr1', 0, 25000), 'BP', 1000)
+        expect(records(list)).toEqual([[1, 2, 2], [1, 15, 1]])
+    })
+
+    it('reads a .pairs file without a #columns line by its standard columns, whatever its width', async () => {
+        const pairs = [
+            '## pairs format v1.0',
+            '#chromsize: chr1 25000',
+            'r1\tchr1\t1500\tchr1\t2500\t+\t-\tUU',
+            'r2\tchr1\t1100\tchr1\t15000\t+\t-\tUU'
+        ].join('\n')
+        const headerless = await load(pairs)
+        const list = await headerless.getContactRecords('NONE', region('chr1', 0, 25000), region('chr1', 0, 25000), 'BP', 1000)
+        expect(records(list)).toEqual([[1, 2, 1], [1, 15, 1]])
+    })
+
+    it('reads Juicer\'s short format, sizing and ordering the chromosomes from the pairs', async () => {
+        const short = [
+            '0 chr10 5200 0 16 chr2 1000 1',
+            '0 chr2 1500 0 16 chr2 2500 1',
+            '0 chrX 700 0 16 chr2 900 1'
+        ].join('\n')
+        const juicer = await load(short, {format: 'short'})
+
+        expect(juicer.chromosomes.slice(1).map(({name, size}) => [name, size])).toEqual([
+            ['chr2', 2500], ['chr10', 5200], ['chrX', 700]
+        ])
+        expect(juicer.genomeId).toBe('unknown')
+        const list = await juicer.getContactRecords('NONE', region('chr2', 0, 2500), region('chr10', 0, 5200), 'BP', 1000)
+        expect(records(list)).toEqual([[1, 5, 1]])
+    })
+
+    it('counts the score of a short-format line that has one', async () => {
+        const juicer = await load('0 chr1 1500 0 0 chr1 2500 1 4.5\n', {format: 'short'})
+        const list = await juicer.getContactRecords('NONE', region('chr1', 0, 3000), region('chr1', 0, 3000), 'BP', 1000)
+        expect(records(list)).toEqual([[1, 2, 4.5]])
+    })
+
+    it('reports progress as it reads', async () => {
+        const progress = []
+        await load(PAIRS, {onProgress: report => progress.push(report)})
+
+        const size = Buffer.byteLength(PAIRS)
+        expect(progress[progress.length - 1]).toEqual({loaded: size, total: size, contacts: 5})
+    })
+
+    it('refuses a file over the size limit, before reading it', async () => {
+        const progress = []
+        await expect(load(PAIRS, {maxBytes: 100, onProgress: report => progress.push(report)}))
+            .rejects.toThrow(/over the 0 MB a file of pairs can be binned in the browser: build a \.hic file/)
+        expect(progress).toEqual([])
+    })
+
+    it('holds a gzipped file to the limit by its size once ungzipped', async () => {
+        const text = PAIRS + 'r7\tchr1\t1500\tchr1\t2500\t+\t-\n'.repeat(2000)
+        const url = file(text, 'test.pairs.gz', true)
+        expect(url.size).toBeLessThan(10000)
+
+        await expect(load(text, {url, maxBytes: 10000})).rejects.toThrow(/over the 0 MB/)
+    })
+
+    it('refuses a ladder whose resolutions cannot be summed from the finest', async () => {
+        await expect(load(PAIRS, {resolutions: [25000, 10000]}))
+            .rejects.toThrow('Resolution 25000 is not a multiple of the finest, 10000')
+    })
+
+    it('refuses a file with no pairs in it', async () => {
+        await expect(load('#chromsize: chr1 1000\n')).rejects.toThrow('test holds no pairs')
+    })
+})
+
+describe('isPairsConfig', () => {
+
+    it('knows a file of pairs by its extension, gzipped or not, or by its format', () => {
+        expect(isPairsConfig({url: 'https://example.org/a.pairs.gz?token=1'})).toBe(true)
+        expect(isPairsConfig({url: file('', 'a.pairs')})).toBe(true)
+        expect(isPairsConfig({url: 'https://example.org/merged_nodups.txt', format: 'medium'})).toBe(true)
+        expect(isPairsConfig({url: 'https://example.org/a.hic'})).toBe(false)
+    })
+})
@@ -1,5 +1,6 @@
 import { describe, test, expect } from 'vitest'
-import ContactMatrixView, { resolveFeatureAxes, featureDrawPasses } from '../js/contactMatrixView.js'
+import ContactMatrixView, { resolveFeatureAxes, featureDrawPasses, DENSITY_THRESHOLD } from '../js/contactMatrixView.js'
+import Track2D from '../js/track2D.js'
 
 /**
  * Geometry decisions behind render2DTracks. These are the two pieces of the
@@ -115,6 +116,10 @@ function createView({ chr1, chr2, features, displayMode }) {
             getFeaturesCalls.push([ a, b ])
             return features
         },
+        isFeatureShown: () => true,
+        getFeatureColor () {
+            return this.color
+        },
     }
 
     return { view, dataset, state, track2D, strokeRects, getFeaturesCalls }
@@ -180,6 +185,88 @@ describe('render2DTracks', () => {
         expect(strokeRects).toEqual([])
     })
 
+    test('a track draws only the features its filters let through, in the colors its style gives', async () => {
+        const weak = { ...interChrFeature, attributes: { fdr: '0.5', o: '10' } }
+        const strong = { ...interChrFeature, x1: 30000, x2: 40000, attributes: { fdr: '0.001', o: '80' } }
+        const { view, dataset, state } = createView({ chr1: 1, chr2: 2, features: [] })
+        const strokes = []
+        view.ctx.strokeRect = function (x, y, w, h) {
+            strokes.push({ x, y, w, h, strokeStyle: this.strokeStyle })
+        }
+        const track2D = new Track2D({
+            style: { attribute: 'o', colormap: 'ff0000-0000ff', min: 0, max: 100 },
+            filters: [ { attribute: 'fdr', max: 0.01 } ]
+        }, [ weak, strong ])
+
+        await view.render2DTracks([ track2D ], dataset, state)
+
+        expect(strokes).toEqual([{ x: 29, y: 49, w: 10, h: 10, strokeStyle: 'rgb(51,0,204)' }])
+    })
+
+    test('a track with more features in view than can be outlined is shaded by their density', async () => {
+        const features = Array.from({ length: DENSITY_THRESHOLD + 1 }, (_, i) =>
+            ({ ...interChrFeature, x1: i % 2 ? 100000 : 2000, x2: i % 2 ? 104000 : 6000, y1: 2000, y2: 6000 }))
+        const { view, dataset, state, strokeRects } = createView({ chr1: 1, chr2: 2, features: [] })
+        const fills = []
+        view.ctx.fillRect = function (x, y, w, h) {
+            fills.push({ x, y, w, h, fillStyle: this.fillStyle, globalAlpha: this.globalAlpha })
+        }
+
+        const track2D = new Track2D({}, features)
+        track2D.color = 'green'
+
+        await view.render2DTracks([ track2D ], dataset, state)
+
+        // Centers 3 and 101 pixels in: cells (0, 0) and (12, 0).
+        expect(strokeRects).toEqual([])
+        expect(fills).toEqual([
+            { x: 0, y: 0, w: 8, h: 8, fillStyle: 'green', globalAlpha: 1 },
+            { x: 96, y: 0, w: 8, h: 8, fillStyle: 'green', globalAlpha: 0.2 + 0.8 * 2500 / 2501 },
+        ])
+    })
+
+    const regionTrack = regions => {
+        const track2D = new Track2D({}, [], {
+            async load(chr1, chr2, region) {
+                regions.push([ chr1, chr2, region ])
+                return 1 === regions.length
+            },
+            features: () => [ interChrFeature ]
+        })
+        track2D.color = 'red'
+        return track2D
+    }
+
+    test('a track read by region is drawn again once the view\'s features arrive', async () => {
+        const { view, dataset, state, strokeRects } = createView({ chr1: 1, chr2: 2, features: [] })
+        const regions = []
+        const track2D = regionTrack(regions)
+        const updated = new Promise(resolve => {
+            view.update = () => resolve(view.render2DTracks([ track2D ], dataset, state))
+        })
+
+        await view.render2DTracks([ track2D ], dataset, state)
+        expect(strokeRects).toEqual([])
+
+        await updated
+        expect(regions).toEqual([
+            [ 'chr1', 'chr5', { xStart: 1, xEnd: 800000, yStart: 1, yEnd: 800000 } ],
+            [ 'chr1', 'chr5', { xStart: 1, xEnd: 800000, yStart: 1, yEnd: 800000 } ]
+        ])
+        expect(strokeRects).toEqual([{ x: 9, y: 49, w: 10, h: 10 }])
+    })
+
+    test('a figure waits for a track read by region', async () => {
+        const { view, dataset, state, strokeRects } = createView({ chr1: 1, chr2: 2, features: [] })
+        const regions = []
+        view.update = () => { throw new Error('a figure is drawn once') }
+
+        await view.render2DTracks([ regionTrack(regions) ], dataset, state, { ctx: view.ctx, width: VIEWPORT, height: VIEWPORT, awaitFeatures: true })
+
+        expect(regions).toEqual([[ 'chr1', 'chr5', { xStart: 1, xEnd: 800000, yStart: 1, yEnd: 800000 } ]])
+        expect(strokeRects).toEqual([{ x: 9, y: 49, w: 10, h: 10 }])
+    })
+
     test('a feature outside the view is trivially rejected', async () => {
         const offscreen = { chr1: 'chr1', chr2: 'chr5', x1: 900000, x2: 910000, y1: 900000, y2: 910000 }
         const { view, dataset, state, track2D, strokeRects } =
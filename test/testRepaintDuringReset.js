@@ -34,7 +34,7 @@ function createView({ tiles }) {
 
     const state = { chr1: 1, chr2: 1, x: 0, y: 0, zoom: 0, pixelSize: 1, normalization: 'NONE' }
 
-    view.browser = { dataset: {}, controlDataset: undefined, state }
+    view.browser = { dataset: { toBP: (chrIndex, position) => position }, controlDataset: undefined, state }
 
     return { view, drawnImages: instrument(view, tiles) }
 }
@@ -52,7 +52,9 @@ function tileSource(tiles) {
                 if (tile.beforeYield) tile.beforeYield()
                 yield tile
             }
-        }
+        },
+        // A real reset() disposes the view, and the view its tile source.
+        dispose() {}
     }
 }
 
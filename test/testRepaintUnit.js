@@ -0,0 +1,96 @@
+import { describe, test, expect } from 'vitest'
+import ContactMatrixView from '../js/contactMatrixView.js'
+import ImageTileSource from '../js/imageTileSource.js'
+import ColorScale from '../js/colorScale.js'
+
+/**
+ * A repaint hands the tile source a snapshot of the state rather than the State
+ * itself. The snapshot has to carry the unit: a zoom index means one resolution
+ * in base pairs and another in fragments, and a snapshot without it reads as
+ * base pairs -- a fragment view painted with base pair zoom data. The extent
+ * it records for value export and zoom animation is in base pairs whatever the
+ * unit.
+ */
+
+const VIEWPORT = 100
+const TILE = 10
+
+const stubTile = (dimension) => {
+    const buf = { width: dimension, height: dimension, data: new Uint8ClampedArray(dimension * dimension * 4) }
+    return {
+        width: dimension,
+        height: dimension,
+        getContext: () => ({ getImageData: () => buf, putImageData: () => {} })
+    }
+}
+
+/** A dataset recording the unit of every zoom data lookup. */
+function recordingDataset() {
+    const units = []
+    const chromosome = { name: 'chr1', index: 1, size: 100000 }
+    return {
+        units,
+        bpResolutions: [1000],
+        fragResolutions: [5],
+        getMatrix: async () => ({
+            getZoomDataByIndex: (zoom, unit) => {
+                units.push(unit)
+                return { chr1: chromosome, chr2: chromosome, zoom: { binSize: 'FRAG' === unit ? 5 : 1000, unit }, averageCount: 1 }
+            }
+        }),
+        getContactRecords: async () => [],
+        // A fragment ends 300 bp past the last: fragments are not base pairs.
+        toBP: (chrIndex, position, unit) => 'FRAG' === unit ? position * 300 : position
+    }
+}
+
+function createView(dataset, state) {
+
+    const view = Object.create(ContactMatrixView.prototype)
+
+    view.backgroundRGBString = 'rgb(255,255,255)'
+    view.displayMode = 'A'
+    view.browser = { dataset, controlDataset: undefined, state }
+    view.viewportElement = { offsetWidth: VIEWPORT, offsetHeight: VIEWPORT }
+    view.canvasElement = { width: VIEWPORT, height: VIEWPORT, setAttribute: () => {} }
+    view.ctx = { clearRect: () => {}, fillRect: () => {}, drawImage: () => {}, fillStyle: '#000000' }
+    view.imageTileSource = new ImageTileSource({
+        colorScale: new ColorScale({ threshold: 100, r: 255, g: 0, b: 0 }),
+        createTile: stubTile,
+        tileDimension: TILE
+    })
+
+    return view
+}
+
+describe('repaint in the state unit', () => {
+
+    test('a fragment view reads fragment zoom data', async () => {
+        const dataset = recordingDataset()
+        const view = createView(dataset, { chr1: 1, chr2: 1, x: 0, y: 0, zoom: 0, pixelSize: 1, normalization: 'NONE', unit: 'FRAG' })
+
+        await view.repaint()
+
+        expect(dataset.units.length).toBeGreaterThan(0)
+        expect(new Set(dataset.units)).toEqual(new Set(['FRAG']))
+    })
+
+    test('a base pair view reads base pair zoom data', async () => {
+        const dataset = recordingDataset()
+        const view = createView(dataset, { chr1: 1, chr2: 1, x: 0, y: 0, zoom: 0, pixelSize: 1, normalization: 'NONE', unit: 'BP' })
+
+        await view.repaint()
+
+        expect(new Set(dataset.units)).toEqual(new Set(['BP']))
+    })
+
+    test('a fragment view records its extent in base pairs', async () => {
+        const dataset = recordingDataset()
+        const view = createView(dataset, { chr1: 1, chr2: 1, x: 2, y: 4, zoom: 0, pixelSize: 1, normalization: 'NONE', unit: 'FRAG' })
+
+        await view.repaint()
+
+        // Bins of 5 fragments, each fragment 300 bp.
+        expect(view.genomicExtent).toEqual({ chr1: 1, chr2: 1, x: 3000, y: 6000, w: 150000, h: 150000 })
+    })
+})
@@ -148,6 +148,7 @@
  * | 2026-08-22 | `harvested-query-degron-fully-encoded`, `harvested-query-gm12878-nvi` — the `config.state` door, `1600x400` column only | #558. Restore goes through `setView`, so the clamp reaches it. Tally below. |
  * | 2026-08-22 | all — the `rungs` field only, on every door | #559. `setActiveDataset` loses its `state` parameter, so the count of calls carrying one leaves the file, and the `config.locus` door reaches `setState` where it did not before. Tally below. |
  * | 2026-08-22 | 10 fixtures — the `normalization` field only, on the `config.state` and live doors, both columns | #561. A restored normalization is coerced against the loaded dataset. Tally below. |
+ * | 2026-10-18 | every fixture with a `state` -- the `presented` field of the `config.state` and live doors, both columns | **Fragment-resolution browsing.** Every moved line is one **added** `unit: "BP"` in the `State` the decoder presents, 60 of them. The restored `state` does not move: `renderState` names its fields, and the resolved view is the same base pair view it was. |
  *
  * ### The #558 tally
  *
@@ -32,6 +32,7 @@ import {afterEach, describe, expect, test, vi} from 'vitest'
 import {BGZip} from 'igv-utils'
 import {
     SESSION_VERSION,
+    GRADIENT_SESSION_VERSION,
     SessionDecodeError,
     WIRE_FORMATS,
     decodeSession,
@@ -330,12 +331,23 @@ describe('decodeSession — the version stamp', () => {
     })
 
     test('an unknown version is refused, and the message names it', async () => {
-        const future = {...oneBrowserSession, version: 2}
+        const future = {...oneBrowserSession, version: 3}
 
         await expect(decodeSession(`?session=blob:${compress(future)}`, noIO))
             .rejects.toThrow(SessionDecodeError)
         await expect(decodeSession(`?session=blob:${compress(future)}`, noIO))
-            .rejects.toThrow(/version 2/)
+            .rejects.toThrow(/version 3/)
+    })
+
+    /**
+     * Version 2 is what a session carrying a colormap is stamped, so that a v1
+     * reader refuses it rather than reading the gradient as a NaN threshold.
+     */
+    test('the colormap version decodes, field consumed', async () => {
+        const session = {browsers: [{url: 'https://example.org/one.hic', colorScale: 'G:2000,viridis'}]}
+
+        expect(await decodeSession(`?session=blob:${compress({...session, version: GRADIENT_SESSION_VERSION})}`, noIO))
+            .toEqual(session)
     })
 
     /**
@@ -344,7 +356,7 @@ describe('decodeSession — the version stamp', () => {
      * user did not save.
      */
     test('and nothing of it is decoded', async () => {
-        const future = {browsers: [{url: 'https://example.org/one.hic'}], version: 2, selectedGene: 'MYC'}
+        const future = {browsers: [{url: 'https://example.org/one.hic'}], version: 3, selectedGene: 'MYC'}
 
         await expect(decodeSession(`?session=blob:${compress(future)}`, noIO))
             .rejects.toThrow(SessionDecodeError)
@@ -365,7 +377,7 @@ describe('decodeSession — the version stamp', () => {
     /**
      * The version is a number, and a string spelling of it is a different
      * format — one nothing here wrote. Refusing it is the same call as refusing
-     * version 2: this reader does not know what wrote the document, so it does
+     * version 3: this reader does not know what wrote the document, so it does
      * not guess. The message quotes the value, so the two cases are told apart
      * in a bug report.
      */
@@ -42,6 +42,7 @@ import * as codec from '../js/sessionCodec.js'
 import {DEFAULT_ANNOTATION_COLOR} from '../js/normalizeSession.js'
 import {
     SESSION_VERSION,
+    GRADIENT_SESSION_VERSION,
     SessionEncodeError,
     decodeSession,
     encodeSession,
@@ -90,7 +91,7 @@ const CHROMOSOMES = [0, 1, 2, 5, 17, 23]
 
 const NORMALIZATIONS = ['NONE', 'VC', 'VC_SQRT', 'KR', 'SCALE']
 
-const DISPLAY_MODES = ['A', 'B', 'AOB', 'BOA']
+const DISPLAY_MODES = ['A', 'B', 'AOB', 'BOA', 'OE', 'BOE']
 
 function generator(seed) {
 
@@ -156,6 +157,7 @@ function generator(seed) {
             state: state(),
             colorScale: `${pick(['', '-', '+'])}${int(100)},${int(255)},${int(255)},${int(255)}`,
         }
+        if (chance(0.1)) config.colorScale = `G:${int(100)},${pick(['viridis', 'fall', 'ffffff-ff0000-000000'])}`
         if (chance(0.7)) config.name = `map ${int(100)}`
         if (chance(0.3)) config.nvi = `${int(1e9)},${int(1e5)}`
         if (chance(0.3)) {
@@ -164,6 +166,16 @@ function generator(seed) {
             if (chance(0.7)) config.displayMode = pick(DISPLAY_MODES)
             if (chance(0.5)) config.controlNvi = `${int(1e9)},${int(1e5)}`
             if (chance(0.5)) config.cycle = true
+        } else if (chance(0.2)) {
+            // O/E and Pearson are the modes written without a control map, and
+            // each carries its own scale.
+            if (chance(0.5)) {
+                config.displayMode = 'OE'
+                config.colorScale = `O:${1 + int(8)}:${int(100)},255,0,0:${int(100)},0,0,255`
+            } else {
+                config.displayMode = 'PEARSON'
+                config.colorScale = `P:0.${1 + int(9)}:${int(100)},255,0,0:${int(100)},0,0,255`
+            }
         }
         if (tracks && chance(0.5)) {
             config.tracks = Array.from({length: 1 + int(3)}, track)
@@ -234,6 +246,36 @@ describe('encodeSession', () => {
             expect(written(encodeSession({...session, version: 0})).version).toBe(SESSION_VERSION)
         })
 
+        /**
+         * A v1 reader would take a gradient for a NaN threshold, so a session
+         * carrying one is stamped with the version that reader refuses -- and
+         * only such a session, so the rest keep opening everywhere.
+         */
+        test('a session carrying a colormap is stamped with the version v1 readers refuse', () => {
+            const gradient = {browsers: [{url: 'https://example.org/a.hic', colorScale: 'G:R:5:5,reds:5,blues'}]}
+
+            expect(written(encodeSession(gradient)).version).toBe(GRADIENT_SESSION_VERSION)
+            expect(written(encodeSession(gradient.browsers[0])).version).toBe(GRADIENT_SESSION_VERSION)
+            expect(written(encodeSession({browsers: [{colorScale: '2000,255,0,0'}]})).version).toBe(SESSION_VERSION)
+        })
+
+        /**
+         * The O/E and Pearson scales are tags a v1 reader does not know either,
+         * and their display modes views it does not have.
+         */
+        test('as is a session in a scale or display mode v1 does not know', () => {
+            const single = fields => written(encodeSession({browsers: [{url: 'https://example.org/a.hic', ...fields}]})).version
+
+            expect(single({colorScale: 'O:4:4,255,0,0:4,0,0,255', displayMode: 'OE'})).toBe(GRADIENT_SESSION_VERSION)
+            expect(single({colorScale: 'P:1:1,255,0,0:1,0,0,255', displayMode: 'PEARSON'})).toBe(GRADIENT_SESSION_VERSION)
+            expect(single({colorScale: 'O:4:4,255,0,0:4,0,0,255'})).toBe(GRADIENT_SESSION_VERSION)
+            expect(single({colorScale: '2000,255,0,0', displayMode: 'BOE'})).toBe(GRADIENT_SESSION_VERSION)
+
+            expect(single({colorScale: 'R:5:5,255,0,0:5,0,0,255', displayMode: 'AOB'})).toBe(SESSION_VERSION)
+            expect(single({colorScale: 'D:100:100,255,0,0:100,0,0,255', displayMode: 'AMB'})).toBe(SESSION_VERSION)
+            expect(single({colorScale: '2000,255,0,0,log', displayMode: 'B'})).toBe(SESSION_VERSION)
+        })
+
         test('and the caller\'s own document is not touched', () => {
             const document = {browsers: []}
             encodeSession(document)
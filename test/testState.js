@@ -2,6 +2,9 @@ import { describe, test, expect } from 'vitest'
 import State from '../js/hicState.js'
 import InteractionHandler from '../js/interactionHandler.js'
 import {DEFAULT_PIXEL_SIZE} from '../js/hicBrowser.js'
+import Dataset from '../js/dataset.js'
+import FragmentSites from '../js/fragmentSites.js'
+import StateManager from '../js/stateManager.js'
 
 /**
  * Mock helpers for State characterization tests.
@@ -14,6 +17,7 @@ import {DEFAULT_PIXEL_SIZE} from '../js/hicBrowser.js'
  *     - findMatchingZoomIndex(bpPerPixelTarget, bpResolutions): number
  *     - genome.getChromosome(name): {index, name, size}
  *     - contactMatrixView.getViewDimensions(): {width, height}
+ *     - contactMatrixView.noteMotion(motion)      (InteractionHandler, for prefetch)
  *   dataset:
  *     - bpResolutions: Array<number>           (used as raw binSizes in setWithZoom/clampXY/configureLocus)
  *     - chromosomes: Array<{name, size, index}>
@@ -58,7 +62,8 @@ export function createMockBrowser(overrides = {}) {
             getChromosome: (name) => chromosomes.find(c => c.name === name)
         },
         contactMatrixView: overrides.contactMatrixView ?? {
-            getViewDimensions: () => overrides.viewDimensions ?? { width: 800, height: 800 }
+            getViewDimensions: () => overrides.viewDimensions ?? { width: 800, height: 800 },
+            noteMotion: () => {}
         },
     }
 }
@@ -67,6 +72,9 @@ export function createMockDataset(overrides = {}) {
     return {
         chromosomes: overrides.chromosomes ?? DEFAULT_CHROMOSOMES,
         bpResolutions: overrides.bpResolutions ?? DEFAULT_BIN_SIZES,
+        // The real lookups, which read the two fields above for base pairs.
+        getResolutions: Dataset.prototype.getResolutions,
+        getChromosomeLength: Dataset.prototype.getChromosomeLength,
     }
 }
 
@@ -711,7 +719,7 @@ describe('State.sync', () => {
 /**
  * Mock browser shaped for InteractionHandler.zoomAndCenter.
  * Adds: state, dataset (with isWholeGenome), update(), coordinator.onLocusChange(),
- * contactMatrixView with the methods _applyStateChange touches.
+ * contactMatrixView with noteMotion() and the methods _applyStateChange touches.
  */
 function createInteractionBrowser(overrides = {}) {
     const dataset = overrides.dataset ?? {
@@ -726,6 +734,7 @@ function createInteractionBrowser(overrides = {}) {
         contactMatrixView: {
             getViewDimensions: () => DEFAULT_VIEW_DIMENSIONS,
             clearImageCaches: () => {},
+            noteMotion: () => {},
             zoomIn: async (...args) => { zoomInCalls.push(args) },
             zoomInCalls,
         },
@@ -1240,3 +1249,108 @@ describe('State.getSyncState — pure projection through a dataset', () => {
         })
     })
 })
+
+/**
+ * A view at a fragment resolution: `unit: 'FRAG'`, where x, y and zoom count
+ * restriction fragments. chr1 is 100 kb, cut every 1 kb for its first 50 kb
+ * and every 2 kb after -- 75 fragments, so fragments and base pairs part
+ * company halfway along.
+ */
+describe('State in fragment units', () => {
+
+    const sites = [
+        ...Array.from({ length: 50 }, (_, i) => (i + 1) * 1000),
+        ...Array.from({ length: 25 }, (_, i) => 50000 + (i + 1) * 2000),
+    ]
+
+    class FragmentDataset extends Dataset {
+        constructor() {
+            super({})
+            this.chromosomes = [
+                { index: 0, name: 'all', size: 100 },
+                { index: 1, name: 'chr1', size: 100000 },
+            ]
+            this.bpResolutions = [10000, 1000]
+            this.fragResolutions = [5, 1]
+            this.fragmentSites = new FragmentSites(new Map([['chr1', Int32Array.from(sites)]]))
+        }
+
+        isWholeGenome(chrIndex) {
+            return chrIndex === 0
+        }
+    }
+
+    const viewDimensions = { width: 20, height: 20 }
+
+    test('a session records the unit only when it is not base pairs', () => {
+        expect(createState().toJSON()).not.toHaveProperty('unit')
+
+        const state = new State(1, 1, 1, 50, 50, 1, 'NONE', 'FRAG')
+        expect(state.toJSON().unit).toBe('FRAG')
+        expect(State.fromJSON(state.toJSON())).toEqual(state)
+        expect(State.fromJSON(createState().toJSON()).unit).toBe('BP')
+    })
+
+    test('the selector crosses units around the base pair position at the center', async () => {
+        const dataset = new FragmentDataset()
+        const browser = createMockBrowser()
+
+        // Bins 60 to 80 at 1 kb: centered on 70 kb, the 60th fragment.
+        const state = new State(1, 1, 1, 60, 60, 1)
+        const changed = await state.setWithZoom(1, viewDimensions, browser, dataset, 'FRAG')
+
+        expect(changed).toBe(true)
+        expect(state.unit).toBe('FRAG')
+        expect(state.x).toBeCloseTo(50)
+        expect(state.getLocus(dataset, viewDimensions).x).toEqual({ chr: 'chr1', start: 50000, end: 90000 })
+
+        await state.setWithZoom(1, viewDimensions, browser, dataset, 'BP')
+        expect(state.unit).toBe('BP')
+        expect(state.x).toBeCloseTo(60)
+    })
+
+    test('clamps to the chromosome\'s length in fragments', async () => {
+        const dataset = new FragmentDataset()
+        const state = new State(1, 1, 1, 0, 0, 1, 'NONE', 'FRAG')
+
+        await state.setView(1, 1, 1000, 1000, 1, 1, createMockBrowser(), dataset, viewDimensions)
+        expect(state.x).toBe(75 - 20)
+        expect(state.y).toBe(75 - 20)
+    })
+
+    test('the whole genome returns the view to base pairs', async () => {
+        const dataset = new FragmentDataset()
+        const state = new State(1, 1, 1, 10, 10, 1, 'NONE', 'FRAG')
+
+        await state.setChromosomesView(0, 0, false, createMockBrowser(), dataset, viewDimensions)
+        expect(state.unit).toBe('BP')
+        expect(state.zoom).toBe(0)
+    })
+
+    test('a session in fragments restored onto a map without them opens at the coarsest base pair view', async () => {
+        const dataset = new FragmentDataset()
+        dataset.fragResolutions = undefined
+        const stateManager = new StateManager(createMockBrowser({ viewDimensions }))
+        stateManager.setActiveDataset(dataset)
+
+        // Fragment zoom 1 at fragment 40: read as base pairs, that is the 1 kb
+        // resolution at 40 kb -- a view the session never showed.
+        await stateManager.setState(new State(1, 1, 1, 40, 40, 1, 'NONE', 'FRAG'))
+
+        const restored = stateManager.activeState
+        expect(restored.unit).toBe('BP')
+        expect(restored.zoom).toBe(0)
+        expect(restored.x).toBe(0)
+        expect(restored.y).toBe(0)
+    })
+
+    test('a sibling in fragments is not followed by a map without them', async () => {
+        const state = createState()
+        const before = state.toJSON()
+        const target = { chr1Name: 'chr2', chr2Name: 'chr2', binSize: 1, binX: 5, binY: 5, pixelSize: 1, unit: 'FRAG' }
+
+        const result = await state.sync(target, createMockBrowser(), createMockBrowser().genome, createMockDataset())
+        expect(result).toEqual({ zoomChanged: false, chrChanged: false })
+        expect(state.toJSON()).toEqual(before)
+    })
+})
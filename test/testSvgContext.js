@@ -0,0 +1,136 @@
+import {describe, it, expect} from 'vitest'
+import SVGContext from '../js/svgContext.js'
+
+/**
+ * The recording 2D context a figure is drawn into as SVG. What matters is that
+ * drawing code written against a canvas lands in the same place, so the tests
+ * read back the markup a few canvas calls produce.
+ */
+
+const context = () => new SVGContext({width: 100, height: 50})
+
+const body = (ctx) => {
+    const svg = ctx.getSerializedSvg()
+    return svg.substring(svg.indexOf('>', svg.indexOf('<svg')) + 1, svg.lastIndexOf('</svg>'))
+}
+
+describe('SVGContext', () => {
+
+    it('writes a standalone document of the given size', () => {
+        const svg = context().getSerializedSvg()
+        expect(svg).toMatch(/^<\?xml/)
+        expect(svg).toContain('width="100" height="50" viewBox="0 0 100 50"')
+    })
+
+    it('fills a rectangle as a path', () => {
+        const ctx = context()
+        ctx.fillStyle = 'rgb(255, 0, 0)'
+        ctx.fillRect(10, 20, 30, 5)
+        expect(body(ctx)).toBe('<path d="M10,20 L40,20 L40,25 L10,25 Z" fill="rgb(255, 0, 0)"/>')
+    })
+
+    it('applies the transform to points as they are issued', () => {
+        const ctx = context()
+        ctx.beginPath()
+        ctx.moveTo(0, 0)
+        ctx.translate(5, 5)
+        ctx.scale(2, 2)
+        ctx.lineTo(1, 1)
+        ctx.stroke()
+        expect(body(ctx)).toContain('d="M0,0 L7,7"')
+    })
+
+    it('scales a stroke width with the transform', () => {
+        const ctx = context()
+        ctx.scale(3, 3)
+        ctx.lineWidth = 2
+        ctx.strokeRect(0, 0, 1, 1)
+        expect(body(ctx)).toContain('stroke-width="6"')
+    })
+
+    it('splits an rgba color into a color and an opacity', () => {
+        const ctx = context()
+        ctx.fillStyle = 'rgba(0, 128, 255, 0.25)'
+        ctx.globalAlpha = 0.5
+        ctx.fillRect(0, 0, 1, 1)
+        expect(body(ctx)).toContain('fill="rgb(0,128,255)" fill-opacity="0.125"')
+    })
+
+    it('writes text as text, escaped, anchored and transformed', () => {
+        const ctx = context()
+        ctx.textAlign = 'center'
+        ctx.textBaseline = 'bottom'
+        ctx.translate(10, 20)
+        ctx.rotate(-Math.PI / 2)
+        ctx.fillText('<chr1 & chr2>', 0, 0)
+
+        const text = body(ctx)
+        expect(text).toContain('&lt;chr1 &amp; chr2&gt;</text>')
+        expect(text).toContain('text-anchor="middle"')
+        expect(text).toContain('dominant-baseline="text-after-edge"')
+        expect(text).toContain('transform="matrix(0 -1 1 0 10 20)"')
+    })
+
+    it('restores the state save kept', () => {
+        const ctx = context()
+        ctx.fillStyle = 'red'
+        ctx.save()
+        ctx.fillStyle = 'blue'
+        ctx.translate(10, 10)
+        ctx.restore()
+        ctx.fillRect(0, 0, 1, 1)
+        expect(body(ctx)).toBe('<path d="M0,0 L1,0 L1,1 L0,1 Z" fill="red"/>')
+    })
+
+    it('clips until the matching restore', () => {
+        const ctx = context()
+        ctx.save()
+        ctx.beginPath()
+        ctx.rect(0, 0, 10, 10)
+        ctx.clip()
+        ctx.fillRect(0, 0, 20, 20)
+        ctx.restore()
+        ctx.fillRect(0, 0, 20, 20)
+
+        const svg = ctx.getSerializedSvg()
+        expect(svg).toContain('<defs><clipPath id="clip0"><path d="M0,0 L10,0 L10,10 L0,10 Z"/></clipPath></defs>')
+        expect(svg).toMatch(/<\/defs><g clip-path="url\(#clip0\)"><path [^>]*\/><\/g><path [^>]*\/><\/svg>$/)
+    })
+
+    it('closes a clip left open at the end', () => {
+        const ctx = context()
+        ctx.save()
+        ctx.rect(0, 0, 10, 10)
+        ctx.clip()
+        expect(ctx.getSerializedSvg()).toMatch(/<\/g><\/svg>$/)
+    })
+
+    it('shows the source rectangle of an image over the destination one', () => {
+        const ctx = context()
+        ctx.imageSmoothingEnabled = false
+        const image = {width: 8, height: 4, toDataURL: () => 'data:image/png;base64,AAAA'}
+        ctx.drawImage(image, 2, 1, 4, 2, 10, 10, 40, 20)
+
+        const svg = body(ctx)
+        expect(svg).toContain('<svg x="10" y="10" width="40" height="20" viewBox="2 1 4 2"')
+        expect(svg).toContain('href="data:image/png;base64,AAAA"')
+        expect(svg).toContain('image-rendering: pixelated')
+    })
+
+    it('draws an arc through its points, the way a canvas sweeps it', () => {
+        const ctx = context()
+        ctx.beginPath()
+        ctx.arc(0, 0, 10, 0, Math.PI / 2)
+        ctx.stroke()
+
+        const d = /d="([^"]*)"/.exec(body(ctx))[1].split(' ')
+        expect(d[0]).toBe('M10,0')
+        expect(d[d.length - 1]).toBe('L0,10')
+    })
+
+    it('measures text without a context to measure with', () => {
+        const ctx = context()
+        ctx.font = '10px sans-serif'
+        expect(ctx.measureText('abcd').width).toBeCloseTo(22)
+    })
+})
@@ -11,6 +11,7 @@
  * own state.
  */
 import { describe, test, expect, vi, beforeEach } from 'vitest'
+import Dataset from '../js/dataset.js'
 
 const loadDataset = vi.fn()
 
@@ -32,6 +33,8 @@ function stubDataset() {
         genomeId: 'hg19',
         chromosomes: CHROMOSOMES,
         bpResolutions: [1000, 100],
+        getResolutions: Dataset.prototype.getResolutions,
+        getChromosomeLength: Dataset.prototype.getChromosomeLength,
         datasetType: 'hic',
         isCompatible: () => true,
         getChrIndexFromName: name => CHROMOSOMES.find(c => c.name === name)?.index
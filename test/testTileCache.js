@@ -0,0 +1,238 @@
+import {describe, it, expect} from 'vitest'
+import TileCache, {DEFAULT_TILE_CACHE_BUDGET} from '../js/tileCache.js'
+
+/**
+ * The tile cache a registry's browsers share. Owners are plain objects standing
+ * in for the image tile sources; a tile is anything with an `image` of known
+ * size, and 10x10 makes 400 bytes.
+ */
+
+const TILE_BYTES = 400
+const tile = (name) => ({name, image: {width: 10, height: 10}})
+const cacheOf = (tiles) => new TileCache({budget: tiles * TILE_BYTES})
+
+describe('TileCache', () => {
+
+    it('defaults to a 128 MiB budget', () => {
+        expect(new TileCache().budget).toBe(DEFAULT_TILE_CACHE_BUDGET)
+        expect(DEFAULT_TILE_CACHE_BUDGET).toBe(128 * 1024 * 1024)
+    })
+
+    it('counts a tile by its raster bytes', () => {
+        const cache = cacheOf(4)
+        const owner = {}
+        cache.set(owner, 'a', tile('a'))
+        cache.set(owner, 'b', {image: {width: 20, height: 5}})
+        expect(cache.stats()).toMatchObject({tiles: 2, bytes: 2 * TILE_BYTES})
+    })
+
+    it('evicts the least recently used tile, not the oldest', () => {
+        const cache = cacheOf(2)
+        const owner = {}
+        cache.set(owner, 'a', tile('a'))
+        cache.set(owner, 'b', tile('b'))
+        cache.get(owner, 'a')
+        cache.set(owner, 'c', tile('c'))
+
+        expect(cache.has(owner, 'a')).toBe(true)
+        expect(cache.has(owner, 'b')).toBe(false)
+        expect(cache.stats()).toMatchObject({evictions: 1, evictedBytes: TILE_BYTES})
+    })
+
+    it('leaves recency alone on a peek', () => {
+        const cache = cacheOf(2)
+        const owner = {}
+        cache.set(owner, 'a', tile('a'))
+        cache.set(owner, 'b', tile('b'))
+        expect(cache.peek(owner, 'a').name).toBe('a')
+        cache.set(owner, 'c', tile('c'))
+
+        expect(cache.has(owner, 'a')).toBe(false)
+        expect(cache.stats()).toMatchObject({hits: 0, misses: 0})
+    })
+
+    it('counts hits and misses', () => {
+        const cache = cacheOf(2)
+        const owner = {}
+        cache.set(owner, 'a', tile('a'))
+        cache.get(owner, 'a')
+        cache.get(owner, 'a')
+        cache.get(owner, 'b')
+        expect(cache.stats()).toMatchObject({hits: 2, misses: 1})
+    })
+
+    it('replaces a tile cached again under the same key', () => {
+        const cache = cacheOf(2)
+        const owner = {}
+        cache.set(owner, 'a', tile('first'))
+        cache.set(owner, 'a', tile('second'))
+        expect(cache.get(owner, 'a').name).toBe('second')
+        expect(cache.stats()).toMatchObject({tiles: 1, bytes: TILE_BYTES})
+    })
+
+    describe('bitmaps', () => {
+
+        // An ImageBitmap's close(), recorded.
+        const bitmapTile = (name, closed) => ({name, image: {width: 10, height: 10, close: () => closed.push(name)}})
+
+        it('closes the bitmap of an evicted tile', () => {
+            const closed = []
+            const cache = cacheOf(1)
+            const owner = {}
+            cache.set(owner, 'a', bitmapTile('a', closed))
+            cache.set(owner, 'b', bitmapTile('b', closed))
+            expect(closed).toEqual(['a'])
+        })
+
+        it('closes the bitmaps an owner clears, or a zero budget drops', () => {
+            const closed = []
+            const cache = cacheOf(4)
+            const owner = {}
+            cache.set(owner, 'a', bitmapTile('a', closed))
+            cache.set(owner, 'b', bitmapTile('b', closed))
+            cache.clear(owner)
+            cache.set(owner, 'c', bitmapTile('c', closed))
+            cache.setBudget(0)
+            expect(closed).toEqual(['a', 'b', 'c'])
+        })
+
+        it('closes a replaced bitmap, unless the same one is cached again', () => {
+            const closed = []
+            const cache = cacheOf(2)
+            const owner = {}
+            const first = bitmapTile('first', closed)
+            cache.set(owner, 'a', first)
+            cache.set(owner, 'a', {...first})
+            expect(closed).toEqual([])
+            cache.set(owner, 'a', bitmapTile('second', closed))
+            expect(closed).toEqual(['first'])
+        })
+
+        it('leaves a tile it has no room for open, for whoever fetched it to close', () => {
+            const closed = []
+            const cache = cacheOf(1)
+            const owner = {}
+            cache.pin(owner, ['a'])
+            cache.set(owner, 'a', bitmapTile('a', closed))
+            expect(cache.set(owner, 'b', bitmapTile('b', closed), {ifRoom: true})).toBe(false)
+            expect(closed).toEqual([])
+        })
+
+        it('leaves a tile open under a zero budget, for whoever fetched it to close', () => {
+            const closed = []
+            const cache = cacheOf(0)
+            const owner = {}
+            expect(cache.set(owner, 'a', bitmapTile('a', closed))).toBe(false)
+            expect(closed).toEqual([])
+            expect(cache.stats()).toMatchObject({tiles: 0, bytes: 0})
+        })
+    })
+
+    describe('pins', () => {
+
+        it('keeps the current and previous views over budget', () => {
+            const cache = cacheOf(1)
+            const owner = {}
+            cache.pin(owner, ['a'])
+            cache.set(owner, 'a', tile('a'))
+            cache.pin(owner, ['b'])
+            cache.set(owner, 'b', tile('b'))
+
+            expect(cache.has(owner, 'a')).toBe(true)
+            expect(cache.has(owner, 'b')).toBe(true)
+            expect(cache.stats().bytes).toBe(2 * TILE_BYTES)
+        })
+
+        it('releases a view two views back', () => {
+            const cache = cacheOf(1)
+            const owner = {}
+            for (const key of ['a', 'b', 'c']) {
+                cache.pin(owner, [key])
+                cache.set(owner, key, tile(key))
+            }
+            expect(cache.has(owner, 'a')).toBe(false)
+            expect(cache.stats().tiles).toBe(2)
+        })
+
+        it('drops a tile cached only if there is room', () => {
+            const cache = cacheOf(1)
+            const owner = {}
+            cache.pin(owner, ['a'])
+            cache.set(owner, 'a', tile('a'))
+
+            expect(cache.set(owner, 'b', tile('b'), {ifRoom: true})).toBe(false)
+            expect(cache.has(owner, 'b')).toBe(false)
+            expect(cache.has(owner, 'a')).toBe(true)
+        })
+
+        it('keeps another owner\'s pinned tiles', () => {
+            const cache = cacheOf(1)
+            const [one, two] = [{}, {}]
+            cache.pin(one, ['a'])
+            cache.set(one, 'a', tile('a'))
+            cache.set(two, 'a', tile('a'))
+
+            expect(cache.has(one, 'a')).toBe(true)
+        })
+    })
+
+    describe('owners', () => {
+
+        it('keeps the same key apart for two owners', () => {
+            const cache = cacheOf(2)
+            const [one, two] = [{}, {}]
+            cache.set(one, 'k', tile('one'))
+            cache.set(two, 'k', tile('two'))
+            expect(cache.get(one, 'k').name).toBe('one')
+            expect(cache.get(two, 'k').name).toBe('two')
+        })
+
+        it('shares one budget between owners', () => {
+            const cache = cacheOf(2)
+            const [one, two] = [{}, {}]
+            cache.set(one, 'a', tile('a'))
+            cache.set(two, 'b', tile('b'))
+            cache.set(two, 'c', tile('c'))
+
+            expect(cache.has(one, 'a')).toBe(false)
+            expect(cache.stats().tiles).toBe(2)
+        })
+
+        it('clears only the owner\'s tiles, and not as evictions', () => {
+            const cache = cacheOf(4)
+            const [one, two] = [{}, {}]
+            cache.set(one, 'a', tile('a'))
+            cache.set(two, 'a', tile('a'))
+            cache.clear(one)
+
+            expect(cache.has(one, 'a')).toBe(false)
+            expect(cache.has(two, 'a')).toBe(true)
+            expect(cache.stats()).toMatchObject({tiles: 1, bytes: TILE_BYTES, evictions: 0})
+        })
+    })
+
+    describe('setBudget', () => {
+
+        it('evicts at once when the budget shrinks', () => {
+            const cache = cacheOf(3)
+            const owner = {}
+            for (const key of ['a', 'b', 'c']) cache.set(owner, key, tile(key))
+            cache.setBudget(TILE_BYTES)
+
+            expect(cache.stats()).toMatchObject({budget: TILE_BYTES, tiles: 1, evictions: 2})
+            expect(cache.has(owner, 'c')).toBe(true)
+        })
+
+        it('caches nothing, pins included, at zero', () => {
+            const cache = cacheOf(3)
+            const owner = {}
+            cache.pin(owner, ['a'])
+            cache.set(owner, 'a', tile('a'))
+            cache.setBudget(0)
+
+            expect(cache.stats()).toMatchObject({tiles: 0, bytes: 0})
+            expect(cache.set(owner, 'b', tile('b'))).toBe(false)
+            expect(cache.has(owner, 'b')).toBe(false)
+        })
+    })
+})
@@ -0,0 +1,269 @@
+import {describe, it, expect} from 'vitest'
+import {MainThreadRasterizer, WorkerRasterizer, workersAvailable} from '../js/tileRasterizer.js'
+import {pearsonMatrix, unpackRecords} from '../js/imageTileCore.js'
+
+/**
+ * The two rasterizers behind ImageTileSource. The worker is stood in by a fake
+ * that records what crossed and answers when told to -- the test environment
+ * has neither Worker nor OffscreenCanvas, which is also why the default
+ * rasterizer here is the main-thread one.
+ */
+
+const TILE = 4
+
+const record = (bin1, bin2, counts) => ({
+    bin1, bin2, counts,
+    getKey: () => `${bin1}_${bin2}`
+})
+
+const stubTile = (dimension) => {
+    const buf = {width: dimension, height: dimension, data: new Uint8ClampedArray(dimension * dimension * 4)}
+    return {
+        width: dimension,
+        height: dimension,
+        buf,
+        getContext: () => ({getImageData: () => buf, putImageData: () => {}})
+    }
+}
+
+const scale = (red, string) => ({
+    getColor: () => ({red, green: 0, blue: 0, alpha: 255}),
+    stringify: () => string
+})
+
+// A read whose records are in hand, as a Pearson tile's are.
+const inHand = records => ({fetch: async () => records})
+
+const job = (over = {}) => ({
+    records: inHand([record(1, 2, 7)]),
+    controlRecords: undefined,
+    row: 0,
+    column: 0,
+    tileDimension: TILE,
+    plan: {
+        displayMode: 'A',
+        tileDimension: TILE,
+        sameChr: false,
+        averageCount: 1,
+        ctrlAverageCount: 1,
+        colorScale: scale(9, '100,9,0,0'),
+        ratioColorScale: scale(1, 'R:5:5,255,0,0:5,0,0,255'),
+        diffColorScale: scale(2, 'D:100:100,255,0,0:100,0,0,255')
+    },
+    ...over
+})
+
+const correlation = () => ({
+    records: [record(0, 0, 4), record(0, 1, 1), record(1, 1, 2), record(1, 2, 3), record(2, 2, 1)],
+    expected: Float64Array.from([1, 1, 1]),
+    n: 3
+})
+
+/**
+ * A worker that holds each message until the test answers it.
+ */
+const fakeWorker = () => {
+    const worker = {
+        posted: [],
+        terminated: false,
+        postMessage(message, transfer) {
+            this.posted.push({message, transfer})
+        },
+        terminate() {
+            this.terminated = true
+        },
+        answer(i, data) {
+            this.onmessage({data: {id: this.posted[i].message.id, ...data}})
+        }
+    }
+    return worker
+}
+
+const workerRasterizer = () => {
+    const worker = fakeWorker()
+    const rasterizer = new WorkerRasterizer({
+        createWorker: () => worker,
+        fallback: new MainThreadRasterizer(stubTile)
+    })
+    return {worker, rasterizer}
+}
+
+// Let the rasterize() call reach postMessage.
+const settle = () => new Promise(resolve => setTimeout(resolve, 0))
+
+describe('MainThreadRasterizer', () => {
+
+    it('paints records into the surface it creates', async () => {
+        const image = await new MainThreadRasterizer(stubTile).rasterize(job())
+        const i = (1 + 2 * TILE) * 4
+        expect([image.buf.data[i], image.buf.data[i + 3]]).toEqual([9, 255])
+    })
+
+    it('leaves an empty tile blank', async () => {
+        const image = await new MainThreadRasterizer(stubTile).rasterize(job({records: inHand([])}))
+        expect(image.buf.data.every(byte => 0 === byte)).toBe(true)
+    })
+
+    it('correlates a chromosome in place', async () => {
+        const matrix = await new MainThreadRasterizer(stubTile).correlate(correlation())
+        expect(Array.from(matrix)).toEqual(Array.from(pearsonMatrix(correlation().records, [1, 1, 1], 3)))
+    })
+})
+
+describe('WorkerRasterizer', () => {
+
+    it('posts packed records and scales as session strings', async () => {
+        const {worker, rasterizer} = workerRasterizer()
+        rasterizer.rasterize(job())
+        await settle()
+
+        const {message} = worker.posted[0]
+        expect(unpackRecords(message.records).map(r => [r.bin1, r.bin2, r.counts])).toEqual([[1, 2, 7]])
+        expect(message.plan.colorScale).toBe('100,9,0,0')
+        expect(message.plan.ratioColorScale).toBe('R:5:5,255,0,0:5,0,0,255')
+        expect(message.controlRecords).toBeUndefined()
+    })
+
+    it('carries the O/E scale and expected counts across', async () => {
+        const {worker, rasterizer} = workerRasterizer()
+        const expected = Float64Array.from([4, 2])
+        rasterizer.rasterize(job({plan: {...job().plan, displayMode: 'OE', oeColorScale: scale(3, 'O:4:4,255,0,0:4,0,0,255'), expected}}))
+        await settle()
+
+        const {message, transfer} = worker.posted[0]
+        expect(message.plan.oeColorScale).toBe('O:4:4,255,0,0:4,0,0,255')
+        expect(message.plan.expected).toBe(expected)
+        expect(transfer).not.toContain(expected.buffer)
+    })
+
+    it('transfers the record buffers rather than copying them', async () => {
+        const {worker, rasterizer} = workerRasterizer()
+        rasterizer.rasterize(job({controlRecords: inHand([record(1, 2, 3)]), plan: {...job().plan, displayMode: 'AOB'}}))
+        await settle()
+
+        const {message, transfer} = worker.posted[0]
+        expect(transfer).toContain(message.records.counts.buffer)
+        expect(transfer).toContain(message.controlRecords.bin1.buffer)
+        expect(transfer.length).toBe(6)
+    })
+
+    it('sends the request of a read the worker can make, rather than fetching it', async () => {
+        const {worker, rasterizer} = workerRasterizer()
+        const request = {source: {id: 0, config: {url: 'https://example.org/a.hic'}}, args: ['NONE']}
+        let fetches = 0
+        rasterizer.rasterize(job({records: {request, fetch: async () => (fetches++, [])}}))
+        await settle()
+
+        const {message, transfer} = worker.posted[0]
+        expect(message.recordsRequest).toBe(request)
+        expect(message.records).toBeUndefined()
+        expect(transfer).toEqual([])
+        expect(fetches).toBe(0)
+    })
+
+    it('reads here after the worker failed to fetch, without fetching a tile twice', async () => {
+        const {worker, rasterizer} = workerRasterizer()
+        const request = {source: {id: 0, config: {url: 'https://example.org/a.hic'}}, args: ['NONE']}
+        let fetches = 0
+        const read = () => ({request, fetch: async () => (fetches++, [record(1, 2, 7)])})
+
+        const failed = rasterizer.rasterize(job({records: read()}))
+        await settle()
+        worker.answer(0, {error: 'Failed to fetch', fetchFailed: true})
+        expect((await failed).buf.data[(1 + 2 * TILE) * 4]).toBe(9)
+        expect(fetches).toBe(1)
+
+        rasterizer.rasterize(job({records: read()}))
+        await settle()
+        const {message} = worker.posted[1]
+        expect(message.recordsRequest).toBeUndefined()
+        expect(unpackRecords(message.records).map(r => [r.bin1, r.bin2, r.counts])).toEqual([[1, 2, 7]])
+        expect(fetches).toBe(2)
+    })
+
+    it('resolves with the image the worker posts back', async () => {
+        const {worker, rasterizer} = workerRasterizer()
+        const bitmap = {width: TILE, height: TILE}
+        const result = rasterizer.rasterize(job())
+        await settle()
+
+        worker.answer(0, {image: bitmap})
+        expect(await result).toBe(bitmap)
+    })
+
+    it('never sends an empty tile across', async () => {
+        const {worker, rasterizer} = workerRasterizer()
+        const image = await rasterizer.rasterize(job({records: inHand([])}))
+        expect(worker.posted).toEqual([])
+        expect(image.width).toBe(TILE)
+    })
+
+    it('paints a tile the worker failed on, on the main thread', async () => {
+        const {worker, rasterizer} = workerRasterizer()
+        const result = rasterizer.rasterize(job())
+        await settle()
+
+        worker.answer(0, {error: 'boom'})
+        const image = await result
+        expect(image.buf.data[(1 + 2 * TILE) * 4]).toBe(9)
+    })
+
+    it('falls back for good when the worker dies, including jobs it was holding', async () => {
+        const {worker, rasterizer} = workerRasterizer()
+        const held = rasterizer.rasterize(job())
+        await settle()
+
+        worker.onerror({message: 'failed to load'})
+
+        expect(worker.terminated).toBe(true)
+        expect((await held).buf).toBeDefined()
+
+        await rasterizer.rasterize(job())
+        expect(worker.posted.length).toBe(1)
+    })
+
+    it('sends a Pearson matrix to be computed in the worker', async () => {
+        const {worker, rasterizer} = workerRasterizer()
+        const job = correlation()
+        const result = rasterizer.correlate(job)
+        await settle()
+
+        const {message, transfer} = worker.posted[0]
+        expect(unpackRecords(message.correlate.records).map(r => [r.bin1, r.bin2, r.counts]))
+            .toEqual(job.records.map(r => [r.bin1, r.bin2, r.counts]))
+        expect(message.correlate.n).toBe(3)
+        expect(transfer).toContain(message.correlate.records.counts.buffer)
+        expect(transfer).not.toContain(job.expected.buffer)
+
+        const matrix = new Float32Array(9)
+        worker.answer(0, {matrix})
+        expect(await result).toBe(matrix)
+    })
+
+    it('correlates on the main thread when the worker cannot', async () => {
+        const {worker, rasterizer} = workerRasterizer()
+        const result = rasterizer.correlate(correlation())
+        await settle()
+
+        worker.answer(0, {error: 'out of memory'})
+        expect((await result).length).toBe(9)
+    })
+
+    it('terminates the worker on dispose without stranding a pass', async () => {
+        const {worker, rasterizer} = workerRasterizer()
+        const held = rasterizer.rasterize(job())
+        await settle()
+
+        rasterizer.dispose()
+
+        expect(worker.terminated).toBe(true)
+        expect((await held).buf).toBeDefined()
+    })
+})
+
+describe('workersAvailable', () => {
+
+    it('is false without OffscreenCanvas, as in the test environment', () => {
+        expect(workersAvailable()).toBe(false)
+    })
+})
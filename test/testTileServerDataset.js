@@ -0,0 +1,101 @@
+import {describe, it, expect, beforeAll, afterAll} from 'vitest'
+import {once} from 'node:events'
+import TileServerDataset, {isTileServerConfig} from '../js/tileServerDataset.js'
+import {createTileServer} from '../tile-server/reference-server.js'
+
+/**
+ * A map read through the tile server protocol, from the reference server on a
+ * local port: chr1 (25 kb) and chr2 (12 kb), at 10 and 1 kb. See
+ * docs/tile-server-protocol.md.
+ */
+
+const MAP = {
+    genome: 'test',
+    chromosomes: [{name: 'chr1', size: 25000}, {name: 'chr2', size: 12000}],
+    resolutions: [1000, 10000],
+    contacts: [
+        ['chr1', 1500, 'chr1', 2500],
+        ['chr1', 2600, 'chr1', 1200, 2],
+        ['chr1', 1100, 'chr1', 15000],
+        ['chr2', 500, 'chr1', 3500]
+    ]
+}
+
+const records = list => list
+    .map(({bin1, bin2, counts}) => [bin1, bin2, counts])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+
+const region = (chr, start, end) => ({chr, start, end})
+
+describe('TileServerDataset', () => {
+
+    let server
+    let base
+    let dataset
+
+    beforeAll(async () => {
+        server = createTileServer(MAP)
+        server.listen(0, '127.0.0.1')
+        await once(server, 'listening')
+        base = `http://127.0.0.1:${server.address().port}/maps/test`
+        dataset = await TileServerDataset.loadDataset({url: `tileserver+${base}`, name: 'test'})
+    })
+
+    afterAll(() => server.close())
+
+    it('takes its chromosomes from /info, after a whole-genome "All"', () => {
+        expect(dataset.chromosomes).toEqual([
+            {index: 0, name: 'All', size: 37},
+            {index: 1, name: 'chr1', size: 25000},
+            {index: 2, name: 'chr2', size: 12000}
+        ])
+        expect(dataset.genomeId).toBe('test')
+        expect(dataset.bpResolutions).toEqual([10000, 1000])
+    })
+
+    it('asks for the records of a region pair', async () => {
+        const list = await dataset.getContactRecords('NONE', region('chr1', 0, 25000), region('chr1', 0, 25000), 'BP', 1000)
+        expect(records(list)).toEqual([[1, 2, 3], [1, 15, 1]])
+    })
+
+    it('asks for the upper triangle whichever way round the regions come', async () => {
+        const list = await dataset.getContactRecords('NONE', region('chr2', 0, 12000), region('chr1', 0, 25000), 'BP', 1000)
+        expect(records(list)).toEqual([[3, 0, 1]])
+    })
+
+    it('answers the whole-genome view in kb, as a .hic file does', async () => {
+        const all = region('All', 0, 37)
+        const list = await dataset.getContactRecords('NONE', all, all, 'BP', dataset.wholeGenomeBinSize)
+        expect(list.reduce((sum, {counts}) => sum + counts, 0)).toBe(5)
+    })
+
+    it('gives each zoom the average count the server reports', async () => {
+        const matrix = await dataset.getMatrix(1, 1)
+        expect(matrix.getZoomData(10000, 'BP').averageCount).toBeCloseTo(4 / 6)
+        expect(matrix.getZoomDataByIndex(1, 'BP').zoom).toEqual({binSize: 1000, unit: 'BP'})
+    })
+
+    it('offers the normalizations /info lists', async () => {
+        expect(await dataset.getNormalizationOptions()).toEqual(['NONE'])
+        expect(dataset.hasNormalizationVector('KR', 'chr1', 'BP', 1000)).toBe(false)
+    })
+
+    it('refuses a resolution the server does not have', async () => {
+        await expect(dataset.getContactRecords('NONE', region('chr1', 0, 25000), region('chr1', 0, 25000), 'BP', 5000))
+            .rejects.toThrow('No data available for resolution: 5000')
+    })
+
+    it('fails on an error from the server', async () => {
+        await expect(dataset.getContactRecords('KR', region('chr1', 0, 25000), region('chr1', 0, 25000), 'BP', 1000))
+            .rejects.toThrow(/records\?.*: 400/)
+    })
+})
+
+describe('isTileServerConfig', () => {
+
+    it('knows a tile server by the scheme prefix or the format', () => {
+        expect(isTileServerConfig({url: 'tileserver+https://example.org/maps/a'})).toBe(true)
+        expect(isTileServerConfig({url: 'https://example.org/maps/a', format: 'tileserver'})).toBe(true)
+        expect(isTileServerConfig({url: 'https://example.org/a.hic'})).toBe(false)
+    })
+})
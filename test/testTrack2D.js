@@ -1,5 +1,6 @@
 import { describe, test, expect } from 'vitest';
-import Track2D from '../js/track2D.js'
+import Track2D, { parseData } from '../js/track2D.js'
+import Genome from '../js/genome.js'
 
 describe("testTrack2D", function () {
 
@@ -11,3 +12,229 @@ describe("testTrack2D", function () {
 
     })
 })
+
+describe("editable 2D track", function () {
+
+    const loop = () => ({chr1: 'chr1', x1: 1000, x2: 2000, chr2: 'chr1', y1: 5000, y2: 6000})
+
+    test("files added features under either chromosome order, and removes them", function () {
+
+        const track2D = new Track2D({name: 'Annotations', editable: true}, [])
+        const intra = loop()
+        const inter = {chr1: 'chr5', x1: 10, x2: 20, chr2: 'chr2', y1: 30, y2: 40}
+
+        track2D.addFeature(intra)
+        track2D.addFeature(inter)
+        expect(track2D.featureCount).toBe(2)
+        expect(track2D.getFeatures('chr2', 'chr5')).toEqual([inter])
+
+        expect(track2D.removeFeature(inter)).toBe(true)
+        expect(track2D.removeFeature(inter)).toBe(false)
+        expect(track2D.getFeatures('chr5', 'chr2')).toBeUndefined()
+        expect(track2D.getAllFeatures()).toEqual([intra])
+        expect(track2D.featureCount).toBe(1)
+    })
+
+    test("finds the features in a region, of a pair asked for in either order", function () {
+
+        const inter = {chr1: 'chr5', x1: 10, x2: 20, chr2: 'chr2', y1: 300, y2: 400}
+        const far = {chr1: 'chr2', x1: 5000, x2: 6000, chr2: 'chr5', y1: 5000, y2: 6000}
+        const track2D = new Track2D({}, [inter, far])
+
+        // x on chr2 then on chr5: inter is filed chr5 first.
+        expect(track2D.getFeatures('chr2', 'chr5', {xStart: 0, xEnd: 1000, yStart: 0, yEnd: 1000})).toEqual([inter])
+        expect(track2D.getFeatures('chr5', 'chr2', {xStart: 0, xEnd: 100, yStart: 250, yEnd: 350})).toEqual([inter])
+        expect(track2D.getFeatures('chr5', 'chr2', {xStart: 250, xEnd: 350, yStart: 0, yEnd: 100})).toEqual([])
+        expect(track2D.getFeatures('chr5', 'chr2')).toEqual([inter, far])
+    })
+
+    test("re-indexes a pair when a feature on it is edited", function () {
+
+        const feature = loop()
+        const track2D = new Track2D({editable: true}, [feature])
+        const region = {xStart: 9000, xEnd: 10000, yStart: 0, yEnd: 100000}
+        expect(track2D.getFeatures('chr1', 'chr1', region)).toEqual([])
+
+        track2D.updateFeature(feature, {x2: 9500})
+        expect(track2D.getFeatures('chr1', 'chr1', region)).toEqual([feature])
+
+        const added = {...loop(), x1: 9900, x2: 12000}
+        track2D.addFeature(added)
+        expect(track2D.getFeatures('chr1', 'chr1', region)).toEqual([feature, added])
+
+        track2D.removeFeature(feature)
+        expect(track2D.getFeatures('chr1', 'chr1', region)).toEqual([added])
+    })
+
+    test("moves a feature's extents, swapping a start dragged past its end", function () {
+
+        const feature = loop()
+        const track2D = new Track2D({editable: true}, [feature])
+
+        track2D.updateFeature(feature, {x2: 500, y1: 5500})
+        expect(feature).toEqual({chr1: 'chr1', x1: 500, x2: 1000, chr2: 'chr1', y1: 5500, y2: 6000})
+    })
+
+    test("writes BEDPE with the color where parseData reads it", function () {
+
+        const track2D = new Track2D({editable: true}, [
+            {...loop(), color: 'rgb(255,0,0)'},
+            {chr1: 'chr2', x1: 10, x2: 20, chr2: 'chr3', y1: 30, y2: 40}
+        ])
+
+        expect(track2D.toBEDPE()).toBe(
+            '#chr1\tx1\tx2\tchr2\ty1\ty2\tname\tscore\tstrand1\tstrand2\tcolor\n' +
+            'chr1\t1000\t2000\tchr1\t5000\t6000\t.\t.\t.\t.\t255,0,0\n' +
+            'chr2\t10\t20\tchr3\t30\t40\t.\t.\t.\t.\n')
+    })
+
+    test("writes a feature's own color, or the track's, and not the one a style paints it", function () {
+
+        const track2D = new Track2D({editable: true}, [
+            {...loop(), color: 'rgb(255,0,0)', attributes: {score: '9'}},
+            {chr1: 'chr2', x1: 10, x2: 20, chr2: 'chr3', y1: 30, y2: 40, attributes: {score: '1'}}
+        ])
+        track2D.setStyle({attribute: 'score', colormap: 'viridis'})
+        const colors = () => track2D.toBEDPE().split("\n").slice(1, 3).map(line => line.split("\t")[10])
+
+        expect(colors()).toEqual(['255,0,0', undefined])
+
+        track2D.color = 'rgb(0,0,255)'
+        expect(colors()).toEqual(['255,0,0', '0,0,255'])
+    })
+
+    test("carries its features inline in a session, and is rebuilt from them", function () {
+
+        const track2D = new Track2D({name: 'Annotations', editable: true}, [{chr1: 'chr1', x1: 1, x2: 2, chr2: 'chr1', y1: 3, y2: 4}])
+        const json = track2D.toJSON()
+
+        expect(json).toEqual({
+            format: 'bedpe',
+            editable: true,
+            features: [{chr1: 'chr1', x1: 1, x2: 2, chr2: 'chr1', y1: 3, y2: 4}],
+            name: 'Annotations'
+        })
+
+        const genome = new Genome('test', [{index: 0, name: 'chr1', size: 1000}])
+        const restored = Track2D.fromFeatures({...json, features: [{...json.features[0], chr1: '1', chr2: '1'}]}, genome)
+        expect(restored.editable).toBe(true)
+        expect(restored.getFeatures('chr1', 'chr1')).toEqual(json.features)
+    })
+
+    test("a track read from a file is written by its url", function () {
+
+        const track2D = new Track2D({url: 'https://example.org/loops.bedpe'}, [loop()])
+        expect(track2D.editable).toBe(false)
+        expect(track2D.toJSON()).toEqual({url: 'https://example.org/loops.bedpe'})
+    })
+})
+
+describe("parseData", function () {
+
+    test("keeps every column of a HiCCUPS loop list, named by its header row", function () {
+
+        const data = [
+            "#chr1\tx1\tx2\tchr2\ty1\ty2\tcolor\to\te_bl\tfdr_bl",
+            "# juicer_tools version 1.22.01",
+            "1\t1000\t2000\t1\t5000\t6000\t0,255,255\t52.0\t11.7\t1.2E-10"
+        ].join("\n")
+
+        expect(parseData(data, true)).toEqual([{
+            chr1: "1", x1: 1000, x2: 2000, chr2: "1", y1: 5000, y2: 6000,
+            color: "rgb(0,255,255)",
+            attributes: {color: "0,255,255", o: "52.0", e_bl: "11.7", fdr_bl: "1.2E-10"}
+        }])
+    })
+
+    test("names the columns of a BEDPE file without a header by the format", function () {
+
+        const data = "chr1\t1000\t2000\tchr2\t5000\t6000\tloop1\t7\t+\t-\t255,0,0\textra\n"
+
+        expect(parseData(data, true)[0]).toEqual({
+            chr1: "chr1", x1: 1000, x2: 2000, chr2: "chr2", y1: 5000, y2: 6000,
+            color: "rgb(255,0,0)",
+            attributes: {name: "loop1", score: "7", strand1: "+", strand2: "-", color: "255,0,0", "column 12": "extra"}
+        })
+    })
+
+    test("gives a feature of six columns no attributes", function () {
+
+        expect(parseData("chr1\t1\t2\tchr1\t3\t4", true)).toEqual([{chr1: "chr1", x1: 1, x2: 2, chr2: "chr1", y1: 3, y2: 4}])
+    })
+
+    test("writes a feature's name, score and strands back out as BEDPE", function () {
+
+        const [feature] = parseData("chr1\t1000\t2000\tchr2\t5000\t6000\tloop1\t7\t+\t-", true)
+        expect(new Track2D({editable: true}, [feature]).toBEDPE().split("\n")[1])
+            .toBe("chr1\t1000\t2000\tchr2\t5000\t6000\tloop1\t7\t+\t-")
+    })
+})
+
+describe("2D track style and filters", function () {
+
+    const feature = (x1, attributes) => ({chr1: 'chr1', x1, x2: x1 + 1000, chr2: 'chr1', y1: x1 + 10000, y2: x1 + 11000, attributes})
+
+    const loops = () => [
+        feature(0, {o: '10', caller: 'hiccups', fdr: '0.2'}),
+        feature(5000, {o: '30', caller: 'mustache', fdr: '0.001'}),
+        feature(9000, {o: '20', caller: 'hiccups', fdr: '0.01'})
+    ]
+
+    test("colors by a numeric attribute over its range on the track", function () {
+
+        const [low, high, middle] = loops()
+        const track2D = new Track2D({style: {attribute: 'o', colormap: 'ffffff-000000'}}, [low, high, middle])
+
+        expect(track2D.getFeatureColor(low)).toBe('rgb(255,255,255)')
+        expect(track2D.getFeatureColor(middle)).toBe('rgb(128,128,128)')
+        expect(track2D.getFeatureColor(high)).toBe('rgb(0,0,0)')
+    })
+
+    test("colors by a categorical attribute, a palette color per value in order of appearance", function () {
+
+        const [a, b, c] = loops()
+        const track2D = new Track2D({style: {attribute: 'caller', palette: 'set1'}}, [a, b, c])
+
+        expect([a, b, c].map(f => track2D.getFeatureColor(f))).toEqual(['#e41a1c', '#377eb8', '#e41a1c'])
+    })
+
+    test("leaves a feature without the attribute its own color", function () {
+
+        const plain = {...feature(0), color: 'rgb(1,2,3)'}
+        const track2D = new Track2D({style: {attribute: 'o', colormap: 'viridis'}}, [plain])
+
+        expect(track2D.getFeatureColor(plain)).toBe('rgb(1,2,3)')
+    })
+
+    test("refuses an unknown colormap or palette", function () {
+
+        expect(() => new Track2D({style: {attribute: 'o', colormap: 'rainbow'}}, [])).toThrow('Unknown colormap "rainbow"')
+        expect(() => new Track2D({style: {attribute: 'o', palette: 'rainbow'}}, [])).toThrow('needs a colormap, or a palette')
+    })
+
+    test("shows only features in every range, derived attributes included", function () {
+
+        const track2D = new Track2D({filters: [{attribute: 'fdr', max: 0.05}, {attribute: 'distance', min: 10000}]}, loops())
+
+        expect(track2D.getAllFeatures().filter(f => track2D.isFeatureShown(f)).map(f => f.x1)).toEqual([5000, 9000])
+        expect(track2D.isFeatureShown(feature(0))).toBe(false)
+    })
+
+    test("lists the attributes to style or filter by, with their ranges", function () {
+
+        const track2D = new Track2D({}, loops())
+
+        expect(track2D.attributeNames()).toEqual(['o', 'caller', 'fdr', 'distance', 'width'])
+        expect(track2D.attributeRange('o')).toEqual({min: 10, max: 30})
+        expect(track2D.attributeRange('caller')).toBeUndefined()
+    })
+
+    test("carries its style and filters in the session", function () {
+
+        const style = {attribute: 'o', colormap: 'viridis', min: 0, max: 50}
+        const filters = [{attribute: 'fdr', max: 0.05}]
+        const track2D = new Track2D({url: 'https://example.org/loops.bedpe', style, filters}, loops())
+
+        expect(track2D.toJSON()).toEqual({url: 'https://example.org/loops.bedpe', style, filters})
+    })
+})
@@ -0,0 +1,134 @@
+import { describe, test, expect } from 'vitest'
+import Track2D from '../js/track2D.js'
+import Track2DEditor, { featureOutlines, hitTest, gestureRect } from '../js/track2DEditor.js'
+
+/**
+ * The geometry behind editing 2D annotations on the contact map: where the
+ * user-owned track's features are outlined, what a press lands on, and the
+ * rectangle a drag makes. A view of chr1 against itself, or against chr2, at
+ * 1 kb bins, one pixel each, from the origin.
+ */
+
+const dataset = {
+    chromosomes: [{name: 'All'}, {name: 'chr1'}, {name: 'chr2'}],
+    fromBP: (chr, bp) => bp,
+    toBP: (chr, position) => position
+}
+
+const state = (chr1, chr2) => ({chr1, chr2, x: 0, y: 0, pixelSize: 1, unit: 'BP'})
+
+const loop = {chr1: 'chr1', x1: 10000, x2: 20000, chr2: 'chr1', y1: 50000, y2: 60000}
+
+describe('featureOutlines', () => {
+
+    test('outlines a feature on either side of the diagonal, the mirror reading the swapped fields', () => {
+        const outlines = featureOutlines(new Track2D({editable: true}, [loop]), dataset, state(1, 1), 1000)
+
+        expect(outlines).toEqual([
+            {feature: loop, left: 10, right: 20, top: 50, bottom: 60, xKeys: ['x1', 'x2'], yKeys: ['y1', 'y2']},
+            {feature: loop, left: 50, right: 60, top: 10, bottom: 20, xKeys: ['y1', 'y2'], yKeys: ['x1', 'x2']}
+        ])
+    })
+
+    test('reads a feature filed with its chromosomes the other way round by its swapped fields', () => {
+        const inter = {chr1: 'chr2', x1: 1000, x2: 2000, chr2: 'chr1', y1: 3000, y2: 4000}
+        const outlines = featureOutlines(new Track2D({editable: true}, [inter]), dataset, state(1, 2), 1000)
+
+        expect(outlines).toEqual([{feature: inter, left: 3, right: 4, top: 1, bottom: 2, xKeys: ['y1', 'y2'], yKeys: ['x1', 'x2']}])
+    })
+
+    test('given the view\'s size, outlines only the features in it', () => {
+        const track2D = new Track2D({editable: true}, [loop])
+
+        // 40 pixels wide and 100 high reaches the loop, but not its mirror.
+        expect(featureOutlines(track2D, dataset, state(1, 1), 1000, {width: 40, height: 100}).map(({left}) => left)).toEqual([10])
+        expect(featureOutlines(track2D, dataset, state(1, 1), 1000, {width: 40, height: 40})).toEqual([])
+    })
+})
+
+describe('hitTest', () => {
+
+    const outlines = [{feature: loop, left: 10, right: 20, top: 50, bottom: 60}]
+
+    test('grabs the edge within the tolerance, else the inside', () => {
+        expect(hitTest(outlines, 11, 55).edge).toBe('left')
+        expect(hitTest(outlines, 15, 63).edge).toBe('bottom')
+        expect(hitTest(outlines, 15, 55).edge).toBe('inside')
+    })
+
+    test('misses outside the outline', () => {
+        expect(hitTest(outlines, 30, 55)).toBeUndefined()
+    })
+})
+
+describe('gestureRect', () => {
+
+    const hit = edge => ({left: 10, right: 20, top: 50, bottom: 60, edge})
+
+    test('draws a new rectangle from wherever the drag began', () => {
+        expect(gestureRect({start: {x: 30, y: 40}}, 10, 50)).toEqual({left: 10, right: 30, top: 40, bottom: 50})
+    })
+
+    test('moves the grabbed edge, past the opposite one if dragged there', () => {
+        expect(gestureRect({start: {x: 20, y: 55}, hit: hit('right')}, 25, 55)).toEqual({left: 10, right: 25, top: 50, bottom: 60})
+        expect(gestureRect({start: {x: 10, y: 55}, hit: hit('left')}, 30, 55)).toEqual({left: 20, right: 30, top: 50, bottom: 60})
+    })
+
+    test('moves the whole outline from inside it', () => {
+        expect(gestureRect({start: {x: 15, y: 55}, hit: hit('inside')}, 20, 45)).toEqual({left: 15, right: 25, top: 40, bottom: 50})
+    })
+})
+
+describe('Track2DEditor', () => {
+
+    const editorOn = chr => {
+        const alerts = []
+        const browser = {
+            dataset: {...dataset, isWholeGenome: chrIndex => 0 === chrIndex},
+            state: state(chr, chr),
+            // The user-owned track, made ahead: the editor's own names a color,
+            // which is validated against a DOM the tests do not have.
+            tracks2D: [new Track2D({name: 'Annotations', editable: true}, [])],
+            registry: {presentAlert: message => alerts.push(message)},
+            coordinator: {onTrackLoad2D: () => {}},
+            contactMatrixView: {update: () => {}},
+            resolution: () => 1000,
+            hideMenu: () => {}
+        }
+        const viewportElement = {style: {}, offsetWidth: 100, offsetHeight: 100, querySelector: () => ({style: {}})}
+        const editor = new Track2DEditor(browser, viewportElement, {addEventListener: () => {}})
+        return {editor, browser, alerts}
+    }
+
+    const drag = (editor, from, to) => {
+        editor.mouseDown(from, from)
+        editor.mouseMove(to, to)
+        editor.mouseUp()
+    }
+
+    test('adds the feature dragged out on a chromosome', () => {
+        const {editor, browser} = editorOn(1)
+        editor.toggle()
+        drag(editor, 10, 40)
+
+        expect(browser.tracks2D[0].getAllFeatures()).toEqual([{chr1: 'chr1', x1: 10000, x2: 40000, chr2: 'chr1', y1: 10000, y2: 40000}])
+    })
+
+    test('is not entered in the whole genome view', () => {
+        const {editor, alerts} = editorOn(0)
+        editor.toggle()
+
+        expect(editor.active).toBe(false)
+        expect(alerts).toEqual(['2D annotations cannot be edited in the whole genome view'])
+    })
+
+    test('adds nothing dragged out in the whole genome view, having been entered on a chromosome', () => {
+        const {editor, browser, alerts} = editorOn(1)
+        editor.toggle()
+        browser.state = state(0, 0)
+        drag(editor, 10, 40)
+
+        expect(browser.tracks2D[0].getAllFeatures()).toEqual([])
+        expect(alerts).toEqual(['2D annotations cannot be edited in the whole genome view'])
+    })
+})
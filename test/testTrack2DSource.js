@@ -0,0 +1,200 @@
+import { describe, test, expect } from 'vitest'
+import Track2D from '../js/track2D.js'
+import Track2DSource, { toTrack2DFeature } from '../js/track2DSource.js'
+
+/**
+ * A 2D track read by region -- tabix-indexed BEDPE or bigInteract -- through a
+ * stand-in for the igv.js reader that says what it was asked for and answers
+ * with the features whose first anchor falls in the span, as a tabix query
+ * does. No file is touched.
+ */
+
+const interaction = (chr1, start1, chr2, start2, extra = {}) =>
+    ({ chr1, start1, end1: start1 + 1000, chr2, start2, end2: start2 + 1000, ...extra })
+
+function reader(features) {
+    const asked = []
+    return {
+        asked,
+        async getFeatures(chr, start, end) {
+            asked.push([ chr, start, end ])
+            return features.filter(f => f.chr1 === chr && f.end1 >= start && f.start1 <= end)
+        }
+    }
+}
+
+const view = (xStart, xEnd, yStart, yEnd) => ({ xStart, xEnd, yStart, yEnd })
+
+describe('Track2DSource', () => {
+
+    test('names a file read by region by its index, its format or its extension', () => {
+        expect(Track2DSource.isRegionIndexed({ url: 'https://example.org/loops.bedpe.gz', indexURL: 'https://example.org/loops.bedpe.gz.tbi' })).toBe(true)
+        expect(Track2DSource.isRegionIndexed({ url: 'https://example.org/loops.bb', format: 'bigInteract' })).toBe(true)
+        expect(Track2DSource.isRegionIndexed({ url: 'https://example.org/loops.inter.bb?x=1' })).toBe(true)
+        expect(Track2DSource.isRegionIndexed({ url: 'https://example.org/loops.bedpe' })).toBe(false)
+    })
+
+    test('fetches a tile three times each axis\'s span, and answers from it until the view leaves it', async () => {
+        const source = new Track2DSource(reader([]))
+
+        expect(await source.load('chr1', 'chr2', view(10000, 20000, 50000, 60000))).toBe(true)
+        expect(source.reader.asked).toEqual([ [ 'chr1', 0, 30000 ], [ 'chr2', 40000, 70000 ] ])
+
+        expect(await source.load('chr1', 'chr2', view(15000, 25000, 45000, 55000))).toBe(false)
+        expect(source.reader.asked).toHaveLength(2)
+
+        expect(await source.load('chr1', 'chr2', view(25000, 35000, 45000, 55000))).toBe(true)
+        expect(source.reader.asked[2]).toEqual([ 'chr1', 15000, 45000 ])
+    })
+
+    test('keeps the most recently used tiles', async () => {
+        const source = new Track2DSource(reader([]))
+        for (let i = 0; i < 9; i++) {
+            await source.load('chr1', 'chr2', view(i * 100000, i * 100000 + 1000, 0, 1000))
+        }
+
+        // The y tile, used by every view, stays; the oldest x tiles go.
+        expect(source.tiles.map(tile => [ tile.chr, tile.startBP ])).toEqual([
+            ...[ 2, 3, 4, 5, 6, 7, 8 ].map(i => [ 'chr1', i * 100000 - 1000 ]),
+            [ 'chr2', 0 ]
+        ])
+    })
+
+    test('holds each feature once, the first anchor\'s tile or the second\'s', async () => {
+        const intra = interaction('chr1', 12000, 'chr1', 52000)
+        const inter = interaction('chr2', 55000, 'chr1', 15000)
+        const source = new Track2DSource(reader([ intra, inter, { ...inter, dup: true } ]))
+
+        await source.load('chr1', 'chr1', view(10000, 20000, 50000, 60000))
+        await source.load('chr1', 'chr1', view(12000, 22000, 50000, 60000))
+        expect(source.features()).toEqual([ { chr1: 'chr1', x1: 12000, x2: 13000, chr2: 'chr1', y1: 52000, y2: 53000 } ])
+
+        await source.load('chr1', 'chr2', view(10000, 20000, 50000, 60000))
+        expect(source.features().map(f => f.chr1)).toEqual([ 'chr1', 'chr2' ])
+    })
+
+    test('drops a tile that fails to load, to ask for it again', async () => {
+        let fail = true
+        const source = new Track2DSource({
+            async getFeatures() {
+                if (fail) {
+                    throw new Error('503')
+                }
+                return []
+            }
+        })
+
+        await expect(source.load('chr1', 'chr1', view(0, 1000, 0, 1000))).rejects.toThrow('503')
+        expect(source.tiles).toEqual([])
+
+        fail = false
+        expect(await source.load('chr1', 'chr1', view(0, 1000, 0, 1000))).toBe(true)
+    })
+
+    test('asks for both axes at once, and keeps the one that arrives when the other fails', async () => {
+        const asked = []
+        let answer
+        const source = new Track2DSource({
+            getFeatures(chr) {
+                asked.push(chr)
+                return 'chr1' === chr ?
+                    Promise.reject(new Error('503')) :
+                    new Promise(resolve => { answer = resolve })
+            }
+        })
+
+        const loading = source.load('chr1', 'chr2', view(0, 1000, 0, 1000))
+        expect(asked).toEqual([ 'chr1', 'chr2' ])
+
+        answer([ interaction('chr2', 500, 'chr2', 800) ])
+        await expect(loading).rejects.toThrow('503')
+        expect(source.tiles.map(tile => tile.chr)).toEqual([ 'chr2' ])
+        expect(source.features()).toHaveLength(1)
+    })
+
+    test('leaves the whole genome alone', async () => {
+        const source = new Track2DSource(reader([]))
+        expect(await source.load('All', 'All', view(0, 1000, 0, 1000))).toBe(false)
+        expect(source.reader.asked).toEqual([])
+    })
+})
+
+describe('toTrack2DFeature', () => {
+
+    test('keeps a feature\'s optional fields and named extra columns as attributes', () => {
+        const f = interaction('1', 100, '2', 300, { name: 'loop', score: 7, color: '255,0,0', extras: [ '0.01', '12' ] })
+        const genome = { getChromosomeName: name => `chr${name}` }
+
+        expect(toTrack2DFeature(f, genome, [ 'chr1', 'x1', 'x2', 'chr2', 'y1', 'y2', 'name', 'score', 'fdr', 'o' ])).toEqual({
+            chr1: 'chr1', x1: 100, x2: 1100, chr2: 'chr2', y1: 300, y2: 1300,
+            color: 'rgb(255,0,0)',
+            attributes: { name: 'loop', score: '7', fdr: '0.01', o: '12' }
+        })
+    })
+
+    test('keeps a bigInteract\'s value, and leaves out what is not a number', () => {
+        const f = interaction('chr1', 100, 'chr1', 300, { name: '', score: 0, value: NaN, color: '#ff0000' })
+        expect(toTrack2DFeature(f).attributes).toEqual({ name: '', score: '0' })
+        expect(toTrack2DFeature(f).color).toBe('#ff0000')
+    })
+})
+
+describe('a 2D track read by region', () => {
+
+    test('has the features of the view once it is loaded', async () => {
+        const loop = interaction('chr1', 12000, 'chr1', 52000, { name: 'a' })
+        const track2D = new Track2D({ url: 'https://example.org/loops.bedpe.gz', indexURL: 'https://example.org/loops.bedpe.gz.tbi' }, [],
+            new Track2DSource(reader([ loop ])))
+        expect(track2D.getFeatures('chr1', 'chr1')).toBeUndefined()
+
+        await track2D.loadRegion('chr1', 'chr1', view(10000, 20000, 50000, 60000))
+
+        expect(track2D.featureCount).toBe(1)
+        expect(track2D.getFeatures('chr1', 'chr1', view(10000, 20000, 50000, 60000))[0].attributes).toEqual({ name: 'a' })
+        expect(track2D.toJSON()).toEqual({ url: 'https://example.org/loops.bedpe.gz', indexURL: 'https://example.org/loops.bedpe.gz.tbi' })
+    })
+
+    test('holds its colormap range from the first view loaded, so a pan does not recolor', async () => {
+        const weak = interaction('chr1', 12000, 'chr1', 52000, { score: 10 })
+        const strong = interaction('chr1', 14000, 'chr1', 54000, { score: 20 })
+        const far = interaction('chr1', 512000, 'chr1', 552000, { score: 100 })
+        const track2D = new Track2D({
+            url: 'https://example.org/loops.bb',
+            style: { attribute: 'score', colormap: 'ff0000-0000ff' }
+        }, [], new Track2DSource(reader([ weak, strong, far ])))
+
+        const colorOf = score => track2D.getFeatureColor(track2D.getAllFeatures().find(f => String(score) === f.attributes.score))
+
+        await track2D.loadRegion('chr1', 'chr1', view(10000, 20000, 50000, 60000))
+        expect([ colorOf(10), colorOf(20) ]).toEqual([ 'rgb(255,0,0)', 'rgb(0,0,255)' ])
+
+        await track2D.loadRegion('chr1', 'chr1', view(510000, 520000, 550000, 560000))
+        expect([ colorOf(10), colorOf(20), colorOf(100) ]).toEqual([ 'rgb(255,0,0)', 'rgb(0,0,255)', 'rgb(0,0,255)' ])
+
+        track2D.setStyle({ attribute: 'score', colormap: 'ff0000-0000ff' })
+        expect(colorOf(20)).not.toBe('rgb(0,0,255)')
+    })
+
+    test('keeps the colors its palette has given as new values arrive', async () => {
+        const a = interaction('chr1', 12000, 'chr1', 52000, { name: 'a' })
+        const b = interaction('chr1', 512000, 'chr1', 552000, { name: 'b' })
+        const track2D = new Track2D({ url: 'https://example.org/loops.bb', style: { attribute: 'name', palette: 'set1' } }, [],
+            new Track2DSource(reader([ b, a ])))
+        const colors = () => new Map(track2D.getAllFeatures().map(f => [ f.attributes.name, track2D.getFeatureColor(f) ]))
+
+        await track2D.loadRegion('chr1', 'chr1', view(10000, 20000, 50000, 60000))
+        const first = colors().get('a')
+
+        // Back over a's tile, which is now newer than b's: b is met first.
+        await track2D.loadRegion('chr1', 'chr1', view(510000, 520000, 550000, 560000))
+        await track2D.loadRegion('chr1', 'chr1', view(10000, 20000, 150000, 160000))
+        expect(colors().get('a')).toBe(first)
+        expect(colors().get('b')).not.toBe(first)
+    })
+
+    test('is one read whole when loaded from a plain file', async () => {
+        const track2D = new Track2D({}, [ { chr1: 'chr1', x1: 1, x2: 2, chr2: 'chr1', y1: 3, y2: 4 } ])
+        await track2D.loadRegion('chr1', 'chr1', view(0, 10, 0, 10))
+        expect(track2D.featureCount).toBe(1)
+    })
+})
@@ -159,7 +159,7 @@ function sessionTracksFor(trackConfigs, tracks2D = []) {
     const stub = {
         // A real browser always has one; toJSON reads the selected gene off it -- #481.
         registry: {},
-        dataset: { url: "https://example.org/x.hic", hicFile: { config: {} } },
+        dataset: { url: "https://example.org/x.hic", hicFile: { config: {} }, getResolutions: () => [] },
         state: { toJSON: () => ({}) },
         contactMatrixView: {
             stringifyBackgroundColor: () => "255,255,255",
@@ -0,0 +1,86 @@
+import {describe, it, expect} from 'vitest'
+import vm from 'node:vm'
+import {fileURLToPath} from 'node:url'
+import {build} from 'vite'
+
+/**
+ * The UMD bundle has to start the image tile worker too. It is built without
+ * `import.meta`, so a worker located relative to the bundle's own URL never
+ * starts there: every UMD page rasterized on the main thread and warned on
+ * each load.
+ *
+ * This builds the rasterizer in the UMD format, the way `vite build` builds
+ * `dist/juicebox.min.js`, runs it in a context with the browser globals a
+ * worker needs, and asks it for a rasterizer.
+ */
+
+const root = fileURLToPath(new URL('..', import.meta.url))
+
+async function buildUmd() {
+
+    const result = await build({
+        root,
+        configFile: false,
+        logLevel: 'silent',
+        build: {
+            write: false,
+            minify: false,
+            lib: {entry: 'js/tileRasterizer.js', name: 'tileRasterizer', formats: ['umd'], fileName: () => 'tileRasterizer.umd.js'}
+        }
+    })
+
+    const [{output}] = Array.isArray(result) ? result : [result]
+    return output.find(chunk => 'chunk' === chunk.type).code
+}
+
+/** A browser's globals, as far as starting a worker goes, recording each worker made. */
+function browserContext() {
+
+    const workers = []
+    const warnings = []
+
+    class Worker {
+        constructor(url, options) {
+            this.url = url
+            this.options = options
+            workers.push(this)
+        }
+        addEventListener() {}
+        postMessage() {}
+        terminate() {}
+    }
+
+    const context = {
+        Worker,
+        OffscreenCanvas: class {},
+        createImageBitmap: () => {},
+        Blob,
+        URL: class extends URL {
+            static createObjectURL() { return 'blob:tile-worker' }
+            static revokeObjectURL() {}
+        },
+        console: {...console, warn: (...args) => warnings.push(args)},
+        workers,
+        warnings
+    }
+    context.self = context
+    context.window = context
+    return vm.createContext(context)
+}
+
+describe('the UMD build', () => {
+
+    it('starts the image tile worker', async () => {
+
+        const code = await buildUmd()
+
+        const context = browserContext()
+        vm.runInContext(code, context)
+
+        const rasterizer = context.tileRasterizer.default()
+
+        expect(context.warnings).toEqual([])
+        expect(context.workers.length).toBe(1)
+        expect(rasterizer.worker).toBe(context.workers[0])
+    }, 60000)
+})
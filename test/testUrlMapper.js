@@ -50,6 +50,19 @@ describe("url mapper", function () {
         expect(strawConfigFor({ url: "https://example.org/x.hic" }).mapUrl).toBe(mapper);
     });
 
+    test("keeps the reads of a mapped URL off the image tile worker", function () {
+        const region = { chr: "chr1", start: 0, end: 1000 };
+        const request = new HiCDataset({ url: "https://example.org/x.hic" })
+            .contactRecordsRequest("NONE", region, region, "BP", 1000);
+        expect(request.source.config).toEqual({ url: "https://example.org/x.hic" });
+        expect(request.args).toEqual(["NONE", region, region, "BP", 1000]);
+
+        setUrlMapper(url => url);
+
+        expect(new HiCDataset({ url: "https://example.org/x.hic" })
+            .contactRecordsRequest("NONE", region, region, "BP", 1000)).toBeUndefined();
+    });
+
     test("preserves the rest of the config when it injects the mapper", function () {
         setUrlMapper(url => url);
 
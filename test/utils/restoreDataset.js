@@ -25,6 +25,8 @@
  * `nvi=` takes that branch honestly.
  */
 
+import Dataset from '../../js/dataset.js'
+
 /** hg19, the genome every harvested fixture in the corpus was published against. */
 const HG19 = [
     ['chr1', 249250621], ['chr2', 243199373], ['chr3', 198022430], ['chr4', 191154276],
@@ -79,6 +81,8 @@ export function restoreDataset(config = {}) {
         datasetType: 'hic',
         chromosomes: chrs,
         bpResolutions: BP_RESOLUTIONS,
+        getResolutions: Dataset.prototype.getResolutions,
+        getChromosomeLength: Dataset.prototype.getChromosomeLength,
         isCompatible(other) {
             return other?.genomeId === this.genomeId
         },
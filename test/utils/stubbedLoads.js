@@ -3,6 +3,7 @@ import DataLoader from '../../js/dataLoader.js'
 import State from '../../js/hicState.js'
 import ContactMatrixView from '../../js/contactMatrixView.js'
 import HICBrowser from '../../js/hicBrowser.js'
+import Dataset from '../../js/dataset.js'
 
 /**
  * Stand the initialization and restore paths up without the two things a test
@@ -55,6 +56,8 @@ function stubDataset(config) {
         },
         chromosomes: [{index: 0, name: 'All', size: 3088286401}, {index: 1, name: 'chr1', size: 249250621}],
         bpResolutions: [2500000, 1000000, 500000, 250000, 100000, 50000],
+        getResolutions: Dataset.prototype.getResolutions,
+        getChromosomeLength: Dataset.prototype.getChromosomeLength,
         hicFile: {config: {nvi: config.nvi}}
     }
 }
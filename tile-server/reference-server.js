@@ -0,0 +1,176 @@
+/**
+ * A reference implementation of the tile server protocol (docs/tile-server-protocol.md): a plain
+ * Node HTTP server answering for a contact map held in memory. juicebox.js's own tests run against
+ * it, and it is the place to start from when putting a lab's service behind the protocol.
+ *
+ *     import { createTileServer } from 'juicebox.js/tile-server/reference-server'
+ *
+ *     const server = createTileServer({
+ *         genome: 'hg38',
+ *         chromosomes: [{ name: 'chr1', size: 248956422 }],
+ *         resolutions: [1000000, 100000],
+ *         contacts: [['chr1', 150000, 'chr1', 2400000, 3]]
+ *     })
+ *     server.listen(8001)
+ *
+ * Or from the command line, with a JSON file of that same shape:
+ *
+ *     node tile-server/reference-server.js map.json 8001
+ *
+ * Each contact is a pair of positions and a count, binned once per resolution at startup. Only NONE
+ * is offered: a real server divides its records by whichever normalizations it lists.
+ */
+
+import { createServer } from 'node:http'
+import { readFile } from 'node:fs/promises'
+import { pathToFileURL } from 'node:url'
+
+const PROTOCOL_VERSION = 1
+
+// As juicebox sizes the whole-genome map: this many bins across, in kb. See js/dataset.js.
+const WHOLE_GENOME_BINS = 500
+
+/**
+ * @param {object} map
+ * @param {string} [map.genome] - the assembly's id
+ * @param {{ name: string, size: number }[]} map.chromosomes - in order
+ * @param {number[]} map.resolutions - bin sizes in bp
+ * @param {Array<[string, number, string, number, number?]>} map.contacts - chr1, pos1, chr2, pos2 and
+ *        a count, 1 if absent
+ * @returns {import('node:http').Server} not yet listening
+ */
+function createTileServer({ genome, chromosomes, resolutions, contacts }) {
+
+    const index = new Map(chromosomes.map(({ name }, i) => [name, i]))
+    const genomeKb = Math.floor(chromosomes.reduce((sum, { size }) => sum + size, 0) / 1000)
+    const wholeGenomeBinSize = Math.max(1, Math.floor(genomeKb / WHOLE_GENOME_BINS))
+
+    // The start of each chromosome along "All", in bp.
+    const offsets = []
+    chromosomes.reduce((start, { size }, i) => (offsets[i] = start) + size, 0)
+
+    const levels = new Map(resolutions.map(binSize => [binSize, bin(binSize, (chr, pos) => Math.floor(pos / binSize))]))
+    const wholeGenome = bin(wholeGenomeBinSize, (chr, pos) => Math.floor((offsets[index.get(chr)] + pos) / (wholeGenomeBinSize * 1000)), true)
+
+    // Cells by chromosome pair -- the pair in the order of `chromosomes` -- each keyed "bin1_bin2",
+    // bin1 <= bin2 on the diagonal.
+    function bin(binSize, binOf, allOnly = false) {
+        const pairs = new Map()
+        for (const [chr1, pos1, chr2, pos2, count = 1] of contacts) {
+            let [c1, c2, b1, b2] = [chr1, chr2, binOf(chr1, pos1), binOf(chr2, pos2)]
+            if (allOnly) {
+                [c1, c2] = ['All', 'All']
+            } else if (index.get(c1) > index.get(c2)) {
+                [c1, c2, b1, b2] = [c2, c1, b2, b1]
+            }
+            if (c1 === c2 && b1 > b2) {
+                [b1, b2] = [b2, b1]
+            }
+            const key = `${c1}\t${c2}`
+            const cells = pairs.get(key) || pairs.set(key, new Map()).get(key)
+            cells.set(`${b1}_${b2}`, (cells.get(`${b1}_${b2}`) || 0) + count)
+        }
+        return pairs
+    }
+
+    const sizeOf = chr => 'All' === chr ? genomeKb : chromosomes[index.get(chr)].size
+
+    function averageCount(chr1, chr2, binSize, cells) {
+        const n1 = Math.ceil(sizeOf(chr1) / binSize)
+        const n2 = Math.ceil(sizeOf(chr2) / binSize)
+        const total = chr1 === chr2 ? n1 * (n1 + 1) / 2 : n1 * n2
+        const sum = cells ? Array.from(cells.values()).reduce((s, count) => s + count, 0) : 0
+        return total > 0 ? sum / total : 0
+    }
+
+    const endpoints = {
+
+        info: () => ({
+            version: PROTOCOL_VERSION,
+            genome,
+            chromosomes,
+            resolutions,
+            normalizations: ['NONE'],
+            wholeGenome: true
+        }),
+
+        matrix: ({ chr1, chr2 }) => {
+            known(chr1, chr2)
+            const averageCounts = {}
+            if ('All' === chr1) {
+                averageCounts[wholeGenomeBinSize] = averageCount('All', 'All', wholeGenomeBinSize, wholeGenome.get('All\tAll'))
+            } else {
+                for (const [binSize, pairs] of levels) {
+                    averageCounts[binSize] = averageCount(chr1, chr2, binSize, pairs.get(`${chr1}\t${chr2}`))
+                }
+            }
+            return { averageCounts }
+        },
+
+        records: ({ chr1, start1, end1, chr2, start2, end2, binSize, normalization = 'NONE' }) => {
+            known(chr1, chr2)
+            if ('NONE' !== normalization) {
+                throw new RequestError(400, `Unknown normalization: ${normalization}`)
+            }
+            binSize = Number(binSize)
+            const pairs = 'All' === chr1 ? (binSize === wholeGenomeBinSize ? wholeGenome : undefined) : levels.get(binSize)
+            if (!pairs) {
+                throw new RequestError(400, `Unknown resolution: ${binSize}`)
+            }
+
+            const [x1, x2, y1, y2] = [start1, end1, start2, end2].map(Number).map(bp => bp / binSize)
+            const records = []
+            for (const [key, count] of pairs.get(`${chr1}\t${chr2}`) || []) {
+                const [bin1, bin2] = key.split('_').map(Number)
+                if (bin1 >= x1 && bin1 < x2 && bin2 >= y1 && bin2 < y2) {
+                    records.push([bin1, bin2, count])
+                }
+            }
+            return { records }
+        }
+    }
+
+    function known(...names) {
+        for (const name of names) {
+            if ('All' !== name && !index.has(name)) {
+                throw new RequestError(400, `Unknown chromosome: ${name}`)
+            }
+        }
+    }
+
+    return createServer((req, res) => {
+
+        const url = new URL(req.url, 'http://localhost')
+        const endpoint = endpoints[url.pathname.split('/').pop()]
+
+        let status = 200
+        let body
+        try {
+            if (!endpoint || 'GET' !== req.method) {
+                throw new RequestError(404, `No such endpoint: ${req.method} ${url.pathname}`)
+            }
+            body = endpoint(Object.fromEntries(url.searchParams))
+        } catch (e) {
+            status = e.status || 500
+            body = { error: e.message }
+        }
+
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' })
+        res.end(JSON.stringify(body))
+    })
+}
+
+class RequestError extends Error {
+    constructor(status, message) {
+        super(message)
+        this.status = status
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const [file, port = 8001] = process.argv.slice(2)
+    const map = JSON.parse(await readFile(file, 'utf8'))
+    createTileServer(map).listen(Number(port), () => console.log(`Serving ${file} at http://localhost:${port}`))
+}
+
+export { createTileServer }
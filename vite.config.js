@@ -59,6 +59,16 @@ export default defineConfig({
     sourcemap: true,
     cssCodeSplit: false, // Extract all CSS into a single file
     rollupOptions: {
+      // The UMD bundle has no `import.meta`: anything resolved against it there
+      // resolves against an empty object. That is how the UMD build once shipped
+      // an image tile worker it could never start, so it fails the build rather
+      // than warn. test/testUmdWorker.js checks the worker starts.
+      onwarn(warning, warn) {
+        if ('EMPTY_IMPORT_META' === warning.code) {
+          throw new Error(`import.meta in the UMD bundle: ${warning.message}`);
+        }
+        warn(warning);
+      },
       output: {
         assetFileNames: (assetInfo) => {
           // Ensure CSS is named juicebox.css
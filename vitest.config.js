@@ -14,6 +14,7 @@ export default defineConfig({
       '@': resolve(__dirname, './'),
       'igv-utils': resolve(__dirname, './node_modules/igv-utils/src/index.js'),
       'igv-ui': resolve(__dirname, './node_modules/igv-ui/dist/igv-ui.js'),
+      'hdf5-indexed-reader': resolve(__dirname, './node_modules/hdf5-indexed-reader/dist/hdf5-indexed-reader.esm.js'),
     },
   },
 });